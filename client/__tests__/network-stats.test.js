@@ -1,5 +1,6 @@
 import { describe, test, expect } from '@jest/globals';
 import os from 'os';
+import { selectAddresses, interfaceMac, MAX_IPV6_ADDRESSES } from '../network-stats.js';
 
 describe('Network Interface Collection', () => {
   describe('IP Address Filtering', () => {
@@ -48,15 +49,15 @@ describe('Network Interface Collection', () => {
       expect(filtered[0].address).toBe('192.168.1.100');
     });
 
-    test('should filter out IPv6 addresses', () => {
+    test('should report IPv6 addresses next to the IPv4 address', () => {
       const addresses = [
         { family: 'IPv6', address: 'fe80::1', internal: false },
-        { family: 'IPv4', address: '192.168.1.100', internal: false }
+        { family: 'IPv4', address: '192.168.1.100', internal: false },
+        { family: 'IPv6', address: '2001:DB8::10', internal: false },
+        { family: 'IPv6', address: 'fd00::10', internal: false }
       ];
 
-      const filtered = addresses.filter(addr => addr.family === 'IPv4');
-      expect(filtered.length).toBe(1);
-      expect(filtered[0].address).toBe('192.168.1.100');
+      expect(selectAddresses(addresses)).toEqual({ ip: '192.168.1.100', ipv6: ['2001:db8::10', 'fd00::10'] });
     });
 
     test('should apply complete filtering logic', () => {
@@ -76,6 +77,41 @@ describe('Network Interface Collection', () => {
     });
   });
 
+  describe('IPv6 Addresses', () => {
+    test('should use the IPv6 address on IPv6-only interfaces', () => {
+      expect(selectAddresses([{ family: 'IPv6', address: '2001:db8::10', internal: false }]))
+        .toEqual({ ip: '2001:db8::10', ipv6: ['2001:db8::10'] });
+    });
+
+    test('should skip loopback and link-local IPv6 addresses', () => {
+      expect(selectAddresses([
+        { family: 'IPv6', address: '::1', internal: true },
+        { family: 'IPv6', address: 'fe80::a00:27ff:fe4e:66a1', internal: false },
+        { family: 'IPv6', address: 'febf::1', internal: false }
+      ])).toBeNull();
+    });
+
+    test('should accept numeric address families', () => {
+      expect(selectAddresses([
+        { family: 4, address: '10.0.0.5', internal: false },
+        { family: 6, address: '2001:db8::5', internal: false }
+      ])).toEqual({ ip: '10.0.0.5', ipv6: ['2001:db8::5'] });
+    });
+
+    test('should cap the number of IPv6 addresses', () => {
+      const addresses = Array.from({ length: 20 }, (_, i) => ({ family: 'IPv6', address: `2001:db8::${i + 1}`, internal: false }));
+      expect(selectAddresses(addresses).ipv6).toHaveLength(MAX_IPV6_ADDRESSES);
+    });
+
+    test('should report the MAC address unless the interface has none', () => {
+      expect(interfaceMac([
+        { family: 'IPv4', address: '192.168.1.100', mac: 'AA:BB:CC:DD:EE:01', internal: false },
+        { family: 'IPv6', address: '2001:db8::10', mac: 'AA:BB:CC:DD:EE:01', internal: false }
+      ])).toBe('aa:bb:cc:dd:ee:01');
+      expect(interfaceMac([{ family: 'IPv4', address: '10.8.0.2', mac: '00:00:00:00:00:00', internal: false }])).toBe(null);
+    });
+  });
+
   describe('Interface Limit', () => {
     test('should limit results to 5 interfaces maximum', () => {
       const interfaces = Array(10).fill(null).map((_, i) => ({
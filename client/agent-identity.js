@@ -0,0 +1,113 @@
+// Agent identity for Inside-Out Monitor
+//
+// An enrolled agent owns a nacl.box keypair and seals every packet to the
+// server's public key instead of using the shared secret.key. Enrollment is a
+// one-off exchange: the agent sends its public key plus a one-time token from
+// `npm run agents -- token`, the server binds the key to the names on the
+// token and replies, and the identity is saved next to the executable.
+
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import os from 'os';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { agentIdFor, sealEnrollment, openReply } from './envelope.js';
+
+const { encodeBase64, decodeBase64 } = util;
+
+const TOKEN_SECRET_LENGTH = 16;
+const ENROLL_TIMEOUT = 5000;
+const ENROLL_ATTEMPTS = 3;
+
+/**
+ * Split an enrollment token into the server public key and the one-time secret
+ * @param {string} token - base64url token from `npm run agents -- token`
+ * @returns {Object} { serverPublicKey, secret }
+ */
+export function parseEnrollmentToken(token) {
+  const bytes = new Uint8Array(Buffer.from(String(token).trim(), 'base64url'));
+  if (bytes.length !== nacl.box.publicKeyLength + TOKEN_SECRET_LENGTH) {
+    throw new Error('Malformed enrollment token');
+  }
+
+  return {
+    serverPublicKey: bytes.slice(0, nacl.box.publicKeyLength),
+    secret: bytes.slice(nacl.box.publicKeyLength)
+  };
+}
+
+/**
+ * Load a saved agent identity
+ * @param {string[]} searchDirs - Directories to look in (first match wins)
+ * @param {string} fileName - Identity file name (e.g. heartbeat-agent.json)
+ * @returns {Object|null} { agentId, keyPair, serverPublicKey, names } or null if not enrolled
+ */
+export function loadAgentIdentity(searchDirs, fileName) {
+  for (const dir of searchDirs) {
+    const path = join(dir, fileName);
+    if (!existsSync(path)) continue;
+
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    const keyPair = nacl.box.keyPair.fromSecretKey(decodeBase64(data.secret_key));
+
+    return {
+      agentId: agentIdFor(keyPair.publicKey),
+      keyPair,
+      serverPublicKey: decodeBase64(data.server_public_key),
+      names: data.names || [],
+      path
+    };
+  }
+
+  return null;
+}
+
+function saveAgentIdentity(path, identity) {
+  writeFileSync(path, JSON.stringify({
+    agent_id: identity.agentId,
+    secret_key: encodeBase64(identity.keyPair.secretKey),
+    server_public_key: encodeBase64(identity.serverPublicKey),
+    names: identity.names,
+    enrolled_at: Math.floor(Date.now() / 1000)
+  }, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Enroll this agent with the server and save its identity
+ * @param {Object} options
+ * @param {string} options.token - Enrollment token
+ * @param {Object} options.transport - Transport to the server (see transport.js)
+ * @param {string} options.dir - Directory to save the identity in
+ * @param {string} options.fileName - Identity file name
+ * @returns {Promise<Object>} Saved identity
+ * @throws {Error} If the server rejects the token or does not answer
+ */
+export async function enrollAgent({ token, transport, dir, fileName }) {
+  const { serverPublicKey, secret } = parseEnrollmentToken(token);
+  const keyPair = nacl.box.keyPair();
+  const agentId = agentIdFor(keyPair.publicKey);
+
+  const packet = sealEnrollment({
+    token: encodeBase64(secret),
+    hostname: os.hostname(),
+    timestamp: Math.floor(Date.now() / 1000)
+  }, keyPair, serverPublicKey);
+
+  // UDP may drop the request or the reply; the server accepts the same enrollment again
+  for (let attempt = 1; attempt <= ENROLL_ATTEMPTS; attempt++) {
+    const reply = await transport.request(packet, (data) => openReply(data, keyPair, serverPublicKey), ENROLL_TIMEOUT);
+    if (!reply) continue;
+
+    if (reply.type === 'enroll_rejected') {
+      throw new Error(`Enrollment rejected: ${reply.reason}`);
+    }
+
+    if (reply.type === 'enrolled' && reply.agent_id === agentId) {
+      const identity = { agentId, keyPair, serverPublicKey, names: reply.names || [], path: join(dir, fileName) };
+      saveAgentIdentity(identity.path, identity);
+      return identity;
+    }
+  }
+
+  throw new Error(`No reply from the server after ${ENROLL_ATTEMPTS} attempts`);
+}
@@ -8,11 +8,14 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import dgram from 'dgram';
-import nacl from 'tweetnacl';
 import util from 'tweetnacl-util';
 import os from 'os';
 import { getNetworkInterfaces } from './network-stats.js';
+import { loadAgentIdentity, enrollAgent } from './agent-identity.js';
+import { createTransport } from './transport.js';
+import { createDelivery, formatDeliveryStats, DEFAULT_RETRIES } from './delivery.js';
+import { createSpool, DEFAULT_MAX_MESSAGES } from './spool.js';
+import { MESSAGE_VERSION } from './envelope.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -25,7 +28,20 @@ const args = process.argv.slice(2);
 let deviceName = os.hostname();
 let serverHost = '192.168.203.241';
 let serverPort = 4000;
+let transportName = 'udp';  // Injected during build from config.js (udp, tcp, tls or auto)
+let tcpPort = 4000;  // Injected during build from config.js
+let tlsPort = 0;  // Injected during build from config.js (0 = no TLS)
+let tlsCa = null;
+let tlsInsecure = false;
+let ackMode = false;  // Injected during build from config.js
+let retries = DEFAULT_RETRIES;
+let spoolMode = false;
+let spoolMax = DEFAULT_MAX_MESSAGES;
 let interval = 0;
+let enrollToken = null;
+
+const IDENTITY_FILE = 'heartbeat-agent.json';
+const SPOOL_FILE = 'heartbeat.spool';
 
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
@@ -46,6 +62,37 @@ for (let i = 0; i < args.length; i++) {
     case '-i':
       interval = parseInt(args[++i]);
       break;
+    case '--transport':
+    case '-t':
+      transportName = args[++i];
+      break;
+    case '--tcp-port':
+      tcpPort = parseInt(args[++i]);
+      break;
+    case '--tls-port':
+      tlsPort = parseInt(args[++i]);
+      break;
+    case '--tls-ca':
+      tlsCa = args[++i];
+      break;
+    case '--tls-insecure':
+      tlsInsecure = true;
+      break;
+    case '--ack':
+      ackMode = true;
+      break;
+    case '--retries':
+      retries = parseInt(args[++i]);
+      break;
+    case '--spool':
+      spoolMode = true;
+      break;
+    case '--spool-max':
+      spoolMax = parseInt(args[++i]);
+      break;
+    case '--enroll':
+      enrollToken = args[++i];
+      break;
     case '--help':
       console.log(`
 Inside-Out Monitor Client
@@ -57,17 +104,37 @@ Options:
   -h, --host <host>        Server hostname or IP (default: from config.js)
   -p, --port <port>        Server UDP port (default: from config.js)
   -i, --interval <seconds> Send heartbeat every N seconds (0 = run once)
+  -t, --transport <mode>   udp, tcp, tls or auto (udp, falling back to tcp/tls)
+  --tcp-port <port>        Server TCP port (default: from config.js)
+  --tls-port <port>        Server TLS port (default: from config.js)
+  --tls-ca <file>          Certificate to trust for TLS (e.g. the server's self-signed cert)
+  --tls-insecure           Skip TLS certificate checks (packets are still encrypted)
+  --ack                    Wait for the server to acknowledge each heartbeat, retry if it does not
+  --retries <n>            Resends when no acknowledgement arrives (default: ${DEFAULT_RETRIES})
+  --spool                  Queue heartbeats in ${SPOOL_FILE} while the server is unreachable (implies --ack)
+  --spool-max <n>          Oldest queued heartbeats are dropped beyond this (default: ${DEFAULT_MAX_MESSAGES})
+  --enroll <token>         Enroll with the server using a one-time token, then exit
   --help                   Show this help message
 
 Examples:
   monitor-client --host 192.168.1.100
   monitor-client --host 192.168.1.100 --interval 60
   monitor-client -n web-server-01 -h monitor.example.com -i 300
+  monitor-client --host monitor.example.com --transport auto --tls-port 443
+  monitor-client --host 192.168.1.100 --interval 60 --ack
+  monitor-client --enroll <token> --host 192.168.1.100
+
+Enrollment:
+  An enrolled client keeps its own key in ${IDENTITY_FILE} and no longer
+  needs secret.key. Tokens are issued on the server: npm run agents -- token
 
 Environment Variables:
   MONITOR_DEVICE_NAME      Override device name
   MONITOR_HOST             Override server host
   MONITOR_PORT             Override server port
+  MONITOR_TRANSPORT        Override transport
+  MONITOR_ACK              Set to 1 to enable acknowledgements
+  MONITOR_SPOOL            Set to 1 to enable the spool
 `);
       process.exit(0);
     default:
@@ -81,10 +148,43 @@ Environment Variables:
 if (process.env.MONITOR_DEVICE_NAME) deviceName = process.env.MONITOR_DEVICE_NAME;
 if (process.env.MONITOR_HOST) serverHost = process.env.MONITOR_HOST;
 if (process.env.MONITOR_PORT) serverPort = parseInt(process.env.MONITOR_PORT);
+if (process.env.MONITOR_TRANSPORT) transportName = process.env.MONITOR_TRANSPORT;
+if (process.env.MONITOR_ACK) ackMode = process.env.MONITOR_ACK === '1' || process.env.MONITOR_ACK === 'true';
+if (process.env.MONITOR_SPOOL) spoolMode = process.env.MONITOR_SPOOL === '1' || process.env.MONITOR_SPOOL === 'true';
+if (spoolMode) ackMode = true;
+
+let transport;
+try {
+  transport = createTransport({
+    host: serverHost,
+    port: serverPort,
+    transport: transportName,
+    tcpPort,
+    tlsPort: tlsPort || null,
+    tlsCa,
+    tlsInsecure
+  });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Use the enrolled identity if there is one - current directory first (for packaged exe), then script directory
+let identity = null;
+try {
+  identity = loadAgentIdentity([process.cwd(), __dirname], IDENTITY_FILE);
+  if (identity) console.log(`✓ Using enrolled identity (agent ${identity.agentId})`);
+} catch (error) {
+  console.error(`ERROR: Failed to load ${IDENTITY_FILE}`);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
-// Load secret key (use embedded key if available, otherwise load from file)
+// Otherwise load secret key (use embedded key if available, otherwise load from file)
 let secretKey;
-if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
+if (identity || enrollToken) {
+  // Enrolled (or enrolling) - the shared key is not needed
+} else if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
   // Use embedded key (injected during build)
   try {
     secretKey = util.decodeBase64(embeddedSecretKey);
@@ -119,6 +219,19 @@ if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
   }
 }
 
+// Sends (and with --ack, retries) every packet and counts what got through;
+// with --spool, heartbeats that never got through are queued next to the executable
+let delivery;
+try {
+  const spool = spoolMode ? createSpool({ path: join(process.cwd(), SPOOL_FILE), maxMessages: spoolMax }) : null;
+  if (spool && spool.size() > 0) console.log(`✓ ${spool.size()} queued heartbeat(s) in ${SPOOL_FILE} will be sent when the server is reachable`);
+  delivery = createDelivery({ transport, identity, key: secretKey, ack: ackMode, retries, spool });
+} catch (error) {
+  console.error(`ERROR: Failed to open ${SPOOL_FILE}`);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 // Function to send heartbeat
 async function sendHeartbeat() {
   try {
@@ -127,6 +240,7 @@ async function sendHeartbeat() {
 
     // Create message
     const message = {
+      version: MESSAGE_VERSION,
       name: deviceName,
       timestamp: Math.floor(Date.now() / 1000),
       location: configLocation,  // Phase 7: Multi-Site Support
@@ -134,33 +248,18 @@ async function sendHeartbeat() {
       network_interfaces: networkInterfaces
     };
 
-    const messageJson = JSON.stringify(message);
-    const messageBytes = util.decodeUTF8(messageJson);
-
-    // Generate nonce
-    const nonce = nacl.randomBytes(24);
-
-    // Encrypt
-    const encrypted = nacl.secretbox(messageBytes, nonce, secretKey);
+    // Report our own packet loss so the server can show it per site
+    if (ackMode) message.delivery = delivery.getStats();
 
-    // Combine nonce + encrypted
-    const packet = new Uint8Array(nonce.length + encrypted.length);
-    packet.set(nonce);
-    packet.set(encrypted, nonce.length);
-
-    // Send UDP packet
-    const client = dgram.createSocket('udp4');
-
-    await new Promise((resolve, reject) => {
-      client.send(Buffer.from(packet), serverPort, serverHost, (error) => {
-        client.close();
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+    // Encrypt (key/agent ID header + nonce + encrypted) and send over UDP (or TCP/TLS, see --transport)
+    if (!(await delivery.deliver(message))) {
+      if (spoolMode) {
+        console.error(`[${new Date().toISOString()}] ⚠ ${serverHost}:${serverPort} not answering - heartbeat queued (${delivery.getStats().queued} in ${SPOOL_FILE})`);
+      } else {
+        console.error(`[${new Date().toISOString()}] ERROR: No acknowledgement from ${serverHost}:${serverPort} after ${retries} retries`);
+      }
+      return false;
+    }
 
     return true;
   } catch (error) {
@@ -169,8 +268,25 @@ async function sendHeartbeat() {
   }
 }
 
+// Enroll with a one-time token and save the identity next to the executable
+async function enroll() {
+  try {
+    const enrolled = await enrollAgent({ token: enrollToken, transport, dir: process.cwd(), fileName: IDENTITY_FILE });
+    console.log(`✓ Enrolled as agent ${enrolled.agentId} (names: ${enrolled.names.join(', ')})`);
+    console.log(`  Identity saved to ${enrolled.path}`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 // Main execution
 async function main() {
+  if (enrollToken) {
+    await enroll();
+  }
+
   // Set console window title
   const title = `Inside-Out Monitor Client - ${deviceName} → ${serverHost}:${serverPort}`;
   process.stdout.write(`\x1b]0;${title}\x07`);
@@ -179,7 +295,7 @@ async function main() {
     // Continuous mode
     console.log(`Starting continuous heartbeat mode (every ${interval} seconds)`);
     console.log(`Device: ${deviceName}`);
-    console.log(`Server: ${serverHost}:${serverPort}`);
+    console.log(`Server: ${serverHost}:${serverPort} (${transportName}${ackMode ? ', acknowledged' : ''})`);
     console.log('Press Ctrl+C to stop');
     console.log('');
 
@@ -190,7 +306,10 @@ async function main() {
 
       const success = await sendHeartbeat();
       if (success) {
-        console.log(`[${new Date().toISOString()}] Heartbeat sent to ${serverHost}:${serverPort}`);
+        console.log(`[${new Date().toISOString()}] Heartbeat sent to ${serverHost}:${serverPort} via ${transport.current()}`);
+      }
+      if (ackMode) {
+        console.log(`[${new Date().toISOString()}] Delivery: ${formatDeliveryStats(delivery.getStats())}`);
       }
 
       await new Promise(resolve => setTimeout(resolve, interval * 1000));
@@ -198,8 +317,9 @@ async function main() {
   } else {
     // Single run mode
     const success = await sendHeartbeat();
+    transport.close();
     if (success) {
-      console.log(`[${new Date().toISOString()}] Heartbeat sent to ${serverHost}:${serverPort}`);
+      console.log(`[${new Date().toISOString()}] Heartbeat sent to ${serverHost}:${serverPort} via ${transport.current()}`);
       process.exit(0);
     } else {
       process.exit(1);
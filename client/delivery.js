@@ -0,0 +1,200 @@
+// Acknowledged delivery for Inside-Out Monitor agents
+//
+// By default packets are fire-and-forget (except over an auto transport, see
+// transport.js). With acknowledgements on, every payload asks the server for an
+// ACK (`ack: true`); the server answers with a small reply sealed with the same
+// key, carrying the nonce of the packet it stored:
+//   { type: 'ack', nonce, seq }
+// When no ACK arrives the payload is sealed again (new nonce and sequence number,
+// so the replay guard lets it through) and resent with exponential backoff. A
+// `{ type: 'nack', reason }` means the server refused the message for good (e.g.
+// invalid payload), so it is not retried. Counters
+// are kept for the process lifetime so agents can report their own packet loss.
+//
+// With a spool (see spool.js) anything that still goes unacknowledged is queued on
+// disk and replayed, marked as backfill, once the server answers again.
+//
+// With compression on, large payloads are deflated before encryption (FLAG_DEFLATE).
+
+import { sealMessage, sealForServer, packetNonce, openReply, openSharedReply } from './envelope.js';
+import { fragmentMessage, FRAGMENT_SIZE } from './fragment.js';
+
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_ACK_TIMEOUT = 2000; // ms, doubled on every retry
+export const SPOOL_RETRY_INTERVAL = 30 * 1000; // ms between replay attempts while the server is unreachable
+
+/**
+ * Create a sender for one agent
+ * @param {Object} options
+ * @param {Object} options.transport - Transport to the server (see transport.js)
+ * @param {Object} [options.identity] - Enrolled agent identity (otherwise key is used)
+ * @param {Uint8Array} [options.key] - Pre-shared secretbox key
+ * @param {boolean} [options.ack=false] - Ask for ACKs and retry until one arrives (always on with an auto transport)
+ * @param {number} [options.retries] - Resends after the first attempt
+ * @param {number} [options.timeout] - Milliseconds to wait for the first ACK
+ * @param {Object} [options.spool] - Queue for undelivered messages (turns ACKs on)
+ * @param {number} [options.retryInterval] - Milliseconds between replay attempts while messages are queued
+ * @param {boolean} [options.compress=false] - Deflate large payloads (server must support FLAG_DEFLATE)
+ * @returns {Object} { deliver(message), getStats() }
+ */
+export function createDelivery({ transport, identity = null, key = null, ack = false, retries = DEFAULT_RETRIES, timeout = DEFAULT_ACK_TIMEOUT, spool = null, retryInterval = SPOOL_RETRY_INTERVAL, compress = false }) {
+  // Without ACKs a lost UDP packet looks exactly like a delivered one - and an auto
+  // transport would keep sending into a firewall that silently drops UDP
+  if (spool || transport.mode === 'auto') ack = true;
+
+  const stats = {
+    sent: 0,      // packets handed to the transport (first attempts only)
+    acked: 0,
+    lost: 0,      // no ACK after the last retry
+    rejected: 0,  // refused by the server (nack)
+    retries: 0,
+    rttTotal: 0,
+    spooled: 0,   // messages queued on disk
+    backfilled: 0 // queued messages delivered later
+  };
+  let lastReplayAt = 0;
+  let queue = Promise.resolve();
+
+  const seal = (message) => (identity ? sealForServer(message, identity, { compress }) : sealMessage(message, key, { compress }));
+  const open = (reply) => (identity ? openReply(reply, identity.keyPair, identity.serverPublicKey) : openSharedReply(reply, key));
+
+  async function deliverPacket(message) {
+    stats.sent++;
+
+    if (!ack) {
+      await transport.send(seal(message));
+      return true;
+    }
+
+    const nonces = new Set();
+    const accept = (reply) => {
+      const parsed = open(reply);
+      return parsed && (parsed.type === 'ack' || parsed.type === 'nack') && nonces.has(parsed.nonce) ? parsed : null;
+    };
+
+    const startedAt = Date.now();
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) stats.retries++;
+
+      const packet = seal({ ...message, ack: true });
+      nonces.add(packetNonce(packet));
+
+      // An ACK for an earlier attempt still counts
+      const reply = await transport.request(packet, accept, timeout * 2 ** attempt);
+      if (reply && reply.type === 'nack') {
+        stats.rejected++;
+        console.error(`⚠ Server refused message: ${reply.reason}`);
+        return true;
+      }
+      if (reply) {
+        stats.acked++;
+        stats.rttTotal += Date.now() - startedAt;
+        return true;
+      }
+    }
+
+    stats.lost++;
+    return false;
+  }
+
+  async function send(message) {
+    let delivered = true;
+    for (const part of fragmentMessage(message, FRAGMENT_SIZE, { compress })) {
+      if (!(await deliverPacket(part))) delivered = false;
+    }
+    return delivered;
+  }
+
+  async function sendOrSpool(message) {
+    if (spool.size() > 0) {
+      // Keep the order: nothing new goes out until the backlog is through
+      if (Date.now() - lastReplayAt < retryInterval) {
+        spool.push(message);
+        stats.spooled++;
+        return false;
+      }
+
+      lastReplayAt = Date.now();
+      try {
+        stats.backfilled += await spool.replay((queued) => send({
+          ...queued,
+          backfill: true,
+          sent_at: Math.floor(Date.now() / 1000)
+        }));
+      } catch {
+        // Transport failed mid-replay - the rest stays queued
+      }
+
+      if (spool.size() > 0) {
+        spool.push(message);
+        stats.spooled++;
+        return false;
+      }
+    }
+
+    let delivered;
+    try {
+      delivered = await send(message);
+    } catch {
+      delivered = false;
+    }
+
+    if (!delivered) {
+      spool.push(message);
+      stats.spooled++;
+      lastReplayAt = Date.now();
+    }
+    return delivered;
+  }
+
+  /**
+   * Send a payload, fragmented if it is large
+   * With a spool, messages go out one at a time and undelivered ones are queued instead of lost.
+   * @param {Object} message - JSON-serialisable payload
+   * @returns {Promise<boolean>} true once sent (or answered, with ACKs on); false if the server never answered
+   * @throws {Error} If the transport fails outright (never with a spool)
+   */
+  function deliver(message) {
+    if (!spool) return send(message);
+
+    const run = queue.then(() => sendOrSpool(message));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Delivery counters since startup
+   * @returns {Object} { sent, acked, lost, rejected, retries, loss_pct, avg_rtt_ms } (loss and RTT are null without ACKs),
+   *                   plus { spooled, backfilled, queued } with a spool
+   */
+  function getStats() {
+    const answered = stats.acked + stats.rejected + stats.lost;
+    return {
+      sent: stats.sent,
+      acked: stats.acked,
+      lost: stats.lost,
+      rejected: stats.rejected,
+      retries: stats.retries,
+      loss_pct: ack && answered ? Math.round((stats.lost / answered) * 1000) / 10 : null,
+      avg_rtt_ms: stats.acked ? Math.round(stats.rttTotal / stats.acked) : null,
+      ...(spool ? { spooled: stats.spooled, backfilled: stats.backfilled, queued: spool.size() } : {})
+    };
+  }
+
+  return { deliver, getStats };
+}
+
+/**
+ * One-line summary for agent logs
+ * @param {Object} stats - From getStats()
+ * @returns {string} e.g. "42 sent, 41 acked, 1 lost (2.4%), 3 retries, avg RTT 18ms"
+ */
+export function formatDeliveryStats(stats) {
+  let line = `${stats.sent} sent, ${stats.acked} acked, ${stats.lost} lost`;
+  if (stats.loss_pct !== null) line += ` (${stats.loss_pct}%)`;
+  if (stats.rejected) line += `, ${stats.rejected} rejected`;
+  line += `, ${stats.retries} retries`;
+  if (stats.avg_rtt_ms !== null) line += `, avg RTT ${stats.avg_rtt_ms}ms`;
+  if (stats.queued !== undefined) line += `, ${stats.queued} queued, ${stats.backfilled} backfilled`;
+  return line;
+}
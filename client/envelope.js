@@ -0,0 +1,206 @@
+// Encrypted packet envelope for Inside-Out Monitor agents
+//
+// Packet layout (version 1):
+//   [ version: 1 byte ][ flags: 1 byte ][ key ID: 4 bytes ][ nonce: 24 bytes ][ ciphertext ]
+//
+// Pre-shared key packets (flags = 0) carry the key ID so the server can pick the
+// right key from its key ring, and keys can be rotated without every agent
+// switching at the same moment. Enrolled agents (flags = FLAG_BOX) carry their
+// agent ID instead and seal with nacl.box, so the server knows who sent them.
+//
+// Every sealed payload is stamped with a per-process session ID and an increasing
+// sequence number, which the server uses to drop replayed packets.
+//
+// With compression on, payloads of COMPRESS_MIN_BYTES or more are deflated before
+// encryption and FLAG_DEFLATE is set, but only when that makes them smaller.
+
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { deflateRawSync } from 'zlib';
+
+const { decodeUTF8, encodeUTF8 } = util;
+
+export const ENVELOPE_VERSION = 1;
+export const KEY_ID_LENGTH = 4;
+export const HEADER_LENGTH = 2 + KEY_ID_LENGTH;
+export const FLAG_BOX = 0x01;
+export const FLAG_ENROLL = 0x02;
+export const FLAG_DEFLATE = 0x04;
+export const COMPRESS_MIN_BYTES = 256;
+export const MESSAGE_VERSION = 1; // payload schema version (server/schemas.js)
+
+const SESSION_ID = Buffer.from(nacl.randomBytes(8)).toString('hex');
+let sequence = 0;
+
+/**
+ * Add the replay-protection session ID and next sequence number to a payload
+ * @param {Object} message - Payload
+ * @returns {Object} Copy of the payload with `session` and `seq`
+ */
+export function stampSequence(message) {
+  sequence++;
+  return { ...message, session: SESSION_ID, seq: sequence };
+}
+
+/**
+ * Serialise a payload for sealing, deflated if that is worth it
+ * @param {Object} message - Payload (already stamped)
+ * @param {boolean} compress - Allow compression
+ * @returns {Object} { plaintext, flags } - flags is FLAG_DEFLATE or 0
+ */
+export function encodePayload(message, compress) {
+  const json = Buffer.from(JSON.stringify(message), 'utf8');
+
+  if (compress && json.length >= COMPRESS_MIN_BYTES) {
+    const deflated = deflateRawSync(json);
+    if (deflated.length < json.length) {
+      return { plaintext: deflated, flags: FLAG_DEFLATE };
+    }
+  }
+
+  return { plaintext: json, flags: 0 };
+}
+
+/**
+ * Derive the key ID for a pre-shared key (first 4 bytes of its SHA-512)
+ * @param {Uint8Array} key - 32-byte secretbox key
+ * @returns {Uint8Array} 4-byte key ID
+ */
+export function keyIdFor(key) {
+  return nacl.hash(key).slice(0, KEY_ID_LENGTH);
+}
+
+/**
+ * Encrypt a message into a versioned packet
+ * @param {Object} message - JSON-serialisable payload
+ * @param {Uint8Array} key - 32-byte secretbox key
+ * @param {Object} [options]
+ * @param {boolean} [options.compress=false] - Deflate large payloads (server must support FLAG_DEFLATE)
+ * @returns {Buffer} Packet ready to send
+ */
+export function sealMessage(message, key, { compress = false } = {}) {
+  const { plaintext, flags } = encodePayload(stampSequence(message), compress);
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const encrypted = nacl.secretbox(plaintext, nonce, key);
+
+  const packet = new Uint8Array(HEADER_LENGTH + nonce.length + encrypted.length);
+  packet[0] = ENVELOPE_VERSION;
+  packet[1] = flags;
+  packet.set(keyIdFor(key), 2);
+  packet.set(nonce, HEADER_LENGTH);
+  packet.set(encrypted, HEADER_LENGTH + nonce.length);
+
+  return Buffer.from(packet);
+}
+
+/**
+ * Derive an agent ID from its public key (same derivation as key IDs)
+ * @param {Uint8Array} publicKey - Agent nacl.box public key
+ * @returns {string} 8-character hex agent ID
+ */
+export function agentIdFor(publicKey) {
+  return Buffer.from(keyIdFor(publicKey)).toString('hex');
+}
+
+/**
+ * Encrypt a message from an enrolled agent to the server
+ * @param {Object} message - JSON-serialisable payload
+ * @param {Object} identity - Agent identity ({ keyPair, serverPublicKey })
+ * @param {Object} [options]
+ * @param {boolean} [options.compress=false] - Deflate large payloads (server must support FLAG_DEFLATE)
+ * @returns {Buffer} Packet ready to send
+ */
+export function sealForServer(message, identity, { compress = false } = {}) {
+  const { plaintext, flags } = encodePayload(stampSequence(message), compress);
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const encrypted = nacl.box(plaintext, nonce, identity.serverPublicKey, identity.keyPair.secretKey);
+
+  const packet = new Uint8Array(HEADER_LENGTH + nonce.length + encrypted.length);
+  packet[0] = ENVELOPE_VERSION;
+  packet[1] = FLAG_BOX | flags;
+  packet.set(keyIdFor(identity.keyPair.publicKey), 2);
+  packet.set(nonce, HEADER_LENGTH);
+  packet.set(encrypted, HEADER_LENGTH + nonce.length);
+
+  return Buffer.from(packet);
+}
+
+/**
+ * Build an enrollment request
+ * The agent's public key travels in the clear after the header; the payload
+ * (token, hostname) is sealed to the server's public key.
+ * @param {Object} message - Enrollment payload ({ token, hostname })
+ * @param {Object} keyPair - Freshly generated nacl.box keypair
+ * @param {Uint8Array} serverPublicKey - Server public key from the enrollment token
+ * @returns {Buffer} Packet ready to send
+ */
+export function sealEnrollment(message, keyPair, serverPublicKey) {
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const encrypted = nacl.box(decodeUTF8(JSON.stringify(message)), nonce, serverPublicKey, keyPair.secretKey);
+  const keyLength = keyPair.publicKey.length;
+
+  const packet = new Uint8Array(HEADER_LENGTH + keyLength + nonce.length + encrypted.length);
+  packet[0] = ENVELOPE_VERSION;
+  packet[1] = FLAG_ENROLL;
+  packet.set(keyIdFor(keyPair.publicKey), 2);
+  packet.set(keyPair.publicKey, HEADER_LENGTH);
+  packet.set(nonce, HEADER_LENGTH + keyLength);
+  packet.set(encrypted, HEADER_LENGTH + keyLength + nonce.length);
+
+  return Buffer.from(packet);
+}
+
+/**
+ * Nonce of a sealed packet, which the server echoes back in its ACKs
+ * @param {Buffer} packet - Packet from sealMessage / sealForServer
+ * @returns {string} Nonce as hex
+ */
+export function packetNonce(packet) {
+  return Buffer.from(packet.subarray(HEADER_LENGTH, HEADER_LENGTH + nacl.secretbox.nonceLength)).toString('hex');
+}
+
+/**
+ * Decrypt a reply sealed with the pre-shared key (e.g. an ACK)
+ * @param {Buffer} packet - Raw reply bytes
+ * @param {Uint8Array} key - 32-byte secretbox key
+ * @returns {Object|null} Parsed reply, or null if it was not for us
+ */
+export function openSharedReply(packet, key) {
+  if (packet.length < HEADER_LENGTH + nacl.secretbox.nonceLength + nacl.secretbox.overheadLength) return null;
+  if (packet[0] !== ENVELOPE_VERSION || packet[1] !== 0) return null;
+  if (!Buffer.from(packet.subarray(2, HEADER_LENGTH)).equals(Buffer.from(keyIdFor(key)))) return null;
+
+  const nonce = packet.slice(HEADER_LENGTH, HEADER_LENGTH + nacl.secretbox.nonceLength);
+  const box = packet.slice(HEADER_LENGTH + nacl.secretbox.nonceLength);
+  const decrypted = nacl.secretbox.open(box, nonce, key);
+  if (!decrypted) return null;
+
+  try {
+    return JSON.parse(encodeUTF8(decrypted));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decrypt a reply from the server
+ * @param {Buffer} packet - Raw reply bytes
+ * @param {Object} keyPair - Agent nacl.box keypair
+ * @param {Uint8Array} serverPublicKey - Server public key
+ * @returns {Object|null} Parsed reply, or null if it was not for us
+ */
+export function openReply(packet, keyPair, serverPublicKey) {
+  if (packet.length < HEADER_LENGTH + nacl.box.nonceLength + nacl.box.overheadLength) return null;
+  if (packet[0] !== ENVELOPE_VERSION || packet[1] !== FLAG_BOX) return null;
+
+  const nonce = packet.slice(HEADER_LENGTH, HEADER_LENGTH + nacl.box.nonceLength);
+  const box = packet.slice(HEADER_LENGTH + nacl.box.nonceLength);
+  const decrypted = nacl.box.open(box, nonce, serverPublicKey, keyPair.secretKey);
+  if (!decrypted) return null;
+
+  try {
+    return JSON.parse(encodeUTF8(decrypted));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,84 @@
+// Fragmentation for large Inside-Out Monitor payloads
+//
+// A UniFi snapshot of a few hundred clients (or a big batch of web/file monitoring
+// results) serialises to far more than fits in one datagram. Payloads above
+// FRAGMENT_SIZE are split into numbered fragment messages, each sealed as its own
+// envelope:
+//   { type: 'fragment', name, message_id, index, count, data, timestamp }
+// `data` is a base64 slice of the original JSON. The server collects the fragments
+// of a message_id and handles the reassembled message as if it arrived whole.
+//
+// With compression on, the JSON is deflated first: a payload whose deflated size
+// fits goes out whole (sealed with FLAG_DEFLATE), anything bigger is split into
+// slices of the deflated bytes and the fragments say `encoding: 'deflate'`.
+
+import nacl from 'tweetnacl';
+import { deflateRawSync } from 'zlib';
+import { COMPRESS_MIN_BYTES } from './envelope.js';
+
+export const FRAGMENT_SIZE = 768; // bytes of JSON per fragment - keeps each packet near 1200 bytes
+export const MAX_FRAGMENTS = 1024;
+
+/**
+ * Split a payload into fragment messages if it is too large for one packet
+ * @param {Object} message - JSON-serialisable payload
+ * @param {number} [fragmentSize] - Bytes of JSON (or deflated JSON) per fragment
+ * @param {Object} [options]
+ * @param {boolean} [options.compress=false] - Measure and split the deflated payload
+ * @returns {Object[]} [message] when it fits, otherwise the fragment messages in order
+ * @throws {Error} If the payload needs more than MAX_FRAGMENTS fragments
+ */
+export function fragmentMessage(message, fragmentSize = FRAGMENT_SIZE, { compress = false } = {}) {
+  const json = Buffer.from(JSON.stringify(message), 'utf8');
+  if (json.length <= fragmentSize) return [message];
+
+  let data = json;
+  if (compress && json.length >= COMPRESS_MIN_BYTES) {
+    const deflated = deflateRawSync(json);
+    if (deflated.length < json.length) data = deflated;
+  }
+  const encoding = data === json ? null : 'deflate';
+
+  // Deflated small enough for one packet - sealing compresses it again with FLAG_DEFLATE
+  if (data.length <= fragmentSize) return [message];
+
+  const count = Math.ceil(data.length / fragmentSize);
+  if (count > MAX_FRAGMENTS) {
+    throw new Error(`Payload too large: ${data.length} bytes (max: ${MAX_FRAGMENTS * fragmentSize})`);
+  }
+
+  const messageId = Buffer.from(nacl.randomBytes(8)).toString('hex');
+  const timestamp = message.timestamp || Math.floor(Date.now() / 1000);
+  // Carried on every fragment so the server can check an enrolled agent's name binding up front
+  const name = message.name || message.monitor_name;
+
+  const fragments = [];
+  for (let index = 0; index < count; index++) {
+    fragments.push({
+      type: 'fragment',
+      ...(name ? { name } : {}),
+      message_id: messageId,
+      index,
+      count,
+      data: data.subarray(index * fragmentSize, (index + 1) * fragmentSize).toString('base64'),
+      ...(encoding ? { encoding } : {}),
+      timestamp,
+      // Replayed from the spool - the server checks sent_at for freshness instead of timestamp
+      ...(message.backfill ? { backfill: true, sent_at: message.sent_at } : {})
+    });
+  }
+
+  return fragments;
+}
+
+/**
+ * Seal a payload into one or more packets
+ * @param {Object} message - JSON-serialisable payload
+ * @param {Function} seal - Seals one message into a packet (sealMessage / sealForServer)
+ * @param {Object} [options]
+ * @param {boolean} [options.compress=false] - Deflate before splitting (see fragmentMessage)
+ * @returns {Buffer[]} Packets to send, in order
+ */
+export function sealFragments(message, seal, { compress = false } = {}) {
+  return fragmentMessage(message, FRAGMENT_SIZE, { compress }).map(part => seal(part));
+}
@@ -2,10 +2,53 @@ import os from 'os';
 import { execSync } from 'child_process';
 import { readFileSync } from 'fs';
 
+export const MAX_IPV6_ADDRESSES = 8;
+
+/**
+ * Pick the addresses reported for one interface
+ * Skips loopback, APIPA (169.254.x.x) and link-local IPv6 (fe80::/10) addresses
+ * @param {Object[]} addresses - Entries from os.networkInterfaces()
+ * @returns {Object|null} { ip, ipv6: [] } - ip is the IPv4 address, or the first
+ *   IPv6 address on IPv6-only interfaces; null if nothing is left
+ */
+export function selectAddresses(addresses) {
+  let ipv4 = null;
+  const ipv6 = [];
+
+  for (const addr of addresses) {
+    if (addr.internal) continue; // Skip loopback
+
+    // Node 18.0-18.3 reports family as a number
+    if (addr.family === 'IPv4' || addr.family === 4) {
+      if (addr.address.startsWith('127.')) continue;
+      if (addr.address.startsWith('169.254.')) continue; // Skip APIPA
+      if (!ipv4) ipv4 = addr.address;
+    } else if (addr.family === 'IPv6' || addr.family === 6) {
+      const address = addr.address.toLowerCase();
+      if (address === '::1') continue;
+      if (/^fe[89ab]/.test(address)) continue; // Skip link-local
+      if (ipv6.length < MAX_IPV6_ADDRESSES && !ipv6.includes(address)) ipv6.push(address);
+    }
+  }
+
+  if (!ipv4 && ipv6.length === 0) return null;
+  return { ip: ipv4 || ipv6[0], ipv6 };
+}
+
+/**
+ * Hardware address of an interface, for matching it with UniFi clients on the server
+ * @param {Object[]} addresses - Entries from os.networkInterfaces()
+ * @returns {string|null} Lower-case MAC, or null for virtual interfaces without one
+ */
+export function interfaceMac(addresses) {
+  const mac = addresses.find(addr => addr.mac && addr.mac !== '00:00:00:00:00:00')?.mac;
+  return mac ? mac.toLowerCase() : null;
+}
+
 /**
  * Get network interface statistics
- * Returns up to 5 interfaces with IP, traffic stats, and link speed
- * Filters out loopback and APIPA addresses
+ * Returns up to 5 interfaces with IP (plus any IPv6 addresses), MAC, traffic stats, and link speed
+ * Filters out loopback, APIPA and link-local addresses
  */
 export function getNetworkInterfaces() {
   const interfaces = os.networkInterfaces();
@@ -13,16 +56,8 @@ export function getNetworkInterfaces() {
   const results = [];
 
   for (const [name, addresses] of Object.entries(interfaces)) {
-    // Get IPv4 address (skip loopback and APIPA)
-    const ipv4 = addresses.find(addr => {
-      if (addr.family !== 'IPv4') return false;
-      if (addr.internal) return false; // Skip loopback
-      if (addr.address.startsWith('127.')) return false;
-      if (addr.address.startsWith('169.254.')) return false; // Skip APIPA
-      return true;
-    });
-
-    if (!ipv4) continue;
+    const selected = selectAddresses(addresses);
+    if (!selected) continue;
 
     try {
       let stats = null;
@@ -38,7 +73,9 @@ export function getNetworkInterfaces() {
       if (stats) {
         results.push({
           name: name,
-          ip: ipv4.address,
+          ip: selected.ip,
+          ipv6: selected.ipv6,
+          mac: interfaceMac(addresses),
           rx_bytes: stats.rx_bytes,
           tx_bytes: stats.tx_bytes,
           max_speed_mbps: stats.max_speed_mbps
@@ -8,12 +8,16 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import dgram from 'dgram';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import os from 'os';
-import nacl from 'tweetnacl';
+import { isIPv6 } from 'net';
 import util from 'tweetnacl-util';
+import { loadAgentIdentity, enrollAgent } from './agent-identity.js';
+import { createTransport } from './transport.js';
+import { createDelivery, formatDeliveryStats } from './delivery.js';
+import { createSpool, DEFAULT_MAX_MESSAGES } from './spool.js';
+import { MESSAGE_VERSION } from './envelope.js';
 
 const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
@@ -21,10 +25,19 @@ const __dirname = dirname(__filename);
 
 // Configuration
 const MONITOR_NAME = process.env.MONITOR_NAME || os.hostname();
+const LOCATION = process.env.MONITOR_LOCATION || null;       // Site, as location.location in config.js
+const SUBLOCATION = process.env.MONITOR_SUBLOCATION || null; // e.g. "Server Room"
 const SERVER_HOST = process.env.MONITOR_HOST || '127.0.0.1';
 const SERVER_PORT = parseInt(process.env.MONITOR_PORT || '4000');
 const INTERVAL = parseInt(process.env.MONITOR_INTERVAL || '60'); // seconds
 const PING_TIMEOUT = 5; // seconds
+const ENROLL_TOKEN = process.env.MONITOR_ENROLL_TOKEN || null;
+const TRANSPORT = process.env.MONITOR_TRANSPORT || 'udp'; // udp, tcp, tls or auto
+const ACK = process.env.MONITOR_ACK === '1' || process.env.MONITOR_ACK === 'true';
+const SPOOL = process.env.MONITOR_SPOOL === '1' || process.env.MONITOR_SPOOL === 'true'; // queue results while the server is unreachable
+const SPOOL_MAX = parseInt(process.env.MONITOR_SPOOL_MAX || DEFAULT_MAX_MESSAGES);
+const IDENTITY_FILE = 'ping-agent.json';
+const SPOOL_FILE = 'ping-monitor.spool';
 
 // Load targets from config file
 let targets = [];
@@ -46,25 +59,74 @@ try {
   process.exit(1);
 }
 
-// Load secret key
+// Connection to the server (UDP by default, TCP/TLS for networks that drop UDP)
+let transport;
+try {
+  transport = createTransport({
+    host: SERVER_HOST,
+    port: SERVER_PORT,
+    transport: TRANSPORT,
+    tcpPort: parseInt(process.env.MONITOR_TCP_PORT || SERVER_PORT),
+    tlsPort: process.env.MONITOR_TLS_PORT ? parseInt(process.env.MONITOR_TLS_PORT) : null,
+    tlsCa: process.env.MONITOR_TLS_CA || null,
+    tlsInsecure: process.env.MONITOR_TLS_INSECURE === 'true'
+  });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Use the enrolled identity if there is one, otherwise the shared secret key
+let identity = null;
+try {
+  identity = loadAgentIdentity([__dirname], IDENTITY_FILE);
+  if (identity) console.log(`✓ Using enrolled identity (agent ${identity.agentId})`);
+} catch (error) {
+  console.error(`ERROR: Failed to load ${IDENTITY_FILE}`);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 let secretKey;
+if (!identity && !ENROLL_TOKEN) {
+  try {
+    const keyPath = join(__dirname, 'secret.key');
+    const keyBase64 = readFileSync(keyPath, 'utf8').trim();
+    secretKey = util.decodeBase64(keyBase64);
+  } catch (error) {
+    console.error('ERROR: Failed to load secret.key');
+    console.error('Place secret.key in the same directory as this script');
+    console.error('Or enroll this monitor: MONITOR_ENROLL_TOKEN=<token> node ping-monitor.js');
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Results go out acknowledged (MONITOR_ACK) and, with MONITOR_SPOOL, are queued on disk when they cannot be delivered
+let delivery;
 try {
-  const keyPath = join(__dirname, 'secret.key');
-  const keyBase64 = readFileSync(keyPath, 'utf8').trim();
-  secretKey = util.decodeBase64(keyBase64);
+  const spool = SPOOL ? createSpool({ path: join(__dirname, SPOOL_FILE), maxMessages: SPOOL_MAX }) : null;
+  if (spool && spool.size() > 0) console.log(`✓ ${spool.size()} queued message(s) in ${SPOOL_FILE} will be sent when the server is reachable`);
+  delivery = createDelivery({ transport, identity, key: secretKey, ack: ACK, spool });
 } catch (error) {
-  console.error('ERROR: Failed to load secret.key');
-  console.error('Place secret.key in the same directory as this script');
+  console.error(`ERROR: Failed to open ${SPOOL_FILE}`);
   console.error(`Error: ${error.message}`);
   process.exit(1);
 }
 
+// Build the ping command for an IPv4 or IPv6 target
+function buildPingCommand(ip, platform = os.platform()) {
+  const ipv6 = isIPv6(ip);
+  if (platform === 'win32') return `ping ${ipv6 ? '-6 ' : ''}-n 1 -w ${PING_TIMEOUT * 1000} ${ip}`;
+  // macOS ping only speaks IPv4, and its ping6 has no timeout option
+  if (platform === 'darwin' && ipv6) return `ping6 -c 1 ${ip}`;
+  return `ping ${ipv6 ? '-6 ' : ''}-c 1 -W ${PING_TIMEOUT} ${ip}`;
+}
+
 // Ping a single IP
 async function pingHost(ip) {
   const isWindows = os.platform() === 'win32';
-  const pingCmd = isWindows
-    ? `ping -n 1 -w ${PING_TIMEOUT * 1000} ${ip}`
-    : `ping -c 1 -W ${PING_TIMEOUT} ${ip}`;
+  const pingCmd = buildPingCommand(ip);
 
   try {
     const { stdout } = await execAsync(pingCmd);
@@ -111,38 +173,19 @@ async function sendPingResults(results) {
     // Create message
     const message = {
       type: 'ping',
+      version: MESSAGE_VERSION,
       name: MONITOR_NAME,  // Changed from monitor_name to match server validation
       timestamp: Math.floor(Date.now() / 1000),
+      location: LOCATION,
+      sublocation: SUBLOCATION,
       results: resultsArray
     };
 
-    const messageJson = JSON.stringify(message);
-    const messageBytes = util.decodeUTF8(messageJson);
-
-    // Generate nonce
-    const nonce = nacl.randomBytes(24);
-
-    // Encrypt
-    const encrypted = nacl.secretbox(messageBytes, nonce, secretKey);
-
-    // Combine nonce + encrypted
-    const packet = new Uint8Array(nonce.length + encrypted.length);
-    packet.set(nonce);
-    packet.set(encrypted, nonce.length);
-
-    // Send UDP packet
-    const client = dgram.createSocket('udp4');
-
-    await new Promise((resolve, reject) => {
-      client.send(Buffer.from(packet), SERVER_PORT, SERVER_HOST, (error) => {
-        client.close();
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+    // Encrypt (key/agent ID header + nonce + encrypted) and send over UDP (or TCP/TLS, see MONITOR_TRANSPORT)
+    if (!(await delivery.deliver(message))) {
+      console.error(`[${new Date().toISOString()}] WARNING: Ping results not delivered${SPOOL ? ' - queued for later' : ''} (${formatDeliveryStats(delivery.getStats())})`);
+      return false;
+    }
 
     return true;
   } catch (error) {
@@ -180,11 +223,21 @@ async function monitorTarget(target) {
 
 // Main entry point
 async function main() {
+  // MONITOR_ENROLL_TOKEN=<token> enrolls this monitor once and exits
+  if (ENROLL_TOKEN) {
+    const enrolled = await enrollAgent({ token: ENROLL_TOKEN, transport, dir: __dirname, fileName: IDENTITY_FILE });
+    console.log(`✓ Enrolled as agent ${enrolled.agentId} (names: ${enrolled.names.join(', ')})`);
+    console.log(`  Identity saved to ${enrolled.path}`);
+    process.exit(0);
+  }
+
   console.log('='.repeat(60));
   console.log('Inside-Out Monitor - Ping Monitor (Per-Target Intervals)');
   console.log('='.repeat(60));
   console.log(`Monitor Name: ${MONITOR_NAME}`);
-  console.log(`Server: ${SERVER_HOST}:${SERVER_PORT}`);
+  if (LOCATION) console.log(`Location: ${LOCATION}${SUBLOCATION ? ` / ${SUBLOCATION}` : ''}`);
+  console.log(`Server: ${SERVER_HOST}:${SERVER_PORT} (${TRANSPORT})`);
+  console.log(`Delivery: ${SPOOL ? `acknowledged, spooled to ${SPOOL_FILE} (max ${SPOOL_MAX} messages)` : ACK ? 'acknowledged' : 'fire-and-forget'}`);
   console.log(`Targets: ${targets.length}`);
   console.log(`Default Interval: ${INTERVAL} seconds`);
   console.log('='.repeat(60));
@@ -0,0 +1,104 @@
+// Store-and-forward spool for Inside-Out Monitor agents
+//
+// Messages the server did not acknowledge (server down, WAN link lost) are appended
+// to a bounded queue file next to the agent, one JSON message per line. When the
+// server answers again the queue is replayed oldest first before new messages go
+// out, so the history on the server has no gaps. Replayed messages are marked
+// `backfill: true` with a fresh `sent_at`, which lets the server accept them past
+// its normal message age limit.
+
+import { readFileSync, writeFileSync, appendFileSync, renameSync, existsSync } from 'fs';
+
+export const DEFAULT_MAX_MESSAGES = 10000;
+export const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Open (or create) a spool file
+ * @param {Object} options
+ * @param {string} options.path - Queue file, e.g. ping-monitor.spool
+ * @param {number} [options.maxMessages] - Oldest messages are dropped beyond this
+ * @param {number} [options.maxBytes] - ...or beyond this many bytes on disk
+ * @returns {Object} { push(message), replay(send), size(), getStats() }
+ */
+export function createSpool({ path, maxMessages = DEFAULT_MAX_MESSAGES, maxBytes = DEFAULT_MAX_BYTES }) {
+  let entries = [];   // serialised messages, oldest first
+  let bytes = 0;
+  let dropped = 0;
+
+  if (existsSync(path)) {
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        JSON.parse(line);
+        entries.push(line);
+        bytes += line.length + 1;
+      } catch {
+        // Half-written last line from a crash - skip it
+      }
+    }
+  }
+
+  function rewrite() {
+    const tmpPath = `${path}.tmp`;
+    writeFileSync(tmpPath, entries.length ? entries.join('\n') + '\n' : '', { encoding: 'utf8', mode: 0o600 });
+    renameSync(tmpPath, path);
+  }
+
+  function trim() {
+    let trimmed = false;
+    while (entries.length > maxMessages || (entries.length > 1 && bytes > maxBytes)) {
+      bytes -= entries.shift().length + 1;
+      dropped++;
+      trimmed = true;
+    }
+    return trimmed;
+  }
+
+  if (trim()) rewrite();
+
+  /**
+   * Queue a message for later
+   * @param {Object} message - Payload that could not be delivered
+   */
+  function push(message) {
+    const line = JSON.stringify(message);
+    entries.push(line);
+    bytes += line.length + 1;
+
+    if (trim()) {
+      rewrite();
+    } else {
+      appendFileSync(path, line + '\n', { encoding: 'utf8', mode: 0o600 });
+    }
+  }
+
+  /**
+   * Send queued messages oldest first, stopping at the first one that fails
+   * @param {Function} send - async (message) => true if delivered
+   * @returns {Promise<number>} Messages delivered
+   */
+  async function replay(send) {
+    let delivered = 0;
+
+    try {
+      while (delivered < entries.length) {
+        if (!(await send(JSON.parse(entries[delivered])))) break;
+        delivered++;
+      }
+    } finally {
+      if (delivered > 0) {
+        for (const line of entries.splice(0, delivered)) bytes -= line.length + 1;
+        rewrite();
+      }
+    }
+
+    return delivered;
+  }
+
+  return {
+    push,
+    replay,
+    size: () => entries.length,
+    getStats: () => ({ queued: entries.length, bytes, dropped })
+  };
+}
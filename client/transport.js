@@ -0,0 +1,273 @@
+// Delivery transports for Inside-Out Monitor agents
+//
+//   udp  - one datagram per packet (default)
+//   tcp  - the same encrypted envelope over a TCP connection, each packet prefixed
+//          with its 4-byte big-endian length
+//   tls  - as tcp, wrapped in TLS
+//   auto - udp first; when a send fails or an expected reply never arrives, switch
+//          to tcp (then tls, if configured) and try udp again after a while
+//
+// A dropped UDP datagram raises no error, so auto mode can only notice a firewall
+// through missing replies: delivery.js asks for an ACK on every packet it sends over
+// an auto transport, and request() counts a timeout over UDP as a UDP failure.
+//
+// TCP/TLS connections are kept open between packets and re-established on demand.
+// Servers may be given as hostnames, IPv4 or IPv6 addresses ('2001:db8::10' or
+// '[2001:db8::10]'); the UDP socket follows the family the host resolves to.
+
+import dgram from 'dgram';
+import dns from 'dns';
+import net from 'net';
+import tls from 'tls';
+import { readFileSync } from 'fs';
+
+export const TRANSPORTS = ['udp', 'tcp', 'tls', 'auto'];
+export const FRAME_HEADER_LENGTH = 4;
+export const MAX_FRAME_LENGTH = 64 * 1024;
+
+const CONNECT_TIMEOUT = 5000; // ms
+const UDP_RETRY_INTERVAL = 10 * 60 * 1000; // ms
+
+/**
+ * Prefix a packet with its 4-byte big-endian length
+ * @param {Buffer} packet - Envelope bytes
+ * @returns {Buffer} Framed packet
+ */
+export function encodeFrame(packet) {
+  const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+  header.writeUInt32BE(packet.length, 0);
+  return Buffer.concat([header, packet]);
+}
+
+/**
+ * Strip the brackets from an IPv6 address written as in a URL ([2001:db8::10])
+ * @param {string} host - Hostname or IP
+ * @returns {string} Host as net / dgram expect it
+ */
+export function normalizeHost(host) {
+  const bracketed = /^\[(.+)\]$/.exec(host);
+  return bracketed ? bracketed[1] : host;
+}
+
+function createFrameDecoder(onFrame) {
+  let buffered = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+
+    while (buffered.length >= FRAME_HEADER_LENGTH) {
+      const length = buffered.readUInt32BE(0);
+      if (length === 0 || length > MAX_FRAME_LENGTH) {
+        throw new Error(`Invalid frame length ${length}`);
+      }
+      if (buffered.length < FRAME_HEADER_LENGTH + length) break;
+
+      onFrame(buffered.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + length));
+      buffered = buffered.subarray(FRAME_HEADER_LENGTH + length);
+    }
+  };
+}
+
+/**
+ * Create a transport to the monitor server
+ * @param {Object} options
+ * @param {string} options.host - Server hostname or IP
+ * @param {number} options.port - Server UDP port
+ * @param {string} [options.transport='udp'] - udp, tcp, tls or auto
+ * @param {number} [options.tcpPort] - Server TCP port (default: same as the UDP port)
+ * @param {number} [options.tlsPort] - Server TLS port (tls is only used when set)
+ * @param {string} [options.tlsCa] - CA / self-signed certificate file to trust for TLS
+ * @param {boolean} [options.tlsInsecure=false] - Skip TLS certificate checks (payloads stay encrypted)
+ * @returns {Object} { mode, send(packet), request(packet, accept, timeout), current(), close() }
+ */
+export function createTransport({ host: serverHost, port, transport = 'udp', tcpPort = port, tlsPort = null, tlsCa = null, tlsInsecure = false }) {
+  const host = normalizeHost(serverHost);
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport "${transport}" (use: ${TRANSPORTS.join(', ')})`);
+  }
+  if (transport === 'tls' && !tlsPort) {
+    throw new Error('The tls transport needs a TLS port');
+  }
+
+  const replyListeners = new Set();
+  const streams = {};       // 'tcp' / 'tls' -> Promise<socket>
+  let udpSocket = null;     // Promise<socket>
+  let udpFailedAt = null;
+  let lastUsed = null;
+
+  function emitReply(packet) {
+    for (const listener of replyListeners) listener(packet);
+  }
+
+  function markUdpFailed() {
+    udpFailedAt = Date.now();
+    if (udpSocket) {
+      udpSocket.then(socket => socket.close(), () => {});
+      udpSocket = null;
+    }
+  }
+
+  function openUdp() {
+    if (!udpSocket) {
+      const pending = new Promise((resolve, reject) => {
+        // Resolve first - an IPv6 server needs a udp6 socket
+        dns.lookup(host, (lookupError, address, family) => {
+          if (lookupError) return reject(lookupError);
+
+          const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+          socket.on('message', emitReply);
+          // ICMP errors (port unreachable, etc.) arrive asynchronously on a connected socket
+          socket.on('error', () => markUdpFailed());
+          socket.connect(port, address, (error) => (error ? reject(error) : resolve(socket)));
+        });
+      });
+      pending.catch(() => {
+        if (udpSocket === pending) udpSocket = null;
+      });
+      udpSocket = pending;
+    }
+    return udpSocket;
+  }
+
+  function forget(kind, pending) {
+    if (streams[kind] === pending) delete streams[kind];
+  }
+
+  function openStream(kind) {
+    if (!streams[kind]) {
+      const pending = new Promise((resolve, reject) => {
+        const socket = kind === 'tls'
+          ? tls.connect({
+            host,
+            port: tlsPort,
+            servername: net.isIP(host) ? undefined : host,
+            ca: tlsCa ? readFileSync(tlsCa) : undefined,
+            rejectUnauthorized: !tlsInsecure
+          })
+          : net.connect({ host, port: tcpPort });
+
+        const push = createFrameDecoder(emitReply);
+
+        socket.setTimeout(CONNECT_TIMEOUT, () => socket.destroy(new Error(`${kind.toUpperCase()} connect timeout`)));
+        socket.once(kind === 'tls' ? 'secureConnect' : 'connect', () => {
+          socket.setTimeout(0);
+          resolve(socket);
+        });
+        socket.on('data', (chunk) => {
+          try {
+            push(chunk);
+          } catch (error) {
+            socket.destroy(error);
+          }
+        });
+        socket.on('error', reject);
+        socket.on('close', () => forget(kind, pending));
+      });
+      pending.catch(() => forget(kind, pending));
+      streams[kind] = pending;
+    }
+    return streams[kind];
+  }
+
+  async function sendVia(kind, packet) {
+    if (kind === 'udp') {
+      const socket = await openUdp();
+      await new Promise((resolve, reject) => {
+        socket.send(packet, (error) => (error ? reject(error) : resolve()));
+      });
+      return;
+    }
+
+    const socket = await openStream(kind);
+    await new Promise((resolve, reject) => {
+      socket.write(encodeFrame(packet), (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  function candidates() {
+    if (transport !== 'auto') return [transport];
+
+    const list = [];
+    if (udpFailedAt === null || Date.now() - udpFailedAt > UDP_RETRY_INTERVAL) list.push('udp');
+    list.push('tcp');
+    if (tlsPort) list.push('tls');
+    return list;
+  }
+
+  /**
+   * Send one packet, falling back to the next transport in auto mode
+   * @returns {Promise<string>} Transport that took the packet
+   */
+  async function send(packet) {
+    let lastError = null;
+
+    for (const kind of candidates()) {
+      try {
+        await sendVia(kind, packet);
+        lastUsed = kind;
+        return kind;
+      } catch (error) {
+        lastError = error;
+        if (kind === 'udp') markUdpFailed();
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Send a packet and wait for a matching reply
+   * @param {Buffer} packet - Packet to send
+   * @param {Function} accept - Returns the parsed reply, or null to keep waiting
+   * @param {number} [timeout=5000] - Milliseconds to wait
+   * @returns {Promise<Object|null>} Parsed reply, or null on timeout
+   */
+  function request(packet, accept, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      let usedKind = null;
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        replyListeners.delete(listener);
+      };
+      const listener = (reply) => {
+        const parsed = accept(reply);
+        if (parsed) {
+          cleanup();
+          resolve(parsed);
+        }
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        // No answer over UDP - in auto mode the next attempt goes over TCP
+        if (transport === 'auto' && usedKind === 'udp') markUdpFailed();
+        resolve(null);
+      }, timeout);
+
+      replyListeners.add(listener);
+      send(packet).then((kind) => { usedKind = kind; }, (error) => {
+        cleanup();
+        reject(error);
+      });
+    });
+  }
+
+  function close() {
+    if (udpSocket) {
+      udpSocket.then(socket => socket.close(), () => {});
+      udpSocket = null;
+    }
+    for (const kind of Object.keys(streams)) {
+      streams[kind].then(socket => socket.end(), () => {});
+      delete streams[kind];
+    }
+  }
+
+  return {
+    mode: transport,
+    send,
+    request,
+    current: () => lastUsed || candidates()[0],
+    close
+  };
+}
@@ -1,15 +1,18 @@
 #!/usr/bin/env node
 
 // UniFi Monitor - Poll UniFi Dream Router for connected clients and send to server
-import dgram from 'dgram';
 import nacl from 'tweetnacl';
 import util from 'tweetnacl-util';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { UniFiAPI } from './unifi-api.js';
+import { MESSAGE_VERSION } from './envelope.js';
+import { loadAgentIdentity, enrollAgent } from './agent-identity.js';
+import { createTransport } from './transport.js';
+import { createDelivery } from './delivery.js';
 
-const { decodeUTF8, encodeBase64, decodeBase64 } = util;
+const { decodeBase64 } = util;
 
 // Get __dirname equivalent in ES modules
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -23,6 +26,10 @@ let configLocation = 'Unknown';  // Injected during build from config.js (Phase
 let configSublocation = 'Unknown';  // Injected during build from config.js (Phase 7: Multi-Site Support)
 let configServerHost = '192.168.203.241';
 let configServerPort = 4000;
+let configTransport = 'udp';  // udp, tcp, tls or auto
+let configTcpPort = 4000;
+let configTlsPort = 0;  // 0 = no TLS
+let configCompress = true;  // Deflate payloads before encryption
 let configUnifiHost = '192.168.203.254';
 let configUnifiPort = 443;
 let configUnifiUsername = 'monitor';
@@ -53,6 +60,13 @@ Options:
   --server-port <port>    Monitor server UDP port (default: from config.js)
   --interval <seconds>    Poll interval in seconds (default: from config.js)
   --ignore-ssl <bool>     Ignore SSL certificate errors (default: from config.js)
+  --transport <mode>      udp, tcp, tls or auto (udp, falling back to tcp/tls)
+  --tcp-port <port>       Monitor server TCP port (default: from config.js)
+  --tls-port <port>       Monitor server TLS port (default: from config.js)
+  --tls-ca <file>         Certificate to trust for TLS (e.g. the server's self-signed cert)
+  --tls-insecure <bool>   Skip TLS certificate checks (packets are still encrypted)
+  --compress <bool>       Deflate snapshots before encryption (default: from config.js)
+  --enroll <token>        Enroll with the monitor server using a one-time token, then exit
   --help                  Show this help message
 
 Examples:
@@ -62,6 +76,7 @@ Examples:
 
 Files Required:
   secret.key              Pre-shared encryption key (must be in same directory)
+    or unifi-agent.json   Enrolled identity created by --enroll
 
 Note:
   Default values are injected from config.js during build.
@@ -86,6 +101,38 @@ const SERVER_HOST = parsedArgs.server || configServerHost;
 const SERVER_PORT = parseInt(parsedArgs['server-port'] || configServerPort);
 const POLL_INTERVAL = parseInt(parsedArgs.interval || configUnifiInterval);
 const IGNORE_SSL = parsedArgs['ignore-ssl'] !== 'false' && configUnifiIgnoreSsl;
+const COMPRESS = parsedArgs.compress ? parsedArgs.compress !== 'false' : configCompress;
+const IDENTITY_FILE = 'unifi-agent.json';
+
+// Connection to the monitor server (UDP by default, TCP/TLS for networks that drop UDP)
+let transport;
+try {
+  transport = createTransport({
+    host: SERVER_HOST,
+    port: SERVER_PORT,
+    transport: parsedArgs.transport || configTransport,
+    tcpPort: parseInt(parsedArgs['tcp-port'] || configTcpPort),
+    tlsPort: parseInt(parsedArgs['tls-port'] || configTlsPort) || null,
+    tlsCa: parsedArgs['tls-ca'] || null,
+    tlsInsecure: parsedArgs['tls-insecure'] === 'true'
+  });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Enroll with a one-time token and exit
+if (parsedArgs.enroll) {
+  try {
+    const enrolled = await enrollAgent({ token: parsedArgs.enroll, transport, dir: process.cwd(), fileName: IDENTITY_FILE });
+    console.log(`✓ Enrolled as agent ${enrolled.agentId} (names: ${enrolled.names.join(', ')})`);
+    console.log(`  Identity saved to ${enrolled.path}`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+}
 
 // Validate configuration
 if (!UNIFI_HOST) {
@@ -102,9 +149,22 @@ if (!UNIFI_PASSWORD) {
   process.exit(1);
 }
 
-// Load pre-shared key (use embedded key if available, otherwise load from file)
+// Use the enrolled identity if there is one
+let identity = null;
+try {
+  identity = loadAgentIdentity([process.cwd(), __dirname], IDENTITY_FILE);
+  if (identity) console.log(`✓ Using enrolled identity (agent ${identity.agentId})`);
+} catch (error) {
+  console.error(`ERROR: Failed to load ${IDENTITY_FILE}`);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Otherwise load pre-shared key (use embedded key if available, otherwise load from file)
 let sharedKey;
-if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
+if (identity) {
+  // Enrolled - the shared key is not needed
+} else if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
   // Use embedded key (injected during build)
   try {
     sharedKey = decodeBase64(embeddedSecretKey);
@@ -138,6 +198,10 @@ if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
   }
 }
 
+// Seals each message (split into fragments on large sites) and sends it; in auto mode
+// every packet asks for an ACK so a UDP firewall that drops traffic is noticed
+const delivery = createDelivery({ transport, identity, key: sharedKey, compress: COMPRESS });
+
 // Initialize UniFi API client
 const unifiApi = new UniFiAPI({
   host: UNIFI_HOST,
@@ -148,38 +212,17 @@ const unifiApi = new UniFiAPI({
   ignoreSsl: IGNORE_SSL
 });
 
-// Create UDP client
-const client = dgram.createSocket('udp4');
-
 /**
  * Send encrypted message to server
  */
-function sendMessage(payload) {
+async function sendMessage(payload) {
+  // Send via UDP (or TCP/TLS, see --transport), one fragment at a time
   try {
-    // Convert payload to JSON
-    const message = JSON.stringify(payload);
-
-    // Generate random nonce
-    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
-
-    // Encrypt message
-    const messageUint8 = decodeUTF8(message);
-    const encrypted = nacl.secretbox(messageUint8, nonce, sharedKey);
-
-    // Concatenate nonce + encrypted message
-    const packet = new Uint8Array(nonce.length + encrypted.length);
-    packet.set(nonce);
-    packet.set(encrypted, nonce.length);
-
-    // Send via UDP
-    client.send(packet, SERVER_PORT, SERVER_HOST, (error) => {
-      if (error) {
-        console.error('⚠ Failed to send:', error.message);
-      }
-    });
-
+    if (!(await delivery.deliver(payload))) {
+      console.error('⚠ Server did not acknowledge the message');
+    }
   } catch (error) {
-    console.error('⚠ Error creating message:', error.message);
+    console.error('⚠ Failed to send:', error.message);
   }
 }
 
@@ -201,6 +244,7 @@ async function pollUniFi() {
     const timestamp = Math.floor(Date.now() / 1000);
     const payload = {
       type: 'unifi',
+      version: MESSAGE_VERSION,
       timestamp,
       location: configLocation,  // Phase 7: Multi-Site Support
       sublocation: configSublocation,  // Phase 7: Multi-Site Support
@@ -208,7 +252,7 @@ async function pollUniFi() {
     };
 
     // Send to server
-    sendMessage(payload);
+    await sendMessage(payload);
 
     console.log(`✓ Sent ${clients.length} UniFi client(s) to ${SERVER_HOST}:${SERVER_PORT}`);
 
@@ -224,7 +268,7 @@ async function pollUniFi() {
 console.log('\n🔷 Inside-Out Monitor - UniFi Client Monitor');
 console.log(`   UniFi Host: ${UNIFI_HOST}:${UNIFI_PORT}`);
 console.log(`   Site: ${UNIFI_SITE}`);
-console.log(`   Server: ${SERVER_HOST}:${SERVER_PORT}`);
+console.log(`   Server: ${SERVER_HOST}:${SERVER_PORT} (${transport.current()}${COMPRESS ? ', compressed' : ''})`);
 console.log(`   Poll Interval: ${POLL_INTERVAL}s\n`);
 
 // Test connection on startup
@@ -249,12 +293,12 @@ unifiApi.testConnection().then(success => {
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n\n⚠ Shutting down...');
-  client.close();
+  transport.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  client.close();
+  transport.close();
   process.exit(0);
 });
 
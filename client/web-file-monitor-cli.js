@@ -8,11 +8,15 @@
 import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import dgram from 'dgram';
 import os from 'os';
 import nacl from 'tweetnacl';
 import util from 'tweetnacl-util';
 import { checkTarget, loadTargets } from './web-file-monitor.js';
+import { loadAgentIdentity, enrollAgent } from './agent-identity.js';
+import { createTransport } from './transport.js';
+import { createDelivery, formatDeliveryStats } from './delivery.js';
+import { createSpool, DEFAULT_MAX_MESSAGES } from './spool.js';
+import { MESSAGE_VERSION } from './envelope.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,8 +28,21 @@ let configSublocation = 'Unknown';  // Injected during build from config.js
 let monitorName = os.hostname();
 let serverHost = '192.168.203.241';  // Will be injected from config.js
 let serverPort = 4000;
+let transportName = 'udp';  // Will be injected from config.js (udp, tcp, tls or auto)
+let tcpPort = 4000;  // Will be injected from config.js
+let tlsPort = 0;  // Will be injected from config.js (0 = no TLS)
+let tlsCa = null;
+let tlsInsecure = false;
 let defaultInterval = 60;
 let configPath = join(process.cwd(), 'monitoring-targets.json');
+let enrollToken = null;
+let ackMode = false;
+let spoolMode = false;
+let spoolMax = DEFAULT_MAX_MESSAGES;
+let compressPayloads = true;  // Will be injected from config.js
+
+const IDENTITY_FILE = 'monitoring-agent.json';
+const SPOOL_FILE = 'web-file-monitor.spool';
 
 const args = process.argv.slice(2);
 
@@ -43,17 +60,30 @@ Options:
   -p, --port <port>          Server UDP port (default: from config.js)
   -i, --interval <seconds>   Default check interval in seconds (default: 60)
   -c, --config <path>        Path to monitoring-targets.json (default: ./monitoring-targets.json)
+  -t, --transport <mode>     udp, tcp, tls or auto (udp, falling back to tcp/tls)
+  --tcp-port <port>          Server TCP port (default: from config.js)
+  --tls-port <port>          Server TLS port (default: from config.js)
+  --tls-ca <file>            Certificate to trust for TLS (e.g. the server's self-signed cert)
+  --tls-insecure             Skip TLS certificate checks (packets are still encrypted)
+  --ack                      Wait for the server to acknowledge results, retry if it does not
+  --spool                    Queue results in ${SPOOL_FILE} while the server is unreachable (implies --ack)
+  --spool-max <n>            Oldest queued results are dropped beyond this (default: ${DEFAULT_MAX_MESSAGES})
+  --no-compress              Send results uncompressed (for servers without compression support)
+  --enroll <token>           Enroll with the server using a one-time token, then exit
   --help                     Show this help message
 
 Example:
   web-file-monitor --host 192.168.1.100 --interval 120
   web-file-monitor --config /path/to/targets.json --name Office-Monitor
+  web-file-monitor --host 192.168.1.100 --spool
 
 Environment Variables:
   MONITOR_NAME       Override monitor name
   MONITOR_HOST       Override server host
   MONITOR_PORT       Override server port
   MONITOR_INTERVAL   Override interval
+  MONITOR_TRANSPORT  Override transport
+  MONITOR_SPOOL      Set to 1 to enable the spool
 `);
   process.exit(0);
 }
@@ -80,6 +110,37 @@ for (let i = 0; i < args.length; i++) {
     case '-c':
       configPath = args[++i];
       break;
+    case '--transport':
+    case '-t':
+      transportName = args[++i];
+      break;
+    case '--tcp-port':
+      tcpPort = parseInt(args[++i]);
+      break;
+    case '--tls-port':
+      tlsPort = parseInt(args[++i]);
+      break;
+    case '--tls-ca':
+      tlsCa = args[++i];
+      break;
+    case '--tls-insecure':
+      tlsInsecure = true;
+      break;
+    case '--ack':
+      ackMode = true;
+      break;
+    case '--spool':
+      spoolMode = true;
+      break;
+    case '--spool-max':
+      spoolMax = parseInt(args[++i]);
+      break;
+    case '--no-compress':
+      compressPayloads = false;
+      break;
+    case '--enroll':
+      enrollToken = args[++i];
+      break;
   }
 }
 
@@ -88,35 +149,68 @@ monitorName = process.env.MONITOR_NAME || monitorName;
 serverHost = process.env.MONITOR_HOST || serverHost;
 serverPort = parseInt(process.env.MONITOR_PORT || serverPort);
 defaultInterval = parseInt(process.env.MONITOR_INTERVAL || defaultInterval);
+transportName = process.env.MONITOR_TRANSPORT || transportName;
+if (process.env.MONITOR_SPOOL) spoolMode = process.env.MONITOR_SPOOL === '1' || process.env.MONITOR_SPOOL === 'true';
 
-// Load targets from config file
-let targets = [];
+let transport;
 try {
-  // Try current working directory first, then script directory
-  if (!existsSync(configPath)) {
-    configPath = join(__dirname, 'monitoring-targets.json');
+  transport = createTransport({
+    host: serverHost,
+    port: serverPort,
+    transport: transportName,
+    tcpPort,
+    tlsPort: tlsPort || null,
+    tlsCa,
+    tlsInsecure
+  });
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Load targets from config file (not needed to enroll)
+let targets = [];
+if (!enrollToken) {
+  try {
+    // Try current working directory first, then script directory
+    if (!existsSync(configPath)) {
+      configPath = join(__dirname, 'monitoring-targets.json');
+    }
+
+    const configData = readFileSync(configPath, 'utf8');
+    const config = JSON.parse(configData);
+    targets = config.targets || [];
+    console.log(`Loaded ${targets.length} targets from ${configPath}`);
+  } catch (error) {
+    console.error('Error loading monitoring-targets.json:', error.message);
+    console.error('Create a monitoring-targets.json file with format:');
+    console.error(JSON.stringify({
+      targets: [
+        { type: 'web', url: 'https://example.com', name: 'Example Website', interval: 60 },
+        { type: 'file', path: 'C:\\backups\\daily.zip', name: 'Daily Backup', interval: 3600 },
+        { type: 'folder', path: 'C:\\backups', name: 'Backup Folder', interval: 3600 }
+      ]
+    }, null, 2));
+    process.exit(1);
   }
+}
 
-  const configData = readFileSync(configPath, 'utf8');
-  const config = JSON.parse(configData);
-  targets = config.targets || [];
-  console.log(`Loaded ${targets.length} targets from ${configPath}`);
+// Use the enrolled identity if there is one - current directory first, then script directory
+let identity = null;
+try {
+  identity = loadAgentIdentity([process.cwd(), __dirname], IDENTITY_FILE);
+  if (identity) console.log(`✓ Using enrolled identity (agent ${identity.agentId})`);
 } catch (error) {
-  console.error('Error loading monitoring-targets.json:', error.message);
-  console.error('Create a monitoring-targets.json file with format:');
-  console.error(JSON.stringify({
-    targets: [
-      { type: 'web', url: 'https://example.com', name: 'Example Website', interval: 60 },
-      { type: 'file', path: 'C:\\backups\\daily.zip', name: 'Daily Backup', interval: 3600 },
-      { type: 'folder', path: 'C:\\backups', name: 'Backup Folder', interval: 3600 }
-    ]
-  }, null, 2));
+  console.error(`ERROR: Failed to load ${IDENTITY_FILE}`);
+  console.error(`Error: ${error.message}`);
   process.exit(1);
 }
 
-// Load secret key (use embedded key if available, otherwise load from file)
+// Otherwise load secret key (use embedded key if available, otherwise load from file)
 let secretKey;
-if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
+if (identity || enrollToken) {
+  // Enrolled (or enrolling) - the shared key is not needed
+} else if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
   // Use embedded key (injected during build)
   try {
     secretKey = util.decodeBase64(embeddedSecretKey);
@@ -155,6 +249,19 @@ if (embeddedSecretKey && embeddedSecretKey !== 'PLACEHOLDER_SECRET_KEY') {
   }
 }
 
+// Results go out acknowledged (--ack) and, with --spool, are queued on disk next to the executable
+// when they cannot be delivered
+let delivery;
+try {
+  const spool = spoolMode ? createSpool({ path: join(process.cwd(), SPOOL_FILE), maxMessages: spoolMax }) : null;
+  if (spool && spool.size() > 0) console.log(`✓ ${spool.size()} queued message(s) in ${SPOOL_FILE} will be sent when the server is reachable`);
+  delivery = createDelivery({ transport, identity, key: secretKey, ack: ackMode, spool, compress: compressPayloads });
+} catch (error) {
+  console.error(`ERROR: Failed to open ${SPOOL_FILE}`);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 // Send monitoring results to server
 async function sendResults(results) {
   try {
@@ -164,6 +271,7 @@ async function sendResults(results) {
     // Create message
     const message = {
       type: 'monitoring',
+      version: MESSAGE_VERSION,
       name: monitorName,
       timestamp: Math.floor(Date.now() / 1000),
       location: configLocation,
@@ -171,33 +279,12 @@ async function sendResults(results) {
       results: resultsArray
     };
 
-    const messageJson = JSON.stringify(message);
-    const messageBytes = util.decodeUTF8(messageJson);
-
-    // Generate nonce
-    const nonce = nacl.randomBytes(24);
-
-    // Encrypt
-    const encrypted = nacl.secretbox(messageBytes, nonce, secretKey);
-
-    // Combine nonce + encrypted
-    const packet = new Uint8Array(nonce.length + encrypted.length);
-    packet.set(nonce);
-    packet.set(encrypted, nonce.length);
-
-    // Send UDP packet
-    const client = dgram.createSocket('udp4');
-
-    await new Promise((resolve, reject) => {
-      client.send(Buffer.from(packet), serverPort, serverHost, (error) => {
-        client.close();
-        if (error) {
-          reject(error);
-        } else {
-          resolve();
-        }
-      });
-    });
+    // Encrypt (key/agent ID header + nonce + encrypted), split into fragments for big batches,
+    // and send over UDP (or TCP/TLS, see --transport)
+    if (!(await delivery.deliver(message))) {
+      console.error(`[${new Date().toISOString()}] WARNING: Monitoring results not delivered${spoolMode ? ' - queued for later' : ''} (${formatDeliveryStats(delivery.getStats())})`);
+      return false;
+    }
 
     return true;
   } catch (error) {
@@ -284,6 +371,14 @@ async function monitorTarget(target) {
 
 // Main entry point
 async function main() {
+  // Enroll with a one-time token, save the identity next to the executable and exit
+  if (enrollToken) {
+    const enrolled = await enrollAgent({ token: enrollToken, transport, dir: process.cwd(), fileName: IDENTITY_FILE });
+    console.log(`✓ Enrolled as agent ${enrolled.agentId} (names: ${enrolled.names.join(', ')})`);
+    console.log(`  Identity saved to ${enrolled.path}`);
+    process.exit(0);
+  }
+
   // Set console window title
   const title = `Web & File Monitor - ${monitorName} → ${serverHost}:${serverPort} (${targets.length} targets)`;
   process.stdout.write(`\x1b]0;${title}\x07`);
@@ -292,7 +387,9 @@ async function main() {
   console.log('Inside-Out Monitor - Web & File Monitor');
   console.log('='.repeat(70));
   console.log(`Monitor Name: ${monitorName}`);
-  console.log(`Server: ${serverHost}:${serverPort}`);
+  console.log(`Server: ${serverHost}:${serverPort} (${transportName})`);
+  console.log(`Delivery: ${spoolMode ? `acknowledged, spooled to ${SPOOL_FILE} (max ${spoolMax} messages)` : ackMode ? 'acknowledged' : 'fire-and-forget'}`);
+  console.log(`Compression: ${compressPayloads ? 'deflate' : 'off'}`);
   console.log(`Targets: ${targets.length}`);
   console.log(`Default Interval: ${defaultInterval} seconds`);
   console.log('='.repeat(70));
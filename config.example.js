@@ -18,7 +18,11 @@ export default {
   serverUrl: {
     host: 'YOUR_SERVER_IP',  // Server IP address or hostname
     udpPort: 4000,           // UDP port for heartbeats
-    apiPort: 3000            // HTTP API port for dashboard
+    apiPort: 3000,           // HTTP API port for dashboard
+    transport: 'udp',        // Agent transport: 'udp', 'tcp', 'tls' or 'auto' (UDP, falling back to TCP/TLS)
+    tcpPort: 4000,           // Server TCP ingest port (used by 'tcp' and 'auto')
+    tlsPort: 0,              // Server TLS ingest port, 0 = not available
+    compress: true           // Deflate large UniFi/monitoring payloads before encryption (set false for servers older than compression support)
   },
 
   // Server Configuration
@@ -26,8 +30,55 @@ export default {
     udpPort: 4000,           // Port for receiving heartbeat messages
     apiPort: 3000,           // Port for HTTP API
     maxMessageAge: 300,      // Maximum message age in seconds (5 minutes)
-    host: '0.0.0.0',         // Bind to all interfaces
-    requireApiKey: true      // Require API key for read access (recommended for cloud deployments)
+    maxBackfillAge: 604800,  // Oldest data accepted from agents' spools (backfill), in seconds (7 days, 0 = refuse)
+    host: '::',              // Listen on IPv4 and IPv6 ('0.0.0.0' = IPv4 only)
+    requireApiKey: true,     // Require API key for read access (recommended for cloud deployments)
+    adminApiKey: '',         // X-Admin-Key for API routes that change the server or dump its data (backups, bans, device registry, exports);
+                             // the read key ships with the dashboard, so it cannot be used for these ('' = off, use server-cli)
+    requireEnrollment: false, // Reject pre-shared key packets once every agent is enrolled (npm run agents)
+    rateLimit: {
+      packetsPerSecond: 50,  // Sustained packets per second per source IP (0 = no limit)
+      burst: 500,            // Packets a source may send at once (a fragmented UniFi snapshot)
+      banAfterDecryptFailures: 20, // Ban a TCP/TLS peer after this many undecryptable packets... (0 = never);
+                             // UDP sources are never banned, a forged source address would lock out the real agent
+      banWindowSeconds: 60,  // ...within this many seconds
+      banSeconds: 3600       // How long a ban lasts (bans also end when the server restarts)
+    },
+    sources: {
+      allow: [],             // CIDRs that may send, e.g. ['203.0.113.0/24', '2001:db8::/32'] (empty = everyone)
+      deny: []               // CIDRs that are always dropped
+    },
+    storage: {
+      backend: 'sqljs'       // 'sqljs' keeps databases in memory (default, works in the executables);
+                             // 'sqlite' uses the files directly in WAL mode (needs better-sqlite3, see README)
+    },
+    persistence: {           // sqljs only
+      flushIntervalSeconds: 5, // Write changed databases to disk this often...
+      maxPendingWrites: 500, // ...or as soon as this many rows are waiting (both are also saved on shutdown)
+      snapshots: 3,          // Good copies kept in databases/snapshots/ to recover from a damaged file (0 = none)
+      snapshotIntervalSeconds: 3600 // How often a snapshot is taken
+    },
+    retention: {
+      heartbeats: 7,         // Days of raw heartbeats and interface counters kept (0 = forever)...
+      ping_results: 7,
+      monitoring_results: 7,
+      unifi_clients: 3,      // ...older rows live on in hourly and daily rollups
+      hourly: 90,            // Days of hourly rollups
+      daily: 730,            // Days of daily rollups (0 = forever)
+      intervalMinutes: 15    // How often rollups are updated and old rows pruned
+    },
+    backup: {
+      dir: 'backups',        // Where archives go, relative to server/ (or the server executable)
+      intervalHours: 24,     // Scheduled backups of both databases and config.js (0 = only on request)
+      keep: 7,               // Newest archives kept (0 = all)
+      compress: true         // .tar.gz instead of .tar
+    },
+    tcpPort: null,           // TCP ingest port (length-prefixed envelopes, e.g. 4000), null = off
+    tls: {
+      port: null,            // TLS ingest port (e.g. 4443), null to disable
+      certFile: 'tls-cert.pem', // Certificate and key, relative to server/ (or the server executable)
+      keyFile: 'tls-key.pem'
+    }
   },
 
   // Dashboard Configuration
@@ -40,7 +91,8 @@ export default {
   // Client Configuration
   client: {
     defaultInterval: 60,     // Default heartbeat interval (seconds)
-    defaultServerPort: 4000  // Default server port to connect to
+    defaultServerPort: 4000, // Default server port to connect to
+    ack: false               // Wait for the server to acknowledge each heartbeat and retry if it does not
   },
 
   // Ping Monitor Configuration
@@ -97,7 +149,8 @@ export default {
         //   name: 'IT Alerts',
         //   devices: ['*'],              // ["*"] for all devices, or specific device names
         //   pingTargets: ['*'],          // ["*"] for all targets, or specific IPs
-        //   events: ['offline', 'online'], // "online", "offline", "new_device", "new_ping_target"
+        //   events: ['offline', 'online'], // "online", "offline", "new_device", "new_ping_target",
+        //                                  // "interface_saturated", "interface_recovered"
         //   mentions: []                 // Optional: ["<@&ROLE_ID>", "<@USER_ID>"]
         // }
       ],
@@ -122,7 +175,9 @@ export default {
       batchDelaySeconds: 30,         // Batch alerts within this window
       checkIntervalSeconds: 60,      // Status check frequency (1 min)
       onlineThresholdSeconds: 300,   // Consider device offline after 5 min (used by dashboard & alerts)
-      cooldownSeconds: 3600          // Re-alert cooldown (1 hour)
+      cooldownSeconds: 3600,         // Re-alert cooldown (1 hour)
+      saturationPercent: 90,         // Interface utilization counted as saturated (0 = off)
+      saturationSamples: 3           // Consecutive heartbeats it must last
     }
   }
 }
@@ -18,22 +18,57 @@ function fetchWithAuth(url, options = {}) {
   return fetch(url, { ...options, headers });
 }
 
-export async function fetchDevices() {
-  const response = await fetchWithAuth(`${API_BASE}/devices`);
-  if (!response.ok) throw new Error('Failed to fetch devices');
+// Query string for the paged endpoints: limit, cursor, sort, from, to and filters such as
+// location, sublocation, status or monitor_name (undefined values are left out)
+function pageQuery(params = {}) {
+  const query = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) query.set(name, value);
+  }
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
+// Every row of a list endpoint, following next_cursor page by page
+async function fetchAllPages(path, key, params, errorMessage) {
+  const rows = [];
+  let cursor;
+  let body;
+  do {
+    const response = await fetchWithAuth(`${API_BASE}${path}${pageQuery({ ...params, limit: 1000, cursor })}`);
+    if (!response.ok) throw new Error(errorMessage);
+    body = await response.json();
+    rows.push(...body[key]);
+    cursor = body.next_cursor;
+  } while (cursor);
+  return { ...body, [key]: rows };
+}
+
+// The detail views read raw columns (status, received_at, rx_bytes, ...), which rollup
+// rows do not have, so history is always asked for raw whatever the range
+const RAW_HISTORY = { resolution: 'raw' };
+
+// One page of a paged endpoint, as { <rows>, total, limit, next_cursor }
+async function fetchPage(path, params, errorMessage) {
+  const response = await fetchWithAuth(`${API_BASE}${path}${pageQuery(params)}`);
+  if (!response.ok) throw new Error(errorMessage);
   return response.json();
 }
 
+// params: { location, sublocation, status, sort, from, to } ({} = every device)
+export async function fetchDevices(params) {
+  return fetchAllPages('/devices', 'devices', params, 'Failed to fetch devices');
+}
+
 export async function fetchDevice(name) {
   const response = await fetchWithAuth(`${API_BASE}/devices/${encodeURIComponent(name)}`);
   if (!response.ok) throw new Error('Failed to fetch device');
   return response.json();
 }
 
-export async function fetchDeviceHistory(name, hours = 24) {
-  const response = await fetchWithAuth(`${API_BASE}/devices/${encodeURIComponent(name)}/history?hours=${hours}`);
-  if (!response.ok) throw new Error('Failed to fetch device history');
-  return response.json();
+// page: { limit, cursor, sort, from, to } - from/to override hours
+export async function fetchDeviceHistory(name, hours = 24, page = {}) {
+  return fetchPage(`/devices/${encodeURIComponent(name)}/history`, { hours, ...page, ...RAW_HISTORY }, 'Failed to fetch device history');
 }
 
 export async function fetchDeviceInterfaces(name, limit = 50) {
@@ -42,12 +77,32 @@ export async function fetchDeviceInterfaces(name, limit = 50) {
   return response.json();
 }
 
+export async function fetchDeviceInterfaceRates(name, hours = 24, iface = null) {
+  const params = new URLSearchParams({ hours, ...RAW_HISTORY });
+  if (iface) params.set('interface', iface);
+  const response = await fetchWithAuth(`${API_BASE}/devices/${encodeURIComponent(name)}/interfaces/rates?${params}`);
+  if (!response.ok) throw new Error('Failed to fetch interface rates');
+  return response.json();
+}
+
 export async function fetchStats() {
   const response = await fetchWithAuth(`${API_BASE}/stats`);
   if (!response.ok) throw new Error('Failed to fetch stats');
   return response.json();
 }
 
+export async function fetchIngestStats(limit = 100) {
+  const response = await fetchWithAuth(`${API_BASE}/ingest/stats?limit=${limit}`);
+  if (!response.ok) throw new Error('Failed to fetch ingest stats');
+  return response.json();
+}
+
+export async function fetchLocations() {
+  const response = await fetchWithAuth(`${API_BASE}/locations`);
+  if (!response.ok) throw new Error('Failed to fetch locations');
+  return response.json();
+}
+
 export async function fetchHealth() {
   const response = await fetchWithAuth(`${API_BASE}/health`);
   if (!response.ok) throw new Error('Failed to fetch health');
@@ -61,16 +116,14 @@ export async function fetchPingMonitors() {
   return response.json();
 }
 
-export async function fetchPingTargets() {
-  const response = await fetchWithAuth(`${API_BASE}/ping-targets`);
-  if (!response.ok) throw new Error('Failed to fetch ping targets');
-  return response.json();
+// params: { location, sublocation, status, monitor_name, sort, from, to }
+export async function fetchPingTargets(params) {
+  return fetchAllPages('/ping-targets', 'targets', params, 'Failed to fetch ping targets');
 }
 
-export async function fetchPingTargetHistory(ip, hours = 24, limit = 100) {
-  const response = await fetchWithAuth(`${API_BASE}/ping-targets/${encodeURIComponent(ip)}/history?hours=${hours}&limit=${limit}`);
-  if (!response.ok) throw new Error('Failed to fetch ping target history');
-  return response.json();
+// page: { cursor, sort, from, to, status, monitor_name } - from/to override hours
+export async function fetchPingTargetHistory(ip, hours = 24, limit = 100, page = {}) {
+  return fetchPage(`/ping-targets/${encodeURIComponent(ip)}/history`, { hours, limit, ...page, ...RAW_HISTORY }, 'Failed to fetch ping target history');
 }
 
 export async function fetchPingStats() {
@@ -80,10 +133,9 @@ export async function fetchPingStats() {
 }
 
 // UniFi monitoring endpoints
-export async function fetchUnifiClients() {
-  const response = await fetchWithAuth(`${API_BASE}/unifi/clients`);
-  if (!response.ok) throw new Error('Failed to fetch UniFi clients');
-  return response.json();
+// params: { location, sublocation, status, sort, from, to }
+export async function fetchUnifiClients(params) {
+  return fetchAllPages('/unifi/clients', 'clients', params, 'Failed to fetch UniFi clients');
 }
 
 export async function fetchUnifiClient(mac) {
@@ -92,10 +144,9 @@ export async function fetchUnifiClient(mac) {
   return response.json();
 }
 
-export async function fetchUnifiClientHistory(mac, hours = 24) {
-  const response = await fetchWithAuth(`${API_BASE}/unifi/clients/${encodeURIComponent(mac)}/history?hours=${hours}`);
-  if (!response.ok) throw new Error('Failed to fetch UniFi client history');
-  return response.json();
+// page: { limit, cursor, sort, from, to } - from/to override hours
+export async function fetchUnifiClientHistory(mac, hours = 24, page = {}) {
+  return fetchPage(`/unifi/clients/${encodeURIComponent(mac)}/history`, { hours, ...page, ...RAW_HISTORY }, 'Failed to fetch UniFi client history');
 }
 
 export async function fetchUnifiStats() {
@@ -105,16 +156,18 @@ export async function fetchUnifiStats() {
 }
 
 // Monitoring endpoints (web, SSL, file, folder)
-export async function fetchMonitoringTargets() {
-  const response = await fetchWithAuth(`${API_BASE}/monitoring/targets`);
-  if (!response.ok) throw new Error('Failed to fetch monitoring targets');
-  return response.json();
-}
-
-export async function fetchMonitoringTargetHistory(type, identifier, hours = 24) {
-  const response = await fetchWithAuth(`${API_BASE}/monitoring/targets/${encodeURIComponent(type)}/${encodeURIComponent(identifier)}/history?hours=${hours}`);
-  if (!response.ok) throw new Error('Failed to fetch monitoring target history');
-  return response.json();
+// params: { location, sublocation, status, monitor_name, target_type, sort, from, to }
+export async function fetchMonitoringTargets(params) {
+  return fetchAllPages('/monitoring/targets', 'targets', params, 'Failed to fetch monitoring targets');
+}
+
+// page: { limit, cursor, sort, from, to, status, monitor_name } - from/to override hours
+export async function fetchMonitoringTargetHistory(type, identifier, hours = 24, page = {}) {
+  return fetchPage(
+    `/monitoring/targets/${encodeURIComponent(type)}/${encodeURIComponent(identifier)}/history`,
+    { hours, ...page, ...RAW_HISTORY },
+    'Failed to fetch monitoring target history'
+  );
 }
 
 export async function fetchMonitoringStats() {
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { fetchDevices, fetchStats } from '../api'
+import IngestPanel from './IngestPanel'
 import './Dashboard.css'
 import './electric-glow.css'
 
@@ -138,6 +139,9 @@ function Dashboard() {
         </div>
       </div>
 
+      {/* Packets per source and why any were refused */}
+      <IngestPanel />
+
       {/* Last Updated Timestamp */}
       {lastUpdated && (
         <div className="last-updated">
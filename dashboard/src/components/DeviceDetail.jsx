@@ -76,9 +76,10 @@ function DeviceDetail() {
       const rxDelta = current.rx_bytes - previous.rx_bytes
       const txDelta = current.tx_bytes - previous.tx_bytes
 
-      // Convert to Mbps (bytes to bits = *8, seconds to Mbps = /1,000,000)
-      const rxMbps = (rxDelta * 8) / (timeDelta * 1_000_000)
-      const txMbps = (txDelta * 8) / (timeDelta * 1_000_000)
+      // Mbps from the server's rates (counter wraps and reboots handled), or from the
+      // counters on rows stored before it computed them (bytes to bits = *8, /1,000,000)
+      const rxMbps = current.rx_bps != null ? current.rx_bps / 1_000_000 : (rxDelta * 8) / (timeDelta * 1_000_000)
+      const txMbps = current.tx_bps != null ? current.tx_bps / 1_000_000 : (txDelta * 8) / (timeDelta * 1_000_000)
 
       data.push({
         time: new Date(current.timestamp * 1000).toLocaleTimeString(),
@@ -119,6 +120,12 @@ function DeviceDetail() {
               {new Date(device.device_timestamp * 1000).toLocaleString()}
             </div>
           </div>
+          <div className="info-item">
+            <div className="info-label">Location</div>
+            <div className="info-value">
+              {device.location ? `${device.location}${device.sublocation ? ` / ${device.sublocation}` : ''}` : '-'}
+            </div>
+          </div>
           <div className="info-item">
             <div className="info-label">Network Interfaces</div>
             <div className="info-value">{device.interfaces.length}</div>
@@ -138,6 +145,12 @@ function DeviceDetail() {
                   <span className="label">IP:</span>
                   <span className="value">{iface.ip_address}</span>
                 </div>
+                {iface.ipv6_addresses?.map(address => (
+                  <div key={address} className="detail-row">
+                    <span className="label">IPv6:</span>
+                    <span className="value">{address}</span>
+                  </div>
+                ))}
                 <div className="detail-row">
                   <span className="label">RX:</span>
                   <span className="value">{formatBytes(iface.rx_bytes)}</span>
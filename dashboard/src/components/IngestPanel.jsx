@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react'
+import { fetchIngestStats } from '../api'
+import './IngestPanel.css'
+
+// Column headings for the refusal reasons counted by server/ingest-stats.js
+const REASON_LABELS = {
+  denied: 'Denied',
+  banned: 'Banned',
+  rate_limited: 'Rate Limited',
+  decrypt: 'Decrypt',
+  stale: 'Stale',
+  replay: 'Replay',
+  unauthorized: 'Unauthorized',
+  backfill: 'Backfill',
+  fragment: 'Fragment',
+  invalid: 'Invalid',
+  enrollment: 'Enrollment',
+  error: 'Error'
+}
+
+function IngestPanel() {
+  const [stats, setStats] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadStats()
+
+    // Refresh every 10 seconds
+    const interval = setInterval(loadStats, 10000)
+    return () => clearInterval(interval)
+  }, [])
+
+  async function loadStats() {
+    try {
+      setStats(await fetchIngestStats())
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  function formatTimeAgo(seconds) {
+    if (seconds < 60) return `${seconds}s ago`
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`
+    return `${Math.floor(seconds / 86400)}d ago`
+  }
+
+  function formatCounts(counts) {
+    const entries = Object.entries(counts).filter(([, count]) => count > 0)
+    if (entries.length === 0) return '-'
+    return entries.map(([key, count]) => `${REASON_LABELS[key] || key} ${count}`).join(', ')
+  }
+
+  if (error) return <div className="ingest-panel"><h2>Ingest</h2><div className="error">Error: {error}</div></div>
+  if (!stats) return null
+
+  // Only reasons that have happened, so a healthy server shows a short row
+  const reasons = Object.entries(stats.rejected_by_reason).filter(([, count]) => count > 0)
+
+  return (
+    <div className="ingest-panel">
+      <h2>Ingest</h2>
+
+      <div className="ingest-totals">
+        <div className="ingest-total">
+          <span className="value">{stats.packets.toLocaleString()}</span>
+          <span className="label">Packets</span>
+        </div>
+        <div className="ingest-total">
+          <span className="value">{stats.packets_per_second}</span>
+          <span className="label">Packets/s</span>
+        </div>
+        <div className="ingest-total accepted">
+          <span className="value">{stats.accepted.toLocaleString()}</span>
+          <span className="label">Accepted</span>
+        </div>
+        <div className={`ingest-total ${stats.rejected > 0 ? 'rejected' : ''}`}>
+          <span className="value">{stats.rejected.toLocaleString()}</span>
+          <span className="label">Refused</span>
+        </div>
+        {reasons.map(([reason, count]) => (
+          <div key={reason} className="ingest-total rejected">
+            <span className="value">{count.toLocaleString()}</span>
+            <span className="label">{REASON_LABELS[reason] || reason}</span>
+          </div>
+        ))}
+      </div>
+
+      {stats.sources.length === 0 ? (
+        <div className="no-sources">No packets received since {new Date(stats.since * 1000).toLocaleString()}</div>
+      ) : (
+        <div className="ingest-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Source</th>
+                <th>Device</th>
+                <th>Packets</th>
+                <th>Packets/s</th>
+                <th>Accepted</th>
+                <th>Refused</th>
+                <th>Last Seen</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.sources.map(source => (
+                <tr key={source.address} className={source.rejected > 0 ? 'has-rejections' : ''}>
+                  <td className="address-cell">{source.address}</td>
+                  <td>{source.name || '-'}</td>
+                  <td>{source.packets.toLocaleString()}</td>
+                  <td>{source.packets_per_second}</td>
+                  <td title={formatCounts(source.accepted_by_type)}>{source.accepted.toLocaleString()}</td>
+                  <td className="rejected-cell" title={source.last_reason ? `Last: ${REASON_LABELS[source.last_reason] || source.last_reason}` : ''}>
+                    {formatCounts(source.rejected_by_reason)}
+                  </td>
+                  <td>{formatTimeAgo(source.last_seen_ago)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default IngestPanel
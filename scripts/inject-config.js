@@ -44,6 +44,17 @@ const serverUdpPort = config.serverUrl.udpPort || 4000;
 const serverApiPort = config.serverUrl.apiPort || 3000;
 const apiUrl = `http://${serverHost}:${serverApiPort}`;
 
+// Agent transport (udp, tcp, tls or auto) and the server's TCP/TLS ingest ports
+const serverTransport = config.serverUrl.transport || 'udp';
+const serverTcpPort = config.serverUrl.tcpPort || serverUdpPort;
+const serverTlsPort = config.serverUrl.tlsPort || 0;
+
+// Deflate large payloads before encryption (servers before FLAG_DEFLATE cannot read them)
+const serverCompress = config.serverUrl.compress !== false;
+
+// Acknowledged delivery for the heartbeat client
+const clientAck = config.client?.ack === true;
+
 // Load location configuration (Phase 7: Multi-Site Support)
 const location = config.location?.location || 'Unknown';
 const sublocation = config.location?.sublocation || 'Unknown';
@@ -130,6 +141,24 @@ try {
     `let configSublocation = '${sublocation}';`
   );
 
+  // Replace the transport settings
+  clientContent = clientContent.replace(
+    /let transportName = '.*?';/,
+    `let transportName = '${serverTransport}';`
+  );
+  clientContent = clientContent.replace(
+    /let tcpPort = \d+;/,
+    `let tcpPort = ${serverTcpPort};`
+  );
+  clientContent = clientContent.replace(
+    /let tlsPort = \d+;/,
+    `let tlsPort = ${serverTlsPort};`
+  );
+  clientContent = clientContent.replace(
+    /let ackMode = (true|false);/,
+    `let ackMode = ${clientAck};`
+  );
+
   writeFileSync(clientCliPath, clientContent, 'utf8');
   console.log(`✅ Updated client default server: ${serverHost}:${serverUdpPort}`);
 } catch (error) {
@@ -201,6 +230,22 @@ try {
     /let configServerPort = \d+;/,
     `let configServerPort = ${serverUdpPort};`
   );
+  unifiContent = unifiContent.replace(
+    /let configTransport = '.*?';/,
+    `let configTransport = '${serverTransport}';`
+  );
+  unifiContent = unifiContent.replace(
+    /let configTcpPort = \d+;/,
+    `let configTcpPort = ${serverTcpPort};`
+  );
+  unifiContent = unifiContent.replace(
+    /let configTlsPort = \d+;/,
+    `let configTlsPort = ${serverTlsPort};`
+  );
+  unifiContent = unifiContent.replace(
+    /let configCompress = (true|false);/,
+    `let configCompress = ${serverCompress};`
+  );
   unifiContent = unifiContent.replace(
     /let configUnifiHost = '.*?';/,
     `let configUnifiHost = '${unifiHost}';`
@@ -253,4 +298,58 @@ try {
   process.exit(1);
 }
 
+// Update client/web-file-monitor-cli.js
+const monitoringCliPath = join(rootDir, 'client', 'web-file-monitor-cli.js');
+try {
+  let monitoringContent = readFileSync(monitoringCliPath, 'utf8');
+
+  // Replace the default server and transport
+  monitoringContent = monitoringContent.replace(
+    /let serverHost = '.*?';/,
+    `let serverHost = '${serverHost}';`
+  );
+  monitoringContent = monitoringContent.replace(
+    /let serverPort = \d+;/,
+    `let serverPort = ${serverUdpPort};`
+  );
+  monitoringContent = monitoringContent.replace(
+    /let transportName = '.*?';/,
+    `let transportName = '${serverTransport}';`
+  );
+  monitoringContent = monitoringContent.replace(
+    /let tcpPort = \d+;/,
+    `let tcpPort = ${serverTcpPort};`
+  );
+  monitoringContent = monitoringContent.replace(
+    /let tlsPort = \d+;/,
+    `let tlsPort = ${serverTlsPort};`
+  );
+  monitoringContent = monitoringContent.replace(
+    /let compressPayloads = (true|false);/,
+    `let compressPayloads = ${serverCompress};`
+  );
+
+  // Replace the embedded secret key
+  monitoringContent = monitoringContent.replace(
+    /let embeddedSecretKey = '.*?';/,
+    `let embeddedSecretKey = '${secretKeyBase64}';`
+  );
+
+  // Replace location/sublocation
+  monitoringContent = monitoringContent.replace(
+    /let configLocation = '.*?';/,
+    `let configLocation = '${location}';`
+  );
+  monitoringContent = monitoringContent.replace(
+    /let configSublocation = '.*?';/,
+    `let configSublocation = '${sublocation}';`
+  );
+
+  writeFileSync(monitoringCliPath, monitoringContent, 'utf8');
+  console.log(`✅ Updated web-file-monitor default server: ${serverHost}:${serverUdpPort} (${serverTransport})`);
+} catch (error) {
+  console.error('❌ Error updating client/web-file-monitor-cli.js:', error.message);
+  process.exit(1);
+}
+
 console.log('✅ Configuration injection complete!');
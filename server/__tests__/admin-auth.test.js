@@ -0,0 +1,43 @@
+import { describe, test, expect } from '@jest/globals';
+import { requireAdminKey } from '../admin-auth.js';
+
+/**
+ * Admin Key Tests
+ *
+ * Routes that change the server need X-Admin-Key; the dashboard's read key is not enough,
+ * and without a configured key they stay closed.
+ */
+describe('Admin key', () => {
+  // Run the middleware against a request with these headers
+  function call(adminKey, headers = {}) {
+    const result = { status: null, body: null, passed: false };
+    const res = {
+      status(code) {
+        result.status = code;
+        return this;
+      },
+      json(body) {
+        result.body = body;
+        return this;
+      }
+    };
+    requireAdminKey(adminKey)({ headers }, res, () => { result.passed = true; });
+    return result;
+  }
+
+  test('should let the request through with the admin key', () => {
+    expect(call('s3cret-admin', { 'x-admin-key': 's3cret-admin', 'x-api-key': 'read' }).passed).toBe(true);
+  });
+
+  test('should refuse a missing or wrong key', () => {
+    expect(call('s3cret-admin', { 'x-api-key': 's3cret-admin' })).toMatchObject({ status: 401, passed: false, body: { error: 'Admin key required' } });
+    expect(call('s3cret-admin', { 'x-admin-key': 'read' })).toMatchObject({ status: 403, passed: false, body: { error: 'Invalid admin key' } });
+    expect(call('s3cret-admin', { 'x-admin-key': 's3cret-admin-and-more' })).toMatchObject({ status: 403, passed: false });
+  });
+
+  test('should keep admin routes closed without a configured key', () => {
+    for (const adminKey of [undefined, '']) {
+      expect(call(adminKey, { 'x-admin-key': '' })).toMatchObject({ status: 403, passed: false, body: { error: 'Admin API disabled' } });
+    }
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import nacl from 'tweetnacl';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  agentIdFor,
+  authorizeMessage,
+  createEnrollmentToken,
+  enrollAgent,
+  loadAgentRegistry,
+  readRegistry,
+  revokeAgent
+} from '../agents.js';
+import { openEnvelope, sealForAgent } from '../envelope.js';
+import { sealEnrollment, sealForServer, openReply } from '../../client/envelope.js';
+import { parseEnrollmentToken } from '../../client/agent-identity.js';
+
+describe('Agent Enrollment', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'agents-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Issue a token, reload the registry and enroll a fresh agent through the UDP packet format
+  function enrollNewAgent(names) {
+    const token = createEnrollmentToken(dir, names);
+    loadAgentRegistry(dir);
+
+    const { serverPublicKey, secret } = parseEnrollmentToken(token);
+    const keyPair = nacl.box.keyPair();
+    const packet = sealEnrollment({ token: Buffer.from(secret).toString('base64'), hostname: 'test-host' }, keyPair, serverPublicKey);
+
+    const { enrollment } = openEnvelope(packet);
+    const agent = enrollAgent(enrollment.publicKey, enrollment.message);
+
+    return { agent, identity: { keyPair, serverPublicKey }, enrollment, token };
+  }
+
+  describe('Tokens', () => {
+    test('should require at least one bound name', () => {
+      expect(() => createEnrollmentToken(dir, [])).toThrow('at least one name');
+    });
+
+    test('should store only a hash of the token secret', () => {
+      const token = createEnrollmentToken(dir, ['WEB-01']);
+      const { secret } = parseEnrollmentToken(token);
+      const stored = JSON.stringify(readRegistry(dir));
+
+      expect(stored).not.toContain(Buffer.from(secret).toString('base64'));
+      expect(stored).not.toContain(token);
+    });
+
+    test('should reject a token that was already used by another agent', () => {
+      const { token } = enrollNewAgent(['WEB-01']);
+      const { secret } = parseEnrollmentToken(token);
+      const other = nacl.box.keyPair();
+
+      expect(() => enrollAgent(other.publicKey, { token: Buffer.from(secret).toString('base64') }))
+        .toThrow('already used');
+    });
+
+    test('should accept the same enrollment again if the reply was lost', () => {
+      const { agent, enrollment } = enrollNewAgent(['WEB-01']);
+      expect(enrollAgent(enrollment.publicKey, enrollment.message).id).toBe(agent.id);
+    });
+
+    test('should reject an expired token', () => {
+      const token = createEnrollmentToken(dir, ['WEB-01'], -1);
+      loadAgentRegistry(dir);
+      const { secret } = parseEnrollmentToken(token);
+
+      expect(() => enrollAgent(nacl.box.keyPair().publicKey, { token: Buffer.from(secret).toString('base64') }))
+        .toThrow('expired');
+    });
+  });
+
+  describe('Sealed Packets', () => {
+    test('should bind the agent to the names on its token', () => {
+      const { agent, identity } = enrollNewAgent(['WEB-01', 'WEB-01-PING']);
+
+      expect(agent.id).toBe(agentIdFor(identity.keyPair.publicKey));
+      expect(agent.names).toEqual(['WEB-01', 'WEB-01-PING']);
+      expect(agent.hostname).toBe('test-host');
+    });
+
+    test('should identify the sending agent', () => {
+      const { agent, identity } = enrollNewAgent(['WEB-01']);
+      const result = openEnvelope(sealForServer({ name: 'WEB-01', timestamp: 1 }, identity));
+
+      expect(result.message.name).toBe('WEB-01');
+      expect(result.agent.id).toBe(agent.id);
+      expect(result.keyId).toBe(agent.id);
+    });
+
+    test('should reject a heartbeat for a name not bound to the agent', () => {
+      const { identity } = enrollNewAgent(['WEB-01']);
+      const { message, agent } = openEnvelope(sealForServer({ name: 'DB-01', timestamp: 1 }, identity));
+
+      expect(() => authorizeMessage(message, agent)).toThrow('not bound to name "DB-01"');
+      expect(() => authorizeMessage({ ...message, name: 'WEB-01' }, agent)).not.toThrow();
+    });
+
+    test('should reject packets from an agent that never enrolled', () => {
+      createEnrollmentToken(dir, ['WEB-01']);
+      loadAgentRegistry(dir);
+      const { serverPublicKey } = parseEnrollmentToken(createEnrollmentToken(dir, ['WEB-02']));
+      const stranger = { keyPair: nacl.box.keyPair(), serverPublicKey };
+
+      expect(() => openEnvelope(sealForServer({ name: 'WEB-01' }, stranger))).toThrow('Unknown agent');
+    });
+
+    test('should reject pre-shared key packets when enrollment is required', () => {
+      loadAgentRegistry(dir);
+      expect(() => authorizeMessage({ name: 'WEB-01' }, null)).not.toThrow();
+      expect(() => authorizeMessage({ name: 'WEB-01' }, null, { requireEnrollment: true })).toThrow('must enroll');
+    });
+
+    test('should reject pre-shared key packets using a name bound to an enrolled agent', () => {
+      const { agent } = enrollNewAgent(['WEB-01']);
+
+      expect(() => authorizeMessage({ name: 'WEB-01' }, null)).toThrow(`Name "WEB-01" is bound to enrolled agent ${agent.id}`);
+      expect(() => authorizeMessage({ monitor_name: 'WEB-01' }, null)).toThrow('pre-shared key packets may not use it');
+      expect(() => authorizeMessage({ name: 'WEB-02' }, null)).not.toThrow();
+
+      // Once revoked, the name is free for the shared key again
+      revokeAgent(dir, agent.id);
+      loadAgentRegistry(dir);
+      expect(() => authorizeMessage({ name: 'WEB-01' }, null)).not.toThrow();
+    });
+
+    test('should seal replies only the agent can open', () => {
+      const { agent, identity } = enrollNewAgent(['WEB-01']);
+      const reply = sealForAgent({ type: 'enrolled', agent_id: agent.id }, identity.keyPair.publicKey);
+
+      expect(openReply(reply, identity.keyPair, identity.serverPublicKey).agent_id).toBe(agent.id);
+      expect(openReply(reply, nacl.box.keyPair(), identity.serverPublicKey)).toBeNull();
+    });
+  });
+
+  describe('Revocation', () => {
+    test('should revoke one agent without affecting others', () => {
+      const first = enrollNewAgent(['WEB-01']);
+      const second = enrollNewAgent(['WEB-02']);
+
+      revokeAgent(dir, first.agent.id);
+      loadAgentRegistry(dir);
+
+      expect(() => openEnvelope(sealForServer({ name: 'WEB-01' }, first.identity)))
+        .toThrow(`Agent ${first.agent.id} is revoked`);
+      expect(openEnvelope(sealForServer({ name: 'WEB-02' }, second.identity)).agent.id).toBe(second.agent.id);
+    });
+
+    test('should fail for an unknown agent ID', () => {
+      expect(() => revokeAgent(dir, 'deadbeef')).toThrow('No agent with ID deadbeef');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { gunzipSync } from 'zlib';
+import { createBackup, readBackup, restoreBackup, listBackups, rotateBackups } from '../backup.js';
+import { openSqlite, fileBackend, closeSqliteDatabases } from '../storage.js';
+import { runMigrations } from '../schema-migrations.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+import unifiMigrations from '../migrations/unifi/index.js';
+
+/**
+ * Backup Tests
+ *
+ * Archives hold consistent copies of both databases and config.js with checksums;
+ * a restore checks everything before it replaces a file and keeps what it replaced.
+ */
+describe('Backups', () => {
+  let SQL;
+  let dir;
+  let databases;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'backup-test-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    databases = [
+      { name: 'heartbeats', path: join(dir, 'databases', 'heartbeats.sqlite3'), migrations: heartbeatMigrations },
+      { name: 'unifi', path: join(dir, 'databases', 'unifi.sqlite3'), migrations: unifiMigrations }
+    ];
+    for (const { name, path, migrations } of databases) {
+      writeDatabase(path, migrations, name, ['WEB-01']);
+    }
+    writeFileSync(join(dir, 'config.js'), 'export default { server: {} };\n');
+  });
+
+  afterEach(() => {
+    closeSqliteDatabases();
+    rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  // A migrated sql.js database file with one heartbeat per device
+  function writeDatabase(path, migrations, label, devices) {
+    const db = new SQL.Database();
+    runMigrations(db, migrations, label);
+    if (label === 'heartbeats') {
+      for (const device of devices) {
+        db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at) VALUES (?, ?, ?)', [device, 1, 2]);
+      }
+    }
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, db.export());
+    db.close();
+  }
+
+  function devices(path) {
+    const db = new SQL.Database(readFileSync(path));
+    const names = db.exec('SELECT device_name FROM heartbeats ORDER BY id')[0]?.values.map(row => row[0]) || [];
+    db.close();
+    return names;
+  }
+
+  test('should write a gzipped tar with a checked manifest', async () => {
+    const backup = await createBackup({ databases, dir: join(dir, 'backups'), configPath: join(dir, 'config.js') });
+
+    expect(backup.path).toMatch(/monitor-backup-\d{8}T[\d.]+Z\.tar\.gz$/);
+    expect(backup.files.map(file => file.name)).toEqual(['heartbeats.sqlite3', 'unifi.sqlite3', 'config.js']);
+    expect(readdirSync(join(dir, 'backups'))).toEqual([backup.path.split('/').pop()]); // no staging left behind
+
+    // A plain ustar archive inside
+    const tar = gunzipSync(readFileSync(backup.path));
+    expect(tar.toString('ascii', 0, 13)).toBe('manifest.json');
+    expect(tar.toString('ascii', 257, 262)).toBe('ustar');
+
+    const { manifest, files } = readBackup(backup.path);
+    expect(manifest.format).toBe(1);
+    expect(files.get('config.js').toString()).toContain('export default');
+  });
+
+  test('should reject a damaged archive', async () => {
+    const backup = await createBackup({ databases, dir: join(dir, 'backups'), compress: false });
+    expect(backup.path).toMatch(/\.tar$/);
+
+    const data = readFileSync(backup.path);
+    const offset = data.indexOf('SQLite format 3');
+    data[offset + 4000] ^= 0xff;
+    writeFileSync(backup.path, data);
+
+    expect(() => readBackup(backup.path)).toThrow('heartbeats.sqlite3 does not match its checksum');
+
+    writeFileSync(backup.path, 'not an archive at all');
+    expect(() => readBackup(backup.path)).toThrow('is not a valid backup');
+  });
+
+  test('should restore the databases and keep the ones it replaced', async () => {
+    const backup = await createBackup({ databases, dir: join(dir, 'backups'), configPath: join(dir, 'config.js') });
+    writeDatabase(databases[0].path, heartbeatMigrations, 'heartbeats', ['WEB-01', 'WEB-02']);
+    writeFileSync(join(dir, 'config.js'), 'export default { changed: true };\n');
+
+    const { restored, config } = await restoreBackup({ archive: backup.path, SQL, databases, configPath: join(dir, 'config.js') });
+
+    expect(restored.map(({ name }) => name)).toEqual(['heartbeats', 'unifi']);
+    expect(devices(databases[0].path)).toEqual(['WEB-01']);
+    expect(devices(restored[0].previous)).toEqual(['WEB-01', 'WEB-02']);
+    expect(restored[0].previous).toMatch(/heartbeats-pre-restore-\d{8}T[\d.]+Z\.sqlite3$/);
+    expect(readFileSync(join(dir, 'config.js'), 'utf8')).toContain('server: {}');
+    expect(readFileSync(config.previous, 'utf8')).toContain('changed: true');
+  });
+
+  test('should refuse a backup from a newer server without touching anything', async () => {
+    const db = new SQL.Database(readFileSync(databases[1].path));
+    db.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (99, 'from-the-future', 0)");
+    writeFileSync(databases[1].path, db.export());
+    db.close();
+
+    const backup = await createBackup({ databases, dir: join(dir, 'backups') });
+    writeDatabase(databases[0].path, heartbeatMigrations, 'heartbeats', ['WEB-02']);
+
+    await expect(restoreBackup({ archive: backup.path, SQL, databases })).rejects.toThrow('unifi database in the backup is at schema version 99');
+    expect(devices(databases[0].path)).toEqual(['WEB-02']);
+    expect(readdirSync(join(dir, 'databases')).sort()).toEqual(['heartbeats.sqlite3', 'unifi.sqlite3']);
+  });
+
+  test('should keep only the newest archives', async () => {
+    const backups = join(dir, 'backups');
+    mkdirSync(backups);
+    for (const stamp of ['20260101T000000Z', '20260102T000000Z', '20260103T000000Z']) {
+      writeFileSync(join(backups, `monitor-backup-${stamp}.tar.gz`), '');
+    }
+    writeFileSync(join(backups, 'notes.txt'), '');
+
+    const removed = await rotateBackups(backups, 2);
+
+    expect(removed.map(path => path.split('/').pop())).toEqual(['monitor-backup-20260101T000000Z.tar.gz']);
+    expect(listBackups(backups).map(path => path.split('/').pop())).toEqual([
+      'monitor-backup-20260103T000000Z.tar.gz', 'monitor-backup-20260102T000000Z.tar.gz'
+    ]);
+    expect(await rotateBackups(backups, 0)).toEqual([]);
+    expect(existsSync(join(backups, 'notes.txt'))).toBe(true);
+  });
+
+  test('should back up a native database with its WAL and restore it for either backend', async () => {
+    const path = join(dir, 'native', 'heartbeats.sqlite3');
+    const native = openSqlite({ name: 'heartbeats', path });
+    runMigrations(native, heartbeatMigrations, 'heartbeats');
+    native.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at) VALUES (?, ?, ?)', ['NAS-01', 1, 2]);
+
+    // Still open: the row is only in the -wal file
+    const backup = await createBackup({ databases: [{ name: 'heartbeats', path }], dir: join(dir, 'backups') });
+    native.close();
+
+    const { files } = readBackup(backup.path);
+    const copy = new SQL.Database(files.get('heartbeats.sqlite3'));
+    expect(copy.exec('SELECT device_name FROM heartbeats')[0].values).toEqual([['NAS-01']]);
+    copy.close();
+
+    await restoreBackup({ archive: backup.path, SQL, databases: [databases[0]], backend: 'sqlite' });
+    expect(fileBackend(databases[0].path)).toBe('sqlite');
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { deflateRawSync } from 'zlib';
+import { createKeyEntry, loadKeyring, writeKeyring } from '../keyring.js';
+import { openEnvelope, inflatePayload, FLAG_DEFLATE, MAX_INFLATED_BYTES } from '../envelope.js';
+import { addFragment, resetReassembler } from '../reassembler.js';
+import { sealMessage, keyIdFor } from '../../client/envelope.js';
+import { fragmentMessage, sealFragments } from '../../client/fragment.js';
+
+const { decodeBase64 } = util;
+const SENDER = 'key:test:fragment:UDR';
+
+// A UniFi snapshot - the same keys repeated for every client
+function unifiSnapshot(clientCount) {
+  const clients = Array.from({ length: clientCount }, (_, i) => ({
+    mac: `aa:bb:cc:00:${(i >> 8).toString(16).padStart(2, '0')}:${(i % 256).toString(16).padStart(2, '0')}`,
+    hostname: `client-${i}`,
+    ip: `10.0.${i >> 8}.${i % 256}`,
+    is_wired: i % 3 === 0,
+    rx_bytes: i * 1000,
+    tx_bytes: i * 2000
+  }));
+  return { type: 'unifi', timestamp: Math.floor(Date.now() / 1000), clients };
+}
+
+// Seal raw plaintext the way an agent would, to test what the server does with odd payloads
+function sealRaw(plaintext, key, flags) {
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const encrypted = nacl.secretbox(plaintext, nonce, key);
+  return Buffer.concat([Buffer.from([1, flags]), Buffer.from(keyIdFor(key)), Buffer.from(nonce), Buffer.from(encrypted)]);
+}
+
+describe('Payload Compression', () => {
+  let dir;
+  let key;
+
+  beforeAll(() => {
+    const entry = createKeyEntry('active');
+    dir = mkdtempSync(join(tmpdir(), 'compression-test-'));
+    writeKeyring(dir, [entry]);
+    loadKeyring([dir]);
+    key = decodeBase64(entry.key);
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    resetReassembler();
+  });
+
+  describe('Envelope', () => {
+    test('should deflate large payloads and open them transparently', () => {
+      const message = unifiSnapshot(10);
+      const plain = sealMessage(message, key);
+      const packet = sealMessage(message, key, { compress: true });
+
+      expect(packet[1]).toBe(FLAG_DEFLATE);
+      expect(packet.length).toBeLessThan(plain.length / 2);
+
+      const opened = openEnvelope(packet);
+      expect(opened.compressed).toBe(true);
+      expect(opened.message).toMatchObject(message);
+    });
+
+    test('should leave small payloads uncompressed', () => {
+      const packet = sealMessage({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) }, key, { compress: true });
+      expect(packet[1]).toBe(0);
+    });
+
+    test('should still accept uncompressed packets', () => {
+      const opened = openEnvelope(sealMessage(unifiSnapshot(10), key));
+      expect(opened.compressed).toBe(false);
+      expect(opened.message.clients).toHaveLength(10);
+    });
+
+    test('should reject corrupt compressed payloads', () => {
+      const packet = sealRaw(Buffer.from('{"not":"deflated"}'), key, FLAG_DEFLATE);
+      expect(() => openEnvelope(packet)).toThrow('Invalid compressed payload');
+    });
+
+    test('should refuse payloads that inflate beyond the limit', () => {
+      const bomb = deflateRawSync(Buffer.alloc(MAX_INFLATED_BYTES + 1, ' '));
+      expect(bomb.length).toBeLessThan(4096);
+
+      expect(() => openEnvelope(sealRaw(bomb, key, FLAG_DEFLATE))).toThrow('inflates beyond');
+      expect(() => inflatePayload(bomb, 1024)).toThrow('inflates beyond 1024 bytes');
+    });
+  });
+
+  describe('Fragments', () => {
+    test('should fit a snapshot into one packet once deflated', () => {
+      const message = unifiSnapshot(40);
+
+      expect(fragmentMessage(message).length).toBeGreaterThan(1);
+      expect(fragmentMessage(message, undefined, { compress: true })).toEqual([message]);
+    });
+
+    test('should split and reassemble the deflated payload of large snapshots', () => {
+      const message = unifiSnapshot(1000);
+      const plain = fragmentMessage(message);
+      const fragments = fragmentMessage(message, undefined, { compress: true });
+
+      expect(fragments.length).toBeLessThan(plain.length / 3);
+      expect(fragments.every(f => f.encoding === 'deflate')).toBe(true);
+
+      let result = null;
+      for (const fragment of fragments) {
+        result = addFragment(SENDER, fragment);
+      }
+      expect(result).toEqual(message);
+    });
+
+    test('should round-trip real envelopes', () => {
+      const message = unifiSnapshot(1000);
+      const options = { compress: true };
+      const packets = sealFragments(message, part => sealMessage(part, key, options), options);
+
+      let result = null;
+      for (const packet of packets) {
+        result = addFragment(SENDER, openEnvelope(packet).message);
+      }
+      expect(result).toEqual(message);
+    });
+
+    test('should reject unknown or mixed encodings', () => {
+      const fragments = fragmentMessage(unifiSnapshot(1000), undefined, { compress: true });
+
+      expect(() => addFragment(SENDER, { ...fragments[0], encoding: 'brotli' })).toThrow('Unsupported fragment encoding');
+
+      addFragment(SENDER, fragments[0]);
+      expect(() => addFragment(SENDER, { ...fragments[1], encoding: undefined })).toThrow('encoding changed');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { updateDeviceCurrent, updatePingTargetCurrent, updateMonitoringTargetCurrent } from '../current-state.js';
+import { runMigrations } from '../schema-migrations.js';
+import { runRetention, resolveRetention } from '../retention.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+
+/**
+ * Current-State Tests
+ *
+ * device_current, ping_target_current and monitoring_target_current hold the latest
+ * report per key, updated at ingest - backfill must not replace newer state, and
+ * migration 007 must fill them from the history already stored.
+ */
+describe('Current state', () => {
+  const DAY = 86400;
+  const NOW = 20833 * DAY + 36000;
+  let SQL;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    db = new SQL.Database();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  function rows(sql) {
+    const result = db.exec(sql);
+    if (!result.length) return [];
+    const { columns, values } = result[0];
+    return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+  }
+
+  function lastId() {
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  }
+
+  function heartbeat(name, receivedAt, location = null) {
+    db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at, location) VALUES (?, ?, ?, ?)', [name, receivedAt, receivedAt, location]);
+    updateDeviceCurrent(db, { deviceName: name, receivedAt, location });
+  }
+
+  function ping(ip, status, ms, receivedAt) {
+    db.run(`INSERT INTO ping_results (monitor_name, target_ip, target_name, status, response_time_ms, timestamp, received_at)
+            VALUES ('PING-01', ?, ?, ?, ?, ?, ?)`, [ip, `host-${ip}`, status, ms, receivedAt, receivedAt]);
+    updatePingTargetCurrent(db, lastId());
+  }
+
+  function monitoring(identifier, status, statusCode, receivedAt) {
+    db.run(`INSERT INTO monitoring_results (monitor_name, target_type, target_identifier, status, status_code, timestamp, received_at)
+            VALUES ('MON-01', 'web', ?, ?, ?, ?, ?)`, [identifier, status, statusCode, receivedAt, receivedAt]);
+    updateMonitoringTargetCurrent(db, lastId());
+  }
+
+  describe('At ingest', () => {
+    beforeEach(() => {
+      runMigrations(db, heartbeatMigrations, 'heartbeats');
+    });
+
+    test('should keep the latest heartbeat and count every one', () => {
+      heartbeat('WEB-01', NOW - 600, 'Branch-NYC');
+      heartbeat('WEB-01', NOW - 60, 'Main Office');
+      heartbeat('WEB-02', NOW - 30);
+
+      expect(rows('SELECT * FROM device_current ORDER BY device_name')).toEqual([
+        { device_name: 'WEB-01', location: 'Main Office', sublocation: null, last_seen: NOW - 60, heartbeat_count: 2 },
+        { device_name: 'WEB-02', location: null, sublocation: null, last_seen: NOW - 30, heartbeat_count: 1 }
+      ]);
+    });
+
+    test('should not let backfilled results replace newer ones', () => {
+      heartbeat('WEB-01', NOW - 60, 'Main Office');
+      heartbeat('WEB-01', NOW - 3600, 'Branch-NYC');
+      ping('10.0.0.1', 'online', 12, NOW - 60);
+      ping('10.0.0.1', 'offline', null, NOW - 3600);
+      monitoring('https://example.com', 'online', 200, NOW - 60);
+      monitoring('https://example.com', 'offline', 503, NOW - 3600);
+
+      expect(rows('SELECT location, last_seen, heartbeat_count FROM device_current')).toEqual([
+        { location: 'Main Office', last_seen: NOW - 60, heartbeat_count: 2 }
+      ]);
+      expect(rows('SELECT target_ip, target_name, status, response_time_ms, received_at FROM ping_target_current')).toEqual([
+        { target_ip: '10.0.0.1', target_name: 'host-10.0.0.1', status: 'online', response_time_ms: 12, received_at: NOW - 60 }
+      ]);
+      expect(rows('SELECT status, status_code, received_at FROM monitoring_target_current')).toEqual([
+        { status: 'online', status_code: 200, received_at: NOW - 60 }
+      ]);
+    });
+
+    test('should move to the newest result of each target', () => {
+      ping('10.0.0.1', 'online', 12, NOW - 120);
+      ping('10.0.0.1', 'offline', null, NOW - 60);
+      monitoring('https://example.com', 'online', 200, NOW - 120);
+      monitoring('https://example.org', 'online', 200, NOW - 120);
+      monitoring('https://example.com', 'offline', 503, NOW - 60);
+
+      expect(rows('SELECT status, response_time_ms FROM ping_target_current')).toEqual([{ status: 'offline', response_time_ms: null }]);
+      expect(rows('SELECT target_identifier, status_code FROM monitoring_target_current ORDER BY target_identifier')).toEqual([
+        { target_identifier: 'https://example.com', status_code: 503 },
+        { target_identifier: 'https://example.org', status_code: 200 }
+      ]);
+    });
+
+    test('should keep devices listed once retention has pruned their heartbeats', () => {
+      heartbeat('WEB-01', NOW - 10 * DAY);
+      heartbeat('WEB-01', NOW - 9 * DAY);
+      heartbeat('WEB-02', NOW - 10 * DAY);
+      heartbeat('WEB-02', NOW - 60);
+
+      runRetention({ db, retention: resolveRetention({}), now: NOW });
+
+      expect(rows('SELECT device_name, last_seen, heartbeat_count FROM device_current ORDER BY device_name')).toEqual([
+        { device_name: 'WEB-01', last_seen: NOW - 9 * DAY, heartbeat_count: 0 },
+        { device_name: 'WEB-02', last_seen: NOW - 60, heartbeat_count: 1 }
+      ]);
+    });
+  });
+
+  describe('Migration', () => {
+    test('should fill the tables from the history already stored', () => {
+      runMigrations(db, heartbeatMigrations.slice(0, 6), 'heartbeats');
+      db.run(`INSERT INTO heartbeats (device_name, device_timestamp, received_at, location) VALUES
+        ('WEB-01', 1, ${NOW - 600}, 'Branch-NYC'), ('WEB-01', 1, ${NOW - 60}, 'Main Office'), ('WEB-01', 1, ${NOW - 300}, 'Branch-NYC')`);
+      db.run(`INSERT INTO ping_results (monitor_name, target_ip, status, timestamp, received_at) VALUES
+        ('PING-01', '10.0.0.1', 'online', 1, ${NOW - 60}), ('PING-01', '10.0.0.1', 'offline', 1, ${NOW - 120})`);
+      db.run(`INSERT INTO monitoring_results (monitor_name, target_type, target_identifier, status, ssl_days_until_expiry, timestamp, received_at) VALUES
+        ('MON-01', 'ssl', 'example.com', 'warning', 12, 1, ${NOW - 60}), ('MON-01', 'ssl', 'example.com', 'online', 13, 1, ${NOW - DAY})`);
+
+      runMigrations(db, heartbeatMigrations, 'heartbeats');
+
+      expect(rows('SELECT location, last_seen, heartbeat_count FROM device_current')).toEqual([
+        { location: 'Main Office', last_seen: NOW - 60, heartbeat_count: 3 }
+      ]);
+      expect(rows('SELECT status, received_at FROM ping_target_current')).toEqual([{ status: 'online', received_at: NOW - 60 }]);
+      expect(rows('SELECT status, ssl_days_until_expiry FROM monitoring_target_current')).toEqual([{ status: 'warning', ssl_days_until_expiry: 12 }]);
+    });
+  });
+});
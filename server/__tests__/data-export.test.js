@@ -0,0 +1,190 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeExport, importArchive, readExport, resolveExportOptions } from '../data-export.js';
+import { writeTarFile } from '../tar.js';
+import { updateDeviceCurrent } from '../current-state.js';
+import { runMigrations } from '../schema-migrations.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+import unifiMigrations from '../migrations/unifi/index.js';
+
+/**
+ * Data Export Tests
+ *
+ * History leaves as NDJSON or CSV archives filtered by time and entity, and comes back
+ * on another server without duplicating what is already there.
+ */
+describe('Data export and import', () => {
+  const NOW = 1800000000;
+  let SQL;
+  let dir;
+  let source;
+  let target;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  function databases() {
+    const heartbeats = new SQL.Database();
+    const unifi = new SQL.Database();
+    runMigrations(heartbeats, heartbeatMigrations, 'heartbeats');
+    runMigrations(unifi, unifiMigrations, 'unifi');
+    return { heartbeats, unifi };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = mkdtempSync(join(tmpdir(), 'export-test-'));
+    source = databases();
+    target = databases();
+  });
+
+  afterEach(() => {
+    for (const db of [...Object.values(source), ...Object.values(target)]) db.close();
+    rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function rows(db, sql) {
+    const result = db.exec(sql);
+    if (!result.length) return [];
+    const { columns, values } = result[0];
+    return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+  }
+
+  function heartbeat(db, name, receivedAt, rxBytes, location = null) {
+    db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at, location) VALUES (?, ?, ?, ?)', [name, receivedAt - 1, receivedAt, location]);
+    db.run(`INSERT INTO network_interfaces (heartbeat_id, interface_name, ip_address, rx_bytes, tx_bytes, max_speed_mbps)
+            VALUES (last_insert_rowid(), 'eth0', '10.0.0.1', ?, 0, 1000)`, [rxBytes]);
+    updateDeviceCurrent(db, { deviceName: name, receivedAt, location });
+  }
+
+  function seed() {
+    const db = source.heartbeats;
+    heartbeat(db, 'NYC-WEB-01', NOW - 120, 0, 'NYC');
+    heartbeat(db, 'NYC-WEB-01', NOW - 60, 750e6, 'NYC');
+    heartbeat(db, 'LON-WEB-01', NOW - 60, 0, 'London');
+    db.run(`INSERT INTO ping_results (monitor_name, target_ip, target_name, status, response_time_ms, timestamp, received_at)
+            VALUES ('PING-01', '10.0.0.5', 'nas', 'online', 3.5, ?, ?)`, [NOW - 30, NOW - 30]);
+    db.run(`INSERT INTO alert_log (alert_type, entity_type, entity_name, event_type, webhook_type, webhook_name, sent_at, status, error_message)
+            VALUES ('discord', 'device', 'NYC-WEB-01', 'offline', 'discord', 'IT, "Ops"', ?, 'failed', 'line one\nline two')`, [NOW - 10]);
+    db.run(`INSERT INTO heartbeat_rollups (period, bucket, device_name, heartbeats, first_seen, last_seen)
+            VALUES ('day', ?, 'NYC-WEB-01', 1440, ?, ?)`, [NOW - 90 * 86400, NOW - 90 * 86400, NOW - 89 * 86400]);
+    source.unifi.run(`INSERT INTO unifi_client_states (mac, hostname, ip, is_connected, last_seen, last_state_change, updated_at)
+                      VALUES ('aa:bb:cc:00:00:05', '', '10.0.0.5', 1, ?, ?, ?)`, [NOW - 20, NOW - 20, NOW - 20]);
+  }
+
+  async function exportTo(name, options = {}) {
+    const path = join(dir, name);
+    const manifest = await writeExport({ databases: source, output: path, ...options });
+    return { path, manifest };
+  }
+
+  const counts = result => Object.fromEntries(result.tables.map(({ name, inserted, updated, skipped }) => [name, [inserted, updated, skipped]]));
+
+  test('should carry history to another server and skip it when imported again', async () => {
+    seed();
+    const { path, manifest } = await exportTo('export.tar.gz');
+
+    expect(manifest.tables.find(table => table.name === 'network_interfaces')).toMatchObject({ rows: 3 });
+    expect(manifest.schema).toEqual({ heartbeats: heartbeatMigrations.length, unifi: unifiMigrations.length });
+
+    const first = importArchive({ databases: target, archive: path });
+    expect(counts(first)).toMatchObject({
+      heartbeats: [3, 0, 0],
+      network_interfaces: [3, 0, 0],
+      ping_results: [1, 0, 0],
+      alert_log: [1, 0, 0],
+      heartbeat_rollups: [1, 0, 0],
+      unifi_client_states: [1, 0, 0]
+    });
+
+    // Interfaces point at the new heartbeat ids; rates and current state are filled in
+    expect(rows(target.heartbeats, `
+      SELECT h.device_name, h.received_at, ni.rx_bps FROM network_interfaces ni JOIN heartbeats h ON h.id = ni.heartbeat_id
+      ORDER BY h.device_name DESC, h.received_at
+    `)).toEqual([
+      { device_name: 'NYC-WEB-01', received_at: NOW - 120, rx_bps: null },
+      { device_name: 'NYC-WEB-01', received_at: NOW - 60, rx_bps: 100e6 },
+      { device_name: 'LON-WEB-01', received_at: NOW - 60, rx_bps: null }
+    ]);
+    expect(rows(target.heartbeats, 'SELECT device_name, last_seen, heartbeat_count FROM device_current ORDER BY device_name')).toEqual([
+      { device_name: 'LON-WEB-01', last_seen: NOW - 60, heartbeat_count: 1 },
+      { device_name: 'NYC-WEB-01', last_seen: NOW - 60, heartbeat_count: 2 }
+    ]);
+    expect(rows(target.heartbeats, 'SELECT target_ip, status FROM ping_target_current')).toEqual([{ target_ip: '10.0.0.5', status: 'online' }]);
+
+    const again = importArchive({ databases: target, archive: path });
+    expect(again.tables.every(table => table.inserted === 0 && table.updated === 0)).toBe(true);
+    expect(counts(again).network_interfaces).toEqual([0, 0, 3]);
+    expect(rows(target.heartbeats, 'SELECT COUNT(*) AS n FROM heartbeats')).toEqual([{ n: 3 }]);
+    expect(rows(target.heartbeats, "SELECT heartbeat_count FROM device_current WHERE device_name = 'NYC-WEB-01'")).toEqual([{ heartbeat_count: 2 }]);
+  });
+
+  test('should keep NULLs, empty strings and awkward text apart in CSV', async () => {
+    seed();
+    const { path } = await exportTo('export.tar', { format: 'csv', compress: false });
+    const { files } = readExport(path);
+    expect(files.get('alert_log.csv').toString()).toContain('"IT, ""Ops"""');
+
+    importArchive({ databases: target, archive: path });
+
+    expect(rows(target.heartbeats, 'SELECT webhook_name, error_message, sent_at FROM alert_log')).toEqual([
+      { webhook_name: 'IT, "Ops"', error_message: 'line one\nline two', sent_at: NOW - 10 }
+    ]);
+    expect(rows(target.heartbeats, 'SELECT target_name, response_time_ms FROM ping_results')).toEqual([{ target_name: 'nas', response_time_ms: 3.5 }]);
+    expect(rows(target.unifi, 'SELECT hostname, ip, is_connected FROM unifi_client_states')).toEqual([{ hostname: '', ip: '10.0.0.5', is_connected: 1 }]);
+    expect(rows(target.heartbeats, "SELECT location FROM heartbeats WHERE device_name = 'NYC-WEB-01' LIMIT 1")).toEqual([{ location: 'NYC' }]);
+  });
+
+  test('should export only the chosen time range, entities and tables', async () => {
+    seed();
+    const { manifest, path } = await exportTo('nyc.tar.gz', {
+      from: NOW - 90, to: new Date(NOW * 1000).toISOString(), entities: 'NYC-*', tables: ['heartbeats', 'network_interfaces', 'alert_log']
+    });
+
+    expect(manifest.tables.map(({ name, rows: count }) => [name, count])).toEqual([
+      ['heartbeats', 1], ['network_interfaces', 1], ['alert_log', 1]
+    ]);
+
+    importArchive({ databases: target, archive: path });
+    expect(rows(target.heartbeats, 'SELECT device_name, received_at FROM heartbeats')).toEqual([{ device_name: 'NYC-WEB-01', received_at: NOW - 60 }]);
+    expect(rows(target.heartbeats, 'SELECT COUNT(*) AS n FROM ping_results')).toEqual([{ n: 0 }]);
+
+    expect(() => resolveExportOptions({ format: 'xml' })).toThrow('Unknown export format: xml');
+    expect(() => resolveExportOptions({ tables: 'heartbeats,device_aliases' })).toThrow('Unknown table: device_aliases');
+    expect(() => resolveExportOptions({ from: 'yesterday' })).toThrow('Invalid time: yesterday');
+    expect(() => resolveExportOptions({ from: NOW, to: NOW })).toThrow('from must be before to');
+  });
+
+  test('should keep the newer state of a UniFi client', async () => {
+    seed();
+    const { path } = await exportTo('export.tar.gz', { tables: 'unifi_client_states' });
+
+    target.unifi.run(`INSERT INTO unifi_client_states (mac, hostname, ip, is_connected, last_seen, last_state_change, updated_at)
+                      VALUES ('aa:bb:cc:00:00:05', 'nas', '10.0.0.9', 0, ?, ?, ?)`, [NOW - 600, NOW - 600, NOW - 600]);
+    expect(counts(importArchive({ databases: target, archive: path }))).toEqual({ unifi_client_states: [0, 1, 0] });
+    expect(rows(target.unifi, 'SELECT ip, last_seen FROM unifi_client_states')).toEqual([{ ip: '10.0.0.5', last_seen: NOW - 20 }]);
+
+    source.unifi.run('UPDATE unifi_client_states SET last_seen = ?, ip = ?', [NOW - 3600, '10.0.0.1']);
+    const { path: older } = await exportTo('older.tar.gz', { tables: 'unifi_client_states' });
+    expect(counts(importArchive({ databases: target, archive: older }))).toEqual({ unifi_client_states: [0, 0, 1] });
+    expect(rows(target.unifi, 'SELECT ip FROM unifi_client_states')).toEqual([{ ip: '10.0.0.5' }]);
+  });
+
+  test('should refuse archives it cannot read before importing anything', async () => {
+    const manifest = { format: 1, created_at: NOW, data_format: 'ndjson', schema: { heartbeats: 99 }, tables: [] };
+    const data = Buffer.from(JSON.stringify(manifest));
+    const path = join(dir, 'future.tar');
+    await writeTarFile(path, [{ name: 'manifest.json', size: data.length, data }], false);
+
+    expect(() => importArchive({ databases: target, archive: path })).toThrow('heartbeats database at schema version 99, newer than this server knows');
+
+    const backup = join(dir, 'backup.tar');
+    await writeTarFile(backup, [{ name: 'heartbeats.sqlite3', size: 4, data: Buffer.from('test') }], false);
+    expect(() => importArchive({ databases: target, archive: backup })).toThrow('is not a data export');
+  });
+});
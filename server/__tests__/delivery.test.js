@@ -0,0 +1,170 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import dgram from 'dgram';
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createKeyEntry, loadKeyring, writeKeyring } from '../keyring.js';
+import { openEnvelope, sealReply } from '../envelope.js';
+import { startTcpListener } from '../tcp-listener.js';
+import { createDelivery, formatDeliveryStats } from '../../client/delivery.js';
+import { sealMessage, packetNonce, openSharedReply } from '../../client/envelope.js';
+import { createTransport } from '../../client/transport.js';
+
+const { decodeBase64 } = util;
+
+describe('Acknowledged Delivery', () => {
+  let dir;
+  let key;
+
+  beforeAll(() => {
+    const entry = createKeyEntry('active');
+    dir = mkdtempSync(join(tmpdir(), 'delivery-test-'));
+    writeKeyring(dir, [entry]);
+    loadKeyring([dir]);
+    key = decodeBase64(entry.key);
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Stands in for transport + server: drops the first `drop` packets, ACKs the rest
+  function fakeTransport({ drop = 0 } = {}) {
+    const received = [];
+    return {
+      received,
+      send: async (packet) => {
+        received.push(openEnvelope(packet).message);
+        return 'udp';
+      },
+      request: async (packet, accept) => {
+        const { message, keyId, agent, nonce } = openEnvelope(packet);
+        received.push(message);
+        if (received.length <= drop) return null;
+        return accept(sealReply({ type: 'ack', nonce, seq: message.seq }, { keyId, agent }));
+      }
+    };
+  }
+
+  describe('ACK Packets', () => {
+    test('should seal ACKs with the key the agent used', () => {
+      const packet = sealMessage({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000), ack: true }, key);
+      const { message, keyId, agent, nonce } = openEnvelope(packet);
+
+      const reply = openSharedReply(sealReply({ type: 'ack', nonce, seq: message.seq }, { keyId, agent }), key);
+      expect(reply).toEqual({ type: 'ack', nonce: packetNonce(packet), seq: message.seq });
+    });
+
+    test('should ignore replies sealed with another key', () => {
+      const packet = sealMessage({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) }, key);
+      const { keyId, agent, nonce } = openEnvelope(packet);
+      const reply = sealReply({ type: 'ack', nonce }, { keyId, agent });
+
+      expect(openSharedReply(reply, nacl.randomBytes(32))).toBeNull();
+    });
+
+    test('should refuse to seal for a key that is gone', () => {
+      expect(() => sealReply({ type: 'ack' }, { keyId: 'deadbeef', agent: null })).toThrow('Unknown key');
+    });
+  });
+
+  describe('Retries', () => {
+    test('should send without waiting when ACKs are off', async () => {
+      const transport = fakeTransport();
+      const delivery = createDelivery({ transport, key });
+
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) })).toBe(true);
+      expect(transport.received[0].ack).toBeUndefined();
+      expect(delivery.getStats()).toMatchObject({ sent: 1, acked: 0, lost: 0, loss_pct: null });
+    });
+
+    test('should resend with a fresh nonce until an ACK arrives', async () => {
+      const transport = fakeTransport({ drop: 2 });
+      const delivery = createDelivery({ transport, key, ack: true, timeout: 1 });
+
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) })).toBe(true);
+
+      expect(transport.received).toHaveLength(3);
+      expect(new Set(transport.received.map(m => m.seq)).size).toBe(3);
+      expect(transport.received.every(m => m.ack === true)).toBe(true);
+      expect(delivery.getStats()).toMatchObject({ sent: 1, acked: 1, lost: 0, retries: 2, loss_pct: 0 });
+    });
+
+    test('should count a message as lost after the last retry', async () => {
+      const transport = fakeTransport({ drop: 100 });
+      const delivery = createDelivery({ transport, key, ack: true, retries: 2, timeout: 1 });
+
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) })).toBe(false);
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) })).toBe(false);
+
+      const stats = delivery.getStats();
+      expect(stats).toMatchObject({ sent: 2, acked: 0, lost: 2, retries: 4, loss_pct: 100 });
+      expect(formatDeliveryStats(stats)).toBe('2 sent, 0 acked, 2 lost (100%), 4 retries');
+    });
+
+    test('should acknowledge fragments one by one', async () => {
+      const transport = fakeTransport();
+      const delivery = createDelivery({ transport, key, ack: true, timeout: 1 });
+      const clients = Array.from({ length: 100 }, (_, i) => ({ mac: `aa:bb:cc:dd:ee:${i}`, hostname: `client-${i}` }));
+
+      expect(await delivery.deliver({ type: 'unifi', timestamp: Math.floor(Date.now() / 1000), clients })).toBe(true);
+
+      const stats = delivery.getStats();
+      expect(stats.sent).toBeGreaterThan(1);
+      expect(stats.acked).toBe(stats.sent);
+      expect(transport.received.every(m => m.type === 'fragment' && m.ack === true)).toBe(true);
+    });
+  });
+
+  describe('Auto Transport', () => {
+    let server;
+    let udpSocket;
+    let transport;
+
+    afterEach(() => {
+      if (transport) transport.close();
+      if (server) server.close();
+      if (udpSocket) udpSocket.close();
+      transport = server = udpSocket = null;
+    });
+
+    test('should move to TCP when UDP is silently dropped', async () => {
+      // TCP ACKs every packet like the server does
+      const tcpPackets = [];
+      server = startTcpListener({
+        port: 0,
+        host: '127.0.0.1',
+        onPacket: (packet, rinfo, respond) => {
+          const { message, keyId, agent, nonce } = openEnvelope(packet);
+          tcpPackets.push(message);
+          respond(sealReply({ type: 'ack', nonce, seq: message.seq }, { keyId, agent }));
+        }
+      });
+      await new Promise(resolve => server.on('listening', resolve));
+
+      // UDP reaches a socket that never answers, like a firewall dropping the traffic
+      const udpPackets = [];
+      udpSocket = dgram.createSocket('udp4');
+      udpSocket.on('message', packet => udpPackets.push(packet));
+      udpSocket.bind(0, '127.0.0.1');
+      await new Promise(resolve => udpSocket.on('listening', resolve));
+
+      transport = createTransport({ host: '127.0.0.1', port: udpSocket.address().port, tcpPort: server.address().port, transport: 'auto' });
+      const delivery = createDelivery({ transport, key, timeout: 100 });
+
+      // ACKs were not asked for, but auto mode needs them to see the loss
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) })).toBe(true);
+      expect(transport.current()).toBe('tcp');
+      expect(udpPackets).toHaveLength(1);
+      expect(tcpPackets).toHaveLength(1);
+      expect(tcpPackets[0].ack).toBe(true);
+
+      // Later messages go straight over TCP
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) })).toBe(true);
+      expect(udpPackets).toHaveLength(1);
+      expect(delivery.getStats()).toMatchObject({ sent: 2, acked: 2, lost: 0, retries: 1 });
+    });
+  });
+});
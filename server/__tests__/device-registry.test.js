@@ -0,0 +1,181 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { correlateDevices, listAssets, getAsset, mergeAssets, splitAsset, renameAsset, normalizeAlias } from '../device-registry.js';
+import { updateDeviceCurrent, updatePingTargetCurrent } from '../current-state.js';
+import { runMigrations } from '../schema-migrations.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+import unifiMigrations from '../migrations/unifi/index.js';
+
+/**
+ * Device Registry Tests
+ *
+ * Heartbeat devices, ping targets and UniFi clients are linked into one asset per
+ * machine by device name, MAC and IP; manual merges and splits stick.
+ */
+describe('Device registry', () => {
+  const NOW = 1800000000;
+  let SQL;
+  let db;
+  let unifiDb;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new SQL.Database();
+    unifiDb = new SQL.Database();
+    runMigrations(db, heartbeatMigrations, 'heartbeats');
+    runMigrations(unifiDb, unifiMigrations, 'unifi');
+  });
+
+  afterEach(() => {
+    db.close();
+    unifiDb.close();
+    jest.restoreAllMocks();
+  });
+
+  function lastId() {
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  }
+
+  function heartbeat(name, receivedAt, interfaces) {
+    db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at) VALUES (?, ?, ?)', [name, receivedAt, receivedAt]);
+    const heartbeatId = lastId();
+    for (const { ip, mac = null } of interfaces) {
+      db.run('INSERT INTO network_interfaces (heartbeat_id, interface_name, ip_address, mac, rx_bytes, tx_bytes, max_speed_mbps) VALUES (?, ?, ?, ?, 0, 0, 1000)', [heartbeatId, 'eth0', ip, mac]);
+    }
+    updateDeviceCurrent(db, { deviceName: name, receivedAt });
+  }
+
+  function ping(ip, name, receivedAt) {
+    db.run(`INSERT INTO ping_results (monitor_name, target_ip, target_name, status, response_time_ms, timestamp, received_at)
+            VALUES ('PING-01', ?, ?, 'online', 3, ?, ?)`, [ip, name, receivedAt, receivedAt]);
+    updatePingTargetCurrent(db, lastId());
+  }
+
+  function client(mac, ip, hostname, lastSeen) {
+    unifiDb.run(`INSERT INTO unifi_client_states (mac, hostname, ip, is_connected, last_seen, last_state_change, updated_at)
+                 VALUES (?, ?, ?, 1, ?, ?, ?)`, [mac, hostname, ip, lastSeen, lastSeen, lastSeen]);
+  }
+
+  // Asset name -> sorted "kind:value" aliases
+  function assets() {
+    return Object.fromEntries(listAssets(db).map(asset => [
+      asset.name, asset.aliases.map(({ kind, value }) => `${kind}:${value}`).sort()
+    ]));
+  }
+
+  test('should link a heartbeat device, its ping target and its UniFi client', () => {
+    ping('10.0.0.5', 'nas', NOW - 30);
+    heartbeat('NAS-01', NOW - 60, [{ ip: '10.0.0.5' }, { ip: '127.0.0.1' }]);
+    client('AA:BB:CC:00:00:05', '10.0.0.5', 'nas-wifi', NOW - 10);
+    client('aa:bb:cc:00:00:09', '10.0.0.9', null, NOW - 10);
+
+    expect(correlateDevices({ db, unifiDb, now: NOW })).toEqual({ devices: 2, created: 2, merged: 0 });
+    expect(assets()).toEqual({
+      'NAS-01': ['device_name:NAS-01', 'ip:10.0.0.5', 'mac:aa:bb:cc:00:00:05'],
+      'aa:bb:cc:00:00:09': ['ip:10.0.0.9', 'mac:aa:bb:cc:00:00:09']
+    });
+
+    // Nothing changes on the next run
+    expect(correlateDevices({ db, unifiDb, now: NOW + 60 })).toEqual({ devices: 2, created: 0, merged: 0 });
+  });
+
+  test('should attach an agent to the ping target it runs on', () => {
+    ping('10.0.0.5', 'nas', NOW - 600);
+    correlateDevices({ db, unifiDb, now: NOW - 600 });
+    expect(assets()).toEqual({ nas: ['ip:10.0.0.5'] });
+
+    client('aa:bb:cc:00:00:05', '10.0.0.6', 'nas-wifi', NOW - 300);
+    heartbeat('NAS-01', NOW - 60, [{ ip: '10.0.0.6', mac: 'aa:bb:cc:00:00:05' }, { ip: '10.0.0.5', mac: 'aa:bb:cc:00:00:06' }]);
+    expect(correlateDevices({ db, unifiDb, now: NOW })).toEqual({ devices: 1, created: 0, merged: 0 });
+
+    expect(assets()).toEqual({
+      'NAS-01': ['device_name:NAS-01', 'ip:10.0.0.5', 'ip:10.0.0.6', 'mac:aa:bb:cc:00:00:05', 'mac:aa:bb:cc:00:00:06']
+    });
+  });
+
+  test('should merge entries once an agent reports the MAC UniFi knows', () => {
+    heartbeat('LAPTOP-01', NOW - 600, [{ ip: '10.0.1.20' }]);
+    client('aa:bb:cc:00:00:20', '10.0.2.20', 'laptop', NOW - 600);
+    correlateDevices({ db, unifiDb, now: NOW - 600 });
+    expect(Object.keys(assets())).toEqual(['laptop', 'LAPTOP-01']);
+
+    heartbeat('LAPTOP-01', NOW - 60, [{ ip: '10.0.1.21', mac: 'aa:bb:cc:00:00:20' }]);
+    expect(correlateDevices({ db, unifiDb, now: NOW })).toEqual({ devices: 1, created: 0, merged: 1 });
+    expect(assets()).toEqual({
+      'LAPTOP-01': ['device_name:LAPTOP-01', 'ip:10.0.1.20', 'ip:10.0.1.21', 'ip:10.0.2.20', 'mac:aa:bb:cc:00:00:20']
+    });
+  });
+
+  test('should move an IP to the machine that reported it last', () => {
+    heartbeat('WEB-01', NOW - 600, [{ ip: '10.0.0.7', mac: 'aa:bb:cc:00:00:01' }]);
+    correlateDevices({ db, unifiDb, now: NOW - 600 });
+
+    // DHCP handed the address to another machine
+    heartbeat('WEB-02', NOW - 60, [{ ip: '10.0.0.7', mac: 'aa:bb:cc:00:00:02' }]);
+    correlateDevices({ db, unifiDb, now: NOW });
+
+    expect(assets()).toEqual({
+      'WEB-01': ['device_name:WEB-01', 'mac:aa:bb:cc:00:00:01'],
+      'WEB-02': ['device_name:WEB-02', 'ip:10.0.0.7', 'mac:aa:bb:cc:00:00:02']
+    });
+  });
+
+  test('should keep manual merges and splits through later runs', () => {
+    heartbeat('WEB-01', NOW - 60, [{ ip: '10.0.0.1', mac: 'aa:bb:cc:00:00:01' }]);
+    client('aa:bb:cc:00:00:09', '10.0.0.9', 'phone', NOW - 60);
+    correlateDevices({ db, unifiDb, now: NOW });
+    const { 'WEB-01': web, phone } = Object.fromEntries(listAssets(db).map(asset => [asset.name, asset.id]));
+
+    mergeAssets(db, web, [phone]);
+    expect(assets()).toEqual({
+      'WEB-01': ['device_name:WEB-01', 'ip:10.0.0.1', 'ip:10.0.0.9', 'mac:aa:bb:cc:00:00:01', 'mac:aa:bb:cc:00:00:09']
+    });
+
+    const dongle = splitAsset(db, web, [{ kind: 'mac', value: 'aa:bb:cc:00:00:01' }], 'USB dongle');
+    renameAsset(db, web, 'Web server');
+    correlateDevices({ db, unifiDb, now: NOW + 60 });
+
+    expect(assets()).toEqual({
+      'Web server': ['device_name:WEB-01', 'ip:10.0.0.1', 'ip:10.0.0.9', 'mac:aa:bb:cc:00:00:09'],
+      'USB dongle': ['mac:aa:bb:cc:00:00:01']
+    });
+    expect(listAssets(db).find(asset => asset.id === dongle).aliases[0].pinned).toBe(true);
+
+    expect(() => splitAsset(db, web, [{ kind: 'ip', value: '10.9.9.9' }])).toThrow('ip 10.9.9.9 is not an alias of asset');
+    expect(() => mergeAssets(db, web, [web])).toThrow('cannot be merged into itself');
+    expect(() => renameAsset(db, 999, 'x')).toThrow('Asset 999 not found');
+  });
+
+  test('should return everything known about an asset', () => {
+    heartbeat('NAS-01', NOW - 60, [{ ip: '10.0.0.5', mac: 'aa:bb:cc:00:00:05' }]);
+    ping('10.0.0.5', 'nas', NOW - 30);
+    client('aa:bb:cc:00:00:05', '10.0.0.5', 'nas', NOW - 10);
+    correlateDevices({ db, unifiDb, now: NOW });
+    const [{ id }] = listAssets(db);
+
+    const asset = getAsset({ db, unifiDb, id, onlineThreshold: 300, now: NOW });
+
+    expect(asset).toMatchObject({ id, name: 'NAS-01', name_source: 'heartbeat' });
+    expect(asset.aliases).toHaveLength(3);
+    expect(asset.heartbeat_devices).toEqual([expect.objectContaining({
+      device_name: 'NAS-01',
+      status: 'online',
+      interfaces: [expect.objectContaining({ ip_address: '10.0.0.5', mac: 'aa:bb:cc:00:00:05' })]
+    })]);
+    expect(asset.ping_targets).toEqual([expect.objectContaining({ target_ip: '10.0.0.5', status: 'online' })]);
+    expect(asset.unifi_clients).toEqual([expect.objectContaining({ mac: 'aa:bb:cc:00:00:05', is_connected: 1 })]);
+    expect(getAsset({ db, unifiDb, id: id + 1, onlineThreshold: 300 })).toBeNull();
+  });
+
+  test('should ignore values that cannot identify a machine', () => {
+    expect(normalizeAlias('mac', 'AA-BB-CC-00-00-05')).toBe('aa:bb:cc:00:00:05');
+    expect(normalizeAlias('mac', '00:00:00:00:00:00')).toBeNull();
+    expect(normalizeAlias('ip', 'unknown')).toBeNull();
+    expect(normalizeAlias('ip', '169.254.10.1')).toBeNull();
+    expect(normalizeAlias('ip', '192.168.1.20')).toBe('192.168.1.20');
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fragmentMessage, sealFragments, FRAGMENT_SIZE } from '../../client/fragment.js';
+import { sealMessage } from '../../client/envelope.js';
+import { createKeyEntry, loadKeyring, writeKeyring } from '../keyring.js';
+import { openEnvelope } from '../envelope.js';
+import {
+  MAX_PENDING_MESSAGES,
+  addFragment,
+  expireFragments,
+  getFragmentStats,
+  resetReassembler
+} from '../reassembler.js';
+
+const { decodeBase64 } = util;
+const SENDER = 'key:test:fragment:UDR';
+
+// A UniFi snapshot from a large site
+function unifiSnapshot(clientCount) {
+  const clients = [];
+  for (let i = 0; i < clientCount; i++) {
+    clients.push({
+      mac: `aa:bb:cc:00:${String(Math.floor(i / 256)).padStart(2, '0')}:${(i % 256).toString(16).padStart(2, '0')}`,
+      hostname: `client-${i}`,
+      ip: `10.0.${Math.floor(i / 256)}.${i % 256}`,
+      is_wired: i % 3 === 0,
+      rx_bytes: i * 1000,
+      tx_bytes: i * 2000
+    });
+  }
+  return { type: 'unifi', timestamp: Math.floor(Date.now() / 1000), clients };
+}
+
+describe('Fragmentation', () => {
+  beforeEach(() => {
+    resetReassembler();
+  });
+
+  describe('Client', () => {
+    test('should leave small payloads whole', () => {
+      const message = { name: 'WEB-01', timestamp: 1700000000 };
+      expect(fragmentMessage(message)).toEqual([message]);
+    });
+
+    test('should split large payloads into numbered fragments', () => {
+      const message = unifiSnapshot(300);
+      const fragments = fragmentMessage(message);
+
+      expect(fragments.length).toBeGreaterThan(10);
+      fragments.forEach((fragment, index) => {
+        expect(fragment).toMatchObject({ type: 'fragment', index, count: fragments.length, timestamp: message.timestamp });
+        expect(Buffer.from(fragment.data, 'base64').length).toBeLessThanOrEqual(FRAGMENT_SIZE);
+      });
+      expect(new Set(fragments.map(f => f.message_id)).size).toBe(1);
+    });
+
+    test('should carry the device name on every fragment', () => {
+      const results = Array.from({ length: 100 }, (_, i) => ({ type: 'web', url: `https://example.com/${i}`, status: 'online' }));
+      const fragments = fragmentMessage({ type: 'monitoring', name: 'MON-01', timestamp: 1700000000, results });
+
+      expect(fragments.length).toBeGreaterThan(1);
+      expect(fragments.every(f => f.name === 'MON-01')).toBe(true);
+    });
+
+    test('should keep sealed fragments within a safe datagram size', () => {
+      const key = nacl.randomBytes(32);
+      const packets = sealFragments(unifiSnapshot(300), part => sealMessage(part, key));
+
+      expect(packets.length).toBeGreaterThan(10);
+      expect(Math.max(...packets.map(p => p.length))).toBeLessThanOrEqual(1400);
+    });
+  });
+
+  describe('Reassembly', () => {
+    test('should rebuild the original message from fragments in any order', () => {
+      const message = unifiSnapshot(300);
+      const fragments = fragmentMessage(message).reverse();
+
+      let result = null;
+      for (const fragment of fragments) {
+        result = addFragment(SENDER, fragment);
+      }
+
+      expect(result).toEqual(message);
+      expect(getFragmentStats()).toMatchObject({ fragments: fragments.length, reassembled: 1, incomplete: 0, pending: [] });
+    });
+
+    test('should round-trip real envelopes', () => {
+      const entry = createKeyEntry('active');
+      const dir = mkdtempSync(join(tmpdir(), 'fragment-test-'));
+      try {
+        writeKeyring(dir, [entry]);
+        loadKeyring([dir]);
+
+        const message = unifiSnapshot(120);
+        const packets = sealFragments(message, part => sealMessage(part, decodeBase64(entry.key)));
+
+        let result = null;
+        for (const packet of packets) {
+          result = addFragment(SENDER, openEnvelope(packet).message);
+        }
+
+        expect(result).toEqual(message);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should ignore duplicate fragments', () => {
+      const fragments = fragmentMessage(unifiSnapshot(50));
+      expect(addFragment(SENDER, fragments[0])).toBeNull();
+      expect(addFragment(SENDER, fragments[0])).toBeNull();
+      expect(getFragmentStats().pending[0]).toMatchObject({ received: 1, count: fragments.length });
+    });
+
+    test('should not mix fragments from different senders', () => {
+      const fragments = fragmentMessage(unifiSnapshot(50));
+      const [first, ...rest] = fragments;
+
+      addFragment('key:other:fragment:UDR', first);
+      for (const fragment of rest) {
+        expect(addFragment(SENDER, fragment)).toBeNull();
+      }
+      expect(getFragmentStats().pending).toHaveLength(2);
+    });
+
+    test('should reject malformed fragments', () => {
+      const fragment = fragmentMessage(unifiSnapshot(50))[0];
+
+      expect(() => addFragment(SENDER, { ...fragment, message_id: undefined })).toThrow('without message_id');
+      expect(() => addFragment(SENDER, { ...fragment, count: 100000 })).toThrow('Invalid fragment count');
+      expect(() => addFragment(SENDER, { ...fragment, index: fragment.count })).toThrow('Invalid fragment index');
+
+      addFragment(SENDER, fragment);
+      expect(() => addFragment(SENDER, { ...fragment, index: 1, count: fragment.count + 1 })).toThrow('Fragment count changed');
+    });
+  });
+
+  describe('Incomplete Messages', () => {
+    test('should report messages that time out with fragments missing', () => {
+      const fragments = fragmentMessage(unifiSnapshot(50));
+      addFragment(SENDER, fragments[0]);
+      addFragment(SENDER, fragments[2]);
+
+      expect(expireFragments(30)).toEqual([]);
+
+      const dropped = expireFragments(0);
+      expect(dropped).toEqual([
+        expect.objectContaining({ sender: SENDER, message_id: fragments[0].message_id, received: 2, count: fragments.length, reason: 'timeout' })
+      ]);
+
+      const stats = getFragmentStats();
+      expect(stats.incomplete).toBe(1);
+      expect(stats.pending).toEqual([]);
+      expect(stats.pending_bytes).toBe(0);
+      expect(stats.recent_incomplete).toHaveLength(1);
+    });
+
+    test('should evict the oldest message when too many are pending', () => {
+      for (let i = 0; i <= MAX_PENDING_MESSAGES; i++) {
+        addFragment(SENDER, { message_id: `m${i}`, index: 0, count: 2, data: 'e30=' });
+      }
+
+      const stats = getFragmentStats();
+      expect(stats.pending).toHaveLength(MAX_PENDING_MESSAGES);
+      expect(stats.recent_incomplete[0]).toMatchObject({ message_id: 'm0', reason: 'evicted' });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createKeyEntry, loadKeyring, writeKeyring } from '../keyring.js';
+import { resetReplayGuard } from '../replay-guard.js';
+import { createIngest, registerHandler } from '../ingest.js';
+import { recordPacket, recordAccepted, recordRejected, getIngestStats, resetIngestStats, RATE_WINDOW } from '../ingest-stats.js';
+import { sealMessage } from '../../client/envelope.js';
+
+const { decodeBase64 } = util;
+
+describe('Ingest Stats', () => {
+  let dir;
+  let key;
+
+  beforeAll(() => {
+    const entry = createKeyEntry('active');
+    dir = mkdtempSync(join(tmpdir(), 'ingest-stats-test-'));
+    writeKeyring(dir, [entry]);
+    loadKeyring([dir]);
+    key = decodeBase64(entry.key);
+
+    registerHandler('probe', {
+      label: 'Probe',
+      validate(message) {
+        if (!Array.isArray(message.values)) throw new Error('missing values array');
+      },
+      store() {}
+    });
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    resetIngestStats();
+    resetReplayGuard();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  describe('Counters', () => {
+    test('should count packets per source and outcome', () => {
+      recordPacket('10.0.0.1');
+      recordAccepted('10.0.0.1', 'heartbeat', 'WEB-01');
+      recordPacket('10.0.0.1');
+      recordRejected('10.0.0.1', 'stale', 'WEB-01');
+      recordPacket('10.0.0.2');
+      recordRejected('10.0.0.2', 'decrypt');
+
+      const stats = getIngestStats();
+      expect(stats).toMatchObject({ packets: 3, accepted: 1, rejected: 2, tracked_sources: 2 });
+      expect(stats.rejected_by_reason).toMatchObject({ decrypt: 1, stale: 1, replay: 0 });
+
+      const [latest, first] = stats.sources;
+      expect(latest).toMatchObject({ address: '10.0.0.2', name: null, packets: 1, rejected: 1, last_reason: 'decrypt' });
+      expect(first).toMatchObject({
+        address: '10.0.0.1',
+        name: 'WEB-01',
+        packets: 2,
+        accepted_by_type: { heartbeat: 1 },
+        rejected_by_reason: { stale: 1 }
+      });
+    });
+
+    test('should estimate packets per second over a sliding window', () => {
+      const start = Math.ceil(Date.now() / 1000 / RATE_WINDOW) * RATE_WINDOW;
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(start * 1000);
+      resetIngestStats();
+
+      for (let i = 0; i < 120; i++) recordPacket('10.0.0.1');
+      expect(getIngestStats().packets_per_second).toBe(2);
+
+      // Half way into the next window, half of the previous one still counts
+      clock.mockReturnValue((start + RATE_WINDOW * 1.5) * 1000);
+      expect(getIngestStats().sources[0].packets_per_second).toBe(1);
+
+      // After an idle window nothing is left
+      clock.mockReturnValue((start + RATE_WINDOW * 3) * 1000);
+      expect(getIngestStats().packets_per_second).toBe(0);
+    });
+
+    test('should list the most recently seen sources first', () => {
+      recordPacket('10.0.0.1');
+      recordPacket('10.0.0.2');
+      recordPacket('10.0.0.1');
+
+      expect(getIngestStats({ limit: 1 }).sources.map(s => s.address)).toEqual(['10.0.0.1']);
+    });
+  });
+
+  describe('Pipeline', () => {
+    async function ingest(handlePacket, packet, address = '10.0.0.5') {
+      await handlePacket(packet, { address, port: 50000 }, () => {});
+    }
+
+    test('should record why packets were refused', async () => {
+      const handlePacket = createIngest({ maxMessageAge: 60 });
+      const wrongKey = decodeBase64(createKeyEntry('active').key);
+
+      await ingest(handlePacket, sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now(), values: [] }, key));
+      await ingest(handlePacket, sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now(), values: [] }, wrongKey));
+      await ingest(handlePacket, sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now() - 600, values: [] }, key));
+      await ingest(handlePacket, sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now() }, key));
+      await ingest(handlePacket, Buffer.from('garbage'), '10.0.0.9');
+
+      const stats = getIngestStats();
+      expect(stats).toMatchObject({ packets: 5, accepted: 1, rejected: 4 });
+      expect(stats.accepted_by_type).toEqual({ probe: 1 });
+      expect(stats.rejected_by_reason).toMatchObject({ decrypt: 2, stale: 1, invalid: 1 });
+
+      const source = stats.sources.find(s => s.address === '10.0.0.5');
+      expect(source).toMatchObject({ name: 'WEB-01', packets: 4, rejected_by_reason: { decrypt: 1, stale: 1, invalid: 1 } });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createKeyEntry, loadKeyring, writeKeyring } from '../keyring.js';
+import { resetReassembler } from '../reassembler.js';
+import { createIngest, registerHandler, getHandler, getHandlerTypes, validatePayload } from '../ingest.js';
+import { sealMessage, openSharedReply } from '../../client/envelope.js';
+import { sealFragments } from '../../client/fragment.js';
+import { createDelivery } from '../../client/delivery.js';
+import { createSpool } from '../../client/spool.js';
+
+const { decodeBase64 } = util;
+const RINFO = { address: '127.0.0.1', port: 50000 };
+
+describe('Ingest Pipeline', () => {
+  let dir;
+  let key;
+  let stored;
+
+  beforeAll(() => {
+    const entry = createKeyEntry('active');
+    dir = mkdtempSync(join(tmpdir(), 'ingest-test-'));
+    writeKeyring(dir, [entry]);
+    loadKeyring([dir]);
+    key = decodeBase64(entry.key);
+
+    // Stands in for a database-backed handler
+    registerHandler('probe', {
+      label: 'Probe',
+      validate(message) {
+        if (!Array.isArray(message.values)) throw new Error('missing values array');
+      },
+      store(message, context) {
+        if (message.fail) throw new Error('disk full');
+        stored.push({ message, context });
+        return `values: ${message.values.length}`;
+      }
+    });
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stored = [];
+    resetReassembler();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  // Runs one packet through the pipeline and returns the decrypted replies
+  async function ingest(handlePacket, packet) {
+    const replies = [];
+    await handlePacket(packet, RINFO, (reply) => replies.push(openSharedReply(reply, key)));
+    return replies;
+  }
+
+  describe('Handler Registry', () => {
+    test('should have a handler for every agent message type', () => {
+      expect(getHandlerTypes()).toEqual(expect.arrayContaining(['heartbeat', 'ping', 'monitoring', 'unifi']));
+      expect(getHandler(undefined)).toBe(getHandler('heartbeat'));
+      expect(getHandler('nope')).toBeNull();
+    });
+
+    test('should accept what the agents send', () => {
+      const timestamp = now();
+      expect(() => validatePayload({ name: 'WEB-01', timestamp, network_interfaces: [] })).not.toThrow();
+      expect(() => validatePayload({ type: 'ping', name: 'PING-01', timestamp, results: [] })).not.toThrow();
+      expect(() => validatePayload({ type: 'monitoring', name: 'MON-01', timestamp, results: [] })).not.toThrow();
+      expect(() => validatePayload({ type: 'unifi', timestamp, clients: [] })).not.toThrow();
+    });
+
+    test('should name what is wrong with a payload', () => {
+      const timestamp = now();
+      expect(() => validatePayload({ type: 'ping', monitor_name: 'PING-01', timestamp, results: [] })).toThrow('Invalid ping payload - name is required');
+      expect(() => validatePayload({ type: 'monitoring', name: 'MON-01', timestamp })).toThrow('results is required');
+      expect(() => validatePayload({ type: 'unifi', timestamp, clients: {} })).toThrow('clients must be array');
+      expect(() => validatePayload({ name: 'WEB-01' })).toThrow('Invalid heartbeat payload - timestamp is required');
+      expect(() => validatePayload({ type: 'telemetry', name: 'WEB-01', timestamp })).toThrow('Unknown message type "telemetry"');
+    });
+
+    test('should refuse handlers without validate() and store()', () => {
+      expect(() => registerHandler('broken', { label: 'Broken' })).toThrow('needs validate() and store()');
+    });
+  });
+
+  describe('Routing', () => {
+    test('should store valid messages and acknowledge them', async () => {
+      const handlePacket = createIngest();
+      const packet = sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now(), values: [1, 2], ack: true }, key);
+
+      const replies = await ingest(handlePacket, packet);
+
+      expect(stored).toHaveLength(1);
+      expect(stored[0].context).toMatchObject({ source: '127.0.0.1:50000', receivedAt: expect.any(Number) });
+      expect(replies).toEqual([expect.objectContaining({ type: 'ack' })]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('✓ Probe from WEB-01 (127.0.0.1:50000) [key: '));
+    });
+
+    test('should refuse invalid payloads and unknown types with a nack', async () => {
+      const handlePacket = createIngest();
+
+      const invalid = await ingest(handlePacket, sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now(), ack: true }, key));
+      const unknown = await ingest(handlePacket, sealMessage({ type: 'telemetry', name: 'WEB-01', timestamp: now(), ack: true }, key));
+
+      expect(stored).toHaveLength(0);
+      expect(invalid).toEqual([expect.objectContaining({ type: 'nack', reason: 'Invalid probe payload - missing values array' })]);
+      expect(unknown).toEqual([expect.objectContaining({ type: 'nack', reason: 'Unknown message type "telemetry"' })]);
+    });
+
+    test('should keep going when the rejection log is unavailable', async () => {
+      const handlePacket = createIngest();
+      const replies = await ingest(handlePacket, sealMessage({ type: 'ping', name: 'PING-01', timestamp: now(), results: [{ ip: '10.0.0.1', status: 'up' }], ack: true }, key));
+
+      expect(replies).toEqual([expect.objectContaining({ type: 'nack', reason: 'Invalid ping payload - results[0].status must be one of online, offline' })]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not record rejected message: Database not initialized'));
+    });
+
+    test('should drop stale and replayed packets without storing them', async () => {
+      const handlePacket = createIngest({ maxMessageAge: 60 });
+      const packet = sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now(), values: [] }, key);
+
+      await ingest(handlePacket, sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now() - 120, values: [] }, key));
+      await ingest(handlePacket, packet);
+      await ingest(handlePacket, packet);
+
+      expect(stored).toHaveLength(1);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('⚠ Stale message - age: 120s (max: 60s), check the agent\'s clock from 127.0.0.1:50000'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('⚠ Replayed message from 127.0.0.1:50000'));
+    });
+
+    test('should nack a skewed-clock agent so it does not spool the message for good', async () => {
+      const handlePacket = createIngest({ maxMessageAge: 60 });
+      const spoolDir = mkdtempSync(join(tmpdir(), 'ingest-spool-'));
+
+      try {
+        // The agent's transport, straight into the pipeline
+        const transport = {
+          send: (packet) => handlePacket(packet, RINFO, () => {}),
+          request: async (packet, accept) => {
+            let reply = null;
+            await handlePacket(packet, RINFO, (data) => { reply = reply || accept(data); });
+            return reply;
+          }
+        };
+        const spool = createSpool({ path: join(spoolDir, 'agent.spool') });
+        const delivery = createDelivery({ transport, key, spool, timeout: 1 });
+
+        // Clock ten minutes ahead
+        expect(await delivery.deliver({ type: 'probe', name: 'WEB-01', timestamp: now() + 600, values: [] })).toBe(true);
+
+        expect(stored).toHaveLength(0);
+        expect(delivery.getStats()).toMatchObject({ sent: 1, rejected: 1, lost: 0, retries: 0, spooled: 0, queued: 0 });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Server refused message: Stale message - age: 600s'));
+      } finally {
+        rmSync(spoolDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should route reassembled fragments like whole messages', async () => {
+      const handlePacket = createIngest();
+      const values = Array.from({ length: 500 }, (_, i) => `value-${i}`);
+      const packets = sealFragments({ type: 'probe', name: 'WEB-01', timestamp: now(), values }, part => sealMessage(part, key));
+
+      for (const packet of packets) {
+        await ingest(handlePacket, packet);
+      }
+
+      expect(packets.length).toBeGreaterThan(1);
+      expect(stored).toHaveLength(1);
+      expect(stored[0].message.values).toEqual(values);
+    });
+
+    test('should not acknowledge messages that could not be stored', async () => {
+      const handlePacket = createIngest();
+      const replies = await ingest(handlePacket, sealMessage({ type: 'probe', name: 'WEB-01', timestamp: now(), values: [], fail: true, ack: true }, key));
+
+      expect(replies).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('disk full'));
+    });
+  });
+});
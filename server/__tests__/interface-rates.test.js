@@ -0,0 +1,165 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { counterIncrease, interfaceRate, updateInterfaceRates, findSaturatedInterfaces, COUNTER_32 } from '../interface-rates.js';
+import { updateDeviceCurrent } from '../current-state.js';
+import { runMigrations } from '../schema-migrations.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+
+/**
+ * Interface Rate Tests
+ *
+ * Bits per second and utilization from cumulative rx/tx counters: 32-bit wraps,
+ * reboots, backfilled samples, and the saturation check the alerting engine runs.
+ */
+describe('Interface rates', () => {
+  const NOW = 1800000000;
+  const GBIT = 1000;
+  let SQL;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new SQL.Database();
+    runMigrations(db, heartbeatMigrations, 'heartbeats');
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  function rows(sql) {
+    const result = db.exec(sql);
+    if (!result.length) return [];
+    const { columns, values } = result[0];
+    return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+  }
+
+  // One heartbeat with a single eth0 sample, stored the way db.js does
+  function sample(receivedAt, rxBytes, txBytes, { device = 'WEB-01', speed = GBIT } = {}) {
+    db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at) VALUES (?, ?, ?)', [device, receivedAt, receivedAt]);
+    const heartbeatId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    db.run(`INSERT INTO network_interfaces (heartbeat_id, interface_name, ip_address, rx_bytes, tx_bytes, max_speed_mbps)
+            VALUES (?, 'eth0', '10.0.0.1', ?, ?, ?)`, [heartbeatId, rxBytes, txBytes, speed]);
+    updateDeviceCurrent(db, { deviceName: device, receivedAt });
+    updateInterfaceRates(db, heartbeatId);
+  }
+
+  function rates() {
+    return rows(`
+      SELECT h.received_at, ni.interval_seconds, ni.rx_bps, ni.tx_bps, ni.rx_utilization, ni.tx_utilization, ni.counter_event
+      FROM network_interfaces ni JOIN heartbeats h ON h.id = ni.heartbeat_id
+      ORDER BY h.received_at
+    `);
+  }
+
+  test('should tell 32-bit wraps from counter resets', () => {
+    expect(counterIncrease(5000, 1000)).toEqual({ bytes: 4000, event: null });
+
+    // Wrapped past 4 GiB: fits what a gigabit link carries in a minute
+    expect(counterIncrease(1000, COUNTER_32 - 1000, 7.5e9)).toEqual({ bytes: 2000, event: 'wrap' });
+    expect(counterIncrease(1000, COUNTER_32 - 1000)).toEqual({ bytes: 2000, event: 'wrap' });
+
+    // Rebooted: counting again from zero
+    expect(counterIncrease(1000, 50000)).toEqual({ bytes: 1000, event: 'reset' });
+    expect(counterIncrease(1000, 50000, 7.5e9)).toEqual({ bytes: 1000, event: 'reset' });
+    expect(counterIncrease(1000, COUNTER_32 - 1000, 1000)).toEqual({ bytes: 1000, event: 'reset' });
+    expect(counterIncrease(1000, 6e12, 7.5e9)).toEqual({ bytes: 1000, event: 'reset' });
+  });
+
+  test('should store bits per second and utilization at ingest', () => {
+    sample(NOW - 120, 0, 0);
+    sample(NOW - 60, 750e6, 75e6);   // 100 Mbit/s in, 10 Mbit/s out
+    sample(NOW, 750e6 + 7.5e9, 75e6); // link full
+
+    expect(rates()).toEqual([
+      { received_at: NOW - 120, interval_seconds: null, rx_bps: null, tx_bps: null, rx_utilization: null, tx_utilization: null, counter_event: null },
+      { received_at: NOW - 60, interval_seconds: 60, rx_bps: 100e6, tx_bps: 10e6, rx_utilization: 10, tx_utilization: 1, counter_event: null },
+      { received_at: NOW, interval_seconds: 60, rx_bps: 1e9, tx_bps: 0, rx_utilization: 100, tx_utilization: 0, counter_event: null }
+    ]);
+
+    // No link speed: rates but no utilization
+    expect(interfaceRate({ received_at: 10, rx_bytes: 100, tx_bytes: 0, max_speed_mbps: 0 }, { received_at: 0, rx_bytes: 0, tx_bytes: 0 }))
+      .toMatchObject({ rx_bps: 80, rx_utilization: null });
+  });
+
+  test('should recompute the next sample when a heartbeat is backfilled between two', () => {
+    sample(NOW - 120, 0, 0);
+    sample(NOW, 1.5e9, 0);
+    expect(rates()[1]).toMatchObject({ interval_seconds: 120, rx_bps: 100e6 });
+
+    sample(NOW - 60, 1.2e9, 0);
+
+    expect(rates().map(({ interval_seconds, rx_bps }) => ({ interval_seconds, rx_bps }))).toEqual([
+      { interval_seconds: null, rx_bps: null },
+      { interval_seconds: 60, rx_bps: 160e6 },
+      { interval_seconds: 60, rx_bps: 40e6 }
+    ]);
+  });
+
+  test('should look for a next sample only for backfilled heartbeats, through the indexes', () => {
+    const exec = jest.spyOn(db, 'exec');
+    const nextLookups = () => exec.mock.calls.filter(([sql]) => sql.includes('h.received_at > ?')).length;
+
+    sample(NOW - 120, 0, 0);
+    sample(NOW, 1.5e9, 0);
+    expect(nextLookups()).toBe(0);
+
+    sample(NOW - 60, 1.2e9, 0);
+    expect(nextLookups()).toBe(1);
+
+    const [lookup] = exec.mock.calls.find(([sql]) => sql.includes('h.received_at > ?'));
+    exec.mockRestore();
+    const plan = rows(`EXPLAIN QUERY PLAN ${lookup.replace(/\?/g, "'x'")}`).map(row => row.detail);
+    expect(plan).toEqual([
+      expect.stringContaining('COVERING INDEX idx_heartbeats_device_received'),
+      expect.stringContaining('INDEX idx_interfaces_heartbeat_name (heartbeat_id=? AND interface_name=?)')
+    ]);
+  });
+
+  test('should fill the rates of stored samples in the migration', () => {
+    db.close();
+    db = new SQL.Database();
+    runMigrations(db, heartbeatMigrations.slice(0, 8), 'heartbeats');
+    for (const [receivedAt, rx] of [[NOW - 120, COUNTER_32 - 1000], [NOW - 60, 1000], [NOW, 500]]) {
+      db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at) VALUES (?, ?, ?)', ['WEB-01', receivedAt, receivedAt]);
+      db.run(`INSERT INTO network_interfaces (heartbeat_id, interface_name, ip_address, rx_bytes, tx_bytes, max_speed_mbps)
+              VALUES (last_insert_rowid(), 'eth0', '10.0.0.1', ?, 0, ?)`, [rx, GBIT]);
+    }
+
+    runMigrations(db, heartbeatMigrations, 'heartbeats');
+
+    expect(rates().map(({ rx_bps, counter_event }) => ({ rx_bps, counter_event }))).toEqual([
+      { rx_bps: null, counter_event: null },
+      { rx_bps: Math.round(2000 * 8 / 60), counter_event: 'wrap' },
+      { rx_bps: Math.round(500 * 8 / 60), counter_event: 'reset' }
+    ]);
+  });
+
+  test('should report interfaces saturated for the last few samples', () => {
+    sample(NOW - 240, 0, 0);
+    sample(NOW - 180, 7e9, 0);        // 93%
+    sample(NOW - 120, 14e9, 0);
+    sample(NOW - 60, 21e9, 0);
+    sample(NOW - 240, 0, 0, { device: 'WEB-02' });
+    sample(NOW - 180, 7e9, 0, { device: 'WEB-02' });
+    sample(NOW - 120, 7.1e9, 0, { device: 'WEB-02' }); // dropped to 1%
+    sample(NOW - 60, 14e9, 0, { device: 'WEB-02' });
+
+    expect(findSaturatedInterfaces(db, { thresholdPercent: 90, samples: 3 })).toEqual([{
+      device_name: 'WEB-01',
+      interface_name: 'eth0',
+      direction: 'rx',
+      rx_utilization: 93.33,
+      tx_utilization: 0,
+      max_speed_mbps: GBIT,
+      since: NOW - 180
+    }]);
+    expect(findSaturatedInterfaces(db, { thresholdPercent: 95, samples: 3 })).toEqual([]);
+    expect(findSaturatedInterfaces(db, { thresholdPercent: 90, samples: 1 }).map(entry => entry.device_name)).toEqual(['WEB-01', 'WEB-02']);
+  });
+});
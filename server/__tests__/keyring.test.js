@@ -0,0 +1,168 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createKeyEntry,
+  keyIdFor,
+  loadKeyring,
+  readKeyring,
+  writeKeyring,
+  getPrimaryKeyEntry,
+  reloadKeyringIfChanged
+} from '../keyring.js';
+import { openEnvelope } from '../envelope.js';
+import { sealMessage } from '../../client/envelope.js';
+
+const { decodeBase64, decodeUTF8, encodeBase64 } = util;
+
+describe('Key Ring', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'keyring-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function legacyPacket(message, key, nonce = nacl.randomBytes(nacl.secretbox.nonceLength)) {
+    const encrypted = nacl.secretbox(decodeUTF8(JSON.stringify(message)), nonce, key);
+    const packet = new Uint8Array(nonce.length + encrypted.length);
+    packet.set(nonce);
+    packet.set(encrypted, nonce.length);
+    return Buffer.from(packet);
+  }
+
+  describe('Key IDs', () => {
+    test('should derive a stable 8-character hex ID', () => {
+      const key = nacl.randomBytes(nacl.secretbox.keyLength);
+      expect(keyIdFor(key)).toMatch(/^[0-9a-f]{8}$/);
+      expect(keyIdFor(key)).toBe(keyIdFor(key));
+    });
+
+    test('should match the ID embedded by agents', () => {
+      const entry = createKeyEntry();
+      const packet = sealMessage({ name: 'TEST-DEVICE' }, decodeBase64(entry.key));
+      expect(packet[0]).toBe(1);
+      expect(packet.slice(2, 6).toString('hex')).toBe(entry.id);
+    });
+  });
+
+  describe('Loading', () => {
+    test('should treat a lone secret.key as a single active key', () => {
+      const key = nacl.randomBytes(nacl.secretbox.keyLength);
+      writeFileSync(join(dir, 'secret.key'), encodeBase64(key));
+
+      const ring = readKeyring(dir);
+      expect(ring.keys).toHaveLength(1);
+      expect(ring.keys[0].state).toBe('active');
+      expect(ring.keys[0].id).toBe(keyIdFor(key));
+    });
+
+    test('should write the newest active key to secret.key', () => {
+      const old = { ...createKeyEntry('accept-only'), created_at: 100 };
+      const current = { ...createKeyEntry('active'), created_at: 200 };
+      writeKeyring(dir, [old, current]);
+
+      expect(getPrimaryKeyEntry([old, current]).id).toBe(current.id);
+      expect(readFileSync(join(dir, 'secret.key'), 'utf8')).toBe(current.key);
+      expect(readKeyring(dir).keys.map(k => k.id)).toEqual([old.id, current.id]);
+    });
+
+    test('should reject a key ring with only retired keys', () => {
+      writeKeyring(dir, [createKeyEntry('retired')]);
+      expect(() => loadKeyring([dir])).toThrow('No active or accept-only keys');
+    });
+
+    test('should reject a key whose ID does not match', () => {
+      const entry = { ...createKeyEntry(), id: 'deadbeef' };
+      writeFileSync(join(dir, 'keyring.json'), JSON.stringify({ keys: [entry] }));
+      expect(() => readKeyring(dir)).toThrow('does not match');
+    });
+
+    test('should reload when keyring.json changes', () => {
+      const first = createKeyEntry('active');
+      writeKeyring(dir, [first]);
+      loadKeyring([dir]);
+
+      const second = createKeyEntry('active');
+      writeKeyring(dir, [{ ...first, state: 'accept-only' }, second]);
+      const future = new Date(Date.now() + 10000);
+      utimesSync(join(dir, 'keyring.json'), future, future);
+
+      expect(reloadKeyringIfChanged()).toBe(true);
+      expect(reloadKeyringIfChanged()).toBe(false);
+    });
+  });
+
+  describe('Opening Envelopes', () => {
+    let active;
+    let acceptOnly;
+    let retired;
+
+    beforeEach(() => {
+      active = createKeyEntry('active');
+      acceptOnly = createKeyEntry('accept-only');
+      retired = createKeyEntry('retired');
+      writeKeyring(dir, [active, acceptOnly, retired]);
+      loadKeyring([dir]);
+    });
+
+    test('should open packets sealed with an active key', () => {
+      const packet = sealMessage({ name: 'TEST-DEVICE' }, decodeBase64(active.key));
+      const result = openEnvelope(packet);
+
+      expect(result.message.name).toBe('TEST-DEVICE');
+      expect(result.keyId).toBe(active.id);
+      expect(result.legacy).toBe(false);
+    });
+
+    test('should still accept packets sealed with an accept-only key', () => {
+      const packet = sealMessage({ name: 'OLD-AGENT' }, decodeBase64(acceptOnly.key));
+      expect(openEnvelope(packet).keyId).toBe(acceptOnly.id);
+    });
+
+    test('should reject packets sealed with a retired key', () => {
+      const packet = sealMessage({ name: 'RETIRED' }, decodeBase64(retired.key));
+      expect(() => openEnvelope(packet)).toThrow(`Key ${retired.id} is retired`);
+    });
+
+    test('should accept legacy packets without a key ID header', () => {
+      const packet = legacyPacket({ name: 'LEGACY' }, decodeBase64(acceptOnly.key));
+      const result = openEnvelope(packet);
+
+      expect(result.message.name).toBe('LEGACY');
+      expect(result.keyId).toBe(acceptOnly.id);
+      expect(result.legacy).toBe(true);
+    });
+
+    test('should accept legacy packets whose nonce looks like an agent or enrollment header', () => {
+      // Random nonces start with 01 01, 01 02 or 01 05 about once in 22000 packets
+      for (const prefix of ['0101', '0102', '0105']) {
+        const nonce = Buffer.from(`${prefix}deadbeef${'00'.repeat(18)}`, 'hex');
+        const result = openEnvelope(legacyPacket({ name: 'LEGACY' }, decodeBase64(active.key), nonce));
+
+        expect(result.message.name).toBe('LEGACY');
+        expect(result.legacy).toBe(true);
+        expect(result.nonce).toBe(nonce.toString('hex'));
+      }
+
+      // Anything else with that header still fails as the envelope it claims to be
+      const unknownAgent = Buffer.concat([Buffer.from('0101deadbeef', 'hex'), nacl.randomBytes(64)]);
+      expect(() => openEnvelope(unknownAgent)).toThrow('Unknown agent deadbeef');
+    });
+
+    test('should reject packets sealed with an unknown key', () => {
+      const packet = sealMessage({ name: 'ATTACKER' }, nacl.randomBytes(nacl.secretbox.keyLength));
+      expect(() => openEnvelope(packet)).toThrow('Decryption failed');
+    });
+
+    test('should reject packets that are too short', () => {
+      expect(() => openEnvelope(Buffer.alloc(10))).toThrow('Packet too short');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { locationFilter, getLocationSummary } from '../locations.js';
+import { updateDeviceCurrent, updatePingTargetCurrent, updateMonitoringTargetCurrent } from '../current-state.js';
+import { runMigrations } from '../schema-migrations.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+
+/**
+ * Location Tests
+ *
+ * Filters and the per-site summary behind /api/locations, against the columns
+ * db.js and unifi-db.js add for location/sublocation.
+ */
+describe('Locations', () => {
+  const NOW = 1_800_000_000;
+  let db;
+  let unifiDb;
+
+  beforeEach(async () => {
+    const SQL = await initSqlJs();
+    db = new SQL.Database();
+    unifiDb = new SQL.Database();
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    runMigrations(db, heartbeatMigrations, 'heartbeats');
+    console.log.mockRestore();
+
+    unifiDb.run(`
+      CREATE TABLE unifi_client_states (
+        mac TEXT PRIMARY KEY,
+        is_connected INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL,
+        location TEXT,
+        sublocation TEXT
+      )
+    `);
+  });
+
+  afterEach(() => {
+    db.close();
+    unifiDb.close();
+  });
+
+  // Stored the way db.js stores them, current-state tables included
+  function heartbeat(name, receivedAt, location = null, sublocation = null) {
+    db.run(`INSERT INTO heartbeats (device_name, device_timestamp, received_at, location, sublocation) VALUES (?, ?, ?, ?, ?)`,
+      [name, receivedAt, receivedAt, location, sublocation]);
+    updateDeviceCurrent(db, { deviceName: name, receivedAt, location, sublocation });
+  }
+
+  function lastId() {
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  }
+
+  function ping(ip, status, receivedAt, location, sublocation) {
+    db.run(`INSERT INTO ping_results (monitor_name, target_ip, status, timestamp, received_at, location, sublocation) VALUES ('PING-01', ?, ?, ?, ?, ?, ?)`,
+      [ip, status, receivedAt, receivedAt, location, sublocation]);
+    updatePingTargetCurrent(db, lastId());
+  }
+
+  function monitoring(type, identifier, status, receivedAt, location, sublocation) {
+    db.run(`INSERT INTO monitoring_results (monitor_name, target_type, target_identifier, status, timestamp, received_at, location, sublocation) VALUES ('MON-01', ?, ?, ?, ?, ?, ?, ?)`,
+      [type, identifier, status, receivedAt, receivedAt, location, sublocation]);
+    updateMonitoringTargetCurrent(db, lastId());
+  }
+
+  describe('Filters', () => {
+    test('should build no condition without location parameters', () => {
+      expect(locationFilter({ limit: '10' }, 'p')).toEqual({ where: '', conditions: [], params: [] });
+    });
+
+    test('should filter on location and sublocation', () => {
+      expect(locationFilter({ location: 'Main Office', sublocation: 'Server Room' }, 'p')).toEqual({
+        where: 'WHERE p.location = ? AND p.sublocation = ?',
+        conditions: ['p.location = ?', 'p.sublocation = ?'],
+        params: ['Main Office', 'Server Room']
+      });
+    });
+
+    test('should match rows without a location for an empty value', () => {
+      expect(locationFilter({ location: '' }, 'cs')).toEqual({ where: 'WHERE cs.location IS NULL', conditions: ['cs.location IS NULL'], params: [] });
+    });
+
+    test('should select devices by the location of their latest heartbeat', () => {
+      heartbeat('WEB-01', NOW - 600, 'Branch-NYC', 'Floor 2');
+      heartbeat('WEB-01', NOW - 60, 'Main Office', 'Server Room');
+      heartbeat('WEB-02', NOW - 60, 'Branch-NYC', 'Floor 2');
+
+      const filter = locationFilter({ location: 'Main Office' }, 'd');
+      const result = db.exec(`
+        SELECT device_name, location, sublocation, last_seen
+        FROM device_current d
+        ${filter.where}
+      `, filter.params);
+
+      expect(result[0].values).toEqual([['WEB-01', 'Main Office', 'Server Room', NOW - 60]]);
+    });
+  });
+
+  describe('Summary', () => {
+    test('should count what is online and offline at each site', () => {
+      heartbeat('WEB-01', NOW - 60, 'Main Office', 'Server Room');
+      heartbeat('WEB-02', NOW - 3600, 'Main Office', 'Server Room');
+      heartbeat('NYC-01', NOW - 60, 'Branch-NYC', 'Floor 2');
+      heartbeat('OLD-AGENT', NOW - 60);
+
+      ping('10.0.0.1', 'offline', NOW - 120, 'Main Office', 'Server Room');
+      ping('10.0.0.1', 'online', NOW - 60, 'Main Office', 'Server Room');
+      ping('10.0.0.2', 'offline', NOW - 60, 'Main Office', 'Server Room');
+      monitoring('web', 'https://example.com', 'online', NOW - 60, 'Branch-NYC', 'Floor 2');
+      monitoring('file', '/data/backup.zip', 'missing', NOW - 30, 'Branch-NYC', 'Floor 2');
+      unifiDb.run(`INSERT INTO unifi_client_states (mac, is_connected, last_seen, location, sublocation) VALUES
+        ('aa:bb:cc:dd:ee:01', 1, ${NOW - 10}, 'Branch-NYC', 'Floor 2'),
+        ('aa:bb:cc:dd:ee:02', 0, ${NOW - 900}, 'Branch-NYC', 'Floor 2')`);
+
+      const sites = getLocationSummary({ db, unifiDb, onlineThreshold: 300, now: NOW });
+
+      expect(sites.map(site => [site.location, site.sublocation])).toEqual([
+        ['Branch-NYC', 'Floor 2'],
+        ['Main Office', 'Server Room'],
+        [null, null]
+      ]);
+
+      expect(sites[0]).toMatchObject({
+        online: 3,
+        offline: 2,
+        last_seen: NOW - 10,
+        devices: { total: 1, online: 1, offline: 0 },
+        monitoring_targets: { total: 2, online: 1, offline: 1 },
+        unifi_clients: { total: 2, online: 1, offline: 1 }
+      });
+      expect(sites[1]).toMatchObject({
+        online: 2,
+        offline: 2,
+        devices: { total: 2, online: 1, offline: 1 },
+        ping_targets: { total: 2, online: 1, offline: 1 }
+      });
+      expect(sites[2].devices).toEqual({ total: 1, online: 1, offline: 0 });
+    });
+
+    test('should work without the UniFi database', () => {
+      heartbeat('WEB-01', NOW - 60, 'Main Office');
+
+      const [site] = getLocationSummary({ db, onlineThreshold: 300, now: NOW });
+      expect(site).toMatchObject({ location: 'Main Office', sublocation: null, unifi_clients: { total: 0 } });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { runMigrations, getMigrationStatus, addColumn, hasColumn } from '../schema-migrations.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+import unifiMigrations from '../migrations/unifi/index.js';
+
+/**
+ * Schema Migration Tests
+ *
+ * Numbered migrations for both databases: applied once each, in order, in a
+ * transaction, recorded in schema_migrations - and startup stops on failure.
+ */
+describe('Schema migrations', () => {
+  let SQL;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    db = new SQL.Database();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  function tables() {
+    return db.exec("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")[0].values.map(row => row[0]);
+  }
+
+  function recorded() {
+    return db.exec('SELECT version, name FROM schema_migrations ORDER BY version')[0]?.values || [];
+  }
+
+  test('should build the full heartbeats schema on a new database', () => {
+    const applied = runMigrations(db, heartbeatMigrations, 'heartbeats');
+
+    expect(applied).toHaveLength(heartbeatMigrations.length);
+    expect(tables()).toEqual(expect.arrayContaining([
+      'heartbeats', 'network_interfaces', 'ping_results', 'ingest_rejections', 'heartbeat_rollups', 'rollup_progress', 'device_current', 'schema_migrations'
+    ]));
+    expect(hasColumn(db, 'heartbeats', 'delivery_retries')).toBe(true);
+    expect(hasColumn(db, 'monitoring_results', 'sublocation')).toBe(true);
+    expect(hasColumn(db, 'network_interfaces', 'ipv6_addresses')).toBe(true);
+    expect(recorded().map(([version]) => version)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('should build the full UniFi schema on a new database', () => {
+    runMigrations(db, unifiMigrations, 'unifi');
+
+    expect(tables()).toEqual(expect.arrayContaining(['unifi_clients', 'unifi_client_states', 'unifi_client_rollups']));
+    expect(hasColumn(db, 'unifi_client_states', 'location')).toBe(true);
+    expect(recorded()).toEqual([[1, 'initial-schema'], [2, 'locations'], [3, 'rollups']]);
+  });
+
+  test('should only apply what is new on the next start', () => {
+    runMigrations(db, heartbeatMigrations.slice(0, 4), 'heartbeats');
+    expect(getMigrationStatus(db, heartbeatMigrations)).toMatchObject({ current: 4, latest: 9, pending: 5 });
+
+    const applied = runMigrations(db, heartbeatMigrations, 'heartbeats');
+    expect(applied.map(migration => migration.version)).toEqual([5, 6, 7, 8, 9]);
+    expect(runMigrations(db, heartbeatMigrations, 'heartbeats')).toEqual([]);
+  });
+
+  test('should adopt a database created before versioned migrations', () => {
+    // Already has the location columns, but not the delivery counters
+    db.run('CREATE TABLE heartbeats (id INTEGER PRIMARY KEY AUTOINCREMENT, device_name TEXT NOT NULL, device_timestamp INTEGER NOT NULL, received_at INTEGER NOT NULL, location TEXT, sublocation TEXT)');
+    db.run("INSERT INTO heartbeats (device_name, device_timestamp, received_at, location) VALUES ('WEB-01', 1, 2, 'Main Office')");
+
+    runMigrations(db, heartbeatMigrations, 'heartbeats');
+
+    expect(hasColumn(db, 'heartbeats', 'delivery_sent')).toBe(true);
+    expect(db.exec('SELECT device_name, location FROM heartbeats')[0].values).toEqual([['WEB-01', 'Main Office']]);
+    expect(getMigrationStatus(db, heartbeatMigrations).pending).toBe(0);
+  });
+
+  test('should roll back a failed migration and stop', () => {
+    const migrations = [
+      { version: 1, name: 'readings', up: database => database.run('CREATE TABLE readings (value INTEGER)') },
+      {
+        version: 2,
+        name: 'broken',
+        up: (database) => {
+          addColumn(database, 'readings', 'unit', 'TEXT');
+          database.run('ALTER TABLE missing ADD COLUMN unit TEXT');
+        }
+      }
+    ];
+
+    expect(() => runMigrations(db, migrations, 'test')).toThrow(/test migration 002 \(broken\) failed: no such table: missing/);
+    expect(recorded()).toEqual([[1, 'readings']]);
+    expect(hasColumn(db, 'readings', 'unit')).toBe(false);
+  });
+
+  test('should refuse a database from a newer server', () => {
+    runMigrations(db, heartbeatMigrations, 'heartbeats');
+    db.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (10, 'from-the-future', 0)");
+
+    expect(getMigrationStatus(db, heartbeatMigrations).unknown).toEqual([{ version: 10, name: 'from-the-future', applied_at: 0 }]);
+    expect(() => runMigrations(db, heartbeatMigrations, 'heartbeats')).toThrow('newer than this server knows (9)');
+  });
+
+  test('should reject gaps and duplicates in a migration list', () => {
+    const up = () => {};
+    expect(() => runMigrations(db, [{ version: 1, name: 'a', up }, { version: 3, name: 'b', up }], 'test')).toThrow('Invalid test migration list');
+    expect(() => runMigrations(db, [{ version: 1, name: 'a', up }, { version: 1, name: 'b', up }], 'test')).toThrow('Invalid test migration list');
+  });
+
+  test('should report nothing applied on a database without schema_migrations', () => {
+    const status = getMigrationStatus(db, unifiMigrations);
+
+    expect(status).toMatchObject({ current: 0, latest: 3, pending: 3, unknown: [] });
+    expect(status.migrations[0]).toEqual({ version: 1, name: 'initial-schema', applied_at: null });
+    expect(db.exec("SELECT name FROM sqlite_master")).toEqual([]); // status does not create anything
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { parsePage, fetchPage, encodeCursor, MAX_PAGE_SIZE } from '../pagination.js';
+import { updateDeviceCurrent } from '../current-state.js';
+import { locationFilter } from '../locations.js';
+import { runMigrations } from '../schema-migrations.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+
+/**
+ * Pagination Tests
+ *
+ * Keyset pages over the list and history tables: every row exactly once while new rows
+ * arrive, sorts and filters, and cursors that only work for the sort they came from.
+ */
+describe('Pagination', () => {
+  const NOW = 1800000000;
+  let SQL;
+  let db;
+
+  const DEVICES = {
+    sorts: {
+      name: ['d.device_name'],
+      last_seen: ['d.last_seen'],
+      location: ["COALESCE(d.location, '')"]
+    },
+    defaultSort: '-last_seen',
+    key: ['d.device_name'],
+    time: 'd.last_seen'
+  };
+  const HISTORY = { sorts: { time: ['received_at'] }, defaultSort: '-time', key: ['id'], filters: { device: 'device_name' } };
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = new SQL.Database();
+    runMigrations(db, heartbeatMigrations, 'heartbeats');
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.restoreAllMocks();
+  });
+
+  function heartbeat(name, receivedAt, location = null) {
+    db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at, location) VALUES (?, ?, ?, ?)', [name, receivedAt, receivedAt, location]);
+    updateDeviceCurrent(db, { deviceName: name, receivedAt, location });
+  }
+
+  function devices(query) {
+    const filter = locationFilter(query, 'd');
+    return fetchPage(db, {
+      select: 'device_name, location, last_seen',
+      from: 'device_current d',
+      conditions: filter.conditions,
+      params: filter.params
+    }, parsePage(query, DEVICES));
+  }
+
+  function history(query) {
+    return fetchPage(db, { select: 'id, device_name, received_at', from: 'heartbeats' }, parsePage(query, HISTORY));
+  }
+
+  test('should walk every row once with the cursor', () => {
+    // Several heartbeats in the same second: the id keeps their order stable
+    for (let i = 0; i < 7; i++) heartbeat(i % 2 ? 'WEB-01' : 'WEB-02', NOW - Math.floor(i / 3));
+
+    const first = history({ limit: '3' });
+    expect(first).toMatchObject({ total: 7, limit: 3 });
+    expect(first.rows.map(row => row.id)).toEqual([3, 2, 1]);
+    expect(Object.keys(first.rows[0])).toEqual(['id', 'device_name', 'received_at']);
+
+    // A heartbeat arriving between pages neither repeats nor skips a row
+    heartbeat('WEB-03', NOW + 60);
+
+    const second = history({ limit: '3', cursor: first.next_cursor });
+    const third = history({ limit: '3', cursor: second.next_cursor });
+    expect(second.rows.map(row => row.id)).toEqual([6, 5, 4]);
+    expect(third.rows.map(row => row.id)).toEqual([7]);
+    expect(third.next_cursor).toBeNull();
+
+    const ascending = history({ sort: 'time', device: 'WEB-01' });
+    expect(ascending.rows.map(row => row.id)).toEqual([4, 6, 2]);
+    expect(ascending).toMatchObject({ total: 3, next_cursor: null });
+  });
+
+  test('should sort, filter and limit by time with the total of every match', () => {
+    heartbeat('NYC-WEB-01', NOW - 60, 'NYC');
+    heartbeat('LON-WEB-01', NOW - 600, 'London');
+    heartbeat('WEB-01', NOW - 3600);
+    heartbeat('NYC-DB-01', NOW - 30, 'NYC');
+
+    expect(devices({}).rows.map(row => row.device_name)).toEqual(['NYC-DB-01', 'NYC-WEB-01', 'LON-WEB-01', 'WEB-01']);
+
+    const byLocation = devices({ sort: 'location', limit: '2' });
+    expect(byLocation.rows.map(row => row.device_name)).toEqual(['WEB-01', 'LON-WEB-01']);
+    expect(devices({ sort: 'location', limit: '2', cursor: byLocation.next_cursor }).rows.map(row => row.device_name))
+      .toEqual(['NYC-DB-01', 'NYC-WEB-01']);
+
+    const nyc = devices({ location: 'NYC', sort: '-name', limit: '1' });
+    expect(nyc).toMatchObject({ total: 2, rows: [{ device_name: 'NYC-WEB-01' }] });
+
+    const recent = devices({ from: String(NOW - 600), to: new Date((NOW - 30) * 1000).toISOString() });
+    expect(recent.rows.map(row => row.device_name)).toEqual(['NYC-WEB-01', 'LON-WEB-01']);
+    expect(recent.total).toBe(2);
+  });
+
+  test('should refuse what it cannot page by', () => {
+    expect(parsePage({ limit: '50000' }, DEVICES).limit).toBe(MAX_PAGE_SIZE);
+    expect(parsePage({}, { ...DEVICES, maxLimit: 10 }).limit).toBe(10);
+    expect(() => parsePage({ limit: '-5' }, DEVICES)).toThrow('limit must be a positive number');
+    expect(() => parsePage({ sort: 'ip' }, DEVICES)).toThrow('Unknown sort "ip" (use: name, last_seen, location, - prefix for descending)');
+    expect(() => parsePage({ cursor: 'not a cursor' }, DEVICES)).toThrow('Invalid cursor');
+    expect(() => parsePage({ cursor: encodeCursor('-last_seen', [NOW]) }, DEVICES)).toThrow('Invalid cursor');
+    expect(() => parsePage({ sort: 'name', cursor: encodeCursor('-last_seen', [NOW, 'WEB-01']) }, DEVICES))
+      .toThrow('Cursor was issued for sort "-last_seen", not "name"');
+    expect(() => parsePage({ from: 'yesterday' }, DEVICES)).toThrow('Invalid time: yesterday');
+    expect(() => parsePage({ from: NOW, to: NOW - 60 }, DEVICES)).toThrow('from must be before to');
+
+    expect(() => parsePage({ status: 'maybe' }, {
+      ...DEVICES,
+      filters: { status: value => { throw new Error(`Unknown status "${value}"`); } }
+    })).toThrow('Unknown status "maybe"');
+  });
+});
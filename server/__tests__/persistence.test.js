@@ -0,0 +1,230 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createPersister, closePersisters, getPersistenceStats, withTransaction, loadDatabase, listSnapshots } from '../persistence.js';
+
+/**
+ * Persistence Tests
+ *
+ * Write-behind saves of the sql.js databases: nothing is written per insert,
+ * dirty databases are flushed on the interval, the size threshold or shutdown.
+ * Saves are atomic, keep a few snapshots and damaged files fall back to them.
+ */
+describe('Persistence', () => {
+  let SQL;
+  let dir;
+  let db;
+  let path;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'persistence-test-'));
+    path = join(dir, 'test.sqlite3');
+    db = new SQL.Database();
+    db.run('CREATE TABLE readings (id INTEGER PRIMARY KEY AUTOINCREMENT, value INTEGER NOT NULL)');
+  });
+
+  afterEach(async () => {
+    await closePersisters();
+    db.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function insert(count) {
+    for (let i = 0; i < count; i++) db.run('INSERT INTO readings (value) VALUES (?)', [i]);
+  }
+
+  function savedRows() {
+    const saved = new SQL.Database(readFileSync(path));
+    const count = saved.exec('SELECT COUNT(*) FROM readings')[0].values[0][0];
+    saved.close();
+    return count;
+  }
+
+  test('should only write the database when rows changed', async () => {
+    const persister = createPersister({ name: 'test', path, getDb: () => db });
+
+    expect(await persister.flush()).toBe(false);
+    expect(existsSync(path)).toBe(false);
+
+    insert(3);
+    expect(persister.getStats()).toMatchObject({ pending_writes: 3, unsaved: true });
+
+    expect(await persister.flush()).toBe(true);
+    expect(savedRows()).toBe(3);
+    expect(persister.getStats()).toMatchObject({ pending_writes: 0, unsaved: false, flushes: 1 });
+
+    expect(await persister.flush()).toBe(false);
+    expect(await persister.flush({ force: true })).toBe(true);
+  });
+
+  test('should flush early once maxPendingWrites rows are waiting', async () => {
+    const persister = createPersister({ name: 'test', path, getDb: () => db, maxPendingWrites: 5 });
+
+    insert(4);
+    persister.touch();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(existsSync(path)).toBe(false);
+
+    insert(1);
+    persister.touch();
+    await new Promise(resolve => setImmediate(resolve));
+    await persister.flush(); // waits for the size-triggered flush
+    expect(savedRows()).toBe(5);
+    expect(persister.getStats().flushes).toBe(1);
+  });
+
+  test('should report size and flush latency', async () => {
+    const persister = createPersister({ name: 'test', path, getDb: () => db, flushIntervalSeconds: 10 });
+    insert(2);
+    await persister.flush();
+
+    const [stats] = getPersistenceStats();
+    expect(stats).toMatchObject({
+      name: 'test',
+      path,
+      size_bytes: readFileSync(path).length,
+      flush_interval_seconds: 10,
+      max_pending_writes: 500,
+      failures: 0,
+      last_error: null
+    });
+    expect(stats.last_flush_ms).toBeGreaterThanOrEqual(0);
+    expect(stats.avg_flush_ms).toBe(stats.last_flush_ms);
+    expect(stats.last_flush_at).toBeGreaterThan(0);
+  });
+
+  test('should keep changes unsaved after a failed write and retry them', async () => {
+    const missing = join(dir, 'missing', 'test.sqlite3');
+    const persister = createPersister({ name: 'test', path: missing, getDb: () => db });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    insert(2);
+
+    expect(await persister.flush()).toBe(false);
+    expect(persister.getStats()).toMatchObject({ failures: 1, unsaved: true, pending_writes: 0 });
+    expect(persister.getStats().last_error).toMatch('ENOENT');
+
+    mkdirSync(join(dir, 'missing'));
+    expect(await persister.flush()).toBe(true);
+    expect(persister.getStats()).toMatchObject({ unsaved: false, last_error: null });
+    console.error.mockRestore();
+  });
+
+  test('should write what is left on shutdown', async () => {
+    createPersister({ name: 'test', path, getDb: () => db });
+    insert(7);
+
+    await closePersisters();
+    expect(savedRows()).toBe(7);
+  });
+
+  test('should roll back a transaction when a statement fails', () => {
+    expect(() => withTransaction(db, () => {
+      insert(2);
+      db.run('INSERT INTO readings (value) VALUES (NULL)');
+    })).toThrow('NOT NULL');
+
+    expect(db.exec('SELECT COUNT(*) FROM readings')[0].values[0][0]).toBe(0);
+    expect(withTransaction(db, () => { insert(1); return 'done'; })).toBe('done');
+  });
+
+  describe('Crash safety', () => {
+    function countRows(database) {
+      return database.exec('SELECT COUNT(*) FROM readings')[0].values[0][0];
+    }
+
+    test('should replace the file atomically and keep the newest snapshots', async () => {
+      const persister = createPersister({ name: 'test', path, getDb: () => db, snapshots: 2, snapshotIntervalSeconds: 0 });
+
+      for (let i = 1; i <= 3; i++) {
+        insert(1);
+        await persister.flush();
+        await new Promise(resolve => setTimeout(resolve, 5)); // distinct snapshot names
+      }
+
+      expect(readdirSync(dir).sort()).toEqual(['snapshots', 'test.sqlite3']);
+      const snapshots = listSnapshots(path);
+      expect(snapshots).toHaveLength(2);
+      expect(snapshots[0]).toMatch(/snapshots\/test-\d{8}T\d{6}\.\d{3}Z\.sqlite3$/);
+      expect(snapshots.map(snapshot => countRows(new SQL.Database(readFileSync(snapshot))))).toEqual([3, 2]);
+      expect(persister.getStats()).toMatchObject({ snapshots: 2 });
+    });
+
+    test('should take snapshots no more often than snapshotIntervalSeconds', async () => {
+      const persister = createPersister({ name: 'test', path, getDb: () => db, snapshotIntervalSeconds: 3600 });
+      insert(1);
+      await persister.flush();
+      insert(1);
+      await persister.flush();
+
+      expect(listSnapshots(path)).toHaveLength(1);
+      expect(persister.getStats().last_snapshot_at).toBeGreaterThan(0);
+    });
+
+    describe('Loading', () => {
+      beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      async function saveWithSnapshots(...rowCounts) {
+        const persister = createPersister({ name: 'test', path, getDb: () => db, snapshotIntervalSeconds: 0 });
+        for (const rows of rowCounts) {
+          insert(rows);
+          await persister.flush();
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+      }
+
+      test('should load an intact file as is', async () => {
+        await saveWithSnapshots(4);
+
+        const loaded = loadDatabase(SQL, path);
+        expect(countRows(loaded)).toBe(4);
+        expect(console.error).not.toHaveBeenCalled();
+        loaded.close();
+      });
+
+      test('should fall back to the newest good snapshot when the file is damaged', async () => {
+        await saveWithSnapshots(2, 3);
+        writeFileSync(path, Buffer.from('half a database'));
+
+        const loaded = loadDatabase(SQL, path);
+        expect(countRows(loaded)).toBe(5);
+        loaded.close();
+
+        // The damaged file is kept aside and the restored copy is back in place
+        expect(readdirSync(dir).filter(file => file.startsWith('test-corrupt-'))).toHaveLength(1);
+        expect(countRows(new SQL.Database(readFileSync(path)))).toBe(5);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('IS DAMAGED'));
+      });
+
+      test('should skip damaged snapshots', async () => {
+        await saveWithSnapshots(2, 3);
+        writeFileSync(listSnapshots(path)[0], Buffer.alloc(4096));
+        writeFileSync(path, Buffer.alloc(0));
+
+        const loaded = loadDatabase(SQL, path);
+        expect(countRows(loaded)).toBe(2);
+        loaded.close();
+      });
+
+      test('should start empty, loudly, when nothing usable is left', () => {
+        writeFileSync(path, Buffer.alloc(0));
+
+        const loaded = loadDatabase(SQL, path);
+        expect(loaded.exec("SELECT name FROM sqlite_master WHERE type = 'table'")).toEqual([]);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('STARTING WITH AN EMPTY DATABASE'));
+        loaded.close();
+      });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  SEQUENCE_WINDOW,
+  checkReplay,
+  getReplayStats,
+  resetReplayGuard,
+  senderKeyFor
+} from '../replay-guard.js';
+import { createKeyEntry, loadKeyring, writeKeyring } from '../keyring.js';
+import { openEnvelope } from '../envelope.js';
+import { sealMessage } from '../../client/envelope.js';
+
+const { decodeBase64 } = util;
+const MAX_AGE = 300;
+
+describe('Replay Guard', () => {
+  beforeEach(() => {
+    resetReplayGuard();
+  });
+
+  function packet(seq, { session = 'aaaa', nonce = Buffer.from(nacl.randomBytes(24)).toString('hex') } = {}) {
+    return {
+      nonce,
+      sender: 'key:test:heartbeat:WEB-01',
+      message: { name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000), session, seq }
+    };
+  }
+
+  describe('Nonce Cache', () => {
+    test('should drop a packet whose nonce was already accepted', () => {
+      const first = packet(1);
+      expect(checkReplay(first, MAX_AGE)).toBeNull();
+      expect(checkReplay(first, MAX_AGE)).toBe('duplicate_nonce');
+    });
+
+    test('should drop a replayed legacy packet without a sequence number', () => {
+      const legacy = { nonce: 'ab'.repeat(24), sender: 'key:old', message: { name: 'OLD', timestamp: Math.floor(Date.now() / 1000) } };
+      expect(checkReplay(legacy, MAX_AGE)).toBeNull();
+      expect(checkReplay(legacy, MAX_AGE)).toBe('duplicate_nonce');
+    });
+
+    test('should catch replays of real envelopes', () => {
+      const entry = createKeyEntry('active');
+      const dir = mkdtempSync(join(tmpdir(), 'replay-test-'));
+      try {
+        writeKeyring(dir, [entry]);
+        loadKeyring([dir]);
+
+        const raw = sealMessage({ name: 'WEB-01', timestamp: Math.floor(Date.now() / 1000) }, decodeBase64(entry.key));
+        const check = () => {
+          const { message, keyId, agent, nonce } = openEnvelope(raw);
+          return checkReplay({ nonce, sender: senderKeyFor(message, keyId, agent), message }, MAX_AGE);
+        };
+
+        expect(check()).toBeNull();
+        expect(check()).toBe('duplicate_nonce');
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Sequence Numbers', () => {
+    test('should reject a sequence number already seen from the sender', () => {
+      expect(checkReplay(packet(1), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(2), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(2), MAX_AGE)).toBe('stale_sequence');
+    });
+
+    test('should accept packets reordered inside the window', () => {
+      expect(checkReplay(packet(5), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(3), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(4), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(3), MAX_AGE)).toBe('stale_sequence');
+    });
+
+    test('should reject sequence numbers that fell out of the window', () => {
+      expect(checkReplay(packet(1), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(1 + SEQUENCE_WINDOW), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(2), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(1 + SEQUENCE_WINDOW + 1), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(2), MAX_AGE)).toBe('stale_sequence');
+    });
+
+    test('should start a new window when the agent restarts', () => {
+      expect(checkReplay(packet(10), MAX_AGE)).toBeNull();
+      expect(checkReplay(packet(1, { session: 'bbbb' }), MAX_AGE)).toBeNull();
+    });
+
+    test('should track senders independently', () => {
+      expect(checkReplay(packet(1), MAX_AGE)).toBeNull();
+      expect(checkReplay({ ...packet(1), sender: 'agent:1234abcd' }, MAX_AGE)).toBeNull();
+    });
+  });
+
+  describe('Statistics', () => {
+    test('should count rejections per reason and per sender', () => {
+      const first = packet(1);
+      checkReplay(first, MAX_AGE);
+      checkReplay(first, MAX_AGE);
+      checkReplay(packet(1), MAX_AGE);
+
+      const stats = getReplayStats();
+      expect(stats.total_rejected).toBe(2);
+      expect(stats.duplicate_nonce).toBe(1);
+      expect(stats.stale_sequence).toBe(1);
+      expect(stats.senders).toEqual([
+        expect.objectContaining({ sender: 'key:test:heartbeat:WEB-01', rejected: 2, last_reason: 'stale_sequence' })
+      ]);
+    });
+
+    test('should key enrolled agents by agent ID', () => {
+      expect(senderKeyFor({ name: 'WEB-01' }, '1234abcd', { id: '1234abcd' })).toBe('agent:1234abcd');
+      expect(senderKeyFor({ type: 'ping', name: 'P-01' }, 'deadbeef', null)).toBe('key:deadbeef:ping:P-01');
+    });
+  });
+});
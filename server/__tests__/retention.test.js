@@ -0,0 +1,292 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { runRetention, resolveRetention, historyResolution, DEFAULT_RETENTION } from '../retention.js';
+
+/**
+ * Retention Tests
+ *
+ * Hourly/daily rollups and pruning (server/retention.js), against the raw and
+ * rollup tables db.js and unifi-db.js create.
+ */
+describe('Retention', () => {
+  const HOUR = 3600;
+  const DAY = 86400;
+  const TODAY = 20833 * DAY; // a UTC midnight
+  const NOW = TODAY + 10 * HOUR + 1800;
+
+  let SQL;
+  let db;
+  let unifiDb;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    db = new SQL.Database();
+    unifiDb = new SQL.Database();
+
+    db.run(`CREATE TABLE heartbeats (id INTEGER PRIMARY KEY AUTOINCREMENT, device_name TEXT NOT NULL, received_at INTEGER NOT NULL)`);
+    db.run(`CREATE TABLE device_current (device_name TEXT PRIMARY KEY, heartbeat_count INTEGER NOT NULL)`);
+    db.run(`
+      CREATE TABLE network_interfaces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        heartbeat_id INTEGER NOT NULL,
+        interface_name TEXT NOT NULL,
+        rx_bytes INTEGER,
+        tx_bytes INTEGER,
+        max_speed_mbps INTEGER,
+        rx_bps INTEGER,
+        tx_bps INTEGER
+      )
+    `);
+    db.run(`
+      CREATE TABLE ping_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_ip TEXT NOT NULL,
+        target_name TEXT,
+        status TEXT NOT NULL,
+        response_time_ms REAL,
+        received_at INTEGER NOT NULL
+      )
+    `);
+    db.run(`
+      CREATE TABLE monitoring_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_type TEXT NOT NULL,
+        target_identifier TEXT NOT NULL,
+        target_name TEXT,
+        status TEXT NOT NULL,
+        response_time_ms INTEGER,
+        received_at INTEGER NOT NULL
+      )
+    `);
+    db.run(`
+      CREATE TABLE heartbeat_rollups (
+        period TEXT NOT NULL, bucket INTEGER NOT NULL, device_name TEXT NOT NULL,
+        heartbeats INTEGER NOT NULL, first_seen INTEGER NOT NULL, last_seen INTEGER NOT NULL,
+        PRIMARY KEY (period, bucket, device_name)
+      )
+    `);
+    db.run(`
+      CREATE TABLE interface_rollups (
+        period TEXT NOT NULL, bucket INTEGER NOT NULL, device_name TEXT NOT NULL, interface_name TEXT NOT NULL,
+        samples INTEGER NOT NULL, rx_bytes_delta INTEGER NOT NULL, tx_bytes_delta INTEGER NOT NULL, max_speed_mbps INTEGER,
+        max_rx_bps INTEGER, max_tx_bps INTEGER,
+        PRIMARY KEY (period, bucket, device_name, interface_name)
+      )
+    `);
+    db.run(`
+      CREATE TABLE ping_rollups (
+        period TEXT NOT NULL, bucket INTEGER NOT NULL, target_ip TEXT NOT NULL, target_name TEXT,
+        checks INTEGER NOT NULL, online INTEGER NOT NULL, min_ms REAL, avg_ms REAL, max_ms REAL, latency_samples INTEGER NOT NULL,
+        PRIMARY KEY (period, bucket, target_ip)
+      )
+    `);
+    db.run(`
+      CREATE TABLE monitoring_rollups (
+        period TEXT NOT NULL, bucket INTEGER NOT NULL, target_type TEXT NOT NULL, target_identifier TEXT NOT NULL, target_name TEXT,
+        checks INTEGER NOT NULL, up INTEGER NOT NULL, min_ms REAL, avg_ms REAL, max_ms REAL, latency_samples INTEGER NOT NULL,
+        PRIMARY KEY (period, bucket, target_type, target_identifier)
+      )
+    `);
+    db.run(`CREATE TABLE rollup_progress (source TEXT PRIMARY KEY, last_id INTEGER NOT NULL, pruned_before INTEGER)`);
+
+    unifiDb.run(`
+      CREATE TABLE unifi_clients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mac TEXT NOT NULL,
+        hostname TEXT,
+        rx_bytes INTEGER,
+        tx_bytes INTEGER,
+        signal INTEGER,
+        received_at INTEGER NOT NULL
+      )
+    `);
+    unifiDb.run(`
+      CREATE TABLE unifi_client_rollups (
+        period TEXT NOT NULL, bucket INTEGER NOT NULL, mac TEXT NOT NULL, hostname TEXT,
+        samples INTEGER NOT NULL, rx_bytes_delta INTEGER NOT NULL, tx_bytes_delta INTEGER NOT NULL,
+        min_signal INTEGER, avg_signal REAL, max_signal INTEGER, signal_samples INTEGER NOT NULL,
+        PRIMARY KEY (period, bucket, mac)
+      )
+    `);
+    unifiDb.run(`CREATE TABLE rollup_progress (source TEXT PRIMARY KEY, last_id INTEGER NOT NULL, pruned_before INTEGER)`);
+  });
+
+  afterEach(() => {
+    db.close();
+    unifiDb.close();
+  });
+
+  function rows(database, sql, params = []) {
+    const result = database.exec(sql, params);
+    if (!result.length) return [];
+    const { columns, values } = result[0];
+    return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+  }
+
+  function ping(ip, status, ms, receivedAt) {
+    db.run(`INSERT INTO ping_results (target_ip, target_name, status, response_time_ms, received_at) VALUES (?, ?, ?, ?, ?)`,
+      [ip, `host-${ip}`, status, ms, receivedAt]);
+  }
+
+  function heartbeat(name, receivedAt, rx, tx) {
+    db.run(`INSERT INTO heartbeats (device_name, received_at) VALUES (?, ?)`, [name, receivedAt]);
+    db.run(`INSERT INTO device_current (device_name, heartbeat_count) VALUES (?, 1)
+      ON CONFLICT (device_name) DO UPDATE SET heartbeat_count = heartbeat_count + 1`, [name]);
+    const id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    db.run(`INSERT INTO network_interfaces (heartbeat_id, interface_name, rx_bytes, tx_bytes, max_speed_mbps) VALUES (?, 'eth0', ?, ?, 1000)`,
+      [id, rx, tx]);
+  }
+
+  describe('Rollups', () => {
+    test('should aggregate ping results per hour and day', () => {
+      ping('10.0.0.1', 'online', 10, TODAY + 8 * HOUR + 60);
+      ping('10.0.0.1', 'online', 30, TODAY + 8 * HOUR + 120);
+      ping('10.0.0.1', 'offline', null, TODAY + 8 * HOUR + 180);
+      ping('10.0.0.1', 'online', 50, TODAY + 9 * HOUR + 60);
+
+      runRetention({ db, now: NOW });
+
+      expect(rows(db, `SELECT bucket, checks, online, min_ms, avg_ms, max_ms FROM ping_rollups WHERE period = 'hour' ORDER BY bucket`)).toEqual([
+        { bucket: TODAY + 8 * HOUR, checks: 3, online: 2, min_ms: 10, avg_ms: 20, max_ms: 30 },
+        { bucket: TODAY + 9 * HOUR, checks: 1, online: 1, min_ms: 50, avg_ms: 50, max_ms: 50 }
+      ]);
+      expect(rows(db, `SELECT bucket, target_name, checks, online, min_ms, avg_ms, max_ms FROM ping_rollups WHERE period = 'day'`)).toEqual([
+        { bucket: TODAY, target_name: 'host-10.0.0.1', checks: 4, online: 3, min_ms: 10, avg_ms: 30, max_ms: 50 }
+      ]);
+    });
+
+    test('should count monitoring results with status ok or online as up', () => {
+      db.run(`INSERT INTO monitoring_results (target_type, target_identifier, status, response_time_ms, received_at) VALUES
+        ('web', 'https://example.com', 'online', 120, ${TODAY + 60}),
+        ('web', 'https://example.com', 'offline', NULL, ${TODAY + 120}),
+        ('file', '/data/backup.zip', 'OK', NULL, ${TODAY + 60})`);
+
+      runRetention({ db, now: NOW });
+
+      expect(rows(db, `SELECT target_type, checks, up, avg_ms FROM monitoring_rollups WHERE period = 'hour' ORDER BY target_type`)).toEqual([
+        { target_type: 'file', checks: 1, up: 1, avg_ms: null },
+        { target_type: 'web', checks: 2, up: 1, avg_ms: 120 }
+      ]);
+    });
+
+    test('should add up interface byte deltas across hours and counter resets', () => {
+      heartbeat('WEB-01', TODAY + 7 * HOUR + 3000, 1000, 100);
+      heartbeat('WEB-01', TODAY + 8 * HOUR + 600, 1500, 150);   // +500 since the previous hour
+      heartbeat('WEB-01', TODAY + 8 * HOUR + 1200, 300, 30);    // rebooted: counters restarted
+      heartbeat('WEB-01', TODAY + 8 * HOUR + 1800, 800, 80);
+
+      runRetention({ db, now: NOW });
+
+      expect(rows(db, `SELECT bucket, samples, rx_bytes_delta, tx_bytes_delta FROM interface_rollups WHERE period = 'hour' ORDER BY bucket`)).toEqual([
+        { bucket: TODAY + 7 * HOUR, samples: 1, rx_bytes_delta: 0, tx_bytes_delta: 0 },
+        { bucket: TODAY + 8 * HOUR, samples: 3, rx_bytes_delta: 1300, tx_bytes_delta: 130 }
+      ]);
+      expect(rows(db, `SELECT heartbeats, first_seen, last_seen FROM heartbeat_rollups WHERE period = 'day'`)).toEqual([
+        { heartbeats: 4, first_seen: TODAY + 7 * HOUR + 3000, last_seen: TODAY + 8 * HOUR + 1800 }
+      ]);
+    });
+
+    test('should roll up UniFi snapshots in the UniFi database', () => {
+      unifiDb.run(`INSERT INTO unifi_clients (mac, hostname, rx_bytes, tx_bytes, signal, received_at) VALUES
+        ('aa:bb:cc:dd:ee:01', 'phone', 100, 10, -70, ${TODAY + 60}),
+        ('aa:bb:cc:dd:ee:01', 'phone', 400, 40, -50, ${TODAY + 120})`);
+
+      const summary = runRetention({ db, unifiDb, now: NOW });
+
+      expect(summary.rolled_up.unifi_clients).toBe(1);
+      expect(rows(unifiDb, `SELECT samples, rx_bytes_delta, tx_bytes_delta, min_signal, avg_signal, max_signal FROM unifi_client_rollups WHERE period = 'day'`)).toEqual([
+        { samples: 2, rx_bytes_delta: 300, tx_bytes_delta: 30, min_signal: -70, avg_signal: -60, max_signal: -50 }
+      ]);
+    });
+
+    test('should only recompute hours that received new rows, including backfilled ones', () => {
+      ping('10.0.0.1', 'online', 10, TODAY + 8 * HOUR + 60);
+      expect(runRetention({ db, now: NOW }).rolled_up.ping_results).toBe(1);
+      expect(runRetention({ db, now: NOW }).rolled_up.ping_results).toBe(0);
+
+      // An agent's spool delivers an older result later
+      ping('10.0.0.1', 'offline', null, TODAY + 8 * HOUR + 90);
+      expect(runRetention({ db, now: NOW }).rolled_up.ping_results).toBe(1);
+
+      expect(rows(db, `SELECT checks, online FROM ping_rollups WHERE period = 'hour'`)).toEqual([{ checks: 2, online: 1 }]);
+    });
+  });
+
+  describe('Pruning', () => {
+    test('should delete raw rows past their retention in whole days and keep the rollups', () => {
+      const retention = resolveRetention({ heartbeats: 2, ping_results: 2 });
+      heartbeat('WEB-01', TODAY - 3 * DAY + HOUR, 1000, 100);
+      heartbeat('WEB-01', TODAY - 2 * DAY + HOUR, 2000, 200);
+      heartbeat('WEB-01', TODAY + HOUR, 3000, 300);
+      ping('10.0.0.1', 'online', 10, TODAY - 2 * DAY - 60);
+
+      const summary = runRetention({ db, retention, now: NOW });
+
+      expect(summary.pruned).toMatchObject({ heartbeats: 1, ping_results: 1 });
+      expect(rows(db, 'SELECT received_at FROM heartbeats')).toHaveLength(2);
+      expect(rows(db, 'SELECT heartbeat_id FROM network_interfaces')).toHaveLength(2);
+      expect(rows(db, 'SELECT * FROM ping_results')).toHaveLength(0);
+      expect(rows(db, 'SELECT heartbeat_count FROM device_current')).toEqual([{ heartbeat_count: 2 }]);
+
+      expect(rows(db, `SELECT bucket FROM heartbeat_rollups WHERE period = 'day' ORDER BY bucket`).map(row => row.bucket))
+        .toEqual([TODAY - 3 * DAY, TODAY - 2 * DAY, TODAY]);
+      expect(rows(db, `SELECT checks FROM ping_rollups WHERE period = 'hour'`)).toEqual([{ checks: 1 }]);
+    });
+
+    test('should not replace the rollup of an already pruned day with a partial one', () => {
+      const retention = resolveRetention({ ping_results: 1 });
+      ping('10.0.0.1', 'online', 10, TODAY - 2 * DAY + HOUR);
+      ping('10.0.0.1', 'online', 20, TODAY - 2 * DAY + HOUR + 60);
+      runRetention({ db, retention, now: NOW });
+
+      // Backfill for that day arrives after its raw rows were pruned
+      ping('10.0.0.1', 'offline', null, TODAY - 2 * DAY + HOUR + 120);
+      runRetention({ db, retention, now: NOW });
+
+      expect(rows(db, `SELECT checks, online FROM ping_rollups WHERE period = 'hour'`)).toEqual([{ checks: 2, online: 2 }]);
+      expect(rows(db, 'SELECT * FROM ping_results')).toHaveLength(0);
+    });
+
+    test('should keep raw rows forever with a retention of 0', () => {
+      ping('10.0.0.1', 'online', 10, TODAY - 400 * DAY);
+
+      const summary = runRetention({ db, retention: resolveRetention({ ping_results: 0 }), now: NOW });
+
+      expect(summary.pruned.ping_results).toBe(0);
+      expect(rows(db, 'SELECT * FROM ping_results')).toHaveLength(1);
+    });
+
+    test('should drop hourly and daily rollups past their own retention', () => {
+      const retention = resolveRetention({ ping_results: 1, hourly: 10, daily: 30 });
+      ping('10.0.0.1', 'online', 10, NOW - HOUR);
+      runRetention({ db, retention, now: NOW });
+
+      // Much later, with no new results
+      runRetention({ db, retention, now: NOW + 20 * DAY });
+      expect(rows(db, `SELECT period FROM ping_rollups`)).toEqual([{ period: 'day' }]);
+
+      runRetention({ db, retention, now: NOW + 40 * DAY });
+      expect(rows(db, `SELECT period FROM ping_rollups`)).toEqual([]);
+    });
+  });
+
+  describe('Settings', () => {
+    test('should fill in defaults and keep hourly rollups at least as long as raw rows', () => {
+      expect(resolveRetention()).toEqual(DEFAULT_RETENTION);
+      expect(resolveRetention({ heartbeats: 30, hourly: 7 }).hourly).toBe(30);
+      expect(resolveRetention({ hourly: 0 }).hourly).toBe(0);
+    });
+
+    test('should read raw rows unless a rollup is asked for', () => {
+      // However long the range: rollup rows have other columns than the raw ones
+      expect(historyResolution()).toBe('raw');
+      expect(historyResolution('raw')).toBe('raw');
+      expect(historyResolution('hour')).toBe('hour');
+      expect(historyResolution('day')).toBe('day');
+      expect(() => historyResolution('minute')).toThrow('Unknown resolution "minute"');
+    });
+  });
+});
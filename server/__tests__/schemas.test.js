@@ -0,0 +1,99 @@
+import { describe, test, expect } from '@jest/globals';
+import { SCHEMAS, MESSAGE_VERSION, validateSchema, validateMessageSchema } from '../schemas.js';
+import { MESSAGE_VERSION as CLIENT_MESSAGE_VERSION } from '../../client/envelope.js';
+
+const timestamp = Math.floor(Date.now() / 1000);
+
+// Payloads as the agents build them (client-cli.js, ping-monitor.js, web-file-monitor.js, unifi-api.js)
+const agentPayloads = {
+  heartbeat: {
+    version: 1,
+    name: 'WEB-01',
+    timestamp,
+    location: 'HQ',
+    sublocation: null,
+    network_interfaces: [{ name: 'eth0', ip: '10.0.0.5', rx_bytes: 1024, tx_bytes: 2048, max_speed_mbps: 1000 }],
+    delivery: { sent: 10, acked: 9, lost: 1, rejected: 0, retries: 2 },
+    session: 'a1b2c3',
+    seq: 4,
+    ack: true
+  },
+  ping: {
+    type: 'ping',
+    version: 1,
+    name: 'PING-01',
+    timestamp,
+    results: [
+      { ip: '10.0.0.1', name: 'Gateway', status: 'online', response_time_ms: 1.2 },
+      { ip: '10.0.0.2', name: 'Printer', status: 'offline', response_time_ms: null }
+    ]
+  },
+  monitoring: {
+    type: 'monitoring',
+    version: 1,
+    name: 'MON-01',
+    timestamp,
+    results: [
+      { type: 'web', url: 'https://example.com', name: 'Example', status: 'online', response_time_ms: 120, status_code: 200 },
+      { type: 'ssl', url: 'https://example.com', name: 'Example', status: 'ok', valid: true, days_until_expiry: 40 },
+      { type: 'file', path: '/backups/daily.zip', name: 'daily.zip', status: 'missing', exists: false, size: null },
+      { type: 'folder', path: '/backups', name: 'backups', status: 'ok', file_count: 3 }
+    ]
+  },
+  unifi: {
+    type: 'unifi',
+    version: 1,
+    timestamp,
+    location: 'HQ',
+    clients: [
+      { mac: 'aa:bb:cc:dd:ee:ff', ip: '10.0.0.20', hostname: 'laptop', is_wired: false, rx_bytes: 0, tx_bytes: 0, signal: -60 }
+    ]
+  }
+};
+
+describe('Message Schemas', () => {
+  test('should match the version the agents send', () => {
+    expect(CLIENT_MESSAGE_VERSION).toBe(MESSAGE_VERSION);
+    for (const versions of Object.values(SCHEMAS)) {
+      expect(versions[MESSAGE_VERSION]).toBeDefined();
+    }
+  });
+
+  test.each(Object.keys(agentPayloads))('should accept %s payloads from the agents', (type) => {
+    expect(() => validateMessageSchema(type, agentPayloads[type])).not.toThrow();
+  });
+
+  test('should treat payloads without a version as version 1', () => {
+    const { version, ...legacy } = agentPayloads.heartbeat;
+    expect(() => validateMessageSchema('heartbeat', legacy)).not.toThrow();
+  });
+
+  test('should refuse versions it does not know', () => {
+    expect(() => validateMessageSchema('ping', { ...agentPayloads.ping, version: 2 })).toThrow('unsupported version 2 (supported: 1)');
+    expect(() => validateMessageSchema('telemetry', {})).toThrow('no schema for telemetry messages');
+  });
+
+  test('should name the field that is wrong', () => {
+    const ping = { ...agentPayloads.ping, results: [{ ip: '10.0.0.1', status: 'up' }] };
+    const heartbeat = { ...agentPayloads.heartbeat, network_interfaces: [{ name: 'eth0', ip: '10.0.0.5', rx_bytes: -1, tx_bytes: '2048' }] };
+
+    expect(() => validateMessageSchema('ping', ping)).toThrow('results[0].status must be one of online, offline');
+    expect(() => validateMessageSchema('heartbeat', heartbeat)).toThrow('network_interfaces[0].rx_bytes must be at least 0; network_interfaces[0].tx_bytes must be number');
+    expect(() => validateMessageSchema('heartbeat', { ...agentPayloads.heartbeat, name: '' })).toThrow('name must not be empty');
+    expect(() => validateMessageSchema('unifi', { timestamp, clients: [{ hostname: 'laptop' }] })).toThrow('clients[0].mac is required');
+  });
+
+  test('should report the first few problems only', () => {
+    const results = Array.from({ length: 5 }, () => ({ ip: '10.0.0.1' }));
+    expect(() => validateMessageSchema('ping', { ...agentPayloads.ping, results })).toThrow('(+2 more)');
+  });
+
+  test('should bound array sizes', () => {
+    const clients = Array.from({ length: 10001 }, (_, i) => ({ mac: `mac-${i}` }));
+    expect(() => validateMessageSchema('unifi', { timestamp, clients })).toThrow('clients has more than 10000 items');
+  });
+
+  test('should allow fields the schema does not list', () => {
+    expect(validateSchema({ ...agentPayloads.heartbeat, uptime_seconds: 3600 }, SCHEMAS.heartbeat[1])).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { execFile } from 'child_process';
+import { existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { readExport } from '../data-export.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI = join(__dirname, '..', 'server-cli.js');
+
+// The CLI reads the project's config.js, which is not checked in
+const describeWithConfig = existsSync(join(__dirname, '..', '..', 'config.js')) ? describe : describe.skip;
+
+/**
+ * Server CLI Tests
+ *
+ * Options shared by several commands go to the command they were given with.
+ */
+describeWithConfig('server-cli', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function cli(...args) {
+    return new Promise(resolve => {
+      execFile(process.execPath, [CLI, ...args], { timeout: 20000 }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  test('should export only the --from/--to window', async () => {
+    const out = join(dir, 'window.tar');
+    const { code, stderr } = await cli('export', '--from', '2026-01-01', '--to', '2026-04-01T00:00:00Z',
+      '--tables', 'alert_log', '--no-compress', '--out', out);
+
+    expect(stderr).not.toContain('ERROR');
+    expect(stderr).not.toContain('only valid with');
+    expect(code).toBe(0);
+    expect(readExport(out).manifest.filters).toMatchObject({ from: 1767225600, to: 1775001600 });
+  }, 30000);
+
+  test('should still read --to as the backend for convert and refuse it elsewhere', async () => {
+    const convert = await cli('convert', '--to', 'nosuchbackend');
+    expect(convert.code).toBe(1);
+    expect(convert.stderr).toContain('Usage: monitor-server convert --to <');
+
+    const migrate = await cli('migrate', '--to', '2026-01-01');
+    expect(migrate.code).toBe(1);
+    expect(migrate.stderr).toContain('--to is only valid with: convert --to <backend>, export --to <time>');
+
+    const badTime = await cli('export', '--from', '2026-04-01', '--to', '2026-01-01');
+    expect(badTime.code).toBe(1);
+    expect(badTime.stderr).toContain('from must be before to');
+  }, 30000);
+});
@@ -0,0 +1,175 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  configureSourceGuard,
+  checkSource,
+  recordDecryptFailure,
+  banSource,
+  getBans,
+  clearBan,
+  clearBans,
+  normalizeAddress,
+  resetSourceGuard
+} from '../source-guard.js';
+import { createIngest } from '../ingest.js';
+import { getIngestStats, resetIngestStats } from '../ingest-stats.js';
+
+describe('Source Guard', () => {
+  beforeEach(() => {
+    resetSourceGuard();
+    resetIngestStats();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Address Lists', () => {
+    test('should drop denied ranges and everything outside the allow list', () => {
+      configureSourceGuard({ allow: ['203.0.113.0/24', '2001:db8::/32'], deny: ['203.0.113.66'] });
+
+      expect(checkSource('203.0.113.7')).toBeNull();
+      expect(checkSource('2001:db8::1')).toBeNull();
+      expect(checkSource('203.0.113.66')).toMatchObject({ reason: 'denied' });
+      expect(checkSource('198.51.100.1')).toMatchObject({ reason: 'denied' });
+    });
+
+    test('should treat IPv4-mapped addresses from TCP like IPv4', () => {
+      configureSourceGuard({ deny: ['10.0.0.0/8'] });
+
+      expect(normalizeAddress('::ffff:10.1.2.3')).toBe('10.1.2.3');
+      expect(normalizeAddress('2001:db8::1')).toBe('2001:db8::1');
+      expect(checkSource('::ffff:10.1.2.3')).toMatchObject({ reason: 'denied' });
+    });
+
+    test('should refuse ranges it cannot parse', () => {
+      expect(() => configureSourceGuard({ deny: ['10.0.0.0/33'] })).toThrow('Invalid CIDR "10.0.0.0/33" in server.sources.deny');
+      expect(() => configureSourceGuard({ allow: ['not-an-ip'] })).toThrow('Invalid CIDR "not-an-ip" in server.sources.allow');
+    });
+  });
+
+  describe('Rate Limit', () => {
+    test('should allow a burst, then refill at the configured rate', () => {
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      configureSourceGuard({ rateLimit: { packetsPerSecond: 10, burst: 5 } });
+
+      const results = Array.from({ length: 7 }, () => checkSource('10.0.0.1'));
+      expect(results.slice(0, 5)).toEqual([null, null, null, null, null]);
+      expect(results[5]).toEqual({ reason: 'rate_limited', first: true });
+      expect(results[6]).toEqual({ reason: 'rate_limited', first: false });
+
+      // Other sources have their own bucket
+      expect(checkSource('10.0.0.2')).toBeNull();
+
+      clock.mockReturnValue(1_000_200); // 0.2s = 2 packets
+      expect(checkSource('10.0.0.1')).toBeNull();
+      expect(checkSource('10.0.0.1')).toBeNull();
+      expect(checkSource('10.0.0.1')).toMatchObject({ reason: 'rate_limited', first: true });
+    });
+
+    test('should not limit when packetsPerSecond is 0', () => {
+      configureSourceGuard({ rateLimit: { packetsPerSecond: 0, burst: 1 } });
+      for (let i = 0; i < 10; i++) expect(checkSource('10.0.0.1')).toBeNull();
+    });
+  });
+
+  describe('Bans', () => {
+    test('should ban a source after too many decrypt failures in the window', () => {
+      configureSourceGuard({ rateLimit: { banAfterDecryptFailures: 3, banWindowSeconds: 60, banSeconds: 600 } });
+
+      expect(recordDecryptFailure('198.51.100.9', 'tcp')).toBeNull();
+      expect(recordDecryptFailure('198.51.100.9', 'tcp')).toBeNull();
+      const ban = recordDecryptFailure('198.51.100.9', 'tcp');
+
+      expect(ban).toMatchObject({ address: '198.51.100.9', failures: 3, reason: '3 decrypt failures within 60s' });
+      expect(ban.expires_at - ban.banned_at).toBe(600);
+      expect(checkSource('198.51.100.9')).toMatchObject({ reason: 'banned' });
+      expect(getBans()).toEqual([expect.objectContaining({ address: '198.51.100.9', remaining: 600 })]);
+    });
+
+    test('should start counting again once the window has passed', () => {
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      configureSourceGuard({ rateLimit: { banAfterDecryptFailures: 2, banWindowSeconds: 60 } });
+
+      expect(recordDecryptFailure('198.51.100.9', 'tcp')).toBeNull();
+      clock.mockReturnValue(1_000_000 + 61_000);
+      expect(recordDecryptFailure('198.51.100.9', 'tcp')).toBeNull();
+      expect(recordDecryptFailure('198.51.100.9', 'tcp')).not.toBeNull();
+    });
+
+    test('should not ban UDP sources or sources on the allow list', () => {
+      configureSourceGuard({ rateLimit: { banAfterDecryptFailures: 2 }, allow: ['198.51.100.0/24'] });
+
+      // A UDP source address can be forged to lock a real agent out
+      for (let i = 0; i < 5; i++) {
+        expect(recordDecryptFailure('198.51.100.9')).toBeNull();
+        expect(recordDecryptFailure('198.51.100.9', 'udp')).toBeNull();
+        expect(recordDecryptFailure('198.51.100.10', 'tls')).toBeNull();
+      }
+
+      expect(getBans()).toEqual([]);
+      expect(checkSource('198.51.100.9')).toBeNull();
+    });
+
+    test('should let bans expire', () => {
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      banSource('198.51.100.9', { seconds: 10 });
+
+      expect(checkSource('198.51.100.9')).toMatchObject({ reason: 'banned' });
+      clock.mockReturnValue(1_000_000 + 11_000);
+      expect(checkSource('198.51.100.9')).toBeNull();
+      expect(getBans()).toEqual([]);
+    });
+
+    test('should clear one ban or all of them', () => {
+      banSource('198.51.100.1');
+      banSource('198.51.100.2');
+      banSource('198.51.100.3');
+
+      expect(clearBan('198.51.100.1')).toBe(true);
+      expect(clearBan('198.51.100.1')).toBe(false);
+      expect(checkSource('198.51.100.1')).toBeNull();
+      expect(clearBans().sort()).toEqual(['198.51.100.2', '198.51.100.3']);
+      expect(getBans()).toEqual([]);
+    });
+  });
+
+  describe('Pipeline', () => {
+    test('should drop packets from a banned source before decrypting them', async () => {
+      const handlePacket = createIngest({ rateLimit: { banAfterDecryptFailures: 2 } });
+      const rinfo = { address: '::ffff:198.51.100.9', port: 40000, transport: 'tcp' };
+
+      for (let i = 0; i < 4; i++) {
+        await handlePacket(Buffer.from('garbage'), rinfo, () => {});
+      }
+
+      expect(getBans()).toEqual([expect.objectContaining({ address: '198.51.100.9' })]);
+      expect(getIngestStats().rejected_by_reason).toMatchObject({ decrypt: 2, banned: 2 });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('⚠ Banned 198.51.100.9 for 3600s - 2 decrypt failures within 60s'));
+    });
+
+    test('should only rate limit UDP sources that fail to decrypt', async () => {
+      const handlePacket = createIngest({ rateLimit: { banAfterDecryptFailures: 2 } });
+
+      for (let i = 0; i < 4; i++) {
+        await handlePacket(Buffer.from('garbage'), { address: '198.51.100.9', port: 40000 }, () => {});
+      }
+
+      expect(getBans()).toEqual([]);
+      expect(getIngestStats().rejected_by_reason).toMatchObject({ decrypt: 4 });
+    });
+
+    test('should count rate-limited packets and log only the first', async () => {
+      const handlePacket = createIngest({ rateLimit: { packetsPerSecond: 1, burst: 1, banAfterDecryptFailures: 0 } });
+      const rinfo = { address: '10.0.0.1', port: 40000 };
+
+      for (let i = 0; i < 5; i++) {
+        await handlePacket(Buffer.from('garbage'), rinfo, () => {});
+      }
+
+      expect(getIngestStats().rejected_by_reason).toMatchObject({ decrypt: 1, rate_limited: 4 });
+      const warnings = console.log.mock.calls.filter(([line]) => line.includes('Rate limit exceeded by 10.0.0.1'));
+      expect(warnings).toHaveLength(1);
+    });
+  });
+});
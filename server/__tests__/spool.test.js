@@ -0,0 +1,142 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import util from 'tweetnacl-util';
+import { mkdtempSync, rmSync, readFileSync, appendFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createKeyEntry, loadKeyring, writeKeyring } from '../keyring.js';
+import { openEnvelope, sealReply } from '../envelope.js';
+import { sentAt, isBackfillAllowed } from '../replay-guard.js';
+import { createSpool } from '../../client/spool.js';
+import { createDelivery, formatDeliveryStats } from '../../client/delivery.js';
+
+const { decodeBase64 } = util;
+
+describe('Store-and-Forward', () => {
+  let dir;
+  let key;
+
+  beforeAll(() => {
+    const entry = createKeyEntry('active');
+    dir = mkdtempSync(join(tmpdir(), 'spool-test-'));
+    writeKeyring(dir, [entry]);
+    loadKeyring([dir]);
+    key = decodeBase64(entry.key);
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  let spoolCount = 0;
+  const spoolPath = () => join(dir, `agent-${++spoolCount}.spool`);
+  const now = () => Math.floor(Date.now() / 1000);
+
+  // Stands in for transport + server: ACKs (or nacks) while `online`, silent otherwise
+  function fakeTransport({ reject = null } = {}) {
+    const transport = {
+      online: true,
+      received: [],
+      send: async () => 'udp',
+      request: async (packet, accept) => {
+        if (!transport.online) return null;
+        const { message, keyId, agent, nonce } = openEnvelope(packet);
+        transport.received.push(message);
+        const reply = reject && reject(message)
+          ? { type: 'nack', nonce, reason: 'Invalid payload' }
+          : { type: 'ack', nonce, seq: message.seq };
+        return accept(sealReply(reply, { keyId, agent }));
+      }
+    };
+    return transport;
+  }
+
+  describe('Spool File', () => {
+    test('should replay queued messages oldest first', async () => {
+      const spool = createSpool({ path: spoolPath() });
+      spool.push({ name: 'WEB-01', timestamp: 1 });
+      spool.push({ name: 'WEB-01', timestamp: 2 });
+
+      const sent = [];
+      expect(await spool.replay(async (message) => sent.push(message.timestamp))).toBe(2);
+      expect(sent).toEqual([1, 2]);
+      expect(spool.size()).toBe(0);
+    });
+
+    test('should keep everything after the first failure', async () => {
+      const path = spoolPath();
+      const spool = createSpool({ path });
+      for (let i = 1; i <= 3; i++) spool.push({ name: 'WEB-01', timestamp: i });
+
+      expect(await spool.replay(async (message) => message.timestamp < 2)).toBe(1);
+      expect(createSpool({ path }).size()).toBe(2);
+    });
+
+    test('should survive a restart and a half-written last line', () => {
+      const path = spoolPath();
+      createSpool({ path }).push({ name: 'WEB-01', timestamp: 1 });
+      appendFileSync(path, '{"name":"WEB-01","timest');
+
+      expect(createSpool({ path }).size()).toBe(1);
+    });
+
+    test('should drop the oldest messages beyond the bound', () => {
+      const path = spoolPath();
+      const spool = createSpool({ path, maxMessages: 3 });
+      for (let i = 1; i <= 5; i++) spool.push({ name: 'WEB-01', timestamp: i });
+
+      expect(spool.getStats()).toMatchObject({ queued: 3, dropped: 2 });
+      const timestamps = readFileSync(path, 'utf8').trim().split('\n').map(line => JSON.parse(line).timestamp);
+      expect(timestamps).toEqual([3, 4, 5]);
+    });
+  });
+
+  describe('Delivery', () => {
+    test('should queue messages while the server is unreachable and backfill them later', async () => {
+      const transport = fakeTransport();
+      const spool = createSpool({ path: spoolPath() });
+      const delivery = createDelivery({ transport, key, spool, retries: 0, timeout: 1, retryInterval: 0 });
+
+      const measuredAt = now() - 120;
+      transport.online = false;
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: measuredAt })).toBe(false);
+      expect(spool.size()).toBe(1);
+
+      transport.online = true;
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: now() })).toBe(true);
+
+      const [backfilled, live] = transport.received;
+      expect(backfilled).toMatchObject({ backfill: true, timestamp: measuredAt });
+      expect(backfilled.sent_at).toBeGreaterThan(measuredAt);
+      expect(live.backfill).toBeUndefined();
+      expect(spool.size()).toBe(0);
+      expect(delivery.getStats()).toMatchObject({ spooled: 1, backfilled: 1, queued: 0 });
+    });
+
+    test('should not hold up the queue on messages the server refuses', async () => {
+      const transport = fakeTransport({ reject: (message) => message.name === 'BAD' });
+      const delivery = createDelivery({ transport, key, spool: createSpool({ path: spoolPath() }), timeout: 1 });
+
+      expect(await delivery.deliver({ name: 'BAD', timestamp: now() })).toBe(true);
+      expect(await delivery.deliver({ name: 'WEB-01', timestamp: now() })).toBe(true);
+
+      const stats = delivery.getStats();
+      expect(stats).toMatchObject({ acked: 1, rejected: 1, spooled: 0 });
+      expect(formatDeliveryStats(stats)).toContain('1 rejected');
+    });
+  });
+
+  describe('Server Checks', () => {
+    test('should check freshness on sent_at for backfill only', () => {
+      expect(sentAt({ timestamp: 100, sent_at: 200 })).toBe(100);
+      expect(sentAt({ timestamp: 100, sent_at: 200, backfill: true })).toBe(200);
+      expect(sentAt({ timestamp: 100, sent_at: 'soon', backfill: true })).toBe(100);
+    });
+
+    test('should accept backfill up to the configured age', () => {
+      expect(isBackfillAllowed({ timestamp: now() - 3600 }, 86400, 300)).toBe(true);
+      expect(isBackfillAllowed({ timestamp: now() - 2 * 86400 }, 86400, 300)).toBe(false);
+      expect(isBackfillAllowed({ timestamp: now() + 3600 }, 86400, 300)).toBe(false);
+      expect(isBackfillAllowed({ timestamp: now() - 60 }, 0, 300)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import initSqlJs from 'sql.js';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { wrapSqlJs, openSqlite, fileBackend, assertFileBackend, convertDatabaseFile, storageBackend, getStorageStats, closeSqliteDatabases } from '../storage.js';
+import { withTransaction } from '../persistence.js';
+import { runMigrations } from '../schema-migrations.js';
+import { runRetention, resolveRetention } from '../retention.js';
+import heartbeatMigrations from '../migrations/heartbeats/index.js';
+
+/**
+ * Storage Tests
+ *
+ * The sql.js-shaped interface behind getDb()/getUnifiDb() must behave the same on
+ * the in-memory sql.js backend and the native SQLite (WAL) one, and each backend
+ * must refuse files in the other's format until they are converted.
+ */
+describe('Storage', () => {
+  let SQL;
+  let dir;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(() => {
+    closeSqliteDatabases();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const backends = {
+    sqljs: () => wrapSqlJs(new SQL.Database()),
+    sqlite: () => openSqlite({ name: 'test', path: join(dir, 'test.sqlite3') })
+  };
+
+  describe.each(Object.keys(backends))('%s backend', (backend) => {
+    let db;
+
+    beforeEach(() => {
+      db = backends[backend]();
+      db.run('CREATE TABLE readings (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, value INTEGER, ok INTEGER)');
+    });
+
+    afterEach(() => {
+      if (backend === 'sqljs') db.close();
+    });
+
+    test('should return rows as columns and values', () => {
+      db.run('INSERT INTO readings (name, value) VALUES (?, ?)', ['a', 1]);
+      db.run('INSERT INTO readings (name, value) VALUES (?, ?)', ['b', 2]);
+
+      expect(db.backend).toBe(backend);
+      expect(db.exec('SELECT name, value FROM readings ORDER BY id')).toEqual([
+        { columns: ['name', 'value'], values: [['a', 1], ['b', 2]] }
+      ]);
+      expect(db.exec('SELECT name FROM readings WHERE value > ?', [5])).toEqual([]);
+      expect(db.exec('SELECT last_insert_rowid() as id')[0].values[0][0]).toBe(2);
+    });
+
+    test('should bind named parameters and booleans like sql.js', () => {
+      db.run('INSERT INTO readings (name, value, ok) VALUES (:name, :value, :ok)', { ':name': 'a', ':value': null, ':ok': true });
+
+      expect(db.exec('SELECT name, value, ok FROM readings')[0].values).toEqual([['a', null, 1]]);
+    });
+
+    test('should count the rows changed by the last statement', () => {
+      db.run("INSERT INTO readings (name) VALUES ('a'), ('b'), ('c')");
+      db.run("DELETE FROM readings WHERE name != 'a'");
+
+      expect(db.getRowsModified()).toBe(2);
+    });
+
+    test('should run several statements in one exec', () => {
+      db.exec("INSERT INTO readings (name) VALUES ('a'); INSERT INTO readings (name) VALUES ('b');");
+
+      expect(db.exec('SELECT COUNT(*) FROM readings')[0].values[0][0]).toBe(2);
+    });
+
+    test('should roll back a failed transaction', () => {
+      expect(() => withTransaction(db, () => {
+        db.run("INSERT INTO readings (name) VALUES ('a')");
+        db.run('INSERT INTO readings (name) VALUES (NULL)');
+      })).toThrow('NOT NULL');
+
+      expect(db.exec('SELECT COUNT(*) FROM readings')[0].values[0][0]).toBe(0);
+    });
+  });
+
+  describe('Native SQLite', () => {
+    test('should run the migrations and the retention job', () => {
+      const path = join(dir, 'heartbeats.sqlite3');
+      const db = openSqlite({ name: 'heartbeats', path });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      runMigrations(db, heartbeatMigrations, 'heartbeats');
+      console.log.mockRestore();
+
+      const now = 20833 * 86400 + 36000;
+      for (const daysAgo of [10, 9, 0]) {
+        db.run('INSERT INTO heartbeats (device_name, device_timestamp, received_at) VALUES (?, ?, ?)', ['WEB-01', now, now - daysAgo * 86400]);
+      }
+
+      const { pruned } = runRetention({ db, retention: resolveRetention({}), now });
+
+      expect(pruned.heartbeats).toBe(2);
+      expect(db.exec("SELECT SUM(heartbeats) FROM heartbeat_rollups WHERE period = 'day'")[0].values[0][0]).toBe(3);
+      expect(fileBackend(path)).toBe('sqlite');
+      expect(getStorageStats()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ backend: 'sqlite', name: 'heartbeats', path })
+      ]));
+    });
+
+    test('should write each commit to the file without a save', () => {
+      const path = join(dir, 'test.sqlite3');
+      const db = openSqlite({ name: 'test', path });
+      db.run('CREATE TABLE readings (value INTEGER)');
+      db.run('INSERT INTO readings VALUES (42)');
+
+      // A second connection sees the commit straight away
+      const other = openSqlite({ name: 'other', path });
+      expect(other.exec('SELECT value FROM readings')[0].values).toEqual([[42]]);
+    });
+  });
+
+  describe('Converting', () => {
+    let path;
+
+    beforeEach(() => {
+      path = join(dir, 'heartbeats.sqlite3');
+      const db = new SQL.Database();
+      db.run('CREATE TABLE readings (value INTEGER)');
+      db.run('INSERT INTO readings VALUES (1), (2)');
+      writeFileSync(path, db.export());
+      db.close();
+    });
+
+    test('should tell the two formats apart', () => {
+      expect(fileBackend(path)).toBe('sqljs');
+      expect(fileBackend(join(dir, 'missing.sqlite3'))).toBe(null);
+      expect(() => assertFileBackend(path, 'sqljs')).not.toThrow();
+      expect(() => openSqlite({ name: 'test', path })).toThrow('server-cli convert --to sqlite');
+    });
+
+    test('should convert to native SQLite and back without losing rows', () => {
+      expect(convertDatabaseFile(path, 'sqlite')).toBe('converted');
+      expect(convertDatabaseFile(path, 'sqlite')).toBe('unchanged');
+
+      const db = openSqlite({ name: 'test', path });
+      db.run('INSERT INTO readings VALUES (3)');
+      db.close();
+      expect(() => assertFileBackend(path, 'sqljs')).toThrow('server-cli convert --to sqljs');
+
+      expect(convertDatabaseFile(path, 'sqljs')).toBe('converted');
+      expect(existsSync(`${path}-wal`)).toBe(false);
+
+      const loaded = new SQL.Database(readFileSync(path));
+      expect(loaded.exec('SELECT COUNT(*) FROM readings')[0].values[0][0]).toBe(3);
+      loaded.close();
+    });
+
+    test('should report a missing file and reject unknown backends', () => {
+      expect(convertDatabaseFile(join(dir, 'unifi.sqlite3'), 'sqlite')).toBe('missing');
+      expect(() => convertDatabaseFile(path, 'postgres')).toThrow('Unknown storage backend: postgres');
+      expect(storageBackend(undefined)).toBe('sqljs');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import dgram from 'dgram';
+import { encodeFrame, createFrameDecoder, startTcpListener, MAX_FRAME_LENGTH } from '../tcp-listener.js';
+import { createTransport, encodeFrame as encodeClientFrame } from '../../client/transport.js';
+
+function listen(server) {
+  return new Promise(resolve => server.on('listening', () => resolve(server.address().port)));
+}
+
+describe('TCP Ingest', () => {
+  describe('Framing', () => {
+    test('should match the client framing', () => {
+      const packet = Buffer.from('hello');
+      expect(encodeFrame(packet)).toEqual(encodeClientFrame(packet));
+      expect(encodeFrame(packet).readUInt32BE(0)).toBe(5);
+    });
+
+    test('should reassemble frames split across chunks', () => {
+      const frames = [];
+      const decoder = createFrameDecoder(frame => frames.push(frame.toString()));
+      const stream = Buffer.concat([encodeFrame(Buffer.from('first')), encodeFrame(Buffer.from('second'))]);
+
+      for (let i = 0; i < stream.length; i += 3) {
+        decoder.push(stream.subarray(i, i + 3));
+      }
+
+      expect(frames).toEqual(['first', 'second']);
+    });
+
+    test('should reject oversized or empty frames', () => {
+      const decoder = createFrameDecoder(() => {});
+      const header = Buffer.alloc(4);
+      header.writeUInt32BE(MAX_FRAME_LENGTH + 1, 0);
+      expect(() => decoder.push(header)).toThrow('Invalid frame length');
+      expect(() => createFrameDecoder(() => {}).push(Buffer.alloc(4))).toThrow('Invalid frame length');
+    });
+  });
+
+  describe('Transport', () => {
+    let server;
+    let transport;
+    let udpSocket;
+
+    afterEach(() => {
+      if (transport) transport.close();
+      if (server) server.close();
+      if (udpSocket) udpSocket.close();
+      transport = server = udpSocket = null;
+    });
+
+    test('should deliver packets and replies over TCP', async () => {
+      const received = [];
+      server = startTcpListener({
+        port: 0,
+        host: '127.0.0.1',
+        onPacket: (packet, rinfo, respond) => {
+          received.push({ packet: packet.toString(), transport: rinfo.transport });
+          respond(Buffer.from(`ack:${packet}`));
+        }
+      });
+      const port = await listen(server);
+
+      transport = createTransport({ host: '127.0.0.1', port, transport: 'tcp' });
+      const reply = await transport.request(Buffer.from('ping'), data => data.toString(), 2000);
+
+      expect(reply).toBe('ack:ping');
+      expect(received).toEqual([{ packet: 'ping', transport: 'tcp' }]);
+      expect(transport.current()).toBe('tcp');
+    });
+
+    test('should fall back to TCP when UDP gets no reply in auto mode', async () => {
+      server = startTcpListener({
+        port: 0,
+        host: '127.0.0.1',
+        onPacket: (packet, rinfo, respond) => respond(Buffer.from('tcp-reply'))
+      });
+      const tcpPort = await listen(server);
+
+      // A UDP socket that swallows everything, like a firewall dropping the traffic
+      udpSocket = dgram.createSocket('udp4');
+      udpSocket.bind(0, '127.0.0.1');
+      await new Promise(resolve => udpSocket.on('listening', resolve));
+
+      transport = createTransport({ host: '127.0.0.1', port: udpSocket.address().port, tcpPort, transport: 'auto' });
+
+      expect(await transport.request(Buffer.from('hello'), data => data.toString(), 200)).toBeNull();
+      expect(await transport.request(Buffer.from('hello'), data => data.toString(), 2000)).toBe('tcp-reply');
+      expect(transport.current()).toBe('tcp');
+    });
+
+    test('should reject unknown transports', () => {
+      expect(() => createTransport({ host: '127.0.0.1', port: 4000, transport: 'carrier-pigeon' }))
+        .toThrow('Unknown transport');
+      expect(() => createTransport({ host: '127.0.0.1', port: 4000, transport: 'tls' }))
+        .toThrow('needs a TLS port');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import dgram from 'dgram';
+import { startUdpListener, describeUdpListener } from '../udp-listener.js';
+import { createTransport, normalizeHost } from '../../client/transport.js';
+import { validateMessageSchema } from '../schemas.js';
+
+function sendFrom(type, packet, port, host) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(type);
+    socket.send(packet, port, host, (error) => {
+      socket.close();
+      if (error) reject(error); else resolve();
+    });
+  });
+}
+
+describe('UDP Listener', () => {
+  let server;
+  let transport;
+
+  afterEach(() => {
+    if (transport) transport.close();
+    if (server) server.close();
+    transport = server = null;
+  });
+
+  function collect() {
+    const received = [];
+    const onPacket = (packet, rinfo, respond) => {
+      received.push({ packet: packet.toString(), address: rinfo.address });
+      respond(Buffer.from(`ack:${packet}`));
+    };
+    return { received, onPacket };
+  }
+
+  async function waitFor(received, count) {
+    for (let i = 0; i < 100 && received.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  test('should accept IPv4 and IPv6 senders on one dual-stack socket', async () => {
+    const { received, onPacket } = collect();
+    server = await startUdpListener({ port: 0, onPacket });
+    const { port } = server.address();
+
+    expect(describeUdpListener(server)).toBe(`[::]:${port} (IPv4 + IPv6)`);
+
+    await sendFrom('udp4', Buffer.from('v4'), port, '127.0.0.1');
+    await sendFrom('udp6', Buffer.from('v6'), port, '::1');
+    await waitFor(received, 2);
+
+    expect(received).toEqual(expect.arrayContaining([
+      { packet: 'v4', address: '::ffff:127.0.0.1' },
+      { packet: 'v6', address: '::1' }
+    ]));
+  });
+
+  test('should listen on IPv4 only for an IPv4 bind address', async () => {
+    server = await startUdpListener({ port: 0, host: '127.0.0.1', onPacket: () => {} });
+    expect(describeUdpListener(server)).toBe(`127.0.0.1:${server.address().port} (IPv4)`);
+  });
+
+  test('should fail when the port is taken', async () => {
+    server = await startUdpListener({ port: 0, host: '127.0.0.1', onPacket: () => {} });
+    await expect(startUdpListener({ port: server.address().port, host: '127.0.0.1', onPacket: () => {} }))
+      .rejects.toThrow('EADDRINUSE');
+  });
+
+  test('should reply to agents sending to an IPv6 server address', async () => {
+    const { received, onPacket } = collect();
+    server = await startUdpListener({ port: 0, onPacket });
+
+    transport = createTransport({ host: '[::1]', port: server.address().port });
+    const reply = await transport.request(Buffer.from('ping'), data => data.toString(), 2000);
+
+    expect(reply).toBe('ack:ping');
+    expect(received).toEqual([{ packet: 'ping', address: '::1' }]);
+  });
+
+  test('should strip brackets from IPv6 server addresses', () => {
+    expect(normalizeHost('[2001:db8::10]')).toBe('2001:db8::10');
+    expect(normalizeHost('2001:db8::10')).toBe('2001:db8::10');
+    expect(normalizeHost('monitor.example.com')).toBe('monitor.example.com');
+  });
+
+  test('should accept IPv6 interface addresses in heartbeats', () => {
+    const message = {
+      name: 'WEB-01',
+      timestamp: 1700000000,
+      network_interfaces: [{ name: 'eth0', ip: '10.0.0.5', ipv6: ['2001:db8::5'], rx_bytes: 1, tx_bytes: 2 }]
+    };
+    expect(() => validateMessageSchema('heartbeat', message)).not.toThrow();
+
+    message.network_interfaces[0].ipv6 = '2001:db8::5';
+    expect(() => validateMessageSchema('heartbeat', message)).toThrow('network_interfaces[0].ipv6 must be array');
+  });
+});
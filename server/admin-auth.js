@@ -0,0 +1,47 @@
+// Admin key for the API routes that change server state
+//
+// The read key (api_read.key) is built into the dashboard, so every browser that loads
+// it has a copy. Routes that write files, change what the server accepts or dump its
+// whole history check a second key instead, server.adminApiKey in config.js, sent as X-Admin-Key. Without
+// one configured those routes answer 403 (server-cli backup still writes backups).
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Compare digests so neither the length nor the contents leak through timing
+function sameKey(provided, expected) {
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Express middleware that lets a request through only with the admin key
+ * @param {string} [adminKey] - config.server.adminApiKey (empty = admin routes disabled)
+ * @returns {Function} (req, res, next) middleware
+ */
+export function requireAdminKey(adminKey) {
+  return (req, res, next) => {
+    if (!adminKey) {
+      return res.status(403).json({
+        error: 'Admin API disabled',
+        message: 'Set server.adminApiKey in config.js to enable routes that change the server'
+      });
+    }
+
+    const providedKey = req.headers['x-admin-key'];
+    if (!providedKey) {
+      return res.status(401).json({
+        error: 'Admin key required',
+        message: 'Missing X-Admin-Key header'
+      });
+    }
+
+    if (!sameKey(providedKey, adminKey)) {
+      return res.status(403).json({
+        error: 'Invalid admin key',
+        message: 'The provided admin key is not valid'
+      });
+    }
+
+    next();
+  };
+}
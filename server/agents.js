@@ -0,0 +1,300 @@
+// Per-agent enrollment registry for Inside-Out Monitor
+//
+// Agents enroll once with a one-time token, generate their own nacl.box keypair
+// and from then on seal packets to the server's public key. Every enrolled agent
+// is bound to the device/monitor names it may report as, and can be revoked
+// individually without touching the shared pre-shared keys.
+
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+
+const { encodeBase64, decodeBase64 } = util;
+
+export const AGENTS_FILE = 'agents.json';
+export const SERVER_IDENTITY_FILE = 'server-identity.key';
+export const AGENT_ID_LENGTH = 4;
+export const TOKEN_SECRET_LENGTH = 16;
+export const DEFAULT_TOKEN_TTL = 7 * 24 * 3600; // 7 days
+
+let registry = null;
+let registryMtime = null;
+
+/**
+ * Derive an agent ID from its public key (first 4 bytes of SHA-512, hex encoded)
+ * @param {Uint8Array} publicKey - Agent nacl.box public key
+ * @returns {string} 8-character hex agent ID
+ */
+export function agentIdFor(publicKey) {
+  return Buffer.from(nacl.hash(publicKey).slice(0, AGENT_ID_LENGTH)).toString('hex');
+}
+
+function hashTokenSecret(secret) {
+  return Buffer.from(nacl.hash(secret)).toString('hex');
+}
+
+/**
+ * Read agents.json from a directory
+ * @param {string} dir - Directory containing agents.json
+ * @returns {Object} { tokens, agents } (empty lists if the file does not exist)
+ */
+export function readRegistry(dir) {
+  const path = join(dir, AGENTS_FILE);
+  if (!existsSync(path)) {
+    return { tokens: [], agents: [] };
+  }
+
+  const data = JSON.parse(readFileSync(path, 'utf8'));
+  return { tokens: data.tokens || [], agents: data.agents || [] };
+}
+
+/**
+ * Write agents.json to a directory
+ * @param {string} dir - Target directory
+ * @param {Object} data - { tokens, agents }
+ */
+export function writeRegistry(dir, data) {
+  const path = join(dir, AGENTS_FILE);
+  writeFileSync(path, JSON.stringify({ tokens: data.tokens, agents: data.agents }, null, 2), 'utf8');
+
+  // Don't treat our own write as an external change
+  if (registry && registry.dir === dir) {
+    registryMtime = statSync(path).mtimeMs;
+  }
+}
+
+/**
+ * Load the server's nacl.box keypair
+ * @param {string} dir - Directory containing server-identity.key
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Generate the keypair if it does not exist
+ * @returns {Object|null} nacl.box keypair or null if missing
+ */
+export function readServerKeyPair(dir, { create = false } = {}) {
+  const path = join(dir, SERVER_IDENTITY_FILE);
+
+  if (existsSync(path)) {
+    const secretKey = decodeBase64(readFileSync(path, 'utf8').trim());
+    if (secretKey.length !== nacl.box.secretKeyLength) {
+      throw new Error(`${SERVER_IDENTITY_FILE} must contain a ${nacl.box.secretKeyLength}-byte key`);
+    }
+    return nacl.box.keyPair.fromSecretKey(secretKey);
+  }
+
+  if (!create) return null;
+
+  const keyPair = nacl.box.keyPair();
+  writeFileSync(path, encodeBase64(keyPair.secretKey), 'utf8');
+  return keyPair;
+}
+
+/**
+ * Issue a one-time enrollment token
+ * The token carries the server's public key, so agents need nothing else to enroll.
+ * @param {string} dir - Key directory
+ * @param {string[]} names - Device/monitor names the enrolled agent may report as
+ * @param {number} [ttlSeconds] - Token lifetime
+ * @returns {string} Token to hand to the agent (shown once, only its hash is stored)
+ */
+export function createEnrollmentToken(dir, names, ttlSeconds = DEFAULT_TOKEN_TTL) {
+  if (!names || names.length === 0) {
+    throw new Error('An enrollment token must be bound to at least one name');
+  }
+
+  const keyPair = readServerKeyPair(dir, { create: true });
+  const secret = nacl.randomBytes(TOKEN_SECRET_LENGTH);
+  const now = Math.floor(Date.now() / 1000);
+
+  const data = readRegistry(dir);
+  data.tokens.push({
+    token_hash: hashTokenSecret(secret),
+    names,
+    created_at: now,
+    expires_at: now + ttlSeconds,
+    used_at: null,
+    agent_id: null
+  });
+  writeRegistry(dir, data);
+
+  const token = new Uint8Array(keyPair.publicKey.length + secret.length);
+  token.set(keyPair.publicKey);
+  token.set(secret, keyPair.publicKey.length);
+  return Buffer.from(token).toString('base64url');
+}
+
+/**
+ * Revoke an enrolled agent
+ * @param {string} dir - Key directory
+ * @param {string} agentId - Agent ID
+ * @returns {Object} Revoked agent record
+ */
+export function revokeAgent(dir, agentId) {
+  const data = readRegistry(dir);
+  const agent = data.agents.find(a => a.id === agentId);
+  if (!agent) {
+    throw new Error(`No agent with ID ${agentId}`);
+  }
+
+  agent.revoked_at = Math.floor(Date.now() / 1000);
+  writeRegistry(dir, data);
+  return agent;
+}
+
+/**
+ * Load the agent registry used by the UDP receiver
+ * @param {string} dir - Key directory (same as the key ring)
+ */
+export function loadAgentRegistry(dir) {
+  const path = join(dir, AGENTS_FILE);
+  const data = readRegistry(dir);
+
+  registry = {
+    dir,
+    path,
+    ...data,
+    serverKeyPair: readServerKeyPair(dir)
+  };
+  registryMtime = existsSync(path) ? statSync(path).mtimeMs : null;
+  return registry;
+}
+
+/**
+ * Reload agents.json if an admin changed it (new token, revocation)
+ * @returns {boolean} True if the registry was reloaded
+ */
+export function reloadAgentRegistryIfChanged() {
+  if (!registry || !existsSync(registry.path)) return false;
+
+  try {
+    const mtime = statSync(registry.path).mtimeMs;
+    if (mtime === registryMtime) return false;
+
+    loadAgentRegistry(registry.dir);
+    console.log(`✓ Agent registry reloaded (${describeAgentRegistry()})`);
+    return true;
+  } catch (error) {
+    console.error(`⚠ Failed to reload agent registry, keeping previous state: ${error.message}`);
+    return false;
+  }
+}
+
+export function getServerKeyPair() {
+  return registry ? registry.serverKeyPair : null;
+}
+
+/**
+ * Look up an enrolled agent by ID
+ * @param {string} agentId - Agent ID
+ * @returns {Object|null} Agent record with decoded public key
+ */
+export function findAgent(agentId) {
+  if (!registry) return null;
+  const agent = registry.agents.find(a => a.id === agentId);
+  if (!agent) return null;
+  return { ...agent, publicKeyBytes: decodeBase64(agent.public_key) };
+}
+
+/**
+ * Enroll an agent with a one-time token
+ * Re-sending the same enrollment (e.g. because the reply was lost) succeeds again.
+ * @param {Uint8Array} publicKey - Agent nacl.box public key
+ * @param {Object} request - Decrypted enrollment payload ({ token, hostname })
+ * @returns {Object} Agent record
+ * @throws {Error} If the token is unknown, expired or already used by another agent
+ */
+export function enrollAgent(publicKey, request) {
+  if (!registry) {
+    throw new Error('Agent registry not loaded');
+  }
+
+  const agentId = agentIdFor(publicKey);
+  const secret = typeof request.token === 'string' ? decodeBase64(request.token) : null;
+  if (!secret || secret.length !== TOKEN_SECRET_LENGTH) {
+    throw new Error('Malformed enrollment token');
+  }
+
+  const data = readRegistry(registry.dir);
+  const tokenHash = hashTokenSecret(secret);
+  const token = data.tokens.find(t => t.token_hash === tokenHash);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!token) {
+    throw new Error('Unknown enrollment token');
+  }
+
+  if (token.used_at) {
+    const existing = data.agents.find(a => a.id === agentId && !a.revoked_at);
+    if (token.agent_id === agentId && existing) {
+      return existing;
+    }
+    throw new Error('Enrollment token already used');
+  }
+
+  if (token.expires_at < now) {
+    throw new Error('Enrollment token expired');
+  }
+
+  const agent = {
+    id: agentId,
+    public_key: encodeBase64(publicKey),
+    names: token.names,
+    hostname: request.hostname || null,
+    enrolled_at: now,
+    revoked_at: null
+  };
+
+  token.used_at = now;
+  token.agent_id = agentId;
+  data.agents = data.agents.filter(a => a.id !== agentId);
+  data.agents.push(agent);
+
+  writeRegistry(registry.dir, data);
+  registry.tokens = data.tokens;
+  registry.agents = data.agents;
+
+  return agent;
+}
+
+/**
+ * Check that a decrypted message may be accepted from its sender
+ * @param {Object} message - Decrypted payload
+ * @param {Object|null} agent - Enrolled agent that sealed the packet (null for pre-shared key packets)
+ * @param {Object} [options]
+ * @param {boolean} [options.requireEnrollment=false] - Reject pre-shared key packets
+ * @throws {Error} If the sender is not allowed to send this message (pre-shared key packets
+ *   may not use a name bound to an enrolled, non-revoked agent)
+ */
+export function authorizeMessage(message, agent, { requireEnrollment = false } = {}) {
+  // Older ping monitors report as monitor_name
+  const name = message.name || message.monitor_name;
+
+  if (!agent) {
+    if (requireEnrollment) {
+      throw new Error('Pre-shared key packets are disabled - agent must enroll');
+    }
+
+    // A name an enrolled agent holds cannot be sent with the shared key
+    const owner = name && registry?.agents.find(a => !a.revoked_at && a.names.includes(name));
+    if (owner) {
+      throw new Error(`Name "${name}" is bound to enrolled agent ${owner.id} - pre-shared key packets may not use it`);
+    }
+    return;
+  }
+
+  if (name && !agent.names.includes(name)) {
+    throw new Error(`Agent ${agent.id} is not bound to name "${name}"`);
+  }
+}
+
+/**
+ * Summarise the registry for startup logs
+ * @returns {string} e.g. "3 agents, 1 revoked, 2 pending tokens"
+ */
+export function describeAgentRegistry() {
+  if (!registry) return 'not loaded';
+  const now = Math.floor(Date.now() / 1000);
+  const revoked = registry.agents.filter(a => a.revoked_at).length;
+  const pending = registry.tokens.filter(t => !t.used_at && t.expires_at >= now).length;
+  return `${registry.agents.length} agents, ${revoked} revoked, ${pending} pending tokens`;
+}
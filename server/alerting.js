@@ -2,6 +2,7 @@
 // Monitors device and ping target status changes and sends alerts via webhooks
 
 import { getDb } from './db.js';
+import { findSaturatedInterfaces, DEFAULT_SATURATION_PERCENT, DEFAULT_SATURATION_SAMPLES } from './interface-rates.js';
 import { sendDiscordAlert } from './webhooks/discord.js';
 import { sendTeamsAlert } from './webhooks/teams.js';
 
@@ -9,6 +10,7 @@ let config = null;
 let checkInterval = null;
 let alertQueue = [];
 let batchTimeout = null;
+let saturatedInterfaces = new Map(); // "device/interface" -> entry from findSaturatedInterfaces()
 
 /**
  * Initialize the alerting system
@@ -31,6 +33,7 @@ export function initAlerting(alertConfig) {
   checkInterval = setInterval(() => {
     checkDeviceStatus();
     checkPingTargetStatus();
+    checkInterfaceSaturation();
   }, config.behavior.checkIntervalSeconds * 1000);
 
   console.log('✓ Alerting monitoring started');
@@ -48,9 +51,45 @@ export function stopAlerting() {
     clearTimeout(batchTimeout);
     batchTimeout = null;
   }
+  saturatedInterfaces = new Map();
   console.log('⚠ Alerting system stopped');
 }
 
+/**
+ * Record an event raised outside the status checks (e.g. a banned ingest source)
+ * in the alert log, and send it to webhooks that subscribe to its event type
+ * @param {Object} alert - Alert object (entity_type, entity_name, event_type, title, description)
+ */
+export function raiseAlert(alert) {
+  const db = getDb();
+  if (db) {
+    try {
+      db.run(`
+        INSERT INTO alert_log
+        (alert_type, entity_type, entity_name, event_type, webhook_type, webhook_name, sent_at, status, error_message)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        'event',
+        alert.entity_type,
+        alert.entity_name,
+        alert.event_type,
+        'log',
+        'server',
+        Math.floor(Date.now() / 1000),
+        'logged',
+        alert.description ? alert.description.replace(/\*\*/g, '') : null // without the webhook markdown
+      ]);
+    } catch (error) {
+      console.error('Error logging alert:', error.message);
+    }
+  }
+
+  // Webhooks only once alerting is running
+  if (config) {
+    queueAlert(alert);
+  }
+}
+
 /**
  * Check device heartbeat status for changes
  */
@@ -62,13 +101,10 @@ function checkDeviceStatus() {
     const now = Math.floor(Date.now() / 1000);
     const onlineThreshold = now - config.behavior.onlineThresholdSeconds;
 
-    // Get all devices with their latest heartbeat
+    // Get all devices with their latest heartbeat (see server/current-state.js)
     const result = db.exec(`
-      SELECT
-        device_name,
-        MAX(received_at) as last_seen
-      FROM heartbeats
-      GROUP BY device_name
+      SELECT device_name, last_seen
+      FROM device_current
     `);
 
     if (!result || result.length === 0) return;
@@ -99,18 +135,13 @@ function checkPingTargetStatus() {
     // Get latest ping result for each target
     const result = db.exec(`
       SELECT
-        p.target_ip,
-        p.target_name,
-        p.monitor_name,
-        p.status,
-        p.response_time_ms,
-        p.received_at as last_check
-      FROM ping_results p
-      INNER JOIN (
-        SELECT target_ip, MAX(received_at) as max_received
-        FROM ping_results
-        GROUP BY target_ip
-      ) latest ON p.target_ip = latest.target_ip AND p.received_at = latest.max_received
+        target_ip,
+        target_name,
+        monitor_name,
+        status,
+        response_time_ms,
+        received_at as last_check
+      FROM ping_target_current
     `);
 
     if (!result || result.length === 0) return;
@@ -135,6 +166,52 @@ function checkPingTargetStatus() {
   }
 }
 
+/**
+ * Alert when an interface stays at or above behavior.saturationPercent of its link speed
+ * for behavior.saturationSamples heartbeats in a row, and again once it drops below
+ */
+function checkInterfaceSaturation() {
+  const db = getDb();
+  const thresholdPercent = config.behavior.saturationPercent ?? DEFAULT_SATURATION_PERCENT;
+  if (!db || !thresholdPercent) return;
+
+  try {
+    const samples = config.behavior.saturationSamples || DEFAULT_SATURATION_SAMPLES;
+    const current = new Map(findSaturatedInterfaces(db, { thresholdPercent, samples })
+      .map(entry => [`${entry.device_name}/${entry.interface_name}`, entry]));
+
+    for (const [key, entry] of current) {
+      if (saturatedInterfaces.has(key)) continue;
+      const percent = Math.max(entry.rx_utilization ?? 0, entry.tx_utilization ?? 0);
+      const direction = { rx: 'receiving', tx: 'sending', both: 'both directions' }[entry.direction];
+      raiseAlert({
+        entity_type: 'device',
+        entity_name: entry.device_name,
+        event_type: 'interface_saturated',
+        title: '🟠 Interface Saturated',
+        description: `**${entry.interface_name}** on **${entry.device_name}** is at ${percent}% of ${entry.max_speed_mbps} Mbps (${direction}) for ${samples} heartbeats`,
+        color: 0xFF8800
+      });
+    }
+
+    for (const [key, entry] of saturatedInterfaces) {
+      if (current.has(key)) continue;
+      raiseAlert({
+        entity_type: 'device',
+        entity_name: entry.device_name,
+        event_type: 'interface_recovered',
+        title: '🟢 Interface Load Normal',
+        description: `**${entry.interface_name}** on **${entry.device_name}** is back below ${thresholdPercent}% of ${entry.max_speed_mbps} Mbps`,
+        color: 0x00FF00
+      });
+    }
+
+    saturatedInterfaces = current;
+  } catch (error) {
+    console.error('Error checking interface saturation:', error.message);
+  }
+}
+
 /**
  * Update device state and trigger alerts if status changed
  */
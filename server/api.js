@@ -1,16 +1,34 @@
 import express from 'express';
 import cors from 'cors';
 import { readFileSync } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { getDb } from './db.js';
+import { getDb, MAX_REJECTIONS } from './db.js';
 import { getUnifiDb } from './unifi-db.js';
 import * as UniFiReports from './unifi-reports.js';
+import { getReplayStats } from './replay-guard.js';
+import { getFragmentStats } from './reassembler.js';
+import { getIngestStats, MAX_SOURCES } from './ingest-stats.js';
+import { getBans, clearBan, clearBans, getSourceGuardSettings } from './source-guard.js';
+import { reportUnban } from './ingest.js';
+import { locationFilter, getLocationSummary } from './locations.js';
+import { getStorageStats } from './storage.js';
+import { resolveRetention, historyResolution, getRetentionStatus, BUCKET_SECONDS } from './retention.js';
+import { runBackup, getBackupStatus } from './backup.js';
+import { writeExport, exportTable, resolveExportOptions, parseExportTime, EXPORT_TABLES } from './data-export.js';
+import { parsePage, fetchPage } from './pagination.js';
+import { fileStamp } from './persistence.js';
+import { utilizationPercent } from './interface-rates.js';
+import { requireAdminKey } from './admin-auth.js';
+import { ALIAS_KINDS, listAssets, getAsset, mergeAssets, splitAsset, renameAsset } from './device-registry.js';
 import config from '../config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
 const API_PORT = 3000;
+const retention = resolveRetention(config.server?.retention);
 
 // Load API read key for authentication (Phase 7: Multi-Site Support)
 let apiReadKey = null;
@@ -27,6 +45,9 @@ if (requireApiKey) {
   }
 }
 
+// Routes that change server state also need the admin key (see server/admin-auth.js)
+const adminOnly = requireAdminKey(config.server?.adminApiKey);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -75,7 +96,98 @@ function sqlToJson(result) {
   });
 }
 
-// GET /api/devices - List all devices with last heartbeat
+// Raw rows or the rollup ?resolution= asks for (see server/retention.js); sends a 400 and
+// returns null for an unknown one
+function resolutionFor(req, res) {
+  try {
+    return historyResolution(req.query.resolution);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Rollup buckets overlapping the range start at most one bucket before it
+function rollupSince(since, resolution) {
+  return since - BUCKET_SECONDS[resolution];
+}
+
+// Time range of a history request: ?from= (default ?hours= back from ?to= or now) and
+// ?to=, with the resolution asked for. Sends a 400 and returns null for bad values, as
+// resolutionFor() does.
+function historyRange(req, res) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const to = parseExportTime(req.query.to);
+    const from = parseExportTime(req.query.from) ?? (to ?? now) - (parseInt(req.query.hours) || 24) * 3600;
+    if (to !== null && from >= to) throw new Error('from must be before to');
+
+    return { from, to, resolution: historyResolution(req.query.resolution) };
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Conditions selecting a history range from raw rows (on their time column) or rollups
+function rangeConditions({ from, to, resolution }, column) {
+  const rollup = resolution !== 'raw';
+  const conditions = [rollup ? 'bucket > ?' : `${column} >= ?`];
+  const params = [rollup ? rollupSince(from, resolution) : from];
+  if (to !== null) {
+    conditions.push(`${rollup ? 'bucket' : column} < ?`);
+    params.push(to);
+  }
+  return { conditions, params };
+}
+
+// Page, sort and filters of a list request (see server/pagination.js); sends a 400 and
+// returns null for bad values
+function pageFor(req, res, spec) {
+  try {
+    return parsePage(req.query, spec);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Raw rows by arrival, rollups by bucket
+const RAW_HISTORY = { sorts: { time: ['received_at'] }, defaultSort: '-time', key: ['id'] };
+const ROLLUP_HISTORY = { sorts: { time: ['bucket'] }, defaultSort: '-time' };
+
+// Filters on columns that only raw rows have
+function rawOnly(param) {
+  return () => {
+    throw new Error(`The ${param} filter needs resolution=raw`);
+  };
+}
+
+// ?status= is worked out from last_seen (configurable threshold, default 5 minutes)
+const onlineThreshold = () => config.alerting?.behavior?.onlineThresholdSeconds || 300;
+
+const DEVICE_LIST = {
+  sorts: {
+    name: ['d.device_name'],
+    last_seen: ['d.last_seen'],
+    location: ["COALESCE(d.location, '')", "COALESCE(d.sublocation, '')"],
+    heartbeats: ['d.heartbeat_count']
+  },
+  defaultSort: '-last_seen',
+  key: ['d.device_name'],
+  filters: {
+    status: value => {
+      if (value !== 'online' && value !== 'offline') {
+        throw new Error(`Unknown status "${value}" (use: online, offline)`);
+      }
+      const since = Math.floor(Date.now() / 1000) - onlineThreshold();
+      return { condition: `d.last_seen ${value === 'online' ? '>' : '<='} ?`, params: [since] };
+    }
+  },
+  time: 'd.last_seen'
+};
+
+// GET /api/devices - List devices with last heartbeat (paged, see server/pagination.js)
 app.get('/api/devices', (req, res) => {
   try {
     const db = getDb();
@@ -83,28 +195,26 @@ app.get('/api/devices', (req, res) => {
       return res.status(503).json({ error: 'Database not initialized' });
     }
 
-    const result = db.exec(`
-      SELECT
-        device_name,
-        MAX(received_at) as last_seen,
-        COUNT(*) as heartbeat_count
-      FROM heartbeats
-      GROUP BY device_name
-      ORDER BY last_seen DESC
-    `);
+    const page = pageFor(req, res, DEVICE_LIST);
+    if (!page) return;
 
-    const devices = sqlToJson(result);
+    // One row per device, location from its latest heartbeat (see server/current-state.js)
+    const filter = locationFilter(req.query, 'd');
+    const { rows, ...paging } = fetchPage(db, {
+      select: 'device_name, location, sublocation, last_seen, heartbeat_count',
+      from: 'device_current d',
+      conditions: filter.conditions,
+      params: filter.params
+    }, page);
 
-    // Calculate status based on last heartbeat (configurable threshold, default 5 minutes)
     const now = Math.floor(Date.now() / 1000);
-    const onlineThreshold = config.alerting?.behavior?.onlineThresholdSeconds || 300;
-    const devicesWithStatus = devices.map(device => ({
+    const devices = rows.map(device => ({
       ...device,
-      status: (now - device.last_seen) < onlineThreshold ? 'online' : 'offline',
+      status: (now - device.last_seen) < onlineThreshold() ? 'online' : 'offline',
       last_seen_ago: now - device.last_seen
     }));
 
-    res.json({ devices: devicesWithStatus });
+    res.json({ devices, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -141,6 +251,7 @@ app.get('/api/devices/:name', (req, res) => {
       SELECT
         interface_name,
         ip_address,
+        ipv6_addresses,
         rx_bytes,
         tx_bytes,
         max_speed_mbps
@@ -148,7 +259,10 @@ app.get('/api/devices/:name', (req, res) => {
       WHERE heartbeat_id = ?
     `, [heartbeat.id]);
 
-    const interfaces = sqlToJson(interfacesResult);
+    const interfaces = sqlToJson(interfacesResult).map(iface => ({
+      ...iface,
+      ipv6_addresses: iface.ipv6_addresses ? iface.ipv6_addresses.split(',') : []
+    }));
 
     const now = Math.floor(Date.now() / 1000);
     const onlineThreshold = config.alerting?.behavior?.onlineThresholdSeconds || 300;
@@ -159,7 +273,15 @@ app.get('/api/devices/:name', (req, res) => {
         last_seen_ago: now - heartbeat.received_at,
         status: (now - heartbeat.received_at) < onlineThreshold ? 'online' : 'offline',
         device_timestamp: heartbeat.device_timestamp,
-        interfaces: interfaces
+        location: heartbeat.location,
+        sublocation: heartbeat.sublocation,
+        interfaces: interfaces,
+        delivery: heartbeat.delivery_sent === null || heartbeat.delivery_sent === undefined ? null : {
+          sent: heartbeat.delivery_sent,
+          acked: heartbeat.delivery_acked,
+          lost: heartbeat.delivery_lost,
+          retries: heartbeat.delivery_retries
+        }
       }
     });
   } catch (error) {
@@ -177,25 +299,34 @@ app.get('/api/devices/:name/history', (req, res) => {
     }
 
     const deviceName = req.params.name;
-    const limit = parseInt(req.query.limit) || 100;
-    const hours = parseInt(req.query.hours) || 24;
-
-    const sinceTimestamp = Math.floor(Date.now() / 1000) - (hours * 3600);
-
-    const result = db.exec(`
-      SELECT
-        id,
-        device_timestamp,
-        received_at
-      FROM heartbeats
-      WHERE device_name = ? AND received_at > ?
-      ORDER BY received_at DESC
-      LIMIT ?
-    `, [deviceName, sinceTimestamp, limit]);
+    const range = historyRange(req, res);
+    if (!range) return;
+    const { resolution } = range;
+
+    const page = pageFor(req, res, resolution === 'raw' ? RAW_HISTORY : ROLLUP_HISTORY);
+    if (!page) return;
+    const time = rangeConditions(range, 'received_at');
+
+    // ?resolution=hour|day: heartbeats received per hour or day
+    if (resolution !== 'raw') {
+      const { rows, ...paging } = fetchPage(db, {
+        select: 'bucket, heartbeats, first_seen, last_seen',
+        from: 'heartbeat_rollups',
+        conditions: ['period = ?', 'device_name = ?', ...time.conditions],
+        params: [resolution, deviceName, ...time.params]
+      }, page);
+
+      return res.json({ heartbeats: rows, resolution, ...paging });
+    }
 
-    const heartbeats = sqlToJson(result);
+    const { rows, ...paging } = fetchPage(db, {
+      select: 'id, device_timestamp, received_at',
+      from: 'heartbeats',
+      conditions: ['device_name = ?', ...time.conditions],
+      params: [deviceName, ...time.params]
+    }, page);
 
-    res.json({ heartbeats });
+    res.json({ heartbeats: rows, resolution, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -213,6 +344,39 @@ app.get('/api/devices/:name/interfaces', (req, res) => {
     const deviceName = req.params.name;
     const limit = parseInt(req.query.limit) || 50;
 
+    // ?hours= with ?resolution=hour|day: bytes transferred per hour or day instead of raw counters
+    if (req.query.hours !== undefined) {
+      const hours = parseInt(req.query.hours) || 24;
+      const resolution = resolutionFor(req, res);
+      if (!resolution) return;
+
+      if (resolution !== 'raw') {
+        const since = Math.floor(Date.now() / 1000) - (hours * 3600);
+        const rows = sqlToJson(db.exec(`
+          SELECT bucket, interface_name, samples, rx_bytes_delta, tx_bytes_delta, max_speed_mbps
+          FROM interface_rollups
+          WHERE period = ? AND device_name = ? AND bucket > ?
+          ORDER BY bucket DESC, interface_name
+          LIMIT ?
+        `, [resolution, deviceName, rollupSince(since, resolution), limit]));
+
+        const rollupMap = {};
+        for (const row of rows) {
+          if (!rollupMap[row.interface_name]) {
+            rollupMap[row.interface_name] = { name: row.interface_name, max_speed_mbps: row.max_speed_mbps, history: [] };
+          }
+          rollupMap[row.interface_name].history.push({
+            timestamp: row.bucket,
+            samples: row.samples,
+            rx_bytes_delta: row.rx_bytes_delta,
+            tx_bytes_delta: row.tx_bytes_delta
+          });
+        }
+
+        return res.json({ interfaces: Object.values(rollupMap), resolution });
+      }
+    }
+
     // Get recent heartbeats with network interfaces
     const result = db.exec(`
       SELECT
@@ -220,9 +384,14 @@ app.get('/api/devices/:name/interfaces', (req, res) => {
         h.received_at,
         ni.interface_name,
         ni.ip_address,
+        ni.ipv6_addresses,
         ni.rx_bytes,
         ni.tx_bytes,
-        ni.max_speed_mbps
+        ni.max_speed_mbps,
+        ni.rx_bps,
+        ni.tx_bps,
+        ni.rx_utilization,
+        ni.tx_utilization
       FROM heartbeats h
       JOIN network_interfaces ni ON h.id = ni.heartbeat_id
       WHERE h.device_name = ?
@@ -239,6 +408,7 @@ app.get('/api/devices/:name/interfaces', (req, res) => {
         interfaceMap[row.interface_name] = {
           name: row.interface_name,
           ip: row.ip_address,
+          ipv6: row.ipv6_addresses ? row.ipv6_addresses.split(',') : [],
           max_speed_mbps: row.max_speed_mbps,
           history: []
         };
@@ -247,7 +417,11 @@ app.get('/api/devices/:name/interfaces', (req, res) => {
       interfaceMap[row.interface_name].history.push({
         timestamp: row.received_at,
         rx_bytes: row.rx_bytes,
-        tx_bytes: row.tx_bytes
+        tx_bytes: row.tx_bytes,
+        rx_bps: row.rx_bps,
+        tx_bps: row.tx_bps,
+        rx_utilization: row.rx_utilization,
+        tx_utilization: row.tx_utilization
       });
     });
 
@@ -260,6 +434,219 @@ app.get('/api/devices/:name/interfaces', (req, res) => {
   }
 });
 
+// GET /api/devices/:name/interfaces/rates - Throughput and utilization per interface over time
+// (see server/interface-rates.js); ?resolution=hour|day reads the hourly or daily rollups
+app.get('/api/devices/:name/interfaces/rates', (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const deviceName = req.params.name;
+    const hours = parseInt(req.query.hours) || 24;
+    const limit = parseInt(req.query.limit) || 1000;
+    const since = Math.floor(Date.now() / 1000) - (hours * 3600);
+    const iface = req.query.interface ? String(req.query.interface) : null;
+    const ifaceParams = iface ? [iface] : [];
+
+    const resolution = resolutionFor(req, res);
+    if (!resolution) return;
+
+    // Rollups: average rate over each bucket and the peak sample in it
+    const rows = resolution === 'raw' ? sqlToJson(db.exec(`
+      SELECT h.received_at AS timestamp, ni.interface_name, ni.max_speed_mbps, ni.interval_seconds,
+             ni.rx_bps, ni.tx_bps, ni.rx_utilization, ni.tx_utilization, ni.counter_event
+      FROM heartbeats h
+      JOIN network_interfaces ni ON ni.heartbeat_id = h.id
+      WHERE h.device_name = ? AND h.received_at > ? AND ni.rx_bps IS NOT NULL ${iface ? 'AND ni.interface_name = ?' : ''}
+      ORDER BY h.received_at DESC, ni.interface_name
+      LIMIT ?
+    `, [deviceName, since, ...ifaceParams, limit])) : sqlToJson(db.exec(`
+      SELECT bucket AS timestamp, interface_name, max_speed_mbps, samples,
+             CAST(ROUND(rx_bytes_delta * 8.0 / ?) AS INTEGER) AS rx_bps,
+             CAST(ROUND(tx_bytes_delta * 8.0 / ?) AS INTEGER) AS tx_bps,
+             max_rx_bps, max_tx_bps
+      FROM interface_rollups
+      WHERE period = ? AND device_name = ? AND bucket > ? ${iface ? 'AND interface_name = ?' : ''}
+      ORDER BY bucket DESC, interface_name
+      LIMIT ?
+    `, [BUCKET_SECONDS[resolution], BUCKET_SECONDS[resolution], resolution, deviceName, rollupSince(since, resolution), ...ifaceParams, limit]));
+
+    const interfaceMap = {};
+    for (const { interface_name, max_speed_mbps, ...point } of rows) {
+      if (!interfaceMap[interface_name]) {
+        interfaceMap[interface_name] = { name: interface_name, max_speed_mbps, history: [] };
+      }
+      if (resolution !== 'raw') {
+        Object.assign(point, {
+          rx_utilization: utilizationPercent(point.rx_bps, max_speed_mbps),
+          tx_utilization: utilizationPercent(point.tx_bps, max_speed_mbps),
+          max_rx_utilization: utilizationPercent(point.max_rx_bps, max_speed_mbps),
+          max_tx_utilization: utilizationPercent(point.max_tx_bps, max_speed_mbps)
+        });
+      }
+      interfaceMap[interface_name].history.push(point);
+    }
+
+    res.json({ interfaces: Object.values(interfaceMap), resolution });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/locations - Online/offline counts per site (location + sublocation)
+app.get('/api/locations', (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const locations = getLocationSummary({
+      db,
+      unifiDb: getUnifiDb(),
+      onlineThreshold: config.alerting?.behavior?.onlineThresholdSeconds || 300
+    });
+
+    res.json({ locations });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Device registry (see server/device-registry.js): one asset per physical machine,
+// linking its heartbeat device names, ping target IPs and UniFi client MACs
+
+function assetId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Errors from the registry that are the request's fault rather than the server's
+function assetError(res, error) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (/not an alias|into itself|leave it empty/.test(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error('API Error:', error);
+  res.status(500).json({ error: error.message });
+}
+
+// GET /api/assets - Every asset with its aliases
+app.get('/api/assets', (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    res.json({ assets: listAssets(db) });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/assets/:id - Everything known about one asset
+app.get('/api/assets/:id', (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const id = assetId(req.params.id);
+    const asset = id && getAsset({
+      db,
+      unifiDb: getUnifiDb(),
+      id,
+      onlineThreshold: config.alerting?.behavior?.onlineThresholdSeconds || 300
+    });
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    res.json(asset);
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/assets/:id - Rename an asset ({ name })
+app.patch('/api/assets/:id', adminOnly, (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const id = assetId(req.params.id);
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!id || !name) {
+      return res.status(400).json({ error: 'Expected an asset id and a non-empty name' });
+    }
+
+    renameAsset(db, id, name);
+    res.json(listAssets(db).find(asset => asset.id === id));
+  } catch (error) {
+    assetError(res, error);
+  }
+});
+
+// POST /api/assets/:id/merge - Fold other assets into this one ({ ids: [...] })
+app.post('/api/assets/:id/merge', adminOnly, (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const id = assetId(req.params.id);
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(assetId) : [];
+    if (!id || !ids.length || ids.includes(null)) {
+      return res.status(400).json({ error: 'Expected an asset id and a non-empty list of asset ids to merge into it' });
+    }
+
+    mergeAssets(db, id, [...new Set(ids)]);
+    res.json(listAssets(db).find(asset => asset.id === id));
+  } catch (error) {
+    assetError(res, error);
+  }
+});
+
+// POST /api/assets/:id/split - Move aliases to a new asset ({ aliases: [{ kind, value }], name })
+app.post('/api/assets/:id/split', adminOnly, (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const id = assetId(req.params.id);
+    const aliases = Array.isArray(req.body?.aliases) ? req.body.aliases : [];
+    const valid = aliases.every(alias => ALIAS_KINDS.includes(alias?.kind) && typeof alias.value === 'string');
+    if (!id || !aliases.length || !valid) {
+      return res.status(400).json({ error: `Expected an asset id and a non-empty list of aliases ({ kind: ${ALIAS_KINDS.join(' | ')}, value })` });
+    }
+
+    const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : null;
+    const newId = splitAsset(db, id, aliases.map(({ kind, value }) => ({ kind, value })), name);
+    const assets = listAssets(db);
+    res.status(201).json({
+      asset: assets.find(asset => asset.id === id),
+      split: assets.find(asset => asset.id === newId)
+    });
+  } catch (error) {
+    assetError(res, error);
+  }
+});
+
 // GET /api/stats - Overall system statistics
 app.get('/api/stats', (req, res) => {
   try {
@@ -270,8 +657,8 @@ app.get('/api/stats', (req, res) => {
 
     // Total devices
     const devicesResult = db.exec(`
-      SELECT COUNT(DISTINCT device_name) as count
-      FROM heartbeats
+      SELECT COUNT(*) as count
+      FROM device_current
     `);
     const totalDevices = sqlToJson(devicesResult)[0].count;
 
@@ -281,9 +668,9 @@ app.get('/api/stats', (req, res) => {
     const onlineThreshold = now - onlineThresholdSeconds;
 
     const onlineResult = db.exec(`
-      SELECT COUNT(DISTINCT device_name) as count
-      FROM heartbeats
-      WHERE received_at > ?
+      SELECT COUNT(*) as count
+      FROM device_current
+      WHERE last_seen > ?
     `, [onlineThreshold]);
     const onlineDevices = sqlToJson(onlineResult)[0].count;
 
@@ -347,7 +734,22 @@ app.get('/api/ping-monitors', (req, res) => {
   }
 });
 
-// GET /api/ping-targets - List all ping targets with current status
+const PING_TARGET_LIST = {
+  sorts: {
+    name: ["COALESCE(p.target_name, '')"],
+    ip: ['p.target_ip'],
+    last_check: ['p.received_at'],
+    status: ["COALESCE(p.status, '')"],
+    response_time: ['COALESCE(p.response_time_ms, -1)'],
+    location: ["COALESCE(p.location, '')", "COALESCE(p.sublocation, '')"]
+  },
+  defaultSort: 'name',
+  key: ['p.target_ip'],
+  filters: { status: 'p.status', monitor_name: 'p.monitor_name' },
+  time: 'p.received_at'
+};
+
+// GET /api/ping-targets - List ping targets with current status (paged)
 app.get('/api/ping-targets', (req, res) => {
   try {
     const db = getDb();
@@ -355,27 +757,30 @@ app.get('/api/ping-targets', (req, res) => {
       return res.status(503).json({ error: 'Database not initialized' });
     }
 
-    // Get latest status for each target
-    const result = db.exec(`
-      SELECT
+    const page = pageFor(req, res, PING_TARGET_LIST);
+    if (!page) return;
+
+    // Latest status for each target
+    const filter = locationFilter(req.query, 'p');
+    const { rows, ...paging } = fetchPage(db, {
+      select: `
         p.target_ip,
         p.target_name,
         p.monitor_name,
+        p.location,
+        p.sublocation,
         p.status,
         p.response_time_ms,
         p.received_at as last_check,
         (? - p.received_at) as last_check_ago
-      FROM ping_results p
-      INNER JOIN (
-        SELECT target_ip, MAX(received_at) as max_received
-        FROM ping_results
-        GROUP BY target_ip
-      ) latest ON p.target_ip = latest.target_ip AND p.received_at = latest.max_received
-      ORDER BY p.target_name, p.target_ip
-    `, [Math.floor(Date.now() / 1000)]);
-
-    const targets = sqlToJson(result);
-    res.json({ targets });
+      `,
+      selectParams: [Math.floor(Date.now() / 1000)],
+      from: 'ping_target_current p',
+      conditions: filter.conditions,
+      params: filter.params
+    }, page);
+
+    res.json({ targets: rows, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -391,13 +796,39 @@ app.get('/api/ping-targets/:ip/history', (req, res) => {
     }
 
     const targetIp = decodeURIComponent(req.params.ip);
-    const hours = parseInt(req.query.hours) || 24;
-    const limit = parseInt(req.query.limit) || 100;
-    const now = Math.floor(Date.now() / 1000);
-    const since = now - (hours * 3600);
+    const range = historyRange(req, res);
+    if (!range) return;
+    const { resolution } = range;
+
+    const page = pageFor(req, res, resolution === 'raw'
+      ? { ...RAW_HISTORY, filters: { status: 'status', monitor_name: 'monitor_name' } }
+      : { ...ROLLUP_HISTORY, filters: { status: rawOnly('status'), monitor_name: rawOnly('monitor_name') } });
+    if (!page) return;
+    const time = rangeConditions(range, 'received_at');
+
+    if (resolution !== 'raw') {
+      const { rows, ...paging } = fetchPage(db, {
+        select: `
+          bucket,
+          target_ip,
+          target_name,
+          checks,
+          online,
+          ROUND(100.0 * online / checks, 2) as availability_pct,
+          min_ms,
+          ROUND(avg_ms, 2) as avg_ms,
+          max_ms
+        `,
+        from: 'ping_rollups',
+        conditions: ['period = ?', 'target_ip = ?', ...time.conditions],
+        params: [resolution, targetIp, ...time.params]
+      }, page);
+
+      return res.json({ history: rows, resolution, ...paging });
+    }
 
-    const result = db.exec(`
-      SELECT
+    const { rows, ...paging } = fetchPage(db, {
+      select: `
         monitor_name,
         target_ip,
         target_name,
@@ -405,14 +836,13 @@ app.get('/api/ping-targets/:ip/history', (req, res) => {
         response_time_ms,
         timestamp,
         received_at
-      FROM ping_results
-      WHERE target_ip = ? AND received_at > ?
-      ORDER BY received_at DESC
-      LIMIT ?
-    `, [targetIp, since, limit]);
+      `,
+      from: 'ping_results',
+      conditions: ['target_ip = ?', ...time.conditions],
+      params: [targetIp, ...time.params]
+    }, page);
 
-    const history = sqlToJson(result);
-    res.json({ history });
+    res.json({ history: rows, resolution, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -429,21 +859,16 @@ app.get('/api/ping-stats', (req, res) => {
 
     // Total monitored targets
     const targetsResult = db.exec(`
-      SELECT COUNT(DISTINCT target_ip) as count
-      FROM ping_results
+      SELECT COUNT(*) as count
+      FROM ping_target_current
     `);
     const totalTargets = sqlToJson(targetsResult)[0]?.count || 0;
 
     // Online targets (based on latest ping)
     const onlineResult = db.exec(`
-      SELECT COUNT(DISTINCT p.target_ip) as count
-      FROM ping_results p
-      INNER JOIN (
-        SELECT target_ip, MAX(received_at) as max_received
-        FROM ping_results
-        GROUP BY target_ip
-      ) latest ON p.target_ip = latest.target_ip AND p.received_at = latest.max_received
-      WHERE p.status = 'online'
+      SELECT COUNT(*) as count
+      FROM ping_target_current
+      WHERE status = 'online'
     `);
     const onlineTargets = sqlToJson(onlineResult)[0]?.count || 0;
 
@@ -476,7 +901,29 @@ app.get('/api/ping-stats', (req, res) => {
   }
 });
 
-// GET /api/unifi/clients - Get all UniFi clients (currently connected + previously seen)
+const UNIFI_CLIENT_LIST = {
+  sorts: {
+    connected: ['cs.is_connected', 'cs.last_seen'],
+    last_seen: ['cs.last_seen'],
+    hostname: ["COALESCE(cs.hostname, '')"],
+    ip: ["COALESCE(cs.ip, '')"],
+    mac: ['cs.mac'],
+    location: ["COALESCE(cs.location, '')", "COALESCE(cs.sublocation, '')"]
+  },
+  defaultSort: '-connected',
+  key: ['cs.mac'],
+  filters: {
+    status: value => {
+      if (value !== 'online' && value !== 'offline') {
+        throw new Error(`Unknown status "${value}" (use: online, offline)`);
+      }
+      return { condition: 'cs.is_connected = ?', params: [value === 'online' ? 1 : 0] };
+    }
+  },
+  time: 'cs.last_seen'
+};
+
+// GET /api/unifi/clients - UniFi clients, currently connected and previously seen (paged)
 app.get('/api/unifi/clients', (req, res) => {
   try {
     const db = getUnifiDb();
@@ -484,43 +931,51 @@ app.get('/api/unifi/clients', (req, res) => {
       return res.status(503).json({ error: 'UniFi database not initialized' });
     }
 
+    const page = pageFor(req, res, UNIFI_CLIENT_LIST);
+    if (!page) return;
+
     const now = Math.floor(Date.now() / 1000);
 
-    // Get all unique clients with their latest state
-    const result = db.exec(`
-      SELECT
+    // Every client's latest state, with details from its latest snapshot
+    const filter = locationFilter(req.query, 'cs');
+    const { rows, ...paging } = fetchPage(db, {
+      select: `
         cs.mac,
         cs.hostname,
         cs.ip,
         cs.is_connected,
         cs.last_seen,
+        cs.location,
+        cs.sublocation,
         c.manufacturer,
         c.device_type,
         c.is_wired,
         c.signal,
         c.rx_bytes,
         c.tx_bytes
-      FROM unifi_client_states cs
-      LEFT JOIN (
-        SELECT mac, manufacturer, device_type, is_wired, signal, rx_bytes, tx_bytes
-        FROM unifi_clients
-        WHERE id IN (
-          SELECT MAX(id)
+      `,
+      from: `unifi_client_states cs
+        LEFT JOIN (
+          SELECT mac, manufacturer, device_type, is_wired, signal, rx_bytes, tx_bytes
           FROM unifi_clients
-          GROUP BY mac
-        )
-      ) c ON cs.mac = c.mac
-      ORDER BY cs.is_connected DESC, cs.last_seen DESC
-    `);
-
-    const clients = sqlToJson(result).map(client => ({
+          WHERE id IN (
+            SELECT MAX(id)
+            FROM unifi_clients
+            GROUP BY mac
+          )
+        ) c ON cs.mac = c.mac`,
+      conditions: filter.conditions,
+      params: filter.params
+    }, page);
+
+    const clients = rows.map(client => ({
       ...client,
       is_connected: client.is_connected === 1,
       is_wired: client.is_wired === 1,
       last_seen_ago: now - client.last_seen
     }));
 
-    res.json({ clients });
+    res.json({ clients, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -595,28 +1050,48 @@ app.get('/api/unifi/clients/:mac/history', (req, res) => {
     }
 
     const mac = req.params.mac;
-    const hours = parseInt(req.query.hours) || 24;
-    const limit = parseInt(req.query.limit) || 100;
-
-    const sinceTimestamp = Math.floor(Date.now() / 1000) - (hours * 3600);
+    const range = historyRange(req, res);
+    if (!range) return;
+    const { resolution } = range;
+
+    const page = pageFor(req, res, resolution === 'raw' ? RAW_HISTORY : ROLLUP_HISTORY);
+    if (!page) return;
+    const time = rangeConditions(range, 'received_at');
+
+    if (resolution !== 'raw') {
+      const { rows, ...paging } = fetchPage(db, {
+        select: `
+          bucket,
+          samples,
+          rx_bytes_delta,
+          tx_bytes_delta,
+          min_signal,
+          ROUND(avg_signal, 1) as avg_signal,
+          max_signal
+        `,
+        from: 'unifi_client_rollups',
+        conditions: ['period = ?', 'mac = ?', ...time.conditions],
+        params: [resolution, mac, ...time.params]
+      }, page);
+
+      return res.json({ history: rows, resolution, ...paging });
+    }
 
-    const result = db.exec(`
-      SELECT
+    const { rows, ...paging } = fetchPage(db, {
+      select: `
         received_at,
         rx_bytes,
         tx_bytes,
         rx_rate,
         tx_rate,
         signal
-      FROM unifi_clients
-      WHERE mac = ? AND received_at > ?
-      ORDER BY received_at DESC
-      LIMIT ?
-    `, [mac, sinceTimestamp, limit]);
+      `,
+      from: 'unifi_clients',
+      conditions: ['mac = ?', ...time.conditions],
+      params: [mac, ...time.params]
+    }, page);
 
-    const history = sqlToJson(result);
-
-    res.json({ history });
+    res.json({ history: rows, resolution, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -942,7 +1417,23 @@ app.get('/api/reports/unifi/suspicious-patterns', (req, res) => {
 // MONITORING ENDPOINTS (Web, SSL, File, Folder)
 // ============================================================================
 
-// GET /api/monitoring/targets - List all monitoring targets with current status
+const MONITORING_TARGET_LIST = {
+  sorts: {
+    type: ['m.target_type', "COALESCE(m.target_name, '')", 'm.target_identifier'],
+    name: ["COALESCE(m.target_name, '')"],
+    identifier: ['m.target_identifier'],
+    last_check: ['m.received_at'],
+    status: ["COALESCE(m.status, '')"],
+    response_time: ['COALESCE(m.response_time_ms, -1)'],
+    location: ["COALESCE(m.location, '')", "COALESCE(m.sublocation, '')"]
+  },
+  defaultSort: 'type',
+  key: ['m.target_type', 'm.target_identifier'],
+  filters: { status: 'm.status', monitor_name: 'm.monitor_name', target_type: 'm.target_type' },
+  time: 'm.received_at'
+};
+
+// GET /api/monitoring/targets - List monitoring targets with current status (paged)
 app.get('/api/monitoring/targets', (req, res) => {
   try {
     const db = getDb();
@@ -950,13 +1441,19 @@ app.get('/api/monitoring/targets', (req, res) => {
       return res.status(503).json({ error: 'Database not initialized' });
     }
 
-    // Get latest status for each target
-    const result = db.exec(`
-      SELECT
+    const page = pageFor(req, res, MONITORING_TARGET_LIST);
+    if (!page) return;
+
+    // Latest status for each target
+    const filter = locationFilter(req.query, 'm');
+    const { rows, ...paging } = fetchPage(db, {
+      select: `
         m.target_type,
         m.target_identifier,
         m.target_name,
         m.monitor_name,
+        m.location,
+        m.sublocation,
         m.status,
         m.response_time_ms,
         m.status_code,
@@ -974,19 +1471,14 @@ app.get('/api/monitoring/targets', (req, res) => {
         m.error_message,
         m.received_at as last_check,
         (? - m.received_at) as last_check_ago
-      FROM monitoring_results m
-      INNER JOIN (
-        SELECT target_type, target_identifier, MAX(received_at) as max_received
-        FROM monitoring_results
-        GROUP BY target_type, target_identifier
-      ) latest ON m.target_type = latest.target_type
-                 AND m.target_identifier = latest.target_identifier
-                 AND m.received_at = latest.max_received
-      ORDER BY m.target_type, m.target_name, m.target_identifier
-    `, [Math.floor(Date.now() / 1000)]);
-
-    const targets = sqlToJson(result);
-    res.json({ targets });
+      `,
+      selectParams: [Math.floor(Date.now() / 1000)],
+      from: 'monitoring_target_current m',
+      conditions: filter.conditions,
+      params: filter.params
+    }, page);
+
+    res.json({ targets: rows, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -1003,13 +1495,40 @@ app.get('/api/monitoring/targets/:type/:identifier/history', (req, res) => {
 
     const targetType = decodeURIComponent(req.params.type);
     const targetIdentifier = decodeURIComponent(req.params.identifier);
-    const hours = parseInt(req.query.hours) || 24;
-    const limit = parseInt(req.query.limit) || 100;
-    const now = Math.floor(Date.now() / 1000);
-    const since = now - (hours * 3600);
+    const range = historyRange(req, res);
+    if (!range) return;
+    const { resolution } = range;
+
+    const page = pageFor(req, res, resolution === 'raw'
+      ? { ...RAW_HISTORY, filters: { status: 'status', monitor_name: 'monitor_name' } }
+      : { ...ROLLUP_HISTORY, filters: { status: rawOnly('status'), monitor_name: rawOnly('monitor_name') } });
+    if (!page) return;
+    const time = rangeConditions(range, 'received_at');
+
+    if (resolution !== 'raw') {
+      const { rows, ...paging } = fetchPage(db, {
+        select: `
+          bucket,
+          target_type,
+          target_identifier,
+          target_name,
+          checks,
+          up,
+          ROUND(100.0 * up / checks, 2) as availability_pct,
+          min_ms,
+          ROUND(avg_ms, 2) as avg_ms,
+          max_ms
+        `,
+        from: 'monitoring_rollups',
+        conditions: ['period = ?', 'target_type = ?', 'target_identifier = ?', ...time.conditions],
+        params: [resolution, targetType, targetIdentifier, ...time.params]
+      }, page);
+
+      return res.json({ history: rows, resolution, ...paging });
+    }
 
-    const result = db.exec(`
-      SELECT
+    const { rows, ...paging } = fetchPage(db, {
+      select: `
         monitor_name,
         target_type,
         target_identifier,
@@ -1031,14 +1550,13 @@ app.get('/api/monitoring/targets/:type/:identifier/history', (req, res) => {
         error_message,
         timestamp,
         received_at
-      FROM monitoring_results
-      WHERE target_type = ? AND target_identifier = ? AND received_at >= ?
-      ORDER BY received_at DESC
-      LIMIT ?
-    `, [targetType, targetIdentifier, since, limit]);
+      `,
+      from: 'monitoring_results',
+      conditions: ['target_type = ?', 'target_identifier = ?', ...time.conditions],
+      params: [targetType, targetIdentifier, ...time.params]
+    }, page);
 
-    const history = sqlToJson(result);
-    res.json({ history });
+    res.json({ history: rows, resolution, ...paging });
   } catch (error) {
     console.error('API Error:', error);
     res.status(500).json({ error: error.message });
@@ -1056,18 +1574,11 @@ app.get('/api/monitoring/stats', (req, res) => {
     // Get counts by type and status
     const result = db.exec(`
       SELECT
-        m.target_type,
-        m.status,
-        COUNT(DISTINCT m.target_identifier) as count
-      FROM monitoring_results m
-      INNER JOIN (
-        SELECT target_type, target_identifier, MAX(received_at) as max_received
-        FROM monitoring_results
-        GROUP BY target_type, target_identifier
-      ) latest ON m.target_type = latest.target_type
-                 AND m.target_identifier = latest.target_identifier
-                 AND m.received_at = latest.max_received
-      GROUP BY m.target_type, m.status
+        target_type,
+        status,
+        COUNT(*) as count
+      FROM monitoring_target_current
+      GROUP BY target_type, status
     `);
 
     const countsByType = sqlToJson(result);
@@ -1100,6 +1611,155 @@ app.get('/api/monitoring/stats', (req, res) => {
   }
 });
 
+// ============================================================================
+// INGEST ENDPOINTS
+// ============================================================================
+
+// GET /api/ingest/stats - Packets accepted and refused per source address and reason since startup
+app.get('/api/ingest/stats', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_SOURCES);
+    res.json(getIngestStats({ limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/bans - Sources currently banned for decrypt failures, plus the limits in force
+app.get('/api/ingest/bans', (req, res) => {
+  try {
+    res.json({ bans: getBans(), settings: getSourceGuardSettings() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/ingest/bans/:address - Lift the ban on one source
+app.delete('/api/ingest/bans/:address', adminOnly, (req, res) => {
+  try {
+    const address = req.params.address;
+    if (!clearBan(address)) {
+      return res.status(404).json({ error: `${address} is not banned` });
+    }
+
+    reportUnban(address);
+    res.json({ cleared: [address] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/ingest/bans - Lift every ban
+app.delete('/api/ingest/bans', adminOnly, (req, res) => {
+  try {
+    const cleared = clearBans();
+    cleared.forEach(reportUnban);
+    res.json({ cleared });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/replays - Replayed packets dropped by the UDP receiver since startup
+app.get('/api/ingest/replays', (req, res) => {
+  try {
+    res.json(getReplayStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/fragments - Fragmented messages reassembled, incomplete and still pending
+app.get('/api/ingest/fragments', (req, res) => {
+  try {
+    res.json(getFragmentStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/delivery - Packet loss per device, from the delivery counters in the latest heartbeat
+app.get('/api/ingest/delivery', (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    // Each device's latest heartbeat, found through device_current.last_seen and the
+    // (device_name, received_at) index rather than a scan of the whole history
+    const result = db.exec(`
+      SELECT
+        h.device_name,
+        h.received_at,
+        h.delivery_sent as sent,
+        h.delivery_acked as acked,
+        h.delivery_lost as lost,
+        h.delivery_retries as retries
+      FROM device_current d
+      JOIN heartbeats h ON h.id = (
+        SELECT id FROM heartbeats
+        WHERE device_name = d.device_name AND received_at = d.last_seen
+        ORDER BY id DESC LIMIT 1
+      )
+      WHERE h.delivery_sent IS NOT NULL
+      ORDER BY d.device_name
+    `);
+
+    const devices = sqlToJson(result).map(device => {
+      const answered = (device.acked || 0) + (device.lost || 0);
+      return {
+        ...device,
+        loss_pct: answered ? Math.round((device.lost / answered) * 1000) / 10 : null
+      };
+    });
+
+    res.json({ devices });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/rejections - Most recent messages refused after decryption (schema, authorisation, backfill)
+app.get('/api/ingest/rejections', (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const page = pageFor(req, res, {
+      sorts: { time: ['id'] },
+      defaultSort: '-time',
+      filters: { source: 'source_address', name: 'message_name' },
+      time: 'received_at',
+      maxLimit: MAX_REJECTIONS
+    });
+    if (!page) return;
+
+    const { rows, ...paging } = fetchPage(db, {
+      select: `
+        id,
+        received_at,
+        source_address,
+        source_port,
+        key_id,
+        message_type,
+        message_name,
+        reason,
+        payload
+      `,
+      from: 'ingest_rejections'
+    }, page);
+
+    res.json({ rejections: rows, ...paging });
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // HEALTH ENDPOINT
 // ============================================================================
@@ -1115,6 +1775,93 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// GET /api/storage - Backend, size, pending writes and flush latency of each database file, the retention job and backups
+app.get('/api/storage', (req, res) => {
+  try {
+    res.json({
+      databases: getStorageStats(),
+      retention: getRetentionStatus(retention),
+      backup: getBackupStatus(config.server?.backup)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/backup - Write a backup of both databases and config.js now (see server/backup.js)
+app.post('/api/admin/backup', adminOnly, async (req, res) => {
+  try {
+    if (!getDb() || !getUnifiDb()) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { path, size_bytes, created_at, files, removed } = await runBackup(config.server?.backup);
+    res.status(201).json({ path, size_bytes, created_at, files, removed });
+  } catch (error) {
+    const status = error.message.includes('already running') ? 409 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Export options from ?format=&from=&to=&entity=&tables= (responds 400 and returns null when invalid)
+function exportOptions(req, res) {
+  try {
+    const { format, from, to, entity, tables } = req.query;
+    return resolveExportOptions({ format, from, to, entities: entity, tables });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+// GET /api/export - Archive of the chosen history as NDJSON or CSV (see server/data-export.js)
+app.get('/api/export', adminOnly, async (req, res) => {
+  try {
+    const db = getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const options = exportOptions(req, res);
+    if (!options) return;
+
+    const compress = req.query.compress !== 'false';
+    res.setHeader('Content-Type', compress ? 'application/gzip' : 'application/x-tar');
+    res.setHeader('Content-Disposition', `attachment; filename="monitor-export-${fileStamp()}.tar${compress ? '.gz' : ''}"`);
+    await writeExport({ databases: { heartbeats: db, unifi: getUnifiDb() }, output: res, compress, ...options });
+  } catch (error) {
+    console.error('API Error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/export/:table - One table streamed as NDJSON or CSV
+app.get('/api/export/:table', adminOnly, async (req, res) => {
+  try {
+    const spec = EXPORT_TABLES.find(table => table.name === req.params.table);
+    if (!spec) {
+      return res.status(404).json({ error: `Unknown table: ${req.params.table}` });
+    }
+
+    const db = spec.database === 'unifi' ? getUnifiDb() : getDb();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const options = exportOptions(req, res);
+    if (!options) return;
+
+    res.setHeader('Content-Type', options.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${spec.name}.${options.format}"`);
+    await pipeline(Readable.from(exportTable(db, spec.name, options)), res);
+  } catch (error) {
+    console.error('API Error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export function startApi(port = API_PORT) {
   app.listen(port, () => {
     console.log(`\n🌐 API Server`);
@@ -1125,7 +1872,14 @@ export function startApi(port = API_PORT) {
     console.log(`       GET /api/devices/:name`);
     console.log(`       GET /api/devices/:name/history`);
     console.log(`       GET /api/devices/:name/interfaces`);
+    console.log(`       GET /api/devices/:name/interfaces/rates`);
     console.log(`       GET /api/stats`);
+    console.log(`     Asset Endpoints:`);
+    console.log(`       GET /api/assets`);
+    console.log(`       GET /api/assets/:id`);
+    console.log(`       PATCH /api/assets/:id (admin key)`);
+    console.log(`       POST /api/assets/:id/merge (admin key)`);
+    console.log(`       POST /api/assets/:id/split (admin key)`);
     console.log(`     Ping Monitoring Endpoints:`);
     console.log(`       GET /api/ping-monitors`);
     console.log(`       GET /api/ping-targets`);
@@ -1158,7 +1912,20 @@ export function startApi(port = API_PORT) {
     console.log(`       GET /api/reports/unifi/bandwidth-heatmap`);
     console.log(`       GET /api/reports/unifi/unknown-devices`);
     console.log(`       GET /api/reports/unifi/suspicious-patterns`);
+    console.log(`     Ingest Endpoints:`);
+    console.log(`       GET /api/ingest/stats`);
+    console.log(`       GET /api/ingest/bans`);
+    console.log(`       DELETE /api/ingest/bans[/:address] (admin key)`);
+    console.log(`       GET /api/ingest/replays`);
+    console.log(`       GET /api/ingest/fragments`);
+    console.log(`       GET /api/ingest/delivery`);
+    console.log(`       GET /api/ingest/rejections`);
     console.log(`     Health:`);
-    console.log(`       GET /api/health\n`);
+    console.log(`       GET /api/health`);
+    console.log(`       GET /api/storage`);
+    console.log(`     Admin:`);
+    console.log(`       POST /api/admin/backup (admin key)`);
+    console.log(`       GET /api/export (admin key)`);
+    console.log(`       GET /api/export/:table (admin key)\n`);
   });
 }
@@ -0,0 +1,340 @@
+// Backups of both databases and config.js, and restoring them
+//
+// A backup is one archive in server.backup.dir: a tar file, gzipped unless
+// server.backup.compress is false, holding heartbeats.sqlite3, unifi.sqlite3,
+// config.js (when it can be found) and manifest.json with each file's size and
+// SHA-256. It unpacks with plain `tar xzf` as well.
+//
+// Copies are consistent while the server runs (see backupDatabaseFile in storage.js);
+// in the server process the sql.js databases are flushed first, so the backup has
+// every row. `server-cli backup` in another process gets what was last flushed.
+//
+// A restore checks the whole archive - hashes, SQLite integrity, schema versions -
+// before it replaces anything, and keeps the databases it replaces next to them as
+// <name>-pre-restore-<time>.sqlite3.
+
+import { existsSync, readdirSync, renameSync, createReadStream } from 'fs';
+import { mkdir, rm, stat, unlink, copyFile, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { fileStamp, writeFileAtomic } from './persistence.js';
+import { readTarFile, writeTarFile } from './tar.js';
+import { backupDatabaseFile, convertDatabaseFile, storageBackend } from './storage.js';
+import { getMigrationStatus } from './schema-migrations.js';
+import { getDbPath, saveDb, loadSqlJs } from './db.js';
+import { getUnifiDbPath, saveUnifiDb } from './unifi-db.js';
+import heartbeatMigrations from './migrations/heartbeats/index.js';
+import unifiMigrations from './migrations/unifi/index.js';
+
+export const DEFAULT_BACKUP = {
+  dir: 'backups',   // Relative to the directory holding databases/
+  intervalHours: 24, // Scheduled backups (0 = only on request)
+  keep: 7,          // Newest archives kept in dir (0 = all)
+  compress: true    // gzip the archive
+};
+
+export const BACKUP_FORMAT = 1;
+const MANIFEST = 'manifest.json';
+const ARCHIVE_PREFIX = 'monitor-backup-';
+
+let running = null;  // Promise of the backup in progress
+let lastBackup = null; // { started_at, duration_ms, path, size_bytes, removed, error }
+
+/**
+ * Fill in defaults and make the backup directory absolute
+ * @param {Object} [settings] - config.server.backup
+ * @returns {Object} Settings with every field set
+ */
+export function resolveBackup(settings = {}) {
+  const backup = { ...DEFAULT_BACKUP, ...settings };
+  // databases/ lives in the runtime directory (next to the executable or server/)
+  backup.dir = resolve(dirname(dirname(getDbPath())), backup.dir);
+  return backup;
+}
+
+/**
+ * Where config.js is: the current directory, then the project root
+ * @returns {string|null}
+ */
+export function findConfigFile() {
+  const serverDir = dirname(fileURLToPath(import.meta.url));
+  return [join(process.cwd(), 'config.js'), join(serverDir, '..', 'config.js')].find(path => existsSync(path)) || null;
+}
+
+async function sha256File(path) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(path)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+/**
+ * Archives in a backup directory, newest first
+ * @param {string} dir - Backup directory
+ * @returns {string[]} Archive paths
+ */
+export function listBackups(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(file => file.startsWith(ARCHIVE_PREFIX) && /\.tar(\.gz)?$/.test(file))
+    .sort()
+    .reverse()
+    .map(file => join(dir, file));
+}
+
+/**
+ * Delete all but the newest archives
+ * @param {string} dir - Backup directory
+ * @param {number} keep - Archives to keep (0 = all)
+ * @returns {Promise<string[]>} Deleted archives
+ */
+export async function rotateBackups(dir, keep) {
+  if (!keep) return [];
+  const old = listBackups(dir).slice(keep);
+  for (const archive of old) await unlink(archive);
+  return old;
+}
+
+/**
+ * Write one archive with consistent copies of the databases and config.js
+ * @param {Object} options
+ * @param {Object[]} options.databases - [{ name, path }]; missing files are left out
+ * @param {string} options.dir - Backup directory (created if needed)
+ * @param {string|null} [options.configPath] - config.js to include
+ * @param {boolean} [options.compress=true] - gzip the archive
+ * @returns {Promise<Object>} { path, size_bytes, created_at, files }
+ */
+export async function createBackup({ databases, dir, configPath = null, compress = true }) {
+  const stamp = fileStamp();
+  const createdAt = Math.floor(Date.now() / 1000);
+  const staging = join(dir, `.staging-${stamp}`);
+  await mkdir(staging, { recursive: true });
+
+  try {
+    const files = [];
+    for (const { name, path } of databases) {
+      if (!existsSync(path)) continue;
+      const staged = join(staging, basename(path));
+      await backupDatabaseFile(path, staged);
+      files.push({ name: basename(path), database: name, path: staged });
+    }
+    if (configPath && existsSync(configPath)) {
+      const staged = join(staging, 'config.js');
+      await copyFile(configPath, staged);
+      files.push({ name: 'config.js', database: null, path: staged });
+    }
+
+    for (const file of files) {
+      file.size = (await stat(file.path)).size;
+      file.sha256 = await sha256File(file.path);
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      created_at: createdAt,
+      files: files.map(({ name, database, size, sha256 }) => ({ name, database, size, sha256 }))
+    };
+    const manifestData = Buffer.from(JSON.stringify(manifest, null, 2));
+
+    const path = join(dir, `${ARCHIVE_PREFIX}${stamp}.tar${compress ? '.gz' : ''}`);
+    await writeTarFile(path, [{ name: MANIFEST, size: manifestData.length, data: manifestData }, ...files], compress);
+
+    return { path, size_bytes: (await stat(path)).size, created_at: createdAt, files: manifest.files };
+  } finally {
+    await rm(staging, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read an archive and check every file against its manifest
+ * @param {string} archive - Archive path
+ * @returns {Object} { manifest, files: Map name -> Buffer }
+ */
+export function readBackup(archive) {
+  const files = readTarFile(archive, 'backup');
+  const manifestData = files.get(MANIFEST);
+  if (!manifestData) throw new Error(`${archive} is not a monitor backup (no ${MANIFEST})`);
+  const manifest = JSON.parse(manifestData.toString('utf8'));
+  if (manifest.format !== BACKUP_FORMAT) {
+    throw new Error(`${archive} has backup format ${manifest.format}, this server reads format ${BACKUP_FORMAT}`);
+  }
+
+  for (const entry of manifest.files) {
+    const contents = files.get(entry.name);
+    if (!contents) throw new Error(`${archive} is missing ${entry.name}`);
+    if (contents.length !== entry.size || createHash('sha256').update(contents).digest('hex') !== entry.sha256) {
+      throw new Error(`${archive} is damaged: ${entry.name} does not match its checksum`);
+    }
+  }
+  return { manifest, files };
+}
+
+// A database from an archive must be intact and no newer than this server's migrations
+function checkDatabase(SQL, data, migrations, name) {
+  const db = new SQL.Database(data);
+  try {
+    const result = db.exec('PRAGMA integrity_check')[0].values[0][0];
+    if (result !== 'ok') throw new Error(`the ${name} database in the backup failed the integrity check: ${result}`);
+
+    const { unknown, latest } = getMigrationStatus(db, migrations);
+    if (unknown.length > 0) {
+      throw new Error(`the ${name} database in the backup is at schema version ${unknown[unknown.length - 1].version}, newer than this server knows (${latest})`);
+    }
+  } catch (error) {
+    if (error.message.startsWith('the ')) throw error;
+    throw new Error(`the ${name} database in the backup cannot be opened: ${error.message}`);
+  } finally {
+    db.close();
+  }
+}
+
+// Keep the database being replaced (and its WAL) as <name>-pre-restore-<time>.sqlite3
+function setAside(path, stamp) {
+  if (!existsSync(path)) return null;
+  const ext = extname(path);
+  const aside = join(dirname(path), `${basename(path, ext)}-pre-restore-${stamp}${ext}`);
+  renameSync(path, aside);
+  if (existsSync(`${path}-wal`)) renameSync(`${path}-wal`, `${aside}-wal`);
+  return aside;
+}
+
+/**
+ * Replace the databases (and optionally config.js) with the contents of an archive
+ * Nothing is touched unless the whole archive checks out. Run with the server stopped.
+ * @param {Object} options
+ * @param {string} options.archive - Archive path
+ * @param {Object} options.SQL - Initialized sql.js module (for the checks)
+ * @param {Object[]} options.databases - [{ name, path, migrations }]
+ * @param {string} [options.backend='sqljs'] - Storage backend the restored files are for
+ * @param {string|null} [options.configPath] - Replace this config.js with the archived one
+ * @returns {Promise<Object>} { created_at, restored: [{ name, path, previous }], config }
+ */
+export async function restoreBackup({ archive, SQL, databases, backend = 'sqljs', configPath = null }) {
+  storageBackend({ backend });
+  const { manifest, files } = readBackup(archive);
+
+  const restores = [];
+  for (const { name, path, migrations } of databases) {
+    const entry = manifest.files.find(file => file.database === name);
+    if (!entry) continue;
+    const data = files.get(entry.name);
+    checkDatabase(SQL, data, migrations, name);
+    restores.push({ name, path, data });
+  }
+  if (restores.length === 0) throw new Error(`${archive} contains no databases`);
+
+  const configData = configPath ? files.get('config.js') : null;
+  if (configPath && !configData) throw new Error(`${archive} contains no config.js`);
+
+  const stamp = fileStamp();
+  const restored = [];
+  for (const { name, path, data } of restores) {
+    await mkdir(dirname(path), { recursive: true });
+    const previous = setAside(path, stamp);
+    await rm(`${path}-shm`, { force: true });
+    await writeFileAtomic(path, data);
+    if (backend === 'sqlite') convertDatabaseFile(path, 'sqlite');
+    restored.push({ name, path, previous });
+  }
+
+  let config = null;
+  if (configData) {
+    const previous = existsSync(configPath) ? `${configPath}.pre-restore-${stamp}` : null;
+    if (previous) renameSync(configPath, previous);
+    await writeFile(configPath, configData);
+    config = { path: configPath, previous };
+  }
+
+  return { created_at: manifest.created_at, restored, config };
+}
+
+/**
+ * Back up both databases and config.js now, then rotate old archives
+ * Used by `server-cli backup`, POST /api/admin/backup and the scheduled job
+ * @param {Object} [settings] - config.server.backup (plus dir / compress overrides)
+ * @returns {Promise<Object>} createBackup() result plus removed archives
+ */
+export async function runBackup(settings = {}) {
+  if (running) throw new Error('A backup is already running');
+
+  const backup = resolveBackup(settings);
+  const started = Date.now();
+  running = (async () => {
+    // Write out what the sql.js databases hold in memory (nothing to do in other processes)
+    await saveDb();
+    await saveUnifiDb();
+
+    const result = await createBackup({
+      databases: [{ name: 'heartbeats', path: getDbPath() }, { name: 'unifi', path: getUnifiDbPath() }],
+      dir: backup.dir,
+      configPath: findConfigFile(),
+      compress: backup.compress
+    });
+    const removed = await rotateBackups(backup.dir, backup.keep);
+    return { ...result, removed };
+  })();
+
+  try {
+    const result = await running;
+    lastBackup = {
+      started_at: Math.floor(started / 1000),
+      duration_ms: Date.now() - started,
+      path: result.path,
+      size_bytes: result.size_bytes,
+      removed: result.removed.length,
+      error: null
+    };
+    return result;
+  } catch (error) {
+    lastBackup = { started_at: Math.floor(started / 1000), duration_ms: null, path: null, size_bytes: null, removed: 0, error: error.message };
+    throw error;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Restore both databases (and optionally config.js) from an archive - `server-cli restore`
+ * @param {Object} options
+ * @param {string} options.archive - Archive path
+ * @param {Object} [options.storage] - config.server.storage the restored files are for
+ * @param {boolean} [options.config=false] - Also replace config.js
+ * @returns {Promise<Object>} restoreBackup() result
+ */
+export async function runRestore({ archive, storage = {}, config = false }) {
+  const configPath = config ? (findConfigFile() || join(process.cwd(), 'config.js')) : null;
+  return restoreBackup({
+    archive,
+    SQL: await loadSqlJs(),
+    databases: [
+      { name: 'heartbeats', path: getDbPath(), migrations: heartbeatMigrations },
+      { name: 'unifi', path: getUnifiDbPath(), migrations: unifiMigrations }
+    ],
+    backend: storageBackend(storage),
+    configPath
+  });
+}
+
+/**
+ * runBackup() for the maintenance timer: logs the outcome and never throws
+ * @param {Object} [settings] - config.server.backup
+ */
+export async function runBackupSafely(settings) {
+  try {
+    const { path, size_bytes: size, removed } = await runBackup(settings);
+    const rotated = removed.length ? `, removed ${removed.length} old backup(s)` : '';
+    console.log(`[${new Date().toISOString()}] ✓ Backup written to ${path} (${Math.round(size / 1024)} KB${rotated})`);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ⚠ Backup failed: ${error.message}`);
+  }
+}
+
+/**
+ * Settings, archives on disk and the outcome of the last backup, for /api/storage
+ * @param {Object} [settings] - config.server.backup
+ * @returns {Object}
+ */
+export function getBackupStatus(settings) {
+  const backup = resolveBackup(settings);
+  return { settings: backup, archives: listBackups(backup.dir).length, last_backup: lastBackup };
+}
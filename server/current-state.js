@@ -0,0 +1,78 @@
+// Latest state per device, ping target and monitoring target
+//
+// device_current, ping_target_current and monitoring_target_current (heartbeats
+// migration 007) hold the newest report for each key. db.js updates them in the same
+// transaction as the insert, so the status checks in alerting.js, the list endpoints
+// and /api/locations read one row per device or target instead of grouping the whole
+// history. Backfilled rows are older than what is stored and never replace it.
+//
+// Entries outlive the raw rows: a device or target whose history has been pruned
+// stays listed, offline, with its last known state. heartbeat_count is the number of
+// raw heartbeats stored; server/retention.js subtracts the ones it prunes.
+
+const PING_COLUMNS = [
+  'target_name', 'monitor_name', 'location', 'sublocation', 'status', 'response_time_ms', 'timestamp', 'received_at'
+];
+
+const MONITORING_COLUMNS = [
+  'target_name', 'monitor_name', 'location', 'sublocation', 'status',
+  'response_time_ms', 'status_code',
+  'file_exists', 'file_size', 'file_created', 'file_modified', 'file_hash', 'file_hash_match',
+  'folder_file_count', 'folder_total_size',
+  'ssl_valid', 'ssl_expires', 'ssl_days_until_expiry',
+  'error_message', 'timestamp', 'received_at'
+];
+
+// SET clause keeping the stored value unless the new row is at least as recent
+function latest(column, time) {
+  return `${column} = CASE WHEN excluded.${time} >= ${time} THEN excluded.${column} ELSE ${column} END`;
+}
+
+// Upsert one raw row (by id) into its current-state table
+function copyLatest(table, source, keys, columns) {
+  const all = [...keys, ...columns].join(', ');
+  return `
+    INSERT INTO ${table} (${all})
+    SELECT ${all} FROM ${source} WHERE id = ?
+    ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${columns.map(column => latest(column, 'received_at')).join(', ')}
+  `;
+}
+
+const UPDATE_DEVICE = `
+  INSERT INTO device_current (device_name, location, sublocation, last_seen, heartbeat_count)
+  VALUES (?, ?, ?, ?, 1)
+  ON CONFLICT (device_name) DO UPDATE SET
+    ${latest('location', 'last_seen')},
+    ${latest('sublocation', 'last_seen')},
+    last_seen = MAX(last_seen, excluded.last_seen),
+    heartbeat_count = heartbeat_count + 1
+`;
+const UPDATE_PING_TARGET = copyLatest('ping_target_current', 'ping_results', ['target_ip'], PING_COLUMNS);
+const UPDATE_MONITORING_TARGET = copyLatest('monitoring_target_current', 'monitoring_results', ['target_type', 'target_identifier'], MONITORING_COLUMNS);
+
+/**
+ * Count a stored heartbeat in device_current
+ * @param {Object} db - Main database
+ * @param {Object} heartbeat - { deviceName, receivedAt, location, sublocation }
+ */
+export function updateDeviceCurrent(db, { deviceName, receivedAt, location = null, sublocation = null }) {
+  db.run(UPDATE_DEVICE, [deviceName, location, sublocation, receivedAt]);
+}
+
+/**
+ * Bring ping_target_current up to date with a stored ping result
+ * @param {Object} db - Main database
+ * @param {number} resultId - ping_results.id
+ */
+export function updatePingTargetCurrent(db, resultId) {
+  db.run(UPDATE_PING_TARGET, [resultId]);
+}
+
+/**
+ * Bring monitoring_target_current up to date with a stored monitoring result
+ * @param {Object} db - Main database
+ * @param {number} resultId - monitoring_results.id
+ */
+export function updateMonitoringTargetCurrent(db, resultId) {
+  db.run(UPDATE_MONITORING_TARGET, [resultId]);
+}
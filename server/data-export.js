@@ -0,0 +1,529 @@
+// Data export and import as NDJSON or CSV archives (server-cli export / import, /api/export)
+//
+// An export is a tar archive, gzipped unless asked otherwise, holding manifest.json and
+// one <table>.ndjson or <table>.csv per table in EXPORT_TABLES: the raw history, the
+// rollups that outlive it (see server/retention.js), the alert log and the UniFi tables.
+// Rows can be limited to a time range and to entities - device names, ping and
+// monitoring targets, MACs or hostnames - matching glob patterns ('NYC-*').
+//
+// Row ids mean nothing on another server, so they are left out: network interfaces name
+// their heartbeat by its device, device timestamp and receive time instead. An import
+// skips rows whose key is already stored (and keeps the newer row of one-row-per-key
+// tables), so the same archive can be imported twice. Imported heartbeats and results
+// update the current-state tables and interface rates as ingest does, and the retention
+// job rolls them up on its next run.
+
+import { createWriteStream } from 'fs';
+import { mkdtemp, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { withTransaction } from './persistence.js';
+import { getMigrationStatus } from './schema-migrations.js';
+import { readTarFile, writeTarFile, pipeTar } from './tar.js';
+import { updateDeviceCurrent, updatePingTargetCurrent, updateMonitoringTargetCurrent } from './current-state.js';
+import { updateInterfaceRates } from './interface-rates.js';
+import { withDbFile } from './db.js';
+import { withUnifiDbFile } from './unifi-db.js';
+import heartbeatMigrations from './migrations/heartbeats/index.js';
+import unifiMigrations from './migrations/unifi/index.js';
+
+export const EXPORT_FORMAT = 1;
+export const DATA_FORMATS = ['ndjson', 'csv'];
+const MANIFEST = 'manifest.json';
+const BATCH_ROWS = 1000;
+
+const MIGRATIONS = { heartbeats: heartbeatMigrations, unifi: unifiMigrations };
+const HEARTBEAT_KEY = ['device_name', 'device_timestamp', 'received_at'];
+
+// In import order (heartbeats before their interfaces). time: column the range applies
+// to; entity: columns entity patterns match; key: columns that identify a row.
+export const EXPORT_TABLES = [
+  {
+    name: 'heartbeats',
+    database: 'heartbeats',
+    time: 'received_at',
+    entity: ['device_name'],
+    key: HEARTBEAT_KEY,
+    onInsert: (db, { row }) => updateDeviceCurrent(db, {
+      deviceName: row.device_name, receivedAt: row.received_at, location: row.location, sublocation: row.sublocation
+    })
+  },
+  {
+    name: 'network_interfaces',
+    database: 'heartbeats',
+    parent: { table: 'heartbeats', column: 'heartbeat_id', key: HEARTBEAT_KEY },
+    time: 'received_at',
+    entity: ['device_name'],
+    key: ['interface_name'],
+    afterImport: (db, { parentIds }) => {
+      for (const heartbeatId of parentIds) updateInterfaceRates(db, heartbeatId);
+    }
+  },
+  {
+    name: 'ping_results',
+    database: 'heartbeats',
+    time: 'received_at',
+    entity: ['target_ip', 'target_name'],
+    key: ['monitor_name', 'target_ip', 'timestamp', 'received_at'],
+    onInsert: (db, { id }) => updatePingTargetCurrent(db, id)
+  },
+  {
+    name: 'monitoring_results',
+    database: 'heartbeats',
+    time: 'received_at',
+    entity: ['target_identifier', 'target_name'],
+    key: ['monitor_name', 'target_type', 'target_identifier', 'timestamp', 'received_at'],
+    onInsert: (db, { id }) => updateMonitoringTargetCurrent(db, id)
+  },
+  {
+    name: 'alert_log',
+    database: 'heartbeats',
+    time: 'sent_at',
+    entity: ['entity_name'],
+    key: ['alert_type', 'entity_type', 'entity_name', 'event_type', 'webhook_type', 'webhook_name', 'sent_at']
+  },
+  { name: 'heartbeat_rollups', database: 'heartbeats', time: 'bucket', entity: ['device_name'], key: ['period', 'bucket', 'device_name'] },
+  { name: 'interface_rollups', database: 'heartbeats', time: 'bucket', entity: ['device_name'], key: ['period', 'bucket', 'device_name', 'interface_name'] },
+  { name: 'ping_rollups', database: 'heartbeats', time: 'bucket', entity: ['target_ip', 'target_name'], key: ['period', 'bucket', 'target_ip'] },
+  {
+    name: 'monitoring_rollups',
+    database: 'heartbeats',
+    time: 'bucket',
+    entity: ['target_identifier', 'target_name'],
+    key: ['period', 'bucket', 'target_type', 'target_identifier']
+  },
+  { name: 'unifi_clients', database: 'unifi', time: 'received_at', entity: ['mac', 'hostname'], key: ['mac', 'received_at', 'last_seen'] },
+  { name: 'unifi_connection_events', database: 'unifi', time: 'timestamp', entity: ['mac', 'hostname'], key: ['mac', 'event_type', 'timestamp'] },
+  // One row per client: an import replaces it only with a newer one
+  { name: 'unifi_client_states', database: 'unifi', time: 'last_seen', entity: ['mac', 'hostname'], key: ['mac'], latest: 'last_seen' },
+  { name: 'unifi_client_rollups', database: 'unifi', time: 'bucket', entity: ['mac', 'hostname'], key: ['period', 'bucket', 'mac'] }
+];
+
+function sqlToJson(result) {
+  if (!result || result.length === 0) return [];
+
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+function tableSpec(name) {
+  const spec = EXPORT_TABLES.find(table => table.name === name);
+  if (!spec) throw new Error(`Unknown table: ${name} (expected one of: ${EXPORT_TABLES.map(table => table.name).join(', ')})`);
+  return spec;
+}
+
+function listValue(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * A time given as Unix seconds or an ISO 8601 date
+ * @param {string|number|null} value
+ * @returns {number|null} Unix seconds, null when not given
+ */
+export function parseExportTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+
+  const ms = Date.parse(String(value));
+  if (Number.isNaN(ms)) throw new Error(`Invalid time: ${value} (use Unix seconds or an ISO 8601 date)`);
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Check and normalize export options (CLI arguments or query parameters)
+ * @param {Object} [options]
+ * @param {string} [options.format='ndjson'] - 'ndjson' or 'csv'
+ * @param {string|number} [options.from] - Oldest row (inclusive)
+ * @param {string|number} [options.to] - Newest row (exclusive)
+ * @param {string|string[]} [options.entities] - Glob patterns (comma-separated or an array)
+ * @param {string|string[]} [options.tables] - Tables to export (default: all)
+ * @returns {Object} { format, from, to, entities, tables }
+ */
+export function resolveExportOptions({ format = 'ndjson', from, to, entities, tables } = {}) {
+  if (!DATA_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format} (expected ${DATA_FORMATS.join(' or ')})`);
+  }
+
+  const range = { from: parseExportTime(from), to: parseExportTime(to) };
+  if (range.from !== null && range.to !== null && range.from >= range.to) {
+    throw new Error('from must be before to');
+  }
+
+  const names = listValue(tables);
+  names.forEach(tableSpec);
+  return { format, ...range, entities: listValue(entities), tables: names.length ? names : EXPORT_TABLES.map(table => table.name) };
+}
+
+// [{ name, type }] of a table, without the row id
+function tableColumns(db, table) {
+  return sqlToJson(db.exec(`PRAGMA table_info(${table})`))
+    .filter(column => column.name !== 'id')
+    .map(({ name, type }) => ({ name, type }));
+}
+
+// Columns as exported: a child table's parent key first, in place of the parent's id
+function exportColumns(db, spec) {
+  const own = tableColumns(db, spec.name).filter(column => column.name !== spec.parent?.column);
+  if (!spec.parent) return own;
+
+  const parent = tableColumns(db, spec.parent.table);
+  return [...spec.parent.key.map(name => parent.find(column => column.name === name)), ...own];
+}
+
+// WHERE conditions for the time range and entity patterns (on the parent for child tables)
+function rowFilter(spec, { from = null, to = null, entities = [] }) {
+  const alias = spec.parent ? 'p' : 't';
+  const conditions = [];
+  const params = [];
+
+  if (from !== null) {
+    conditions.push(`${alias}.${spec.time} >= ?`);
+    params.push(from);
+  }
+  if (to !== null) {
+    conditions.push(`${alias}.${spec.time} < ?`);
+    params.push(to);
+  }
+  if (entities.length) {
+    const matches = [];
+    for (const pattern of entities) {
+      for (const column of spec.entity) {
+        matches.push(`${alias}.${column} GLOB ?`);
+        params.push(pattern);
+      }
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+
+  return { where: conditions.map(condition => `AND ${condition}`).join(' '), params };
+}
+
+// Rows (arrays in exportColumns() order) a batch at a time, oldest row id first
+function* tableRows(db, spec, columns, filters) {
+  const parentKey = new Set(spec.parent?.key || []);
+  const select = columns.map(({ name }) => `${parentKey.has(name) ? 'p' : 't'}.${name}`).join(', ');
+  const source = spec.parent
+    ? `${spec.name} t JOIN ${spec.parent.table} p ON p.id = t.${spec.parent.column}`
+    : `${spec.name} t`;
+  const { where, params } = rowFilter(spec, filters);
+  const sql = `SELECT t.rowid, ${select} FROM ${source} WHERE t.rowid > ? ${where} ORDER BY t.rowid LIMIT ${BATCH_ROWS}`;
+
+  let after = 0;
+  for (;;) {
+    const result = db.exec(sql, [after, ...params]);
+    const batch = result.length ? result[0].values : [];
+    for (const [rowid, ...values] of batch) {
+      after = rowid;
+      yield values;
+    }
+    if (batch.length < BATCH_ROWS) return;
+  }
+}
+
+// One CSV field: NULL is empty, an empty string is "" so the two stay apart
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (typeof value === 'string' && (text === '' || /[",\r\n]/.test(text))) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * One table as NDJSON or CSV text, a batch of rows per chunk
+ * @param {Object} db - Database holding the table
+ * @param {string} table - Name from EXPORT_TABLES
+ * @param {Object} [options] - From resolveExportOptions() (format, from, to, entities)
+ * @param {Object} [stats] - Gets { rows, columns } as the rows are read
+ * @returns {Generator<string>}
+ */
+export function* exportTable(db, table, { format = 'ndjson', ...filters } = {}, stats = {}) {
+  const spec = tableSpec(table);
+  const columns = exportColumns(db, spec);
+  const names = columns.map(column => column.name);
+  stats.rows = 0;
+  stats.columns = columns;
+
+  if (format === 'csv') yield `${names.join(',')}\n`;
+
+  let chunk = [];
+  for (const values of tableRows(db, spec, columns, filters)) {
+    chunk.push(format === 'csv'
+      ? values.map(csvField).join(',')
+      : JSON.stringify(Object.fromEntries(names.map((name, i) => [name, values[i]]))));
+    stats.rows++;
+    if (chunk.length === BATCH_ROWS) {
+      yield `${chunk.join('\n')}\n`;
+      chunk = [];
+    }
+  }
+  if (chunk.length) yield `${chunk.join('\n')}\n`;
+}
+
+/**
+ * Write an export archive of the chosen tables to a file or a stream
+ * Each table is staged in a temporary file first, so the archive streams without holding
+ * a whole table in memory.
+ * @param {Object} options
+ * @param {Object} options.databases - { heartbeats, unifi }; tables of a missing database are left out
+ * @param {string|Writable} options.output - Archive path, or a stream such as an HTTP response
+ * @param {boolean} [options.compress=true] - gzip the archive
+ * @param {string} [options.format] - And from, to, entities, tables: see resolveExportOptions()
+ * @returns {Promise<Object>} The manifest written
+ */
+export async function writeExport({ databases, output, compress = true, ...options }) {
+  const { format, from, to, entities, tables } = resolveExportOptions(options);
+  const staging = await mkdtemp(join(tmpdir(), 'monitor-export-'));
+
+  try {
+    const entries = [];
+    const manifest = {
+      format: EXPORT_FORMAT,
+      created_at: Math.floor(Date.now() / 1000),
+      data_format: format,
+      filters: { from, to, entities },
+      schema: {},
+      tables: []
+    };
+
+    for (const [name, db] of Object.entries(databases)) {
+      if (db) manifest.schema[name] = getMigrationStatus(db, MIGRATIONS[name]).current;
+    }
+
+    for (const spec of EXPORT_TABLES.filter(table => tables.includes(table.name))) {
+      const db = databases[spec.database];
+      if (!db) continue;
+
+      const file = `${spec.name}.${format}`;
+      const path = join(staging, file);
+      const stats = {};
+      await pipeline(Readable.from(exportTable(db, spec.name, { format, from, to, entities }, stats)), createWriteStream(path));
+
+      entries.push({ name: file, size: (await stat(path)).size, path });
+      manifest.tables.push({ name: spec.name, database: spec.database, file, rows: stats.rows, columns: stats.columns });
+    }
+
+    const manifestData = Buffer.from(JSON.stringify(manifest, null, 2));
+    const archive = [{ name: MANIFEST, size: manifestData.length, data: manifestData }, ...entries];
+    if (typeof output === 'string') {
+      await writeTarFile(output, archive, compress);
+    } else {
+      await pipeTar(archive, output, compress);
+    }
+    return manifest;
+  } finally {
+    await rm(staging, { recursive: true, force: true });
+  }
+}
+
+// Records of a CSV file; unquoted empty fields are NULL, quoted ones keep their text
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+
+  const endField = () => {
+    record.push(quoted || field !== '' ? field : null);
+    field = '';
+    quoted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endField();
+      records.push(record);
+      record = [];
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || quoted || record.length) {
+    endField();
+    records.push(record);
+  }
+  return records;
+}
+
+// Rows of one archived table as objects keyed by column
+function readRows(data, entry, dataFormat) {
+  const text = data.toString('utf8');
+  if (dataFormat === 'ndjson') {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  const [header = [], ...records] = parseCsv(text);
+  const numeric = new Set(entry.columns.filter(column => /INT|REAL|FLOA|DOUB|NUM/i.test(column.type)).map(column => column.name));
+  return records.map(record => Object.fromEntries(header.map((name, i) => {
+    const value = record[i] ?? null;
+    return [name, value !== null && numeric.has(name) ? Number(value) : value];
+  })));
+}
+
+function lastInsertId(db) {
+  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
+// Insert the rows not stored yet; returns { inserted, updated, skipped }
+function importRows(db, spec, archivedColumns, rows) {
+  const parentKey = spec.parent?.key || [];
+  for (const column of [...parentKey, ...spec.key]) {
+    if (!archivedColumns.includes(column)) throw new Error(`${spec.name} in the archive has no ${column} column`);
+  }
+
+  // Columns this server does not have (an older schema) are dropped
+  const known = new Set(tableColumns(db, spec.name).map(column => column.name));
+  const columns = archivedColumns.filter(column => known.has(column) && !parentKey.includes(column));
+  const insertColumns = spec.parent ? [spec.parent.column, ...columns] : columns;
+
+  const insert = `INSERT INTO ${spec.name} (${insertColumns.join(', ')}) VALUES (${insertColumns.map(() => '?').join(', ')})`;
+  const keyMatch = [...(spec.parent ? [`${spec.parent.column} = ?`] : []), ...spec.key.map(column => `${column} IS ?`)].join(' AND ');
+  const find = `SELECT rowid${spec.latest ? `, ${spec.latest}` : ''} FROM ${spec.name} WHERE ${keyMatch} LIMIT 1`;
+  const findParent = spec.parent
+    ? `SELECT id FROM ${spec.parent.table} WHERE ${parentKey.map(column => `${column} IS ?`).join(' AND ')} LIMIT 1`
+    : null;
+  const update = spec.latest
+    ? `UPDATE ${spec.name} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE rowid = ?`
+    : null;
+
+  const counts = { inserted: 0, updated: 0, skipped: 0 };
+  const parentIds = new Set();
+
+  for (const row of rows) {
+    const value = column => row[column] ?? null;
+
+    let parentId = null;
+    if (spec.parent) {
+      // The heartbeat was left out of the archive and is not stored here either
+      parentId = db.exec(findParent, parentKey.map(value))[0]?.values[0][0] ?? null;
+      if (parentId === null) {
+        counts.skipped++;
+        continue;
+      }
+    }
+
+    const existing = db.exec(find, [...(spec.parent ? [parentId] : []), ...spec.key.map(value)])[0]?.values[0];
+    if (existing) {
+      if (spec.latest && value(spec.latest) !== null && value(spec.latest) > existing[1]) {
+        db.run(update, [...columns.map(value), existing[0]]);
+        counts.updated++;
+      } else {
+        counts.skipped++;
+      }
+      continue;
+    }
+
+    db.run(insert, [...(spec.parent ? [parentId] : []), ...columns.map(value)]);
+    counts.inserted++;
+    if (spec.parent) parentIds.add(parentId);
+    spec.onInsert?.(db, { id: lastInsertId(db), row });
+  }
+
+  spec.afterImport?.(db, { parentIds });
+  return counts;
+}
+
+/**
+ * Read an export archive and check its manifest
+ * @param {string} archive - Archive path
+ * @returns {Object} { manifest, files: Map name -> Buffer }
+ */
+export function readExport(archive) {
+  const files = readTarFile(archive, 'export');
+  const manifestData = files.get(MANIFEST);
+  if (!manifestData) throw new Error(`${archive} is not a data export (no ${MANIFEST})`);
+
+  const manifest = JSON.parse(manifestData.toString('utf8'));
+  if (manifest.format !== EXPORT_FORMAT) {
+    throw new Error(`${archive} has export format ${manifest.format}, this server reads format ${EXPORT_FORMAT}`);
+  }
+  if (!DATA_FORMATS.includes(manifest.data_format)) {
+    throw new Error(`${archive} holds ${manifest.data_format} data, expected ${DATA_FORMATS.join(' or ')}`);
+  }
+
+  for (const [name, migrations] of Object.entries(MIGRATIONS)) {
+    const latest = migrations[migrations.length - 1].version;
+    if ((manifest.schema?.[name] || 0) > latest) {
+      throw new Error(`${archive} was exported from a ${name} database at schema version ${manifest.schema[name]}, newer than this server knows (${latest})`);
+    }
+  }
+  for (const entry of manifest.tables) {
+    tableSpec(entry.name);
+    if (!files.has(entry.file)) throw new Error(`${archive} is missing ${entry.file}`);
+  }
+  return { manifest, files };
+}
+
+/**
+ * Import an export archive; rows already stored are skipped
+ * Each table is imported in one transaction. The whole archive is read and checked first.
+ * @param {Object} options
+ * @param {Object} options.databases - { heartbeats, unifi }
+ * @param {string} options.archive - Archive path
+ * @returns {Object} { created_at, tables: [{ name, inserted, updated, skipped }] }
+ */
+export function importArchive({ databases, archive }) {
+  const { manifest, files } = readExport(archive);
+
+  const imports = [];
+  for (const spec of EXPORT_TABLES) {
+    const entry = manifest.tables.find(table => table.name === spec.name);
+    if (!entry) continue;
+    if (!databases[spec.database]) throw new Error(`The ${spec.database} database is not available to import ${spec.name}`);
+    imports.push({ spec, entry, rows: readRows(files.get(entry.file), entry, manifest.data_format) });
+  }
+
+  const tables = [];
+  for (const { spec, entry, rows } of imports) {
+    const db = databases[spec.database];
+    const archivedColumns = entry.columns.map(column => column.name);
+    tables.push({ name: spec.name, ...withTransaction(db, () => importRows(db, spec, archivedColumns, rows)) });
+  }
+  return { created_at: manifest.created_at, tables };
+}
+
+/**
+ * Export from the database files - `server-cli export` (gets what a running server last flushed)
+ * @param {Object} options - writeExport() options with output as a path, plus storage
+ * @returns {Promise<Object>} The manifest written
+ */
+export async function runExport({ storage = {}, ...options }) {
+  return withDbFile(db => withUnifiDbFile(
+    unifiDb => writeExport({ databases: { heartbeats: db, unifi: unifiDb }, ...options }),
+    { storage }
+  ), { storage });
+}
+
+/**
+ * Import into the database files - `server-cli import` (server stopped)
+ * @param {Object} options
+ * @param {string} options.archive - Archive path
+ * @param {Object} [options.storage] - config.server.storage
+ * @returns {Promise<Object>} importArchive() result
+ */
+export async function runImport({ archive, storage = {} }) {
+  return withDbFile(db => withUnifiDbFile(
+    async unifiDb => importArchive({ databases: { heartbeats: db, unifi: unifiDb }, archive }),
+    { storage, save: true }
+  ), { storage, save: true });
+}
@@ -1,8 +1,14 @@
 import initSqlJs from 'sql.js';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { stopAlerting } from './alerting.js';
+import { createPersister, closePersisters, loadDatabase, withTransaction, writeFileAtomic } from './persistence.js';
+import { runMigrations, getMigrationStatus } from './schema-migrations.js';
+import heartbeatMigrations from './migrations/heartbeats/index.js';
+import { updateDeviceCurrent, updatePingTargetCurrent, updateMonitoringTargetCurrent } from './current-state.js';
+import { updateInterfaceRates } from './interface-rates.js';
+import { storageBackend, assertFileBackend, wrapSqlJs, openSqlite, closeSqliteDatabases, convertDatabaseFile } from './storage.js';
 
 // Get runtime directory - use process.cwd() for pkg executables to avoid bundle-time path resolution
 function getRuntimeDir() {
@@ -18,12 +24,17 @@ const dbPath = join(getRuntimeDir(), 'databases', 'heartbeats.sqlite3');
 
 let db = null;
 let SQL = null;
+let persister = null;
 
-// Initialize database
-export async function initDb() {
-  // Log runtime directory for debugging
-  console.log(`Runtime directory: ${getRuntimeDir()}`);
-  console.log(`Looking for database at: ${dbPath}`);
+export const MAX_REJECTIONS = 1000;
+const MAX_REJECTION_PAYLOAD = 2000; // characters of JSON kept per rejected message
+
+/**
+ * Initialized sql.js module (loaded once; also used to check backups before a restore)
+ * @returns {Promise<Object>}
+ */
+export async function loadSqlJs() {
+  if (SQL) return SQL;
 
   // Load WASM file manually to work with pkg bundler
   const wasmPath = join(getRuntimeDir(), 'sql-wasm.wasm');
@@ -34,348 +45,325 @@ export async function initDb() {
   SQL = await initSqlJs({
     wasmBinary: wasmBinary
   });
+  return SQL;
+}
+
+// Open the database with the configured backend (storage: config.server.storage, see server/storage.js)
+async function openDatabase(storage) {
+  if (storageBackend(storage) === 'sqlite') {
+    const database = openSqlite({ name: 'heartbeats', path: dbPath });
+    console.log('✓ Database opened with native SQLite (WAL)');
+    return database;
+  }
+
+  await loadSqlJs();
 
   // Load existing database or create new one
   if (existsSync(dbPath)) {
     console.log(`✓ Found existing database file`);
-    const buffer = readFileSync(dbPath);
-    db = new SQL.Database(buffer);
+    assertFileBackend(dbPath, 'sqljs');
+    const database = wrapSqlJs(loadDatabase(SQL, dbPath));
     console.log('✓ Database loaded from disk');
-  } else {
-    console.log(`✓ No existing database found, creating new one`);
-    db = new SQL.Database();
-    console.log('✓ New database created');
+    return database;
   }
 
-  // Create heartbeats table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS heartbeats (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      device_name TEXT NOT NULL,
-      device_timestamp INTEGER NOT NULL,
-      received_at INTEGER NOT NULL
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_device_name ON heartbeats(device_name)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_received_at ON heartbeats(received_at)`);
-
-  // Create network interfaces table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS network_interfaces (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      heartbeat_id INTEGER NOT NULL,
-      interface_name TEXT NOT NULL,
-      ip_address TEXT NOT NULL,
-      rx_bytes INTEGER NOT NULL,
-      tx_bytes INTEGER NOT NULL,
-      max_speed_mbps INTEGER NOT NULL,
-      FOREIGN KEY (heartbeat_id) REFERENCES heartbeats(id)
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_heartbeat_id ON network_interfaces(heartbeat_id)`);
-
-  // Create ping results table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS ping_results (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      monitor_name TEXT NOT NULL,
-      target_ip TEXT NOT NULL,
-      target_name TEXT,
-      status TEXT NOT NULL,
-      response_time_ms REAL,
-      timestamp INTEGER NOT NULL,
-      received_at INTEGER NOT NULL
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_monitor_name ON ping_results(monitor_name)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_target_ip ON ping_results(target_ip)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_ping_received_at ON ping_results(received_at)`);
-
-  // Create device state tracking table for alerting
-  db.run(`
-    CREATE TABLE IF NOT EXISTS device_states (
-      device_name TEXT PRIMARY KEY,
-      status TEXT NOT NULL,
-      last_seen INTEGER NOT NULL,
-      last_status_change INTEGER NOT NULL,
-      updated_at INTEGER NOT NULL
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_device_status ON device_states(status)`);
-
-  // Create ping target state tracking table for alerting
-  db.run(`
-    CREATE TABLE IF NOT EXISTS ping_target_states (
-      target_ip TEXT PRIMARY KEY,
-      target_name TEXT,
-      monitor_name TEXT NOT NULL,
-      status TEXT NOT NULL,
-      last_check INTEGER NOT NULL,
-      last_status_change INTEGER NOT NULL,
-      response_time_ms REAL,
-      updated_at INTEGER NOT NULL
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_ping_target_status ON ping_target_states(status)`);
-
-  // Create alert log table to track all alerts sent
-  db.run(`
-    CREATE TABLE IF NOT EXISTS alert_log (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      alert_type TEXT NOT NULL,
-      entity_type TEXT NOT NULL,
-      entity_name TEXT NOT NULL,
-      event_type TEXT NOT NULL,
-      webhook_type TEXT NOT NULL,
-      webhook_name TEXT NOT NULL,
-      sent_at INTEGER NOT NULL,
-      status TEXT NOT NULL,
-      error_message TEXT
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_alert_entity ON alert_log(entity_type, entity_name)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_alert_sent_at ON alert_log(sent_at)`);
-
-  // Create monitoring results table (web, SSL, file, folder monitoring)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS monitoring_results (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      monitor_name TEXT NOT NULL,
-      target_type TEXT NOT NULL,
-      target_identifier TEXT NOT NULL,
-      target_name TEXT,
-      status TEXT NOT NULL,
-      response_time_ms REAL,
-      status_code INTEGER,
-      file_exists INTEGER,
-      file_size INTEGER,
-      file_created INTEGER,
-      file_modified INTEGER,
-      file_hash TEXT,
-      file_hash_match INTEGER,
-      folder_file_count INTEGER,
-      folder_total_size INTEGER,
-      ssl_valid INTEGER,
-      ssl_expires INTEGER,
-      ssl_days_until_expiry INTEGER,
-      error_message TEXT,
-      timestamp INTEGER NOT NULL,
-      received_at INTEGER NOT NULL
-    )
-  `);
-
-  db.run(`CREATE INDEX IF NOT EXISTS idx_monitor_name_monitoring ON monitoring_results(monitor_name)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_target_type ON monitoring_results(target_type)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_target_identifier ON monitoring_results(target_identifier)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_monitoring_received_at ON monitoring_results(received_at)`);
-
-  // Phase 7 migrations: Add location/sublocation support
-  try {
-    // Check if location column exists in heartbeats table
-    const heartbeatsInfo = db.exec("PRAGMA table_info(heartbeats)");
-    const hasLocationCol = heartbeatsInfo[0]?.values.some(row => row[1] === 'location');
-
-    if (!hasLocationCol) {
-      db.run(`ALTER TABLE heartbeats ADD COLUMN location TEXT`);
-      db.run(`ALTER TABLE heartbeats ADD COLUMN sublocation TEXT`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_location ON heartbeats(location)`);
-      console.log('✓ Added location/sublocation columns to heartbeats table');
-    }
-  } catch (error) {
-    // Columns may already exist, ignore error
-  }
+  console.log(`✓ No existing database found, creating new one`);
+  const database = wrapSqlJs(new SQL.Database());
+  console.log('✓ New database created');
+  return database;
+}
 
-  try {
-    // Check if location column exists in ping_results table
-    const pingInfo = db.exec("PRAGMA table_info(ping_results)");
-    const hasLocationCol = pingInfo[0]?.values.some(row => row[1] === 'location');
-
-    if (!hasLocationCol) {
-      db.run(`ALTER TABLE ping_results ADD COLUMN location TEXT`);
-      db.run(`ALTER TABLE ping_results ADD COLUMN sublocation TEXT`);
-      db.run(`CREATE INDEX IF NOT EXISTS idx_ping_location ON ping_results(location)`);
-      console.log('✓ Added location/sublocation columns to ping_results table');
-    }
-  } catch (error) {
-    // Columns may already exist, ignore error
-  }
+// Initialize database (persistence: config.server.persistence, see server/persistence.js;
+// storage: config.server.storage, see server/storage.js)
+export async function initDb(persistence = {}, storage = {}) {
+  // Log runtime directory for debugging
+  console.log(`Runtime directory: ${getRuntimeDir()}`);
+  console.log(`Looking for database at: ${dbPath}`);
 
-  try {
-    // Check if location column exists in ping_target_states table
-    const pingStateInfo = db.exec("PRAGMA table_info(ping_target_states)");
-    const hasLocationCol = pingStateInfo[0]?.values.some(row => row[1] === 'location');
-
-    if (!hasLocationCol) {
-      db.run(`ALTER TABLE ping_target_states ADD COLUMN location TEXT`);
-      db.run(`ALTER TABLE ping_target_states ADD COLUMN sublocation TEXT`);
-      console.log('✓ Added location/sublocation columns to ping_target_states table');
-    }
-  } catch (error) {
-    // Columns may already exist, ignore error
-  }
+  db = await openDatabase(storage);
 
+  // Bring the schema up to date (a failed migration is rolled back and stops startup)
+  runMigrations(db, heartbeatMigrations, 'heartbeats');
   console.log('✓ Database schema initialized');
 
-  // Auto-save every 5 minutes
-  setInterval(() => {
-    saveDb();
-  }, 5 * 60 * 1000);
+  // Write-behind saves: every few seconds or once enough rows changed, not per insert
+  // (native SQLite writes each transaction to the file itself)
+  if (db.backend === 'sqljs') {
+    persister = createPersister({ name: 'heartbeats', path: dbPath, getDb: () => db, ...persistence });
+    persister.start();
+  }
 
-  // Save on exit
-  process.on('SIGINT', () => {
-    console.log('\n⚠ Shutting down...');
+  // Save both databases on exit
+  const shutdown = async () => {
     stopAlerting();
-    saveDb();
+    await closePersisters();
+    closeSqliteDatabases();
+    console.log('✓ Databases saved to disk');
     process.exit(0);
-  });
+  };
 
-  process.on('SIGTERM', () => {
-    stopAlerting();
-    saveDb();
-    process.exit(0);
+  process.on('SIGINT', () => {
+    console.log('\n⚠ Shutting down...');
+    shutdown();
   });
+
+  process.on('SIGTERM', shutdown);
 }
 
-// Save database to disk
-export function saveDb() {
-  if (!db) return;
+/**
+ * Report or apply schema migrations without starting the server (server-cli migrate)
+ * Run it with the server stopped - a running server would overwrite the file
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] - Apply pending migrations and save the file
+ * @param {Object} [options.storage] - config.server.storage
+ * @returns {Promise<Object>} { name, path, ...getMigrationStatus() } after applying
+ */
+export async function migrateDb({ apply = false, storage = {} } = {}) {
+  const database = await openDatabase(storage);
+  try {
+    const applied = apply ? runMigrations(database, heartbeatMigrations, 'heartbeats') : [];
+    if (applied.length > 0 && database.backend === 'sqljs') {
+      await writeFileAtomic(dbPath, database.export());
+    }
+    return { name: 'heartbeats', path: dbPath, ...getMigrationStatus(database, heartbeatMigrations) };
+  } finally {
+    database.close();
+  }
+}
 
+/**
+ * Open the database file outside the server (server-cli export / import), schema brought
+ * up to date, and hand it to fn. Run it with the server stopped when fn writes.
+ * @param {Function} fn - async (db) => result
+ * @param {Object} [options]
+ * @param {boolean} [options.save] - Write the sql.js database back to the file afterwards
+ * @param {Object} [options.storage] - config.server.storage
+ * @returns {Promise<*>} What fn returns
+ */
+export async function withDbFile(fn, { save = false, storage = {} } = {}) {
+  const database = await openDatabase(storage);
   try {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    writeFileSync(dbPath, buffer);
-    console.log('✓ Database saved to disk');
-  } catch (error) {
-    console.error('⚠ Failed to save database:', error.message);
+    runMigrations(database, heartbeatMigrations, 'heartbeats');
+    const result = await fn(database);
+    if (save && database.backend === 'sqljs') {
+      await writeFileAtomic(dbPath, database.export());
+    }
+    return result;
+  } finally {
+    database.close();
   }
 }
 
-// Insert heartbeat with optional network interfaces
-export function insertHeartbeat(deviceName, deviceTimestamp, receivedAt, networkInterfaces = []) {
+/**
+ * Switch the database file to another storage backend (server-cli convert, server stopped)
+ * @param {string} to - 'sqljs' or 'sqlite'
+ * @returns {Object} { name, path, result: 'converted' | 'unchanged' | 'missing' }
+ */
+export function convertDb(to) {
+  return { name: 'heartbeats', path: dbPath, result: convertDatabaseFile(dbPath, to) };
+}
+
+// Save database to disk now, whether or not anything changed (nothing to do with native SQLite)
+export async function saveDb() {
+  if (!persister) return;
+  await persister.flush({ force: true });
+}
+
+// Delivery counter from an agent payload, or null if missing/garbage
+function deliveryCount(delivery, field) {
+  const value = delivery?.[field];
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function lastInsertId() {
+  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
+// Insert heartbeat with optional network interfaces, delivery counters and the agent's location
+export function insertHeartbeat(deviceName, deviceTimestamp, receivedAt, networkInterfaces = [], delivery = null, { location = null, sublocation = null } = {}) {
   if (!db) {
     throw new Error('Database not initialized');
   }
 
-  // Insert heartbeat
-  db.run(
-    'INSERT INTO heartbeats (device_name, device_timestamp, received_at) VALUES (?, ?, ?)',
-    [deviceName, deviceTimestamp, receivedAt]
-  );
+  withTransaction(db, () => {
+    // Insert heartbeat
+    db.run(
+      `INSERT INTO heartbeats
+       (device_name, device_timestamp, received_at, location, sublocation,
+        delivery_sent, delivery_acked, delivery_lost, delivery_retries)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        deviceName,
+        deviceTimestamp,
+        receivedAt,
+        location,
+        sublocation,
+        deliveryCount(delivery, 'sent'),
+        deliveryCount(delivery, 'acked'),
+        deliveryCount(delivery, 'lost'),
+        deliveryCount(delivery, 'retries')
+      ]
+    );
 
-  // Get the last inserted ID
-  const result = db.exec('SELECT last_insert_rowid() as id');
-  const heartbeatId = result[0].values[0][0];
+    // Get the last inserted ID
+    const result = db.exec('SELECT last_insert_rowid() as id');
+    const heartbeatId = result[0].values[0][0];
+
+    updateDeviceCurrent(db, { deviceName, receivedAt, location, sublocation });
+
+    // Insert network interfaces
+    if (networkInterfaces && networkInterfaces.length > 0) {
+      for (const iface of networkInterfaces) {
+        db.run(
+          `INSERT INTO network_interfaces
+           (heartbeat_id, interface_name, ip_address, ipv6_addresses, mac, rx_bytes, tx_bytes, max_speed_mbps)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            heartbeatId,
+            iface.name || 'unknown',
+            iface.ip || 'unknown',
+            iface.ipv6?.length ? iface.ipv6.join(',') : null,
+            iface.mac ? iface.mac.toLowerCase() : null,
+            iface.rx_bytes || 0,
+            iface.tx_bytes || 0,
+            iface.max_speed_mbps || 0
+          ]
+        );
+      }
+
+      updateInterfaceRates(db, heartbeatId);
+    }
+  });
 
-  // Insert network interfaces
-  if (networkInterfaces && networkInterfaces.length > 0) {
-    for (const iface of networkInterfaces) {
+  persister?.touch();
+}
+
+// Insert ping results (receivedAt: the original timestamp for backfilled results)
+export function insertPingResults(monitorName, timestamp, results, receivedAt = Math.floor(Date.now() / 1000), { location = null, sublocation = null } = {}) {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+
+  withTransaction(db, () => {
+    for (const result of results) {
       db.run(
-        `INSERT INTO network_interfaces
-         (heartbeat_id, interface_name, ip_address, rx_bytes, tx_bytes, max_speed_mbps)
-         VALUES (?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO ping_results
+         (monitor_name, target_ip, target_name, status, response_time_ms, timestamp, received_at, location, sublocation)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
-          heartbeatId,
-          iface.name || 'unknown',
-          iface.ip || 'unknown',
-          iface.rx_bytes || 0,
-          iface.tx_bytes || 0,
-          iface.max_speed_mbps || 0
+          monitorName,
+          result.ip,
+          result.name || result.ip,
+          result.status,
+          result.response_time_ms,
+          timestamp,
+          receivedAt,
+          location,
+          sublocation
         ]
       );
+      updatePingTargetCurrent(db, lastInsertId());
     }
-  }
+  });
 
-  // Save immediately after insert (for durability)
-  // In production, you might batch these or use the interval timer only
-  saveDb();
+  persister?.touch();
 }
 
-// Insert ping results
-export function insertPingResults(monitorName, timestamp, results) {
+// Insert monitoring results (web, SSL, file, folder; receivedAt as for ping results)
+export function insertMonitoringResults(monitorName, timestamp, results, receivedAt = Math.floor(Date.now() / 1000), { location = null, sublocation = null } = {}) {
   if (!db) {
     throw new Error('Database not initialized');
   }
 
-  const receivedAt = Math.floor(Date.now() / 1000);
+  withTransaction(db, () => {
+    for (const result of results) {
+      // Determine target_identifier based on type
+      const targetIdentifier = result.url || result.path || result.name;
 
-  for (const result of results) {
-    db.run(
-      `INSERT INTO ping_results
-       (monitor_name, target_ip, target_name, status, response_time_ms, timestamp, received_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        monitorName,
-        result.ip,
-        result.name || result.ip,
-        result.status,
-        result.response_time_ms,
-        timestamp,
-        receivedAt
-      ]
-    );
-  }
+      db.run(
+        `INSERT INTO monitoring_results
+         (monitor_name, target_type, target_identifier, target_name, status,
+          response_time_ms, status_code,
+          file_exists, file_size, file_created, file_modified, file_hash, file_hash_match,
+          folder_file_count, folder_total_size,
+          ssl_valid, ssl_expires, ssl_days_until_expiry,
+          error_message, timestamp, received_at, location, sublocation)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          monitorName,
+          result.type,
+          targetIdentifier,
+          result.name || targetIdentifier,
+          result.status,
+          result.response_time_ms || null,
+          result.status_code || null,
+          result.exists !== undefined ? (result.exists ? 1 : 0) : null,
+          result.size || null,
+          result.created || null,
+          result.modified || null,
+          result.hash || null,
+          result.hash_match !== undefined ? (result.hash_match ? 1 : 0) : null,
+          result.file_count || null,
+          result.total_size || null,
+          result.valid !== undefined ? (result.valid ? 1 : 0) : null,
+          result.expires || null,
+          result.days_until_expiry || null,
+          result.error || null,
+          timestamp,
+          receivedAt,
+          location,
+          sublocation
+        ]
+      );
+      updateMonitoringTargetCurrent(db, lastInsertId());
+    }
+  });
 
-  // Save immediately after insert
-  saveDb();
+  persister?.touch();
 }
 
-// Insert monitoring results (web, SSL, file, folder)
-export function insertMonitoringResults(monitorName, timestamp, results) {
+// Record a refused message (written out with the next flush, see server/persistence.js)
+export function insertRejection({ receivedAt = Math.floor(Date.now() / 1000), address, port = null, keyId = null, type = null, name = null, reason, payload = null }) {
   if (!db) {
     throw new Error('Database not initialized');
   }
 
-  const receivedAt = Math.floor(Date.now() / 1000);
+  // Enough of the payload to see what the agent sent, without storing whole snapshots
+  let excerpt = null;
+  if (payload !== null && payload !== undefined) {
+    excerpt = JSON.stringify(payload);
+    if (excerpt.length > MAX_REJECTION_PAYLOAD) excerpt = `${excerpt.slice(0, MAX_REJECTION_PAYLOAD)}...`;
+  }
 
-  for (const result of results) {
-    // Determine target_identifier based on type
-    const targetIdentifier = result.url || result.path || result.name;
+  db.run(
+    `INSERT INTO ingest_rejections
+     (received_at, source_address, source_port, key_id, message_type, message_name, reason, payload)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      receivedAt,
+      address,
+      port,
+      keyId,
+      typeof type === 'string' ? type.slice(0, 64) : null,
+      typeof name === 'string' ? name.slice(0, 255) : null,
+      reason,
+      excerpt
+    ]
+  );
 
-    db.run(
-      `INSERT INTO monitoring_results
-       (monitor_name, target_type, target_identifier, target_name, status,
-        response_time_ms, status_code,
-        file_exists, file_size, file_created, file_modified, file_hash, file_hash_match,
-        folder_file_count, folder_total_size,
-        ssl_valid, ssl_expires, ssl_days_until_expiry,
-        error_message, timestamp, received_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        monitorName,
-        result.type,
-        targetIdentifier,
-        result.name || targetIdentifier,
-        result.status,
-        result.response_time_ms || null,
-        result.status_code || null,
-        result.exists !== undefined ? (result.exists ? 1 : 0) : null,
-        result.size || null,
-        result.created || null,
-        result.modified || null,
-        result.hash || null,
-        result.hash_match !== undefined ? (result.hash_match ? 1 : 0) : null,
-        result.file_count || null,
-        result.total_size || null,
-        result.valid !== undefined ? (result.valid ? 1 : 0) : null,
-        result.expires || null,
-        result.days_until_expiry || null,
-        result.error || null,
-        timestamp,
-        receivedAt
-      ]
-    );
-  }
+  db.run(
+    `DELETE FROM ingest_rejections WHERE id <= (SELECT MAX(id) FROM ingest_rejections) - ?`,
+    [MAX_REJECTIONS]
+  );
 
-  // Save immediately after insert
-  saveDb();
+  persister?.touch();
 }
 
 export function getDb() {
   return db;
 }
+
+// Database file (backups read it while the server runs)
+export function getDbPath() {
+  return dbPath;
+}
@@ -0,0 +1,470 @@
+// Device registry: one entry per physical machine
+//
+// The same machine can show up as a heartbeat device_name, a ping target_ip and a UniFi
+// client mac (in the separate UniFi database) with nothing tying them together. devices
+// and device_aliases (heartbeats migration 008) keep one entry per machine with every
+// device name, MAC and IP it has been seen under. correlateDevices() runs from the
+// maintenance timers in server/ingest.js and links what the current-state tables hold:
+//
+//   - device names and MACs identify a machine: entries sharing one are merged
+//   - an IP links reports that share no name or MAC (a ping target and the agent running
+//     on it, a UniFi client and an agent too old to report MACs)
+//   - an IP reported by another machine moves to whichever reported it last (DHCP), or
+//     takes its whole entry along when that entry is nothing but the IP (a ping target
+//     seen before its agent)
+//
+// Manual merges and splits (/api/assets) pin the aliases they touch. Correlation never
+// moves a pinned alias, and never merges away an entry holding one.
+
+import { withTransaction } from './persistence.js';
+
+export const ALIAS_KINDS = ['device_name', 'mac', 'ip'];
+
+// Aliases that identify a machine on their own; an IP only links reports
+const STRONG_KINDS = ['device_name', 'mac'];
+
+// Where a device's display name came from; a better source replaces it
+const NAME_RANK = { ping: 1, unifi: 2, heartbeat: 3, manual: 4 };
+
+const IGNORED_IPS = /^(unknown|0\.0\.0\.0|127\.|169\.254\.|::1$|fe80:)/i;
+const MAC = /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/;
+
+function sqlToJson(result) {
+  if (!result || result.length === 0) return [];
+
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+function lastInsertId(db) {
+  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
+function aliasKey(kind, value) {
+  return `${kind}:${value}`;
+}
+
+/**
+ * Normalize an alias value the way it is stored (lower-case MACs, no loopback IPs)
+ * @param {string} kind - 'device_name', 'mac' or 'ip'
+ * @param {string} value
+ * @returns {string|null} Stored value, or null when it cannot identify anything
+ */
+export function normalizeAlias(kind, value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+
+  switch (kind) {
+    case 'device_name':
+      return trimmed;
+    case 'mac': {
+      const mac = trimmed.toLowerCase().replace(/-/g, ':');
+      return MAC.test(mac) && mac !== '00:00:00:00:00:00' ? mac : null;
+    }
+    case 'ip':
+      return IGNORED_IPS.test(trimmed) ? null : trimmed;
+    default:
+      return null;
+  }
+}
+
+// What each source currently reports, heartbeats first so agents name the devices
+function collectObservations(db, unifiDb) {
+  const observations = [];
+
+  // Interfaces from each device's latest heartbeat (device_current outlives pruned history)
+  const heartbeats = new Map();
+  for (const row of sqlToJson(db.exec(`
+    SELECT d.device_name, d.last_seen, n.ip_address, n.mac
+    FROM device_current d
+    LEFT JOIN network_interfaces n
+      ON n.heartbeat_id = (SELECT MAX(id) FROM heartbeats h WHERE h.device_name = d.device_name)
+    ORDER BY d.device_name
+  `))) {
+    if (!heartbeats.has(row.device_name)) {
+      heartbeats.set(row.device_name, {
+        source: 'heartbeat',
+        name: row.device_name,
+        seenAt: row.last_seen,
+        aliases: [{ kind: 'device_name', value: row.device_name }]
+      });
+    }
+    const aliases = heartbeats.get(row.device_name).aliases;
+    aliases.push({ kind: 'mac', value: row.mac }, { kind: 'ip', value: row.ip_address });
+  }
+  observations.push(...heartbeats.values());
+
+  if (unifiDb) {
+    for (const client of sqlToJson(unifiDb.exec('SELECT mac, hostname, ip, last_seen FROM unifi_client_states ORDER BY mac'))) {
+      observations.push({
+        source: 'unifi',
+        name: client.hostname || client.mac,
+        seenAt: client.last_seen,
+        aliases: [{ kind: 'mac', value: client.mac }, { kind: 'ip', value: client.ip }]
+      });
+    }
+  }
+
+  for (const target of sqlToJson(db.exec('SELECT target_ip, target_name, received_at FROM ping_target_current ORDER BY target_ip'))) {
+    observations.push({
+      source: 'ping',
+      name: target.target_name || target.target_ip,
+      seenAt: target.received_at,
+      aliases: [{ kind: 'ip', value: target.target_ip }]
+    });
+  }
+
+  // Drop values that cannot identify anything and duplicates (two interfaces, one MAC)
+  for (const observation of observations) {
+    const unique = new Map();
+    for (const { kind, value } of observation.aliases) {
+      const normalized = normalizeAlias(kind, value);
+      if (normalized !== null) unique.set(aliasKey(kind, normalized), { kind, value: normalized });
+    }
+    observation.aliases = [...unique.values()];
+  }
+
+  return observations;
+}
+
+// In-memory view of device_aliases for one correlation run, written through to the db
+function loadRegistry(db) {
+  const byKey = new Map();
+  const byDevice = new Map();
+  const devices = new Map();
+
+  for (const device of sqlToJson(db.exec('SELECT id, name, name_source FROM devices'))) {
+    devices.set(device.id, device);
+    byDevice.set(device.id, new Set());
+  }
+  for (const alias of sqlToJson(db.exec('SELECT kind, value, device_id, source, pinned, last_seen FROM device_aliases'))) {
+    const key = aliasKey(alias.kind, alias.value);
+    byKey.set(key, alias);
+    byDevice.get(alias.device_id)?.add(key);
+  }
+
+  return { byKey, byDevice, devices };
+}
+
+function createDevice(db, registry, name, source, now) {
+  db.run('INSERT INTO devices (name, name_source, created_at, updated_at) VALUES (?, ?, ?, ?)', [name, source, now, now]);
+  const id = lastInsertId(db);
+  registry.devices.set(id, { id, name, name_source: source });
+  registry.byDevice.set(id, new Set());
+  return id;
+}
+
+function nameDevice(db, registry, id, name, source, now) {
+  const device = registry.devices.get(id);
+  if (NAME_RANK[source] <= NAME_RANK[device.name_source]) return;
+
+  db.run('UPDATE devices SET name = ?, name_source = ?, updated_at = ? WHERE id = ?', [name, source, now, id]);
+  Object.assign(device, { name, name_source: source });
+}
+
+// Record an alias for a device: add it, move it there, or just bump last_seen
+function claimAlias(db, registry, id, { kind, value }, source, seenAt, now) {
+  const key = aliasKey(kind, value);
+  const alias = registry.byKey.get(key);
+
+  if (!alias) {
+    db.run(`INSERT INTO device_aliases (kind, value, device_id, source, pinned, first_seen, last_seen)
+            VALUES (?, ?, ?, ?, 0, ?, ?)`, [kind, value, id, source, seenAt, seenAt]);
+    registry.byKey.set(key, { kind, value, device_id: id, source, pinned: 0, last_seen: seenAt });
+    registry.byDevice.get(id).add(key);
+  } else if (alias.device_id !== id) {
+    db.run('UPDATE device_aliases SET device_id = ?, source = ?, last_seen = ? WHERE kind = ? AND value = ?',
+      [id, source, Math.max(alias.last_seen, seenAt), kind, value]);
+    db.run('UPDATE devices SET updated_at = ? WHERE id IN (?, ?)', [now, id, alias.device_id]);
+    registry.byDevice.get(alias.device_id).delete(key);
+    registry.byDevice.get(id).add(key);
+    Object.assign(alias, { device_id: id, source, last_seen: Math.max(alias.last_seen, seenAt) });
+  } else if (seenAt > alias.last_seen) {
+    db.run('UPDATE device_aliases SET last_seen = ? WHERE kind = ? AND value = ?', [seenAt, kind, value]);
+    alias.last_seen = seenAt;
+  }
+}
+
+// Fold one device into another: every alias moves, the better name wins
+function mergeDevice(db, registry, targetId, sourceId, now) {
+  const source = registry.devices.get(sourceId);
+
+  db.run('UPDATE device_aliases SET device_id = ? WHERE device_id = ?', [targetId, sourceId]);
+  db.run('DELETE FROM devices WHERE id = ?', [sourceId]);
+  db.run('UPDATE devices SET updated_at = ? WHERE id = ?', [now, targetId]);
+
+  for (const key of registry.byDevice.get(sourceId)) {
+    registry.byKey.get(key).device_id = targetId;
+    registry.byDevice.get(targetId).add(key);
+  }
+  registry.byDevice.delete(sourceId);
+  registry.devices.delete(sourceId);
+
+  nameDevice(db, registry, targetId, source.name, source.name_source, now);
+}
+
+function hasPinned(registry, id) {
+  return [...registry.byDevice.get(id)].some(key => registry.byKey.get(key).pinned);
+}
+
+function hasKind(registry, id, kinds) {
+  return [...registry.byDevice.get(id)].some(key => kinds.includes(registry.byKey.get(key).kind));
+}
+
+function correlate(db, registry, { source, name, seenAt, aliases }, now) {
+  const strong = aliases.filter(alias => STRONG_KINDS.includes(alias.kind));
+  const ips = aliases.filter(alias => alias.kind === 'ip');
+  const known = strong.map(alias => registry.byKey.get(aliasKey(alias.kind, alias.value))).filter(Boolean);
+
+  // The device its names and MACs belong to - a split (pinned) alias does not decide it
+  let deviceId = (known.find(alias => !alias.pinned) || known[0])?.device_id ?? null;
+  for (const alias of known) {
+    if (alias.device_id !== deviceId && !alias.pinned && !hasPinned(registry, alias.device_id)) {
+      mergeDevice(db, registry, deviceId, alias.device_id, now);
+    }
+  }
+
+  // Nothing strong known yet: an IP can link it to a device that does not contradict it
+  // (a different device name or MAC means a different machine)
+  if (deviceId === null) {
+    const kinds = strong.map(alias => alias.kind);
+    const linked = ips
+      .map(alias => registry.byKey.get(aliasKey(alias.kind, alias.value)))
+      .find(alias => alias && !hasKind(registry, alias.device_id, kinds));
+    deviceId = linked?.device_id ?? createDevice(db, registry, name, source, now);
+  }
+
+  for (const alias of strong) {
+    const existing = registry.byKey.get(aliasKey(alias.kind, alias.value));
+    if (!existing?.pinned || existing.device_id === deviceId) {
+      claimAlias(db, registry, deviceId, alias, source, seenAt, now);
+    }
+  }
+
+  for (const alias of ips) {
+    const existing = registry.byKey.get(aliasKey(alias.kind, alias.value));
+    if (!existing || existing.device_id === deviceId) {
+      claimAlias(db, registry, deviceId, alias, source, seenAt, now);
+    } else if (existing.pinned) {
+      continue;
+    } else if (!hasKind(registry, existing.device_id, STRONG_KINDS) && !hasPinned(registry, existing.device_id)) {
+      mergeDevice(db, registry, deviceId, existing.device_id, now);
+      claimAlias(db, registry, deviceId, alias, source, seenAt, now);
+    } else if (seenAt > existing.last_seen) {
+      claimAlias(db, registry, deviceId, alias, source, seenAt, now);
+    }
+  }
+
+  nameDevice(db, registry, deviceId, name, source, now);
+}
+
+/**
+ * Link heartbeat devices, ping targets and UniFi clients into the device registry
+ * @param {Object} options
+ * @param {Object} options.db - Main database
+ * @param {Object} [options.unifiDb] - UniFi database, when initialized
+ * @param {number} [options.now] - Current time (seconds)
+ * @returns {Object} { devices, created, merged } - device count after the run and what changed
+ */
+export function correlateDevices({ db, unifiDb = null, now = Math.floor(Date.now() / 1000) }) {
+  const observations = collectObservations(db, unifiDb);
+
+  return withTransaction(db, () => {
+    const registry = loadRegistry(db);
+    const before = new Set(registry.devices.keys());
+
+    for (const observation of observations) {
+      if (observation.aliases.length) correlate(db, registry, observation, now);
+    }
+
+    const after = new Set(registry.devices.keys());
+    return {
+      devices: after.size,
+      created: [...after].filter(id => !before.has(id)).length,
+      merged: [...before].filter(id => !after.has(id)).length
+    };
+  });
+}
+
+/**
+ * correlateDevices() for the maintenance timer: logs what changed and never throws
+ * @param {Object} options - As for correlateDevices()
+ */
+export function correlateDevicesSafely(options) {
+  if (!options.db) return;
+  try {
+    const { created, merged } = correlateDevices(options);
+    if (created > 0 || merged > 0) {
+      console.log(`[${new Date().toISOString()}] ✓ Device registry: ${created} new device(s), ${merged} merged`);
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ⚠ Device registry update failed: ${error.message}`);
+  }
+}
+
+function aliasesOf(db, ids) {
+  if (!ids.length) return [];
+  return sqlToJson(db.exec(`
+    SELECT device_id, kind, value, source, pinned, first_seen, last_seen
+    FROM device_aliases
+    WHERE device_id IN (${ids.map(() => '?').join(', ')})
+    ORDER BY device_id, kind, value
+  `, ids)).map(alias => ({ ...alias, pinned: alias.pinned === 1 }));
+}
+
+/**
+ * Every device in the registry with its aliases
+ * @param {Object} db - Main database
+ * @returns {Object[]} Devices ordered by name
+ */
+export function listAssets(db) {
+  const devices = sqlToJson(db.exec('SELECT id, name, name_source, created_at, updated_at FROM devices ORDER BY name COLLATE NOCASE, id'));
+  const aliases = aliasesOf(db, devices.map(device => device.id));
+
+  return devices.map(device => ({
+    ...device,
+    aliases: aliases.filter(alias => alias.device_id === device.id).map(({ device_id, ...alias }) => alias)
+  }));
+}
+
+/**
+ * Everything known about one device: its aliases, the heartbeat devices, ping targets
+ * and UniFi clients they match, with their latest state
+ * @param {Object} options
+ * @param {Object} options.db - Main database
+ * @param {Object} [options.unifiDb] - UniFi database, when initialized
+ * @param {number} options.id - devices.id
+ * @param {number} options.onlineThreshold - Seconds since the last heartbeat for a device to count as online
+ * @param {number} [options.now] - Current time (seconds)
+ * @returns {Object|null} The asset, or null when there is no such device
+ */
+export function getAsset({ db, unifiDb = null, id, onlineThreshold, now = Math.floor(Date.now() / 1000) }) {
+  const [device] = sqlToJson(db.exec('SELECT id, name, name_source, created_at, updated_at FROM devices WHERE id = ?', [id]));
+  if (!device) return null;
+
+  const aliases = aliasesOf(db, [id]).map(({ device_id, ...alias }) => alias);
+  const values = kind => aliases.filter(alias => alias.kind === kind).map(alias => alias.value);
+  const placeholders = list => list.map(() => '?').join(', ');
+
+  const names = values('device_name');
+  const heartbeatDevices = names.length ? sqlToJson(db.exec(`
+    SELECT device_name, location, sublocation, last_seen, heartbeat_count
+    FROM device_current
+    WHERE device_name IN (${placeholders(names)})
+    ORDER BY last_seen DESC
+  `, names)).map(row => {
+    const interfaces = sqlToJson(db.exec(`
+      SELECT interface_name, ip_address, ipv6_addresses, mac, rx_bytes, tx_bytes, max_speed_mbps
+      FROM network_interfaces
+      WHERE heartbeat_id = (SELECT MAX(id) FROM heartbeats WHERE device_name = ?)
+      ORDER BY interface_name
+    `, [row.device_name]));
+    return {
+      ...row,
+      status: (now - row.last_seen) < onlineThreshold ? 'online' : 'offline',
+      last_seen_ago: now - row.last_seen,
+      interfaces
+    };
+  }) : [];
+
+  const ips = values('ip');
+  const pingTargets = ips.length ? sqlToJson(db.exec(`
+    SELECT target_ip, target_name, monitor_name, location, sublocation, status, response_time_ms, timestamp, received_at
+    FROM ping_target_current
+    WHERE target_ip IN (${placeholders(ips)})
+    ORDER BY target_ip
+  `, ips)) : [];
+
+  const macs = values('mac');
+  const unifiClients = (unifiDb && macs.length) ? sqlToJson(unifiDb.exec(`
+    SELECT s.mac, s.hostname, s.ip, s.location, s.sublocation, s.is_connected, s.last_seen, s.last_state_change,
+           c.name, c.manufacturer, c.device_type, c.is_wired, c.signal, c.essid
+    FROM unifi_client_states s
+    LEFT JOIN unifi_clients c ON c.id = (SELECT MAX(id) FROM unifi_clients WHERE mac = s.mac)
+    WHERE LOWER(s.mac) IN (${placeholders(macs)})
+    ORDER BY s.mac
+  `, macs)) : [];
+
+  return {
+    ...device,
+    aliases,
+    heartbeat_devices: heartbeatDevices,
+    ping_targets: pingTargets,
+    unifi_clients: unifiClients
+  };
+}
+
+function requireDevice(db, id) {
+  const [device] = sqlToJson(db.exec('SELECT id FROM devices WHERE id = ?', [id]));
+  if (!device) throw new Error(`Asset ${id} not found`);
+}
+
+/**
+ * Merge devices into one by hand; all their aliases are pinned to it
+ * @param {Object} db - Main database
+ * @param {number} targetId - Device to keep
+ * @param {number[]} sourceIds - Devices folded into it
+ */
+export function mergeAssets(db, targetId, sourceIds, now = Math.floor(Date.now() / 1000)) {
+  requireDevice(db, targetId);
+  for (const sourceId of sourceIds) {
+    if (sourceId === targetId) throw new Error(`Asset ${targetId} cannot be merged into itself`);
+    requireDevice(db, sourceId);
+  }
+
+  withTransaction(db, () => {
+    const registry = loadRegistry(db);
+    for (const sourceId of sourceIds) {
+      mergeDevice(db, registry, targetId, sourceId, now);
+    }
+    db.run('UPDATE device_aliases SET pinned = 1 WHERE device_id = ?', [targetId]);
+  });
+}
+
+/**
+ * Move aliases off a device onto a new one by hand; they are pinned there
+ * @param {Object} db - Main database
+ * @param {number} id - Device to split
+ * @param {Object[]} aliases - [{ kind, value }] to move
+ * @param {string} [name] - Name of the new device (defaults to the first alias)
+ * @returns {number} Id of the new device
+ */
+export function splitAsset(db, id, aliases, name = null, now = Math.floor(Date.now() / 1000)) {
+  requireDevice(db, id);
+  const current = new Map(sqlToJson(db.exec('SELECT kind, value, source FROM device_aliases WHERE device_id = ?', [id]))
+    .map(alias => [aliasKey(alias.kind, alias.value), alias]));
+  const moving = new Set(aliases.map(({ kind, value }) => aliasKey(kind, value)));
+
+  for (const { kind, value } of aliases) {
+    if (!current.has(aliasKey(kind, value))) {
+      throw new Error(`${kind} ${value} is not an alias of asset ${id}`);
+    }
+  }
+  if (moving.size === current.size) {
+    throw new Error(`Splitting off every alias of asset ${id} would leave it empty`);
+  }
+
+  return withTransaction(db, () => {
+    const first = current.get(aliasKey(aliases[0].kind, aliases[0].value));
+    db.run('INSERT INTO devices (name, name_source, created_at, updated_at) VALUES (?, ?, ?, ?)',
+      [name || first.value, name ? 'manual' : first.source, now, now]);
+    const newId = lastInsertId(db);
+
+    for (const { kind, value } of aliases) {
+      db.run('UPDATE device_aliases SET device_id = ?, pinned = 1 WHERE kind = ? AND value = ?', [newId, kind, value]);
+    }
+    db.run('UPDATE devices SET updated_at = ? WHERE id = ?', [now, id]);
+    return newId;
+  });
+}
+
+/**
+ * Name a device by hand; correlation no longer renames it
+ * @param {Object} db - Main database
+ * @param {number} id - devices.id
+ * @param {string} name
+ */
+export function renameAsset(db, id, name, now = Math.floor(Date.now() / 1000)) {
+  requireDevice(db, id);
+  db.run("UPDATE devices SET name = ?, name_source = 'manual', updated_at = ? WHERE id = ?", [name, now, id]);
+}
@@ -0,0 +1,248 @@
+// Encrypted packet envelope for Inside-Out Monitor
+//
+// Packet layout (version 1):
+//   [ version: 1 byte ][ flags: 1 byte ][ key ID: 4 bytes ][ nonce: 24 bytes ][ ciphertext ]
+//
+// flags = 0           pre-shared key packet, key ID selects the key ring entry, ciphertext is secretbox
+// flags = FLAG_BOX    enrolled agent packet, key ID is the agent ID, ciphertext is nacl.box(agent -> server)
+// flags = FLAG_ENROLL enrollment request, the agent's 32-byte public key sits between key ID and nonce
+//
+// FLAG_DEFLATE may be combined with 0 or FLAG_BOX: the decrypted plaintext is raw
+// deflate of the JSON payload and is inflated (up to MAX_INFLATED_BYTES) before parsing.
+//
+// Legacy packets from agents built before key IDs existed are just
+// [ nonce: 24 bytes ][ secretbox ciphertext ] and are tried against every accepting key.
+// Their random nonce can start with any header, so a packet that fails to open as the
+// envelope its first two bytes announce is still tried as legacy before it is refused.
+
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { inflateRawSync } from 'zlib';
+import { KEY_ID_LENGTH, findKey, getAcceptingKeys } from './keyring.js';
+import { agentIdFor, findAgent, getServerKeyPair } from './agents.js';
+
+const { encodeUTF8, decodeUTF8 } = util;
+
+export const ENVELOPE_VERSION = 1;
+export const HEADER_LENGTH = 2 + KEY_ID_LENGTH;
+export const FLAG_BOX = 0x01;
+export const FLAG_ENROLL = 0x02;
+export const FLAG_DEFLATE = 0x04;
+export const MAX_INFLATED_BYTES = 1024 * 1024;
+
+const NONCE_LENGTH = nacl.secretbox.nonceLength;
+const MIN_BOX_LENGTH = nacl.secretbox.overheadLength;
+const PUBLIC_KEY_LENGTH = nacl.box.publicKeyLength;
+
+/**
+ * Decrypt and parse an agent packet
+ * @param {Buffer|Uint8Array} packet - Raw packet bytes
+ * @returns {Object} { message, keyId, legacy, agent, nonce, compressed } for data packets (nonce as hex),
+ *                   { enrollment: { agentId, publicKey, message } } for enrollment requests
+ * @throws {Error} If the packet is too short, cannot be decrypted or inflated, or is not JSON
+ */
+export function openEnvelope(packet) {
+  if (packet.length < NONCE_LENGTH + MIN_BOX_LENGTH) {
+    throw new Error('Packet too short');
+  }
+
+  const compressed = (packet[1] & FLAG_DEFLATE) !== 0;
+  const flags = packet[1] & ~FLAG_DEFLATE;
+
+  if (packet[0] === ENVELOPE_VERSION && (packet[1] === FLAG_ENROLL || flags === FLAG_BOX)) {
+    try {
+      return packet[1] === FLAG_ENROLL ? { enrollment: openEnrollment(packet) } : openAgentBox(packet, compressed);
+    } catch (error) {
+      const legacy = openLegacy(packet);
+      if (legacy) return legacy;
+      throw error;
+    }
+  }
+
+  let retiredKeyId = null;
+
+  if (packet[0] === ENVELOPE_VERSION && flags === 0 && packet.length >= HEADER_LENGTH + NONCE_LENGTH + MIN_BOX_LENGTH) {
+    const keyId = Buffer.from(packet.slice(2, HEADER_LENGTH)).toString('hex');
+    const entry = findKey(keyId);
+
+    if (entry && entry.state !== 'retired') {
+      const nonce = packet.slice(HEADER_LENGTH, HEADER_LENGTH + NONCE_LENGTH);
+      const box = packet.slice(HEADER_LENGTH + NONCE_LENGTH);
+      const decrypted = nacl.secretbox.open(box, nonce, entry.bytes);
+
+      if (decrypted) {
+        return { message: parsePayload(decrypted, compressed), keyId, legacy: false, agent: null, nonce: toHex(nonce), compressed };
+      }
+    } else if (entry) {
+      retiredKeyId = keyId;
+    }
+  }
+
+  // Legacy packet (or a legacy nonce that happened to look like a header)
+  const legacy = openLegacy(packet);
+  if (legacy) return legacy;
+
+  if (retiredKeyId) {
+    throw new Error(`Key ${retiredKeyId} is retired`);
+  }
+
+  throw new Error('Decryption failed - invalid key or corrupted');
+}
+
+/**
+ * Seal a reply to an enrolled (or enrolling) agent
+ * @param {Object} message - JSON-serialisable payload
+ * @param {Uint8Array} agentPublicKey - Agent nacl.box public key
+ * @returns {Buffer} Packet for the agent
+ */
+export function sealForAgent(message, agentPublicKey) {
+  const serverKeyPair = requireServerKeyPair();
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const encrypted = nacl.box(decodeUTF8(JSON.stringify(message)), nonce, agentPublicKey, serverKeyPair.secretKey);
+
+  const packet = new Uint8Array(HEADER_LENGTH + nonce.length + encrypted.length);
+  packet[0] = ENVELOPE_VERSION;
+  packet[1] = FLAG_BOX;
+  packet.set(Buffer.from(agentIdFor(agentPublicKey), 'hex'), 2);
+  packet.set(nonce, HEADER_LENGTH);
+  packet.set(encrypted, HEADER_LENGTH + nonce.length);
+
+  return Buffer.from(packet);
+}
+
+/**
+ * Seal a reply (e.g. an ACK) for whoever sent a packet
+ * Enrolled agents get a box to their public key, pre-shared key agents a
+ * secretbox under the key they used.
+ * @param {Object} message - JSON-serialisable payload
+ * @param {Object} sender - From openEnvelope: { keyId, agent }
+ * @returns {Buffer} Packet for the agent
+ * @throws {Error} If the key is no longer in the key ring
+ */
+export function sealReply(message, { keyId, agent }) {
+  if (agent) {
+    return sealForAgent(message, agent.publicKeyBytes);
+  }
+
+  const entry = findKey(keyId);
+  if (!entry) {
+    throw new Error(`Unknown key ${keyId}`);
+  }
+
+  const nonce = nacl.randomBytes(NONCE_LENGTH);
+  const encrypted = nacl.secretbox(decodeUTF8(JSON.stringify(message)), nonce, entry.bytes);
+
+  const packet = new Uint8Array(HEADER_LENGTH + nonce.length + encrypted.length);
+  packet[0] = ENVELOPE_VERSION;
+  packet[1] = 0;
+  packet.set(Buffer.from(keyId, 'hex'), 2);
+  packet.set(nonce, HEADER_LENGTH);
+  packet.set(encrypted, HEADER_LENGTH + nonce.length);
+
+  return Buffer.from(packet);
+}
+
+// Try a packet as [ nonce ][ secretbox ] under every accepting key (null if none opens it)
+function openLegacy(packet) {
+  const nonce = packet.slice(0, NONCE_LENGTH);
+  const box = packet.slice(NONCE_LENGTH);
+
+  for (const entry of getAcceptingKeys()) {
+    const decrypted = nacl.secretbox.open(box, nonce, entry.bytes);
+    if (decrypted) {
+      return { message: parsePayload(decrypted), keyId: entry.id, legacy: true, agent: null, nonce: toHex(nonce), compressed: false };
+    }
+  }
+
+  return null;
+}
+
+function openAgentBox(packet, compressed) {
+  const agentId = Buffer.from(packet.slice(2, HEADER_LENGTH)).toString('hex');
+  const agent = findAgent(agentId);
+
+  if (!agent) {
+    throw new Error(`Unknown agent ${agentId}`);
+  }
+  if (agent.revoked_at) {
+    throw new Error(`Agent ${agentId} is revoked`);
+  }
+
+  const nonce = packet.slice(HEADER_LENGTH, HEADER_LENGTH + NONCE_LENGTH);
+  const box = packet.slice(HEADER_LENGTH + NONCE_LENGTH);
+  const decrypted = nacl.box.open(box, nonce, agent.publicKeyBytes, requireServerKeyPair().secretKey);
+
+  if (!decrypted) {
+    throw new Error(`Decryption failed for agent ${agentId}`);
+  }
+
+  return { message: parsePayload(decrypted, compressed), keyId: agentId, legacy: false, agent, nonce: toHex(nonce), compressed };
+}
+
+function openEnrollment(packet) {
+  const keyStart = HEADER_LENGTH;
+  const nonceStart = keyStart + PUBLIC_KEY_LENGTH;
+
+  if (packet.length < nonceStart + NONCE_LENGTH + MIN_BOX_LENGTH) {
+    throw new Error('Enrollment packet too short');
+  }
+
+  const publicKey = packet.slice(keyStart, nonceStart);
+  const agentId = agentIdFor(publicKey);
+
+  if (Buffer.from(packet.slice(2, HEADER_LENGTH)).toString('hex') !== agentId) {
+    throw new Error('Enrollment agent ID does not match public key');
+  }
+
+  const nonce = packet.slice(nonceStart, nonceStart + NONCE_LENGTH);
+  const box = packet.slice(nonceStart + NONCE_LENGTH);
+  const decrypted = nacl.box.open(box, nonce, publicKey, requireServerKeyPair().secretKey);
+
+  if (!decrypted) {
+    throw new Error(`Enrollment decryption failed for agent ${agentId}`);
+  }
+
+  return { agentId, publicKey: new Uint8Array(publicKey), message: parsePayload(decrypted) };
+}
+
+function requireServerKeyPair() {
+  const keyPair = getServerKeyPair();
+  if (!keyPair) {
+    throw new Error('Agent enrollment not set up (no server-identity.key)');
+  }
+  return keyPair;
+}
+
+function toHex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+/**
+ * Inflate a FLAG_DEFLATE payload (or a reassembled deflated message)
+ * @param {Uint8Array} bytes - Raw deflate data
+ * @param {number} [maxLength] - Largest accepted result, so a small packet cannot expand without limit
+ * @returns {Buffer} Inflated bytes
+ * @throws {Error} If the data is corrupt or inflates beyond maxLength
+ */
+export function inflatePayload(bytes, maxLength = MAX_INFLATED_BYTES) {
+  try {
+    return inflateRawSync(bytes, { maxOutputLength: maxLength });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`Compressed payload inflates beyond ${maxLength} bytes`);
+    }
+    throw new Error(`Invalid compressed payload: ${error.message}`);
+  }
+}
+
+function parsePayload(decrypted, compressed = false) {
+  if (compressed) {
+    decrypted = inflatePayload(decrypted);
+  }
+
+  try {
+    return JSON.parse(encodeUTF8(decrypted));
+  } catch (error) {
+    throw new Error(`Invalid JSON payload: ${error.message}`);
+  }
+}
@@ -0,0 +1,186 @@
+// Ingest telemetry for Inside-Out Monitor
+//
+// Counts what happened to every packet the listeners received, per source address:
+// accepted messages by type, and refused packets by reason. A site with a wrong key
+// shows up as `decrypt` failures, clock drift as `stale`, an outdated agent as `invalid`.
+//
+// Rates use a sliding window counter: the previous window's count, weighted by how much
+// of it still overlaps the last RATE_WINDOW seconds, plus the current window's count.
+
+export const MAX_SOURCES = 10000;
+export const RATE_WINDOW = 60; // seconds
+
+// Reasons a packet is refused (see createIngest() in server/ingest.js)
+export const REJECT_REASONS = [
+  'denied', 'banned', 'rate_limited', // dropped by server/source-guard.js before decryption
+  'decrypt', 'stale', 'replay', 'unauthorized', 'backfill', 'fragment', 'invalid', 'enrollment', 'error'
+];
+
+const sources = new Map(); // address -> { packets, accepted:{type:n}, rejected:{reason:n}, rate, first_seen, last_seen, ... }
+
+const totals = {
+  started_at: Math.floor(Date.now() / 1000),
+  packets: 0,
+  accepted: {},
+  rejected: {},
+  rate: newRate(Math.floor(Date.now() / 1000))
+};
+
+function newRate(now) {
+  return { window_start: now - (now % RATE_WINDOW), current: 0, previous: 0 };
+}
+
+// Move the window forward; the window that just ended becomes `previous` (none after an idle gap)
+function rollRate(rate, now) {
+  const windowStart = now - (now % RATE_WINDOW);
+  if (windowStart !== rate.window_start) {
+    rate.previous = windowStart - rate.window_start === RATE_WINDOW ? rate.current : 0;
+    rate.current = 0;
+    rate.window_start = windowStart;
+  }
+}
+
+function countRate(rate, now) {
+  rollRate(rate, now);
+  rate.current++;
+}
+
+function packetsPerSecond(rate, now) {
+  rollRate(rate, now);
+  const elapsed = now - rate.window_start;
+  const estimate = rate.previous * ((RATE_WINDOW - elapsed) / RATE_WINDOW) + rate.current;
+  return Math.round((estimate / RATE_WINDOW) * 100) / 100;
+}
+
+function sourceFor(address, now) {
+  let entry = sources.get(address);
+  if (entry) {
+    // Most recently seen last, so the oldest source is evicted first
+    sources.delete(address);
+  } else {
+    entry = {
+      packets: 0,
+      accepted: {},
+      rejected: {},
+      rate: newRate(now),
+      first_seen: now,
+      last_seen: now,
+      last_name: null,
+      last_reason: null,
+      last_rejected_at: null
+    };
+  }
+  sources.set(address, entry);
+
+  if (sources.size > MAX_SOURCES) {
+    sources.delete(sources.keys().next().value);
+  }
+  return entry;
+}
+
+/**
+ * Count a packet as it arrives, before anything else is known about it
+ * @param {string} address - Source IP address
+ */
+export function recordPacket(address) {
+  const now = Math.floor(Date.now() / 1000);
+  const entry = sourceFor(address, now);
+
+  entry.packets++;
+  entry.last_seen = now;
+  countRate(entry.rate, now);
+
+  totals.packets++;
+  countRate(totals.rate, now);
+}
+
+/**
+ * Count a message that was stored (or a fragment that was kept for reassembly)
+ * @param {string} address - Source IP address
+ * @param {string} type - Message type, e.g. 'heartbeat', 'ping', 'fragment', 'enroll'
+ * @param {string} [name] - Device name from the payload
+ */
+export function recordAccepted(address, type, name) {
+  const entry = sources.get(address);
+  if (entry) {
+    entry.accepted[type] = (entry.accepted[type] || 0) + 1;
+    if (name) entry.last_name = name;
+  }
+  totals.accepted[type] = (totals.accepted[type] || 0) + 1;
+}
+
+/**
+ * Count a refused packet
+ * @param {string} address - Source IP address
+ * @param {string} reason - One of REJECT_REASONS
+ * @param {string} [name] - Device name from the payload, if it could be decrypted
+ */
+export function recordRejected(address, reason, name) {
+  const entry = sources.get(address);
+  if (entry) {
+    entry.rejected[reason] = (entry.rejected[reason] || 0) + 1;
+    entry.last_reason = reason;
+    entry.last_rejected_at = Math.floor(Date.now() / 1000);
+    if (name) entry.last_name = name;
+  }
+  totals.rejected[reason] = (totals.rejected[reason] || 0) + 1;
+}
+
+function sum(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Get ingest counters for the API
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most recently seen sources to include
+ * @returns {Object} Totals since startup plus per-source counters
+ */
+export function getIngestStats({ limit = 100 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const sourceStats = [...sources.entries()]
+    .reverse()
+    .slice(0, limit)
+    .map(([address, entry]) => ({
+      address,
+      name: entry.last_name,
+      packets: entry.packets,
+      accepted: sum(entry.accepted),
+      rejected: sum(entry.rejected),
+      accepted_by_type: { ...entry.accepted },
+      rejected_by_reason: { ...entry.rejected },
+      packets_per_second: packetsPerSecond(entry.rate, now),
+      first_seen: entry.first_seen,
+      last_seen: entry.last_seen,
+      last_seen_ago: now - entry.last_seen,
+      last_reason: entry.last_reason,
+      last_rejected_at: entry.last_rejected_at
+    }));
+
+  return {
+    since: totals.started_at,
+    packets: totals.packets,
+    accepted: sum(totals.accepted),
+    rejected: sum(totals.rejected),
+    accepted_by_type: { ...totals.accepted },
+    // Every reason, so a dashboard can show zeros
+    rejected_by_reason: Object.fromEntries(REJECT_REASONS.map(reason => [reason, totals.rejected[reason] || 0])),
+    packets_per_second: packetsPerSecond(totals.rate, now),
+    tracked_sources: sources.size,
+    sources: sourceStats
+  };
+}
+
+/**
+ * Clear all counters (used by tests)
+ */
+export function resetIngestStats() {
+  const now = Math.floor(Date.now() / 1000);
+  sources.clear();
+  totals.started_at = now;
+  totals.packets = 0;
+  totals.accepted = {};
+  totals.rejected = {};
+  totals.rate = newRate(now);
+}
@@ -0,0 +1,414 @@
+// Ingest pipeline for Inside-Out Monitor
+//
+// server.js and server-cli.js feed every packet (UDP, TCP or TLS) through the same
+// handler from createIngest():
+//   source check -> decrypt -> enrollment? -> authorise -> freshness -> replay -> backfill -> reassemble
+//   -> validate -> store -> ACK
+// What happens to a message of a given `type` is decided by the handler registry
+// below. Messages without a type are heartbeats (agents predating the type field).
+// Authenticated messages that are refused are kept in the ingest_rejections table, and
+// every packet is counted per source address in server/ingest-stats.js.
+
+import { insertHeartbeat, insertPingResults, insertMonitoringResults, insertRejection, getDb } from './db.js';
+import { insertUnifiClients, markDisconnectedClients, getUnifiDb } from './unifi-db.js';
+import { initAlerting, raiseAlert } from './alerting.js';
+import { reloadKeyringIfChanged } from './keyring.js';
+import { reloadAgentRegistryIfChanged, enrollAgent, authorizeMessage } from './agents.js';
+import { openEnvelope, sealForAgent, sealReply } from './envelope.js';
+import { checkReplay, senderKeyFor, sentAt, isBackfillAllowed } from './replay-guard.js';
+import { addFragment, expireFragments } from './reassembler.js';
+import { validateMessageSchema } from './schemas.js';
+import { recordPacket, recordAccepted, recordRejected } from './ingest-stats.js';
+import { configureSourceGuard, checkSource, recordDecryptFailure, normalizeAddress } from './source-guard.js';
+import { resolveRetention, runRetentionSafely } from './retention.js';
+import { resolveBackup, runBackupSafely } from './backup.js';
+import { correlateDevicesSafely } from './device-registry.js';
+
+export const DEFAULT_MAX_MESSAGE_AGE = 300; // seconds
+export const DEFAULT_MAX_BACKFILL_AGE = 7 * 24 * 3600; // seconds, 0 = refuse backfill
+export const KEYRING_RELOAD_INTERVAL = 30; // seconds
+export const FRAGMENT_CHECK_INTERVAL = 10; // seconds
+export const UNIFI_CHECK_INTERVAL = 60; // seconds
+export const RETENTION_START_DELAY = 60; // seconds after startup before the first rollup/prune
+export const DEVICE_REGISTRY_INTERVAL = 60; // seconds between device registry updates
+
+const handlers = new Map(); // type -> { label, validate(message), store(message, context) }
+
+function log(text) {
+  console.log(`[${new Date().toISOString()}] ✓ ${text}`);
+}
+
+function warn(text) {
+  console.log(`[${new Date().toISOString()}] ⚠ ${text}`);
+}
+
+/**
+ * Register the handler for a message type (replaces an existing one)
+ * @param {string} type - Value of message.type ('heartbeat' also covers messages without a type)
+ * @param {Object} handler
+ * @param {string} handler.label - Used in log lines, e.g. "Ping results"
+ * @param {Function} handler.validate - (message) => void, throws an Error naming what is wrong
+ * @param {Function} handler.store - async (message, context) => optional detail string for the log
+ */
+export function registerHandler(type, { label, validate, store }) {
+  if (typeof validate !== 'function' || typeof store !== 'function') {
+    throw new Error(`Handler for ${type} needs validate() and store()`);
+  }
+  handlers.set(type, { label: label || type, validate, store });
+}
+
+/**
+ * Look up the handler for a message
+ * @param {string} [type] - message.type
+ * @returns {Object|null} Handler, or null for unknown types
+ */
+export function getHandler(type) {
+  return handlers.get(type === undefined ? 'heartbeat' : type) || null;
+}
+
+/**
+ * Registered message types
+ * @returns {string[]} Types in registration order
+ */
+export function getHandlerTypes() {
+  return [...handlers.keys()];
+}
+
+// Site the agent was built for (config.js location), stored with everything it reports
+function locationOf(message) {
+  return { location: message.location || null, sublocation: message.sublocation || null };
+}
+
+registerHandler('heartbeat', {
+  label: 'Heartbeat',
+  validate: (message) => validateMessageSchema('heartbeat', message),
+  async store(message, { receivedAt }) {
+    const networkInterfaces = message.network_interfaces || [];
+    // With the agent's own delivery counters, if it sends them (--ack)
+    await insertHeartbeat(message.name, Math.floor(message.timestamp), receivedAt, networkInterfaces, message.delivery, locationOf(message));
+    return `interfaces: ${networkInterfaces.length}`;
+  }
+});
+
+registerHandler('ping', {
+  label: 'Ping results',
+  validate: (message) => validateMessageSchema('ping', message),
+  async store(message, { receivedAt }) {
+    await insertPingResults(message.name, Math.floor(message.timestamp), message.results, receivedAt, locationOf(message));
+    const onlineCount = message.results.filter(r => r.status === 'online').length;
+    return `targets: ${message.results.length}, online: ${onlineCount}`;
+  }
+});
+
+registerHandler('monitoring', {
+  label: 'Monitoring results',
+  validate: (message) => validateMessageSchema('monitoring', message),
+  async store(message, { receivedAt }) {
+    await insertMonitoringResults(message.name, Math.floor(message.timestamp), message.results, receivedAt, locationOf(message));
+    const typeCounts = message.results.reduce((acc, r) => {
+      acc[r.type] = (acc[r.type] || 0) + 1;
+      return acc;
+    }, {});
+    return Object.entries(typeCounts).map(([type, count]) => `${count} ${type}`).join(', ') || 'no results';
+  }
+});
+
+// UniFi snapshots describe the controller's clients, not the sending device, so no name is required
+registerHandler('unifi', {
+  label: 'UniFi clients',
+  validate: (message) => validateMessageSchema('unifi', message),
+  async store(message) {
+    insertUnifiClients(message.clients, Math.floor(message.timestamp), locationOf(message));
+    const wiredCount = message.clients.filter(c => c.is_wired).length;
+    return `total: ${message.clients.length}, wired: ${wiredCount}, wireless: ${message.clients.length - wiredCount}`;
+  }
+});
+
+/**
+ * Log a ban and record it in the alert log (webhooks subscribed to source_banned get it too)
+ * @param {Object} ban - From recordDecryptFailure() or banSource()
+ */
+export function reportBan(ban) {
+  const seconds = ban.expires_at - ban.banned_at;
+  warn(`Banned ${ban.address} for ${seconds}s - ${ban.reason}`);
+  raiseAlert({
+    entity_type: 'source',
+    entity_name: ban.address,
+    event_type: 'source_banned',
+    title: '⛔ Ingest Source Banned',
+    description: `Packets from **${ban.address}** are dropped for ${seconds}s - ${ban.reason}`,
+    color: 0xFF8800
+  });
+}
+
+/**
+ * Log a ban that was lifted by hand and record it in the alert log
+ * @param {string} address - Source IP address
+ */
+export function reportUnban(address) {
+  log(`Ban on ${address} lifted`);
+  raiseAlert({
+    entity_type: 'source',
+    entity_name: address,
+    event_type: 'source_unbanned',
+    title: '✅ Ingest Source Unbanned',
+    description: `Packets from **${address}** are accepted again`,
+    color: 0x00FF00
+  });
+}
+
+/**
+ * Validate a (reassembled) message against the handler for its type
+ * @param {Object} message - Decrypted payload
+ * @returns {Object} The handler
+ * @throws {Error} If the type is unknown or the payload is invalid
+ */
+export function validatePayload(message) {
+  const handler = getHandler(message.type);
+  if (!handler) {
+    throw new Error(`Unknown message type ${JSON.stringify(message.type)}`);
+  }
+
+  try {
+    handler.validate(message);
+  } catch (error) {
+    // e.g. "Invalid ping payload - results[0].status must be one of online, offline"
+    throw new Error(`Invalid ${message.type || 'heartbeat'} payload - ${error.message}`);
+  }
+
+  return handler;
+}
+
+/**
+ * Create the packet handler shared by the UDP, TCP and TLS listeners
+ * @param {Object} [options]
+ * @param {number} [options.maxMessageAge] - Freshness window in seconds
+ * @param {number} [options.maxBackfillAge] - Oldest backfilled data accepted in seconds (0 = refuse)
+ * @param {boolean} [options.requireEnrollment] - Reject pre-shared key packets
+ * @param {Object} [options.rateLimit] - Per-source limits and bans (see DEFAULT_RATE_LIMIT in source-guard.js)
+ * @param {Object} [options.sources] - { allow: [CIDR], deny: [CIDR] }
+ * @returns {Function} async (packet, rinfo, respond) - respond(reply) sends a packet back to the agent
+ */
+export function createIngest({
+  maxMessageAge = DEFAULT_MAX_MESSAGE_AGE,
+  maxBackfillAge = DEFAULT_MAX_BACKFILL_AGE,
+  requireEnrollment = false,
+  rateLimit = {},
+  sources = {}
+} = {}) {
+  configureSourceGuard({ rateLimit, allow: sources.allow, deny: sources.deny });
+
+  return async function handlePacket(packet, rinfo, respond) {
+    const address = normalizeAddress(rinfo.address);
+    const source = `${address}:${rinfo.port}`;
+    recordPacket(address);
+
+    // Denied, banned and rate-limited sources are dropped before any decryption work
+    const blocked = checkSource(address);
+    if (blocked) {
+      recordRejected(address, blocked.reason);
+      if (blocked.first) warn(`Rate limit exceeded by ${address} - dropping packets until it slows down`);
+      return;
+    }
+
+    // Set once the packet decrypts, for the error counter below
+    let name;
+
+    try {
+      // Decrypt envelope (key ID header + nonce + encrypted data, or legacy nonce + encrypted data)
+      let message, keyId, agent, enrollment, nonce;
+      try {
+        ({ message, keyId, agent, enrollment, nonce } = openEnvelope(packet));
+      } catch (error) {
+        warn(`Failed to decrypt message from ${source} - ${error.message}`);
+        recordRejected(address, 'decrypt');
+        const ban = recordDecryptFailure(address, rinfo.transport);
+        if (ban) reportBan(ban);
+        return;
+      }
+
+      // Enrollment request - bind the agent's public key and tell it which names it got
+      if (enrollment) {
+        let reply;
+        try {
+          const enrolled = enrollAgent(enrollment.publicKey, enrollment.message);
+          reply = { type: 'enrolled', agent_id: enrolled.id, names: enrolled.names };
+          log(`Agent ${enrolled.id} enrolled from ${address} [names: ${enrolled.names.join(', ')}]`);
+          recordAccepted(address, 'enroll');
+        } catch (error) {
+          reply = { type: 'enroll_rejected', reason: error.message };
+          warn(`Enrollment from ${source} rejected - ${error.message}`);
+          recordRejected(address, 'enrollment');
+        }
+        respond(sealForAgent(reply, enrollment.publicKey));
+        return;
+      }
+
+      name = typeof message.name === 'string' ? message.name : undefined;
+
+      // Keep a record of authenticated messages that were refused, so misconfigured agents are easy to find
+      const reject = (reason, payload) => {
+        try {
+          insertRejection({
+            address,
+            port: rinfo.port,
+            keyId,
+            type: payload?.type || 'heartbeat',
+            name: payload?.name,
+            reason,
+            payload
+          });
+        } catch (error) {
+          console.error(`[${new Date().toISOString()}] ⚠ Could not record rejected message: ${error.message}`);
+        }
+      };
+
+      try {
+        authorizeMessage(message, agent, { requireEnrollment });
+      } catch (error) {
+        warn(`Rejected message from ${source} - ${error.message}`);
+        recordRejected(address, 'unauthorized', name);
+        reject(error.message, message);
+        return;
+      }
+
+      // Agents running with acknowledgements (--ack) are told whether the packet was handled;
+      // a refused message gets a nack so a spooling agent drops it instead of retrying forever
+      const wantsAck = message.ack === true;
+      const ackSeq = message.seq;
+      const acknowledge = () => {
+        if (wantsAck) respond(sealReply({ type: 'ack', nonce, seq: ackSeq }, { keyId, agent }));
+      };
+      const refuse = (kind, reason) => {
+        warn(`${reason} from ${source}`);
+        recordRejected(address, kind, name);
+        reject(reason, message);
+        if (wantsAck) respond(sealReply({ type: 'nack', nonce, seq: ackSeq, reason }, { keyId, agent }));
+      };
+
+      // Validate timestamp freshness (backfilled messages from an agent's spool: when they were sent)
+      const now = Math.floor(Date.now() / 1000);
+      const age = Math.abs(now - Math.floor(sentAt(message)));
+
+      // Refused with a nack: an agent whose clock is off would otherwise retry and spool it for good
+      if (!(age <= maxMessageAge)) {
+        refuse('stale', `Stale message - age: ${age}s (max: ${maxMessageAge}s), check the agent's clock`);
+        return;
+      }
+
+      // Drop replays inside the freshness window (same nonce, or a sequence number already seen)
+      const sender = senderKeyFor(message, keyId, agent);
+      const replay = checkReplay({ nonce, sender, message }, maxMessageAge);
+      if (replay) {
+        warn(`Replayed message from ${source} dropped (${replay})`);
+        recordRejected(address, 'replay', name);
+        return;
+      }
+
+      // Backfill may carry data up to maxBackfillAge old
+      if (message.backfill === true && !isBackfillAllowed(message, maxBackfillAge, maxMessageAge)) {
+        refuse('backfill', `Backfill too old - age: ${now - Math.floor(message.timestamp)}s (max: ${maxBackfillAge}s)`);
+        return;
+      }
+
+      // Large payloads arrive in fragments - wait for the rest, then handle the whole message
+      if (message.type === 'fragment') {
+        let whole;
+        try {
+          whole = addFragment(sender, message);
+          if (whole) authorizeMessage(whole, agent, { requireEnrollment });
+        } catch (error) {
+          refuse('fragment', `Rejected fragment - ${error.message}`);
+          return;
+        }
+        if (!whole) {
+          recordAccepted(address, 'fragment', name);
+          acknowledge();
+          return;
+        }
+
+        message = whole;
+      }
+
+      let handler;
+      try {
+        handler = validatePayload(message);
+      } catch (error) {
+        refuse('invalid', error.message);
+        return;
+      }
+
+      // Backfilled data is filed under the time it was measured, so it fills the gap in the history
+      const receivedAt = message.backfill === true ? Math.floor(message.timestamp) : now;
+
+      const detail = await handler.store(message, { keyId, agent, age, receivedAt, source });
+
+      const from = message.name ? ` from ${message.name}` : '';
+      const extras = [`key: ${keyId}`, `age: ${age}s`, detail, message.backfill ? 'backfill' : null].filter(Boolean);
+      log(`${handler.label}${from} (${source}) [${extras.join(', ')}]`);
+      recordAccepted(address, message.type || 'heartbeat', name);
+
+      acknowledge();
+    } catch (error) {
+      // Storage failed - no ACK, so an agent running with --ack sends the message again
+      console.error(`[${new Date().toISOString()}] ⚠ Error processing message from ${source}: ${error.message}`);
+      recordRejected(address, 'error', name);
+    }
+  };
+}
+
+/**
+ * Start the background work every server needs next to its listeners: alerting,
+ * key ring / agent reloads, incomplete fragment reports, UniFi disconnect detection
+ * and data retention
+ * @param {Object} [config] - Parsed config.js
+ * @returns {Function} Stops the timers (and nothing else)
+ */
+export function startMaintenance(config = {}) {
+  const timers = [];
+
+  if (config.alerting?.enabled) {
+    initAlerting(config.alerting);
+  }
+
+  // Pick up keys added or retired with `npm run keygen` (and new tokens / revocations) without a restart
+  timers.push(setInterval(() => {
+    reloadKeyringIfChanged();
+    reloadAgentRegistryIfChanged();
+  }, KEYRING_RELOAD_INTERVAL * 1000));
+
+  // Report large messages that never got all their fragments
+  timers.push(setInterval(() => {
+    for (const dropped of expireFragments()) {
+      warn(`Incomplete message ${dropped.message_id} from ${dropped.sender} dropped - ${dropped.received}/${dropped.count} fragments received`);
+    }
+  }, FRAGMENT_CHECK_INTERVAL * 1000));
+
+  // UniFi clients missing from recent snapshots are marked disconnected
+  const onlineThresholdSeconds = config.alerting?.behavior?.onlineThresholdSeconds || 300;
+  timers.push(setInterval(() => {
+    markDisconnectedClients(onlineThresholdSeconds);
+  }, UNIFI_CHECK_INTERVAL * 1000));
+  log(`UniFi disconnect monitoring enabled (check every ${UNIFI_CHECK_INTERVAL}s, threshold ${onlineThresholdSeconds}s)`);
+
+  // Link heartbeat devices, ping targets and UniFi clients into the device registry
+  const correlate = () => correlateDevicesSafely({ db: getDb(), unifiDb: getUnifiDb() });
+  correlate();
+  timers.push(setInterval(correlate, DEVICE_REGISTRY_INTERVAL * 1000));
+
+  // Roll history up into hourly/daily tables and prune raw rows past their retention
+  const retention = resolveRetention(config.server?.retention);
+  const applyRetention = () => runRetentionSafely({ db: getDb(), unifiDb: getUnifiDb(), retention });
+  timers.push(setTimeout(applyRetention, RETENTION_START_DELAY * 1000));
+  timers.push(setInterval(applyRetention, retention.intervalMinutes * 60 * 1000));
+  log(`Retention enabled (raw heartbeats ${retention.heartbeats || '∞'}d, ping ${retention.ping_results || '∞'}d, monitoring ${retention.monitoring_results || '∞'}d, UniFi ${retention.unifi_clients || '∞'}d; rollups every ${retention.intervalMinutes} min)`);
+
+  // Scheduled backups of both databases and config.js, oldest archives rotated out
+  const backup = resolveBackup(config.server?.backup);
+  if (backup.intervalHours > 0) {
+    timers.push(setInterval(() => runBackupSafely(config.server?.backup), backup.intervalHours * 60 * 60 * 1000));
+    log(`Backups enabled (every ${backup.intervalHours}h to ${backup.dir}, keeping ${backup.keep || 'all'})`);
+  }
+
+  return () => timers.forEach(clearInterval);
+}
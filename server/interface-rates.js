@@ -0,0 +1,218 @@
+// Interface throughput from the rx/tx byte counters agents report
+//
+// Agents send each interface's counters as the OS keeps them: cumulative since boot,
+// only 32 bits wide on some platforms (they wrap at 4 GiB), and back to zero after a
+// reboot. updateInterfaceRates() runs in the heartbeat's transaction (server/db.js) and
+// stores on each network_interfaces row the bits per second since the interface's
+// previous sample, and that rate as a percentage of max_speed_mbps.
+//
+// A counter lower than before is read as a 32-bit wrap when it was in the upper half of
+// the 32-bit range and the wrapped increase fits what the link can carry in the interval,
+// and as a reset otherwise - counted from zero, as the hourly rollups in
+// server/retention.js do. A backfilled heartbeat - one older than the device's latest -
+// also recomputes the sample after it, whose predecessor it now is.
+
+export const COUNTER_32 = 2 ** 32;
+
+// Defaults for the saturation alert (config.alerting.behavior)
+export const DEFAULT_SATURATION_PERCENT = 90;
+export const DEFAULT_SATURATION_SAMPLES = 3;
+
+const SAMPLE = `
+  SELECT ni.id, h.received_at, ni.rx_bytes, ni.tx_bytes, ni.max_speed_mbps
+  FROM heartbeats h
+  JOIN network_interfaces ni ON ni.heartbeat_id = h.id
+  WHERE h.device_name = ? AND ni.interface_name = ?
+`;
+const PREVIOUS_SAMPLE = `${SAMPLE} AND h.received_at < ? ORDER BY h.received_at DESC, h.id DESC LIMIT 1`;
+const NEXT_SAMPLE = `${SAMPLE} AND h.received_at > ? ORDER BY h.received_at, h.id LIMIT 1`;
+const LATER_HEARTBEAT = 'SELECT 1 FROM heartbeats WHERE device_name = ? AND received_at > ? LIMIT 1';
+
+const STORE_RATE = `
+  UPDATE network_interfaces
+  SET interval_seconds = ?, rx_bps = ?, tx_bps = ?, rx_utilization = ?, tx_utilization = ?, counter_event = ?
+  WHERE id = ?
+`;
+
+function sqlToJson(result) {
+  if (!result || result.length === 0) return [];
+
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+/**
+ * Bytes counted between two readings of one counter
+ * @param {number} current - Latest reading
+ * @param {number} previous - Reading before it
+ * @param {number} [maxBytes] - Most the link can carry between the readings (0 = unknown)
+ * @returns {Object} { bytes, event } - event is 'wrap', 'reset' or null
+ */
+export function counterIncrease(current, previous, maxBytes = 0) {
+  if (current >= previous) {
+    return { bytes: current - previous, event: null };
+  }
+
+  // A 32-bit counter in its upper half, close enough to the top for the link to get there
+  const wrapped = current + COUNTER_32 - previous;
+  const nearTop = previous >= COUNTER_32 / 2 && previous < COUNTER_32;
+  if (nearTop && (maxBytes <= 0 || wrapped <= maxBytes)) {
+    return { bytes: wrapped, event: 'wrap' };
+  }
+
+  return { bytes: current, event: 'reset' };
+}
+
+/**
+ * A rate as a percentage of the link speed, to two decimals
+ * @param {number|null} bps - Bits per second
+ * @param {number} maxSpeedMbps - Link speed reported by the agent (0 = unknown)
+ * @returns {number|null} null when either is unknown
+ */
+export function utilizationPercent(bps, maxSpeedMbps) {
+  if (bps === null || bps === undefined || !(maxSpeedMbps > 0)) return null;
+  return Math.round(bps / (maxSpeedMbps * 1e4) * 100) / 100;
+}
+
+/**
+ * Throughput of one interface between two samples
+ * @param {Object} sample - { received_at, rx_bytes, tx_bytes, max_speed_mbps }
+ * @param {Object} [previous] - The interface's sample before it, if any
+ * @returns {Object} { interval_seconds, rx_bps, tx_bps, rx_utilization, tx_utilization, counter_event }
+ *   (all null for an interface's first sample)
+ */
+export function interfaceRate(sample, previous) {
+  const seconds = previous ? sample.received_at - previous.received_at : 0;
+  if (seconds <= 0) {
+    return { interval_seconds: null, rx_bps: null, tx_bps: null, rx_utilization: null, tx_utilization: null, counter_event: null };
+  }
+
+  const maxBytes = sample.max_speed_mbps > 0 ? sample.max_speed_mbps * 1e6 / 8 * seconds : 0;
+  const rx = counterIncrease(sample.rx_bytes, previous.rx_bytes, maxBytes);
+  const tx = counterIncrease(sample.tx_bytes, previous.tx_bytes, maxBytes);
+  const rxBps = Math.round(rx.bytes * 8 / seconds);
+  const txBps = Math.round(tx.bytes * 8 / seconds);
+  const events = [rx.event, tx.event];
+
+  return {
+    interval_seconds: seconds,
+    rx_bps: rxBps,
+    tx_bps: txBps,
+    rx_utilization: utilizationPercent(rxBps, sample.max_speed_mbps),
+    tx_utilization: utilizationPercent(txBps, sample.max_speed_mbps),
+    counter_event: events.includes('reset') ? 'reset' : (rx.event || tx.event)
+  };
+}
+
+function storeRate(db, id, rate) {
+  db.run(STORE_RATE, [
+    rate.interval_seconds, rate.rx_bps, rate.tx_bps, rate.rx_utilization, rate.tx_utilization, rate.counter_event, id
+  ]);
+}
+
+/**
+ * Compute the rates of a stored heartbeat's interfaces (and of the samples after them,
+ * when the heartbeat was backfilled between two others)
+ * @param {Object} db - Main database
+ * @param {number} heartbeatId - heartbeats.id
+ */
+export function updateInterfaceRates(db, heartbeatId) {
+  const samples = sqlToJson(db.exec(`
+    SELECT ni.id, ni.interface_name, h.device_name, h.received_at, ni.rx_bytes, ni.tx_bytes, ni.max_speed_mbps
+    FROM network_interfaces ni
+    JOIN heartbeats h ON h.id = ni.heartbeat_id
+    WHERE ni.heartbeat_id = ?
+  `, [heartbeatId]));
+  if (samples.length === 0) return;
+
+  // Only a backfilled heartbeat has samples after it
+  const { device_name, received_at } = samples[0];
+  const backfilled = db.exec(LATER_HEARTBEAT, [device_name, received_at]).length > 0;
+
+  for (const sample of samples) {
+    const key = [sample.device_name, sample.interface_name, sample.received_at];
+    const [previous] = sqlToJson(db.exec(PREVIOUS_SAMPLE, key));
+    storeRate(db, sample.id, interfaceRate(sample, previous));
+
+    if (!backfilled) continue;
+    const [next] = sqlToJson(db.exec(NEXT_SAMPLE, key));
+    if (next) storeRate(db, next.id, interfaceRate(next, sample));
+  }
+}
+
+/**
+ * Compute the rates of every stored sample, one interface at a time (heartbeats migration 009)
+ * @param {Object} db - Main database
+ * @returns {number} Samples updated
+ */
+export function fillInterfaceRates(db) {
+  const interfaces = sqlToJson(db.exec(`
+    SELECT DISTINCT h.device_name, ni.interface_name
+    FROM network_interfaces ni
+    JOIN heartbeats h ON h.id = ni.heartbeat_id
+  `));
+
+  let updated = 0;
+  for (const { device_name, interface_name } of interfaces) {
+    let previous = null;
+    for (const sample of sqlToJson(db.exec(`${SAMPLE} ORDER BY h.received_at, h.id`, [device_name, interface_name]))) {
+      storeRate(db, sample.id, interfaceRate(sample, previous));
+      previous = sample;
+      updated++;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Interfaces whose utilization (either direction) has been at or above a threshold
+ * for their last few samples
+ * @param {Object} db - Main database
+ * @param {Object} [options]
+ * @param {number} [options.thresholdPercent] - Utilization counted as saturated
+ * @param {number} [options.samples] - Consecutive samples it must last
+ * @returns {Object[]} [{ device_name, interface_name, direction, rx_utilization, tx_utilization, max_speed_mbps, since }]
+ */
+export function findSaturatedInterfaces(db, {
+  thresholdPercent = DEFAULT_SATURATION_PERCENT,
+  samples = DEFAULT_SATURATION_SAMPLES
+} = {}) {
+  const saturated = [];
+  const devices = sqlToJson(db.exec('SELECT device_name FROM device_current ORDER BY device_name'));
+
+  for (const { device_name } of devices) {
+    const rows = sqlToJson(db.exec(`
+      SELECT h.received_at, ni.interface_name, ni.rx_utilization, ni.tx_utilization, ni.max_speed_mbps
+      FROM network_interfaces ni
+      JOIN heartbeats h ON h.id = ni.heartbeat_id
+      WHERE ni.heartbeat_id IN (SELECT id FROM heartbeats WHERE device_name = ? ORDER BY received_at DESC LIMIT ?)
+      ORDER BY h.received_at DESC
+    `, [device_name, samples]));
+
+    const byInterface = new Map();
+    for (const row of rows) {
+      if (!byInterface.has(row.interface_name)) byInterface.set(row.interface_name, []);
+      byInterface.get(row.interface_name).push(row);
+    }
+
+    for (const [interface_name, history] of byInterface) {
+      if (history.length < samples) continue;
+      const rxFull = history.every(row => row.rx_utilization >= thresholdPercent);
+      const txFull = history.every(row => row.tx_utilization >= thresholdPercent);
+      if (!rxFull && !txFull) continue;
+
+      const [latest] = history;
+      saturated.push({
+        device_name,
+        interface_name,
+        direction: rxFull && txFull ? 'both' : (rxFull ? 'rx' : 'tx'),
+        rx_utilization: latest.rx_utilization,
+        tx_utilization: latest.tx_utilization,
+        max_speed_mbps: latest.max_speed_mbps,
+        since: history[history.length - 1].received_at
+      });
+    }
+  }
+
+  return saturated;
+}
@@ -0,0 +1,203 @@
+// Pre-shared key ring for Inside-Out Monitor
+// Holds every secretbox key the server accepts, addressed by a short key ID,
+// so a new key can be rolled out to sites over weeks while old agents keep working.
+
+import nacl from 'tweetnacl';
+import util from 'tweetnacl-util';
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+
+const { encodeBase64, decodeBase64 } = util;
+
+export const KEYRING_FILE = 'keyring.json';
+export const LEGACY_KEY_FILE = 'secret.key';
+export const KEY_ID_LENGTH = 4;
+
+// active      - accepted, and the newest one is the key embedded into new builds
+// accept-only - still accepted from agents that have not been rebuilt yet
+// retired     - rejected; kept only so the ID stays recognisable in logs
+export const KEY_STATES = ['active', 'accept-only', 'retired'];
+
+let keyring = null;
+let keyringMtime = null;
+
+/**
+ * Derive the key ID for a key (first 4 bytes of its SHA-512, hex encoded)
+ * Agents compute the same ID, so it never has to be configured separately.
+ * @param {Uint8Array} key - 32-byte secretbox key
+ * @returns {string} 8-character hex key ID
+ */
+export function keyIdFor(key) {
+  return Buffer.from(nacl.hash(key).slice(0, KEY_ID_LENGTH)).toString('hex');
+}
+
+/**
+ * Generate a new key ring entry
+ * @param {string} [state='active'] - Initial key state
+ * @returns {Object} Key entry with id, key, state and created_at
+ */
+export function createKeyEntry(state = 'active') {
+  return keyEntryFromBase64(encodeBase64(nacl.randomBytes(nacl.secretbox.keyLength)), state);
+}
+
+/**
+ * Build a key ring entry from a base64 key (e.g. an existing secret.key)
+ * @param {string} keyBase64 - Base64 encoded 32-byte key
+ * @param {string} [state='active'] - Key state
+ * @returns {Object} Key entry
+ */
+export function keyEntryFromBase64(keyBase64, state = 'active') {
+  const key = decodeBase64(keyBase64.trim());
+
+  if (key.length !== nacl.secretbox.keyLength) {
+    throw new Error(`Key must be ${nacl.secretbox.keyLength} bytes`);
+  }
+
+  return {
+    id: keyIdFor(key),
+    key: encodeBase64(key),
+    state,
+    created_at: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Read a key ring from a directory
+ * Falls back to a single active key built from secret.key when no keyring.json exists.
+ * @param {string} dir - Directory containing keyring.json and/or secret.key
+ * @returns {Object|null} { path, keys } or null if neither file exists
+ */
+export function readKeyring(dir) {
+  const keyringPath = join(dir, KEYRING_FILE);
+
+  if (existsSync(keyringPath)) {
+    const data = JSON.parse(readFileSync(keyringPath, 'utf8'));
+    const keys = (data.keys || []).map(entry => {
+      if (!KEY_STATES.includes(entry.state)) {
+        throw new Error(`Key ${entry.id} has invalid state "${entry.state}"`);
+      }
+      const derived = keyEntryFromBase64(entry.key, entry.state);
+      if (entry.id && entry.id !== derived.id) {
+        throw new Error(`Key ID ${entry.id} does not match its key (expected ${derived.id})`);
+      }
+      return { ...derived, created_at: entry.created_at || derived.created_at };
+    });
+    return { path: keyringPath, keys };
+  }
+
+  const legacyPath = join(dir, LEGACY_KEY_FILE);
+  if (existsSync(legacyPath)) {
+    return {
+      path: null,
+      keys: [keyEntryFromBase64(readFileSync(legacyPath, 'utf8'), 'active')]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Write a key ring to keyring.json and the newest active key to secret.key
+ * secret.key stays the file that builds embed, so the build scripts need no changes.
+ * @param {string} dir - Target directory
+ * @param {Object[]} keys - Key entries
+ */
+export function writeKeyring(dir, keys) {
+  writeFileSync(join(dir, KEYRING_FILE), JSON.stringify({ keys }, null, 2), 'utf8');
+
+  const primary = getPrimaryKeyEntry(keys);
+  if (primary) {
+    writeFileSync(join(dir, LEGACY_KEY_FILE), primary.key, 'utf8');
+  }
+}
+
+/**
+ * Get the newest active key entry (the one handed out to new builds)
+ * @param {Object[]} keys - Key entries
+ * @returns {Object|null} Key entry
+ */
+export function getPrimaryKeyEntry(keys) {
+  const active = keys.filter(entry => entry.state === 'active');
+  if (active.length === 0) return null;
+  return active.reduce((newest, entry) => (entry.created_at > newest.created_at ? entry : newest));
+}
+
+/**
+ * Load the key ring used by the UDP receiver
+ * @param {string[]} searchDirs - Directories to look in, first match wins
+ * @returns {Object} Loaded key ring
+ */
+export function loadKeyring(searchDirs) {
+  for (const dir of searchDirs) {
+    const ring = readKeyring(dir);
+    if (!ring) continue;
+
+    const accepting = ring.keys.filter(entry => entry.state !== 'retired');
+    if (accepting.length === 0) {
+      throw new Error(`No active or accept-only keys in ${ring.path || join(dir, LEGACY_KEY_FILE)}`);
+    }
+
+    keyring = {
+      ...ring,
+      dir,
+      keys: ring.keys.map(entry => ({ ...entry, bytes: decodeBase64(entry.key) }))
+    };
+    keyringMtime = ring.path ? statSync(ring.path).mtimeMs : null;
+    return keyring;
+  }
+
+  throw new Error(`No ${KEYRING_FILE} or ${LEGACY_KEY_FILE} found in: ${searchDirs.join(', ')}`);
+}
+
+/**
+ * Reload keyring.json if it changed on disk since it was loaded
+ * Lets an admin rotate or retire keys without restarting the server.
+ * @returns {boolean} True if the key ring was reloaded
+ */
+export function reloadKeyringIfChanged() {
+  if (!keyring || !keyring.path || !existsSync(keyring.path)) return false;
+
+  try {
+    const mtime = statSync(keyring.path).mtimeMs;
+    if (mtime === keyringMtime) return false;
+
+    loadKeyring([keyring.dir]);
+    console.log(`✓ Key ring reloaded (${describeKeyring()})`);
+    return true;
+  } catch (error) {
+    console.error(`⚠ Failed to reload key ring, keeping previous keys: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Look up a key by ID
+ * @param {string} keyId - Hex key ID
+ * @returns {Object|null} Key entry with raw key bytes
+ */
+export function findKey(keyId) {
+  if (!keyring) return null;
+  return keyring.keys.find(entry => entry.id === keyId) || null;
+}
+
+/**
+ * Get all keys that may still decrypt agent traffic
+ * @returns {Object[]} Active and accept-only key entries
+ */
+export function getAcceptingKeys() {
+  if (!keyring) return [];
+  return keyring.keys.filter(entry => entry.state !== 'retired');
+}
+
+/**
+ * Summarise the loaded key ring for startup logs
+ * @returns {string} e.g. "a1b2c3d4 active, 0f9e8d7c accept-only"
+ */
+export function describeKeyring() {
+  if (!keyring) return 'not loaded';
+  return keyring.keys.map(entry => `${entry.id} ${entry.state}`).join(', ');
+}
+
+export function getKeyring() {
+  return keyring;
+}
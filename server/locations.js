@@ -0,0 +1,116 @@
+// Sites reported by agents (config.js location / sublocation)
+//
+// Agents send the location they were built for with every message; server/ingest.js
+// stores it with heartbeats, ping and monitoring results and UniFi clients. The list
+// endpoints filter on it (?location= / ?sublocation=) and /api/locations counts what
+// is online and offline at each site.
+
+const SUMMARY_KINDS = ['devices', 'ping_targets', 'monitoring_targets', 'unifi_clients'];
+
+// Monitoring results use their own status words (see dashboard/src/components/Monitoring.jsx)
+const MONITORING_UP = ['online', 'ok'];
+
+function sqlToJson(result) {
+  if (!result || result.length === 0) return [];
+
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+/**
+ * SQL condition for the ?location= / ?sublocation= query parameters
+ * An empty value matches rows without a location (agents that do not send one)
+ * @param {Object} query - Request query (req.query)
+ * @param {string} alias - Alias of the table holding the location columns
+ * @returns {Object} { where: 'WHERE ...' or '', conditions: [], params: [] }
+ */
+export function locationFilter(query, alias) {
+  const conditions = [];
+  const params = [];
+
+  for (const field of ['location', 'sublocation']) {
+    const value = query[field];
+    if (value === undefined) continue;
+
+    if (value === '') {
+      conditions.push(`${alias}.${field} IS NULL`);
+    } else {
+      conditions.push(`${alias}.${field} = ?`);
+      params.push(String(value));
+    }
+  }
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', conditions, params };
+}
+
+function compareNullsLast(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a.localeCompare(b);
+}
+
+function siteFor(sites, location, sublocation) {
+  const key = JSON.stringify([location, sublocation]);
+  if (!sites.has(key)) {
+    const site = { location, sublocation, online: 0, offline: 0, last_seen: null };
+    for (const kind of SUMMARY_KINDS) site[kind] = { total: 0, online: 0, offline: 0 };
+    sites.set(key, site);
+  }
+  return sites.get(key);
+}
+
+function count(sites, kind, row, isOnline) {
+  const site = siteFor(sites, row.location ?? null, row.sublocation ?? null);
+  site[kind].total++;
+  site[kind][isOnline ? 'online' : 'offline']++;
+  site[isOnline ? 'online' : 'offline']++;
+  if (row.last_seen && row.last_seen > (site.last_seen || 0)) site.last_seen = row.last_seen;
+}
+
+/**
+ * Online/offline counts per site, from the latest report of each device, ping target,
+ * monitoring target and UniFi client
+ * @param {Object} options
+ * @param {Object} options.db - Main database (heartbeats, ping and monitoring results)
+ * @param {Object} [options.unifiDb] - UniFi database, when initialized
+ * @param {number} options.onlineThreshold - Seconds since the last heartbeat for a device to count as online
+ * @param {number} [options.now] - Current time (seconds)
+ * @returns {Object[]} Sites ordered by location then sublocation (sites without a location last)
+ */
+export function getLocationSummary({ db, unifiDb = null, onlineThreshold, now = Math.floor(Date.now() / 1000) }) {
+  const sites = new Map();
+
+  // Latest report of each device and target, with its location (see server/current-state.js)
+  const devices = sqlToJson(db.exec(`
+    SELECT device_name, location, sublocation, last_seen
+    FROM device_current
+  `));
+  for (const row of devices) count(sites, 'devices', row, now - row.last_seen < onlineThreshold);
+
+  const pingTargets = sqlToJson(db.exec(`
+    SELECT target_ip, location, sublocation, status, received_at as last_seen
+    FROM ping_target_current
+  `));
+  for (const row of pingTargets) count(sites, 'ping_targets', row, row.status === 'online');
+
+  const monitoringTargets = sqlToJson(db.exec(`
+    SELECT target_type, target_identifier, location, sublocation, status, received_at as last_seen
+    FROM monitoring_target_current
+  `));
+  for (const row of monitoringTargets) {
+    count(sites, 'monitoring_targets', row, MONITORING_UP.includes(String(row.status).toLowerCase()));
+  }
+
+  if (unifiDb) {
+    const clients = sqlToJson(unifiDb.exec(`
+      SELECT mac, location, sublocation, is_connected, last_seen
+      FROM unifi_client_states
+    `));
+    for (const row of clients) count(sites, 'unifi_clients', row, row.is_connected === 1);
+  }
+
+  return [...sites.values()].sort((a, b) =>
+    compareNullsLast(a.location, b.location) || compareNullsLast(a.sublocation, b.sublocation)
+  );
+}
@@ -0,0 +1,135 @@
+// 001: Tables from before versioned migrations (heartbeats, pings, alert state, monitoring)
+
+export const version = 1;
+export const name = 'initial-schema';
+
+export function up(db) {
+
+  // Create heartbeats table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS heartbeats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_name TEXT NOT NULL,
+      device_timestamp INTEGER NOT NULL,
+      received_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_device_name ON heartbeats(device_name)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_received_at ON heartbeats(received_at)`);
+
+  // Create network interfaces table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS network_interfaces (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      heartbeat_id INTEGER NOT NULL,
+      interface_name TEXT NOT NULL,
+      ip_address TEXT NOT NULL,
+      rx_bytes INTEGER NOT NULL,
+      tx_bytes INTEGER NOT NULL,
+      max_speed_mbps INTEGER NOT NULL,
+      FOREIGN KEY (heartbeat_id) REFERENCES heartbeats(id)
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_heartbeat_id ON network_interfaces(heartbeat_id)`);
+
+  // Create ping results table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ping_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      monitor_name TEXT NOT NULL,
+      target_ip TEXT NOT NULL,
+      target_name TEXT,
+      status TEXT NOT NULL,
+      response_time_ms REAL,
+      timestamp INTEGER NOT NULL,
+      received_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_monitor_name ON ping_results(monitor_name)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_target_ip ON ping_results(target_ip)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_ping_received_at ON ping_results(received_at)`);
+
+  // Create device state tracking table for alerting
+  db.run(`
+    CREATE TABLE IF NOT EXISTS device_states (
+      device_name TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      last_seen INTEGER NOT NULL,
+      last_status_change INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_device_status ON device_states(status)`);
+
+  // Create ping target state tracking table for alerting
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ping_target_states (
+      target_ip TEXT PRIMARY KEY,
+      target_name TEXT,
+      monitor_name TEXT NOT NULL,
+      status TEXT NOT NULL,
+      last_check INTEGER NOT NULL,
+      last_status_change INTEGER NOT NULL,
+      response_time_ms REAL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_ping_target_status ON ping_target_states(status)`);
+
+  // Create alert log table to track all alerts sent
+  db.run(`
+    CREATE TABLE IF NOT EXISTS alert_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_type TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_name TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      webhook_type TEXT NOT NULL,
+      webhook_name TEXT NOT NULL,
+      sent_at INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      error_message TEXT
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_alert_entity ON alert_log(entity_type, entity_name)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_alert_sent_at ON alert_log(sent_at)`);
+
+  // Create monitoring results table (web, SSL, file, folder monitoring)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS monitoring_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      monitor_name TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_identifier TEXT NOT NULL,
+      target_name TEXT,
+      status TEXT NOT NULL,
+      response_time_ms REAL,
+      status_code INTEGER,
+      file_exists INTEGER,
+      file_size INTEGER,
+      file_created INTEGER,
+      file_modified INTEGER,
+      file_hash TEXT,
+      file_hash_match INTEGER,
+      folder_file_count INTEGER,
+      folder_total_size INTEGER,
+      ssl_valid INTEGER,
+      ssl_expires INTEGER,
+      ssl_days_until_expiry INTEGER,
+      error_message TEXT,
+      timestamp INTEGER NOT NULL,
+      received_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_monitor_name_monitoring ON monitoring_results(monitor_name)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_target_type ON monitoring_results(target_type)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_target_identifier ON monitoring_results(target_identifier)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_monitoring_received_at ON monitoring_results(received_at)`);
+}
@@ -0,0 +1,17 @@
+// 002: Location/sublocation of the agent that reported each row (Phase 7)
+
+import { addColumn } from '../../schema-migrations.js';
+
+export const version = 2;
+export const name = 'locations';
+
+export function up(db) {
+  for (const table of ['heartbeats', 'ping_results', 'ping_target_states', 'monitoring_results']) {
+    addColumn(db, table, 'location', 'TEXT');
+    addColumn(db, table, 'sublocation', 'TEXT');
+  }
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_location ON heartbeats(location)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_ping_location ON ping_results(location)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_monitoring_location ON monitoring_results(location)`);
+}
@@ -0,0 +1,23 @@
+// 003: Log of authenticated messages the ingest pipeline refused
+
+export const version = 3;
+export const name = 'ingest-rejections';
+
+export function up(db) {
+  // Rolling log of authenticated messages the ingest pipeline refused (newest MAX_REJECTIONS kept, see db.js)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ingest_rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      received_at INTEGER NOT NULL,
+      source_address TEXT NOT NULL,
+      source_port INTEGER,
+      key_id TEXT,
+      message_type TEXT,
+      message_name TEXT,
+      reason TEXT NOT NULL,
+      payload TEXT
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_rejections_received_at ON ingest_rejections(received_at)`);
+}
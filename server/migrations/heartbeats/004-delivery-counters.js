@@ -0,0 +1,12 @@
+// 004: Delivery counters reported by agents running with acknowledgements
+
+import { addColumn } from '../../schema-migrations.js';
+
+export const version = 4;
+export const name = 'delivery-counters';
+
+export function up(db) {
+  for (const column of ['delivery_sent', 'delivery_acked', 'delivery_lost', 'delivery_retries']) {
+    addColumn(db, 'heartbeats', column, 'INTEGER');
+  }
+}
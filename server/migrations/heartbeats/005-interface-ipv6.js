@@ -0,0 +1,10 @@
+// 005: IPv6 addresses reported next to each interface's IPv4 address (comma-separated)
+
+import { addColumn } from '../../schema-migrations.js';
+
+export const version = 5;
+export const name = 'interface-ipv6';
+
+export function up(db) {
+  addColumn(db, 'network_interfaces', 'ipv6_addresses', 'TEXT');
+}
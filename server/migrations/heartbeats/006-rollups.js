@@ -0,0 +1,75 @@
+// 006: Hourly and daily rollups of pruned history (see server/retention.js)
+
+export const version = 6;
+export const name = 'rollups';
+
+export function up(db) {
+  // period is 'hour' or 'day', bucket the UTC start of the period
+  db.run(`
+    CREATE TABLE IF NOT EXISTS heartbeat_rollups (
+      period TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      device_name TEXT NOT NULL,
+      heartbeats INTEGER NOT NULL,
+      first_seen INTEGER NOT NULL,
+      last_seen INTEGER NOT NULL,
+      PRIMARY KEY (period, bucket, device_name)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS interface_rollups (
+      period TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      device_name TEXT NOT NULL,
+      interface_name TEXT NOT NULL,
+      samples INTEGER NOT NULL,
+      rx_bytes_delta INTEGER NOT NULL,
+      tx_bytes_delta INTEGER NOT NULL,
+      max_speed_mbps INTEGER,
+      PRIMARY KEY (period, bucket, device_name, interface_name)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS ping_rollups (
+      period TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      target_ip TEXT NOT NULL,
+      target_name TEXT,
+      checks INTEGER NOT NULL,
+      online INTEGER NOT NULL,
+      min_ms REAL,
+      avg_ms REAL,
+      max_ms REAL,
+      latency_samples INTEGER NOT NULL,
+      PRIMARY KEY (period, bucket, target_ip)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS monitoring_rollups (
+      period TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      target_type TEXT NOT NULL,
+      target_identifier TEXT NOT NULL,
+      target_name TEXT,
+      checks INTEGER NOT NULL,
+      up INTEGER NOT NULL,
+      min_ms REAL,
+      avg_ms REAL,
+      max_ms REAL,
+      latency_samples INTEGER NOT NULL,
+      PRIMARY KEY (period, bucket, target_type, target_identifier)
+    )
+  `);
+
+  // Last raw row id rolled up per table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS rollup_progress (
+      source TEXT PRIMARY KEY,
+      last_id INTEGER NOT NULL,
+      pruned_before INTEGER
+    )
+  `);
+}
@@ -0,0 +1,96 @@
+// 007: Latest state per device, ping target and monitoring target (see server/current-state.js)
+//
+// Kept up to date at ingest, so status checks and list endpoints no longer group the
+// whole history. Filled here once from the rows already stored.
+
+export const version = 7;
+export const name = 'current-state';
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE device_current (
+      device_name TEXT PRIMARY KEY,
+      location TEXT,
+      sublocation TEXT,
+      last_seen INTEGER NOT NULL,
+      heartbeat_count INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE ping_target_current (
+      target_ip TEXT PRIMARY KEY,
+      target_name TEXT,
+      monitor_name TEXT NOT NULL,
+      location TEXT,
+      sublocation TEXT,
+      status TEXT NOT NULL,
+      response_time_ms REAL,
+      timestamp INTEGER NOT NULL,
+      received_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE monitoring_target_current (
+      target_type TEXT NOT NULL,
+      target_identifier TEXT NOT NULL,
+      target_name TEXT,
+      monitor_name TEXT NOT NULL,
+      location TEXT,
+      sublocation TEXT,
+      status TEXT NOT NULL,
+      response_time_ms REAL,
+      status_code INTEGER,
+      file_exists INTEGER,
+      file_size INTEGER,
+      file_created INTEGER,
+      file_modified INTEGER,
+      file_hash TEXT,
+      file_hash_match INTEGER,
+      folder_file_count INTEGER,
+      folder_total_size INTEGER,
+      ssl_valid INTEGER,
+      ssl_expires INTEGER,
+      ssl_days_until_expiry INTEGER,
+      error_message TEXT,
+      timestamp INTEGER NOT NULL,
+      received_at INTEGER NOT NULL,
+      PRIMARY KEY (target_type, target_identifier)
+    )
+  `);
+
+  // SQLite fills bare columns from the row that holds MAX(), i.e. the latest one
+  db.run(`
+    INSERT INTO device_current (device_name, location, sublocation, last_seen, heartbeat_count)
+    SELECT device_name, location, sublocation, MAX(received_at), COUNT(*)
+    FROM heartbeats
+    GROUP BY device_name
+  `);
+
+  db.run(`
+    INSERT INTO ping_target_current
+      (target_ip, target_name, monitor_name, location, sublocation, status, response_time_ms, timestamp, received_at)
+    SELECT target_ip, target_name, monitor_name, location, sublocation, status, response_time_ms, timestamp, MAX(received_at)
+    FROM ping_results
+    GROUP BY target_ip
+  `);
+
+  db.run(`
+    INSERT INTO monitoring_target_current
+      (target_type, target_identifier, target_name, monitor_name, location, sublocation, status,
+       response_time_ms, status_code,
+       file_exists, file_size, file_created, file_modified, file_hash, file_hash_match,
+       folder_file_count, folder_total_size,
+       ssl_valid, ssl_expires, ssl_days_until_expiry,
+       error_message, timestamp, received_at)
+    SELECT target_type, target_identifier, target_name, monitor_name, location, sublocation, status,
+       response_time_ms, status_code,
+       file_exists, file_size, file_created, file_modified, file_hash, file_hash_match,
+       folder_file_count, folder_total_size,
+       ssl_valid, ssl_expires, ssl_days_until_expiry,
+       error_message, timestamp, MAX(received_at)
+    FROM monitoring_results
+    GROUP BY target_type, target_identifier
+  `);
+}
@@ -0,0 +1,38 @@
+// 008: Registry of physical devices linking heartbeats, ping targets and UniFi clients
+// (see server/device-registry.js), and the MAC address agents now report per interface
+
+import { addColumn } from '../../schema-migrations.js';
+
+export const version = 8;
+export const name = 'device-registry';
+
+export function up(db) {
+  addColumn(db, 'network_interfaces', 'mac', 'TEXT');
+
+  db.run(`
+    CREATE TABLE devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      name_source TEXT NOT NULL,      -- 'heartbeat', 'unifi', 'ping' or 'manual'
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  // kind: 'name' (heartbeat device_name), 'mac' or 'ip'; pinned by a manual merge or split
+  db.run(`
+    CREATE TABLE device_aliases (
+      kind TEXT NOT NULL,
+      value TEXT NOT NULL,
+      device_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      pinned INTEGER NOT NULL DEFAULT 0,
+      first_seen INTEGER NOT NULL,
+      last_seen INTEGER NOT NULL,
+      PRIMARY KEY (kind, value),
+      FOREIGN KEY (device_id) REFERENCES devices(id)
+    )
+  `);
+
+  db.run(`CREATE INDEX idx_device_aliases_device ON device_aliases(device_id)`);
+}
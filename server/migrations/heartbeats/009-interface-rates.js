@@ -0,0 +1,29 @@
+// 009: Throughput and utilization per interface sample (see server/interface-rates.js)
+//
+// Rates of the samples already stored are computed here once; the hourly and daily
+// interface rollups also keep the peak rate of each bucket from now on.
+
+import { addColumn } from '../../schema-migrations.js';
+import { fillInterfaceRates } from '../../interface-rates.js';
+
+export const version = 9;
+export const name = 'interface-rates';
+
+export function up(db) {
+  addColumn(db, 'network_interfaces', 'interval_seconds', 'INTEGER');
+  addColumn(db, 'network_interfaces', 'rx_bps', 'INTEGER');
+  addColumn(db, 'network_interfaces', 'tx_bps', 'INTEGER');
+  addColumn(db, 'network_interfaces', 'rx_utilization', 'REAL');
+  addColumn(db, 'network_interfaces', 'tx_utilization', 'REAL');
+  addColumn(db, 'network_interfaces', 'counter_event', 'TEXT');
+
+  addColumn(db, 'interface_rollups', 'max_rx_bps', 'INTEGER');
+  addColumn(db, 'interface_rollups', 'max_tx_bps', 'INTEGER');
+
+  // Previous/next sample of a device's interface at ingest: walk the device's heartbeats
+  // by time (the rowid settles ties) and find the interface in each without a scan
+  db.run(`CREATE INDEX IF NOT EXISTS idx_heartbeats_device_received ON heartbeats(device_name, received_at)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_interfaces_heartbeat_name ON network_interfaces(heartbeat_id, interface_name)`);
+
+  fillInterfaceRates(db);
+}
@@ -0,0 +1,26 @@
+// Migrations for databases/heartbeats.sqlite3, oldest first
+//
+// To change the schema, add the next NNN-name.js (exporting version, name and
+// up(db)) and append it here. Never edit or renumber a migration that has shipped.
+
+import * as initialSchema from './001-initial-schema.js';
+import * as locations from './002-locations.js';
+import * as ingestRejections from './003-ingest-rejections.js';
+import * as deliveryCounters from './004-delivery-counters.js';
+import * as interfaceIpv6 from './005-interface-ipv6.js';
+import * as rollups from './006-rollups.js';
+import * as currentState from './007-current-state.js';
+import * as deviceRegistry from './008-device-registry.js';
+import * as interfaceRates from './009-interface-rates.js';
+
+export default [
+  initialSchema,
+  locations,
+  ingestRejections,
+  deliveryCounters,
+  interfaceIpv6,
+  rollups,
+  currentState,
+  deviceRegistry,
+  interfaceRates
+];
@@ -0,0 +1,65 @@
+// 001: Tables from before versioned migrations (client snapshots, connection events, states)
+
+export const version = 1;
+export const name = 'initial-schema';
+
+export function up(db) {
+  // Create UniFi clients table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS unifi_clients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mac TEXT NOT NULL,
+      ip TEXT,
+      hostname TEXT,
+      name TEXT,
+      manufacturer TEXT,
+      device_type TEXT,
+      is_wired INTEGER NOT NULL,
+      rx_bytes INTEGER,
+      tx_bytes INTEGER,
+      rx_rate INTEGER,
+      tx_rate INTEGER,
+      signal INTEGER,
+      channel INTEGER,
+      essid TEXT,
+      is_connected INTEGER NOT NULL,
+      first_seen INTEGER NOT NULL,
+      last_seen INTEGER NOT NULL,
+      received_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_unifi_mac ON unifi_clients(mac)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_unifi_connected ON unifi_clients(is_connected)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_unifi_received_at ON unifi_clients(received_at)`);
+
+  // Create UniFi connection events table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS unifi_connection_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mac TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      hostname TEXT,
+      ip TEXT
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_event_mac ON unifi_connection_events(mac)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_event_time ON unifi_connection_events(timestamp)`);
+
+  // Create UniFi client states table for tracking connection status
+  db.run(`
+    CREATE TABLE IF NOT EXISTS unifi_client_states (
+      mac TEXT PRIMARY KEY,
+      hostname TEXT,
+      ip TEXT,
+      is_connected INTEGER NOT NULL,
+      last_seen INTEGER NOT NULL,
+      last_state_change INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_client_state_connected ON unifi_client_states(is_connected)`);
+}
@@ -0,0 +1,13 @@
+// 002: Location of the UniFi monitor that reported each client
+
+import { addColumn } from '../../schema-migrations.js';
+
+export const version = 2;
+export const name = 'locations';
+
+export function up(db) {
+  for (const table of ['unifi_clients', 'unifi_client_states']) {
+    addColumn(db, table, 'location', 'TEXT');
+    addColumn(db, table, 'sublocation', 'TEXT');
+  }
+}
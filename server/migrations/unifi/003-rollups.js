@@ -0,0 +1,31 @@
+// 003: Hourly and daily rollups of pruned client snapshots (see server/retention.js)
+
+export const version = 3;
+export const name = 'rollups';
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS unifi_client_rollups (
+      period TEXT NOT NULL,
+      bucket INTEGER NOT NULL,
+      mac TEXT NOT NULL,
+      hostname TEXT,
+      samples INTEGER NOT NULL,
+      rx_bytes_delta INTEGER NOT NULL,
+      tx_bytes_delta INTEGER NOT NULL,
+      min_signal INTEGER,
+      avg_signal REAL,
+      max_signal INTEGER,
+      signal_samples INTEGER NOT NULL,
+      PRIMARY KEY (period, bucket, mac)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS rollup_progress (
+      source TEXT PRIMARY KEY,
+      last_id INTEGER NOT NULL,
+      pruned_before INTEGER
+    )
+  `);
+}
@@ -0,0 +1,11 @@
+// Migrations for databases/unifi.sqlite3, oldest first (see migrations/heartbeats/index.js)
+
+import * as initialSchema from './001-initial-schema.js';
+import * as locations from './002-locations.js';
+import * as rollups from './003-rollups.js';
+
+export default [
+  initialSchema,
+  locations,
+  rollups
+];
@@ -0,0 +1,163 @@
+// Cursor pagination, sorting and filtering for the list and history endpoints
+//
+// Pages are read by keyset rather than OFFSET: every sort ends with columns that make a
+// row unique, and next_cursor carries the sort values of the last row on the page, so
+// the next page starts right after it however many rows arrive in between. The cursor
+// is opaque to clients (base64url JSON) and only valid with the sort it was issued for.
+//
+// Every paged response has the same envelope next to its rows:
+//   { <rows>, total, limit, next_cursor }
+// total counts every row matching the filters, next_cursor is null on the last page.
+
+import { parseExportTime } from './data-export.js';
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+function sqlToJson(result) {
+  if (!result || result.length === 0) return [];
+
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+/**
+ * Opaque cursor for the row after which the next page starts
+ * @param {string} sort - Sort it belongs to ('-last_seen')
+ * @param {Array} values - The row's sort values
+ * @returns {string}
+ */
+export function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+}
+
+/**
+ * Sort values from a cursor
+ * @param {string} cursor - From next_cursor
+ * @param {string} sort - Sort of the request
+ * @param {number} length - Number of sort values
+ * @returns {Array}
+ */
+export function decodeCursor(cursor, sort, length) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.s !== 'string' || !Array.isArray(decoded.v)) throw new Error('Invalid cursor');
+  if (decoded.s !== sort) throw new Error(`Cursor was issued for sort "${decoded.s}", not "${sort}"`);
+
+  const valid = decoded.v.length === length && decoded.v.every(value => ['string', 'number'].includes(typeof value));
+  if (!valid) throw new Error('Invalid cursor');
+  return decoded.v;
+}
+
+// ?status= and friends: an empty value matches NULL, as ?location= does (server/locations.js)
+function equals(column, value) {
+  return value === '' ? { condition: `${column} IS NULL`, params: [] } : { condition: `${column} = ?`, params: [value] };
+}
+
+/**
+ * Check the paging, sort, time and filter query parameters of a request
+ * @param {Object} query - Request query (req.query): limit, cursor, sort, from, to and the filters
+ * @param {Object} spec - What the endpoint supports
+ * @param {Object} spec.sorts - Sort name -> SQL expressions (never NULL: COALESCE nullable columns)
+ * @param {string} spec.defaultSort - Sort name, '-' prefixed for descending
+ * @param {string[]} [spec.key=[]] - Expressions that make a row unique, appended to every sort
+ * @param {Object} [spec.filters={}] - Query parameter -> column it must equal, or
+ *   (value) => { condition, params } (throws on a value it does not accept)
+ * @param {string} [spec.time] - Expression ?from= / ?to= apply to; without it they are
+ *   left to the caller
+ * @param {number} [spec.maxLimit=MAX_PAGE_SIZE] - Largest page
+ * @returns {Object} { limit, sort, descending, columns, after, from, to, conditions, params }
+ */
+export function parsePage(query, { sorts, defaultSort, key = [], filters = {}, time, maxLimit = MAX_PAGE_SIZE }) {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, maxLimit);
+  if (limit < 1) throw new Error('limit must be a positive number');
+
+  const sort = query.sort || defaultSort;
+  const descending = sort.startsWith('-');
+  const name = descending ? sort.slice(1) : sort;
+  if (!sorts[name]) {
+    throw new Error(`Unknown sort "${sort}" (use: ${Object.keys(sorts).join(', ')}, - prefix for descending)`);
+  }
+  const columns = [...sorts[name], ...key.filter(column => !sorts[name].includes(column))];
+  const after = query.cursor ? decodeCursor(query.cursor, sort, columns.length) : null;
+
+  const from = parseExportTime(query.from);
+  const to = parseExportTime(query.to);
+  if (from !== null && to !== null && from >= to) throw new Error('from must be before to');
+
+  const conditions = [];
+  const params = [];
+  for (const [param, filter] of Object.entries(filters)) {
+    const value = query[param];
+    if (value === undefined) continue;
+
+    const { condition, params: values } = typeof filter === 'function' ? filter(String(value)) : equals(filter, String(value));
+    conditions.push(condition);
+    params.push(...values);
+  }
+  if (time && from !== null) {
+    conditions.push(`${time} >= ?`);
+    params.push(from);
+  }
+  if (time && to !== null) {
+    conditions.push(`${time} < ?`);
+    params.push(to);
+  }
+
+  return { limit, sort, descending, columns, after, from, to, conditions, params };
+}
+
+/**
+ * Read one page of rows
+ * @param {Object} db - Database
+ * @param {Object} query
+ * @param {string} query.select - Columns to return
+ * @param {Array} [query.selectParams=[]] - Parameters used in the column list
+ * @param {string} query.from - Table(s), with joins
+ * @param {string[]} [query.conditions=[]] - Endpoint conditions, ANDed with the page's filters
+ * @param {Array} [query.params=[]] - Their parameters
+ * @param {Object} page - From parsePage()
+ * @returns {Object} { rows, total, limit, next_cursor }
+ */
+export function fetchPage(db, { select, selectParams = [], from, conditions = [], params = [] }, page) {
+  const filtered = [...conditions, ...page.conditions];
+  const filterParams = [...params, ...page.params];
+  const where = filtered.length ? `WHERE ${filtered.join(' AND ')}` : '';
+
+  const keyset = page.after
+    ? `${where ? 'AND' : 'WHERE'} (${page.columns.join(', ')}) ${page.descending ? '<' : '>'} (${page.columns.map(() => '?').join(', ')})`
+    : '';
+  const direction = page.descending ? 'DESC' : 'ASC';
+
+  // One row more than the page tells whether there is a next one
+  const rows = sqlToJson(db.exec(`
+    SELECT ${select}, ${page.columns.map((column, i) => `${column} AS cursor_${i}`).join(', ')}
+    FROM ${from}
+    ${where} ${keyset}
+    ORDER BY ${page.columns.map(column => `${column} ${direction}`).join(', ')}
+    LIMIT ?
+  `, [...selectParams, ...filterParams, ...(page.after || []), page.limit + 1]));
+
+  const more = rows.length > page.limit;
+  if (more) rows.pop();
+
+  const cursorValues = rows.map(row => page.columns.map((column, i) => {
+    const value = row[`cursor_${i}`];
+    delete row[`cursor_${i}`];
+    return value;
+  }));
+
+  const [{ total }] = sqlToJson(db.exec(`SELECT COUNT(*) AS total FROM ${from} ${where}`, filterParams));
+
+  return {
+    rows,
+    total,
+    limit: page.limit,
+    next_cursor: more ? encodeCursor(page.sort, cursorValues[cursorValues.length - 1]) : null
+  };
+}
@@ -0,0 +1,345 @@
+// Write-behind persistence for the sql.js databases
+//
+// sql.js keeps the whole database in memory and can only save it by exporting
+// every page, so saving after each insert meant a full export and rewrite per
+// packet. Instead, inserts run in a transaction and leave the database dirty; a
+// persister writes it out every persistence.flushIntervalSeconds, or as soon as
+// persistence.maxPendingWrites rows have changed, and once more on shutdown.
+//
+// Dirty tracking uses SQLite's total_changes(): db.export() reopens the database,
+// which resets the counter, so it always holds the rows changed since the last
+// save - including writes from alerting and other modules that never report them.
+//
+// Saves never touch the live file: the export goes to <file>.tmp, is fsynced and
+// renamed over the database, so a crash leaves either the old or the new file.
+// Every persistence.snapshotIntervalSeconds a copy also goes to databases/snapshots/
+// (the newest persistence.snapshots are kept). loadDatabase() checks the file on
+// startup and falls back to the newest snapshot that passes the integrity check.
+
+import { open, rename, mkdir, unlink } from 'fs/promises';
+import { existsSync, statSync, readFileSync, readdirSync, renameSync, copyFileSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { performance } from 'perf_hooks';
+
+export const DEFAULT_PERSISTENCE = {
+  flushIntervalSeconds: 5,   // Write a dirty database out this often
+  maxPendingWrites: 500,     // ...or as soon as this many rows have changed
+  snapshots: 3,              // Good copies kept in databases/snapshots/ (0 = none)
+  snapshotIntervalSeconds: 3600 // Take a snapshot at most this often
+};
+
+const persisters = new Map(); // name -> persister
+
+const SNAPSHOT_DIR = 'snapshots';
+
+/**
+ * Write a file so that a crash leaves either the old or the new contents:
+ * write a temp file, fsync it, then rename it into place
+ * @param {string} path - Destination
+ * @param {Uint8Array} data - Contents
+ */
+export async function writeFileAtomic(path, data) {
+  const tmpPath = `${path}.tmp`;
+  const handle = await open(tmpPath, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await rename(tmpPath, path);
+
+  // Persist the rename itself (directories cannot be opened for fsync on Windows)
+  try {
+    const dir = await open(dirname(path), 'r');
+    try {
+      await dir.sync();
+    } finally {
+      await dir.close();
+    }
+  } catch {
+    // Best effort
+  }
+}
+
+// databases/heartbeats.sqlite3 -> databases/snapshots/, 'heartbeats', '.sqlite3'
+function snapshotLocation(path) {
+  const ext = extname(path);
+  return { dir: join(dirname(path), SNAPSHOT_DIR), prefix: `${basename(path, ext)}-`, ext };
+}
+
+/**
+ * Snapshots of a database file, newest first
+ * @param {string} path - Database file
+ * @returns {string[]} Snapshot paths
+ */
+export function listSnapshots(path) {
+  const { dir, prefix, ext } = snapshotLocation(path);
+  if (!existsSync(dir)) return [];
+
+  // Names carry a sortable UTC timestamp (heartbeats-20261018T211245.123Z.sqlite3)
+  return readdirSync(dir)
+    .filter(file => file.startsWith(prefix) && file.endsWith(ext))
+    .sort()
+    .reverse()
+    .map(file => join(dir, file));
+}
+
+/**
+ * Sortable UTC timestamp for file names (20261018T211245.123Z)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function fileStamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '');
+}
+
+async function writeSnapshot(path, data, keep) {
+  const { dir, prefix, ext } = snapshotLocation(path);
+  await mkdir(dir, { recursive: true });
+  await writeFileAtomic(join(dir, `${prefix}${fileStamp()}${ext}`), data);
+
+  for (const old of listSnapshots(path).slice(keep)) {
+    await unlink(old);
+  }
+}
+
+// Open a database file and make sure SQLite considers it intact
+function openChecked(SQL, path) {
+  const buffer = readFileSync(path);
+  if (buffer.length === 0) throw new Error('file is empty');
+
+  const db = new SQL.Database(buffer);
+  try {
+    const result = db.exec('PRAGMA integrity_check')[0].values[0][0];
+    if (result !== 'ok') throw new Error(`integrity check failed: ${result}`);
+    return db;
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+}
+
+/**
+ * Load a database file, falling back to the newest good snapshot when it is damaged
+ * A damaged file is kept next to the database as <name>-corrupt-<time>.sqlite3
+ * @param {Object} SQL - Initialized sql.js module
+ * @param {string} path - Database file (must exist)
+ * @returns {Object} sql.js database (empty if neither the file nor a snapshot is usable)
+ */
+export function loadDatabase(SQL, path) {
+  try {
+    return openChecked(SQL, path);
+  } catch (error) {
+    const ext = extname(path);
+    const corruptPath = join(dirname(path), `${basename(path, ext)}-corrupt-${fileStamp()}${ext}`);
+    renameSync(path, corruptPath);
+
+    console.error('');
+    console.error(`⚠⚠⚠ DATABASE ${path} IS DAMAGED (${error.message})`);
+    console.error(`⚠⚠⚠ Moved it to ${corruptPath}`);
+
+    for (const snapshot of listSnapshots(path)) {
+      try {
+        const db = openChecked(SQL, snapshot);
+        copyFileSync(snapshot, path); // so a crash before the next flush does not lose it again
+        console.error(`⚠⚠⚠ Restored from snapshot ${snapshot} - data written after ${statSync(snapshot).mtime.toISOString()} is lost\n`);
+        return db;
+      } catch (snapshotError) {
+        console.error(`⚠ Snapshot ${snapshot} is damaged too (${snapshotError.message})`);
+      }
+    }
+
+    console.error('⚠⚠⚠ No usable snapshot - STARTING WITH AN EMPTY DATABASE\n');
+    return new SQL.Database();
+  }
+}
+
+/**
+ * Run several statements as one transaction (rolled back if any of them throws)
+ * @param {Object} db - sql.js database
+ * @param {Function} fn - Runs the statements
+ * @returns {*} What fn returns
+ */
+export function withTransaction(db, fn) {
+  db.run('BEGIN');
+  try {
+    const result = fn();
+    db.run('COMMIT');
+    return result;
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Create a write-behind persister for one database file
+ * @param {Object} options
+ * @param {string} options.name - Short name for stats and logs (e.g. 'heartbeats')
+ * @param {string} options.path - Database file
+ * @param {Function} options.getDb - Returns the sql.js database (or null before init)
+ * @param {number} [options.flushIntervalSeconds] - See DEFAULT_PERSISTENCE
+ * @param {number} [options.maxPendingWrites] - See DEFAULT_PERSISTENCE
+ * @param {number} [options.snapshots] - See DEFAULT_PERSISTENCE
+ * @param {number} [options.snapshotIntervalSeconds] - See DEFAULT_PERSISTENCE
+ * @returns {Object} { start(), stop(), touch(), flush({ force }), getStats() }
+ */
+export function createPersister({
+  name,
+  path,
+  getDb,
+  flushIntervalSeconds = DEFAULT_PERSISTENCE.flushIntervalSeconds,
+  maxPendingWrites = DEFAULT_PERSISTENCE.maxPendingWrites,
+  snapshots = DEFAULT_PERSISTENCE.snapshots,
+  snapshotIntervalSeconds = DEFAULT_PERSISTENCE.snapshotIntervalSeconds
+}) {
+  let timer = null;
+  let flushing = null;   // Promise of the flush in progress
+  let scheduled = false; // a size-triggered flush is queued
+  let unsaved = false;   // changes from a failed flush (export already reset the counter)
+
+  const stats = {
+    flushes: 0,
+    failures: 0,
+    total_flush_ms: 0,
+    last_flush_ms: null,
+    max_flush_ms: null,
+    last_flush_at: null,
+    last_error: null,
+    last_snapshot_at: null, // set below from the newest snapshot, so restarts do not add one each
+    size_bytes: existsSync(path) ? statSync(path).size : null
+  };
+
+  const [newestSnapshot] = listSnapshots(path);
+  if (newestSnapshot) stats.last_snapshot_at = Math.floor(statSync(newestSnapshot).mtimeMs / 1000);
+
+  function pendingWrites() {
+    const db = getDb();
+    if (!db) return 0;
+    return db.exec('SELECT total_changes()')[0].values[0][0];
+  }
+
+  async function writeOut(force) {
+    const db = getDb();
+    const pending = db ? pendingWrites() : 0;
+    if (!db || (!force && !unsaved && pending === 0)) return false;
+
+    const started = performance.now();
+    let data;
+    try {
+      data = db.export();
+      unsaved = true; // export() reset the change counter; nothing on disk yet
+      await writeFileAtomic(path, data);
+      unsaved = false;
+
+      const elapsed = Math.round((performance.now() - started) * 10) / 10;
+      stats.flushes++;
+      stats.total_flush_ms += elapsed;
+      stats.last_flush_ms = elapsed;
+      stats.max_flush_ms = Math.max(stats.max_flush_ms || 0, elapsed);
+      stats.last_flush_at = Math.floor(Date.now() / 1000);
+      stats.size_bytes = data.length;
+      stats.last_error = null;
+    } catch (error) {
+      stats.failures++;
+      stats.last_error = error.message;
+      console.error(`⚠ Failed to save ${name} database: ${error.message}`);
+      return false;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (snapshots > 0 && now - (stats.last_snapshot_at || 0) >= snapshotIntervalSeconds) {
+      try {
+        await writeSnapshot(path, data, snapshots);
+        stats.last_snapshot_at = now;
+      } catch (error) {
+        console.error(`⚠ Failed to snapshot ${name} database: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Write the database out if it has unsaved changes (always with force)
+   * Waits for a flush already in progress instead of writing the file twice at once
+   * @returns {Promise<boolean>} Whether a flush happened
+   */
+  async function flush({ force = false } = {}) {
+    while (flushing) await flushing;
+    flushing = writeOut(force);
+    try {
+      return await flushing;
+    } finally {
+      flushing = null;
+    }
+  }
+
+  /**
+   * Call after writing; flushes early once maxPendingWrites rows are waiting
+   */
+  function touch() {
+    if (scheduled || !maxPendingWrites || pendingWrites() < maxPendingWrites) return;
+    scheduled = true;
+    setImmediate(() => {
+      scheduled = false;
+      flush();
+    });
+  }
+
+  function start() {
+    if (timer || !flushIntervalSeconds) return;
+    timer = setInterval(() => flush(), flushIntervalSeconds * 1000);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function getStats() {
+    return {
+      name,
+      path,
+      size_bytes: stats.size_bytes,
+      pending_writes: pendingWrites(),
+      unsaved: unsaved || pendingWrites() > 0,
+      flush_interval_seconds: flushIntervalSeconds,
+      max_pending_writes: maxPendingWrites,
+      snapshots: listSnapshots(path).length,
+      last_snapshot_at: stats.last_snapshot_at,
+      flushes: stats.flushes,
+      failures: stats.failures,
+      last_flush_at: stats.last_flush_at,
+      last_flush_ms: stats.last_flush_ms,
+      avg_flush_ms: stats.flushes ? Math.round((stats.total_flush_ms / stats.flushes) * 10) / 10 : null,
+      max_flush_ms: stats.max_flush_ms,
+      last_error: stats.last_error
+    };
+  }
+
+  const persister = { start, stop, touch, flush, getStats };
+  persisters.set(name, persister);
+  return persister;
+}
+
+/**
+ * Stop every persister's timer and write out what is left (call before exiting)
+ * @returns {Promise<void>}
+ */
+export async function closePersisters() {
+  for (const [name, persister] of persisters) {
+    persister.stop();
+    await persister.flush();
+    persisters.delete(name);
+  }
+}
+
+/**
+ * Flush timings, sizes and pending writes for every database
+ * @returns {Object[]} One entry per database
+ */
+export function getPersistenceStats() {
+  return [...persisters.values()].map(persister => persister.getStats());
+}
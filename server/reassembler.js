@@ -0,0 +1,187 @@
+// Fragment reassembly for large payloads
+//
+// Agents split payloads that do not fit in one packet into numbered fragment
+// messages (see client/fragment.js). Each fragment is an ordinary envelope, so it
+// is decrypted, authorised and replay-checked on its own; this module only collects
+// the pieces per sender and message ID and hands back the original message once the
+// last one arrives. Messages still missing fragments after REASSEMBLY_TIMEOUT are
+// dropped and reported as incomplete. Fragments marked `encoding: 'deflate'` carry
+// slices of the deflated JSON, which is inflated once the message is complete.
+
+import { inflatePayload } from './envelope.js';
+
+export const REASSEMBLY_TIMEOUT = 30; // seconds
+export const MAX_FRAGMENTS = 1024;
+export const MAX_PENDING_MESSAGES = 200;
+export const MAX_PENDING_BYTES = 32 * 1024 * 1024;
+export const MAX_MESSAGE_BYTES = 16 * 1024 * 1024; // largest reassembled message after inflating
+
+const RECENT_INCOMPLETE = 20;
+
+const pending = new Map(); // `${sender}/${message_id}` -> { sender, message_id, count, parts[], received, bytes, first_at }
+let pendingBytes = 0;
+
+const stats = {
+  started_at: Math.floor(Date.now() / 1000),
+  fragments: 0,
+  reassembled: 0,
+  incomplete: 0,
+  recent_incomplete: [] // newest first
+};
+
+function dropPending(key, entry, reason, now) {
+  pending.delete(key);
+  pendingBytes -= entry.bytes;
+
+  const report = {
+    sender: entry.sender,
+    message_id: entry.message_id,
+    received: entry.received,
+    count: entry.count,
+    reason,
+    first_at: entry.first_at,
+    dropped_at: now
+  };
+
+  stats.incomplete++;
+  stats.recent_incomplete.unshift(report);
+  stats.recent_incomplete.length = Math.min(stats.recent_incomplete.length, RECENT_INCOMPLETE);
+
+  return report;
+}
+
+/**
+ * Add one fragment
+ * @param {string} sender - Sender key (see replay-guard senderKeyFor), so senders cannot mix fragments
+ * @param {Object} fragment - Decrypted fragment message
+ * @returns {Object|null} Reassembled message when this was the last missing fragment, otherwise null
+ * @throws {Error} If the fragment is malformed or does not match earlier fragments of the message
+ */
+export function addFragment(sender, fragment) {
+  const { message_id: messageId, index, count, data } = fragment;
+  const encoding = fragment.encoding || null;
+
+  if (typeof messageId !== 'string' || !messageId) {
+    throw new Error('Fragment without message_id');
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_FRAGMENTS) {
+    throw new Error(`Invalid fragment count ${count} (max: ${MAX_FRAGMENTS})`);
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= count) {
+    throw new Error(`Invalid fragment index ${index} of ${count}`);
+  }
+  if (typeof data !== 'string') {
+    throw new Error('Fragment without data');
+  }
+  if (encoding !== null && encoding !== 'deflate') {
+    throw new Error(`Unsupported fragment encoding ${encoding}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const key = `${sender}/${messageId}`;
+  let entry = pending.get(key);
+
+  if (!entry) {
+    // Make room by giving up on the oldest message
+    while (pending.size >= MAX_PENDING_MESSAGES || (pending.size && pendingBytes >= MAX_PENDING_BYTES)) {
+      const [oldestKey, oldest] = pending.entries().next().value;
+      dropPending(oldestKey, oldest, 'evicted', now);
+    }
+
+    entry = { sender, message_id: messageId, count, encoding, parts: new Array(count), received: 0, bytes: 0, first_at: now };
+    pending.set(key, entry);
+  } else if (entry.count !== count) {
+    throw new Error(`Fragment count changed for message ${messageId} (${entry.count} -> ${count})`);
+  } else if (entry.encoding !== encoding) {
+    throw new Error(`Fragment encoding changed for message ${messageId}`);
+  }
+
+  stats.fragments++;
+
+  // A duplicate fragment (e.g. retransmitted) is harmless - keep the first copy
+  if (entry.parts[index] !== undefined) return null;
+
+  const bytes = Buffer.from(data, 'base64');
+  entry.parts[index] = bytes;
+  entry.received++;
+  entry.bytes += bytes.length;
+  pendingBytes += bytes.length;
+
+  if (entry.received < entry.count) return null;
+
+  pending.delete(key);
+  pendingBytes -= entry.bytes;
+
+  let json = Buffer.concat(entry.parts);
+  if (entry.encoding === 'deflate') {
+    json = inflatePayload(json, MAX_MESSAGE_BYTES);
+  }
+
+  let message;
+  try {
+    message = JSON.parse(json.toString('utf8'));
+  } catch {
+    throw new Error(`Reassembled message ${messageId} is not valid JSON`);
+  }
+  if (!message || typeof message !== 'object' || message.type === 'fragment') {
+    throw new Error(`Reassembled message ${messageId} is not a valid payload`);
+  }
+
+  stats.reassembled++;
+  return message;
+}
+
+/**
+ * Drop messages that have waited longer than the timeout for their missing fragments
+ * @param {number} [timeout] - Seconds to wait for a message to complete
+ * @returns {Object[]} Reports for the dropped messages ({ sender, message_id, received, count, ... })
+ */
+export function expireFragments(timeout = REASSEMBLY_TIMEOUT) {
+  const now = Math.floor(Date.now() / 1000);
+  const expired = [];
+
+  // Insertion order is arrival order of the first fragment
+  for (const [key, entry] of pending) {
+    if (now - entry.first_at < timeout) break;
+    expired.push(dropPending(key, entry, 'timeout', now));
+  }
+
+  return expired;
+}
+
+/**
+ * Reassembly counters since startup plus the messages still waiting for fragments
+ * @returns {Object} Statistics
+ */
+export function getFragmentStats() {
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    since: stats.started_at,
+    fragments: stats.fragments,
+    reassembled: stats.reassembled,
+    incomplete: stats.incomplete,
+    pending: Array.from(pending.values()).map(entry => ({
+      sender: entry.sender,
+      message_id: entry.message_id,
+      received: entry.received,
+      count: entry.count,
+      waiting: now - entry.first_at
+    })),
+    pending_bytes: pendingBytes,
+    recent_incomplete: stats.recent_incomplete
+  };
+}
+
+/**
+ * Clear all pending fragments and counters (used by tests)
+ */
+export function resetReassembler() {
+  pending.clear();
+  pendingBytes = 0;
+  stats.started_at = Math.floor(Date.now() / 1000);
+  stats.fragments = 0;
+  stats.reassembled = 0;
+  stats.incomplete = 0;
+  stats.recent_incomplete = [];
+}
@@ -0,0 +1,191 @@
+// Replay protection for the UDP receiver
+//
+// The timestamp check only bounds how old a packet may be; inside that window a
+// captured packet could be replayed over and over. Two layers close the gap:
+//
+//   1. Nonce cache - every accepted packet's 24-byte nonce is remembered until its
+//      timestamp falls out of the freshness window, so an identical packet is dropped.
+//   2. Sequence numbers - agents stamp each payload with a random session ID and a
+//      counter (`session`, `seq`). Per sender we keep the highest sequence seen plus a
+//      small window of recent ones, which drops replays even if the nonce cache had
+//      to evict entries under load, while tolerating UDP reordering.
+//
+// Payloads without `seq` (agents built before this existed) are covered by the nonce cache only.
+
+export const MAX_NONCES = 100000;
+export const MAX_SENDERS = 10000;
+export const SEQUENCE_WINDOW = 64;
+
+const nonces = new Map();   // nonce hex -> expires_at (seconds)
+const senders = new Map();  // sender key -> { session, highest, seen:Set }
+
+const stats = {
+  started_at: Math.floor(Date.now() / 1000),
+  duplicate_nonce: 0,
+  stale_sequence: 0,
+  evicted_nonces: 0,
+  bySender: new Map()       // sender key -> { rejected, last_rejected_at }
+};
+
+function pruneNonces(now) {
+  // Entries are inserted roughly in expiry order, so stop at the first live one
+  for (const [nonce, expiresAt] of nonces) {
+    if (expiresAt > now) break;
+    nonces.delete(nonce);
+  }
+
+  while (nonces.size > MAX_NONCES) {
+    nonces.delete(nonces.keys().next().value);
+    stats.evicted_nonces++;
+  }
+}
+
+function recordRejection(sender, reason, now) {
+  stats[reason]++;
+
+  const entry = stats.bySender.get(sender) || { rejected: 0, last_rejected_at: null, last_reason: null };
+  entry.rejected++;
+  entry.last_rejected_at = now;
+  entry.last_reason = reason;
+  stats.bySender.set(sender, entry);
+
+  // Keep the per-sender breakdown bounded like the caches themselves
+  if (stats.bySender.size > MAX_SENDERS) {
+    stats.bySender.delete(stats.bySender.keys().next().value);
+  }
+}
+
+function checkSequence(sender, session, seq) {
+  let state = senders.get(sender);
+
+  // New sender or agent restart (new session) - start a fresh window
+  if (!state || state.session !== session) {
+    state = { session, highest: seq, seen: new Set([seq]) };
+  } else {
+    if (seq <= state.highest - SEQUENCE_WINDOW || state.seen.has(seq)) {
+      return false;
+    }
+
+    state.seen.add(seq);
+    if (seq > state.highest) {
+      state.highest = seq;
+      for (const old of state.seen) {
+        if (old <= state.highest - SEQUENCE_WINDOW) state.seen.delete(old);
+      }
+    }
+  }
+
+  // Re-insert so the map stays in least-recently-used order
+  senders.delete(sender);
+  senders.set(sender, state);
+  if (senders.size > MAX_SENDERS) {
+    senders.delete(senders.keys().next().value);
+  }
+
+  return true;
+}
+
+/**
+ * Identify the sender of a message for sequence tracking
+ * Enrolled agents are identified by agent ID; pre-shared key agents by key ID plus name.
+ * @param {Object} message - Decrypted payload
+ * @param {string} keyId - Key or agent ID from the envelope
+ * @param {Object|null} agent - Enrolled agent, if any
+ * @returns {string} Sender key
+ */
+export function senderKeyFor(message, keyId, agent) {
+  if (agent) return `agent:${agent.id}`;
+  return `key:${keyId}:${message.type || 'heartbeat'}:${message.name || ''}`;
+}
+
+/**
+ * Timestamp the freshness window applies to
+ * Backfilled messages (replayed from an agent's spool) were measured long ago but
+ * sealed just now, so their `sent_at` is checked instead of `timestamp`.
+ * @param {Object} message - Decrypted payload
+ * @returns {number} Unix timestamp
+ */
+export function sentAt(message) {
+  return message.backfill === true && Number.isFinite(message.sent_at) ? message.sent_at : message.timestamp;
+}
+
+/**
+ * Check the data age of a backfilled message
+ * @param {Object} message - Decrypted payload with backfill: true
+ * @param {number} maxBackfillAge - Oldest accepted data in seconds (0 refuses all backfill)
+ * @param {number} maxAge - Freshness window in seconds (allowed clock skew into the future)
+ * @returns {boolean} true if the server should store it
+ */
+export function isBackfillAllowed(message, maxBackfillAge, maxAge) {
+  const now = Math.floor(Date.now() / 1000);
+  const timestamp = Math.floor(message.timestamp);
+  return maxBackfillAge > 0 && now - timestamp <= maxBackfillAge && timestamp <= now + maxAge;
+}
+
+/**
+ * Check a decrypted packet against the nonce cache and the sender's sequence window
+ * Call this after the timestamp freshness check; accepted packets are remembered.
+ * @param {Object} packet
+ * @param {string} packet.nonce - Envelope nonce (hex)
+ * @param {string} packet.sender - Sender key (see senderKeyFor)
+ * @param {Object} packet.message - Decrypted payload
+ * @param {number} maxAge - Freshness window in seconds
+ * @returns {string|null} Rejection reason ('duplicate_nonce' or 'stale_sequence'), or null if accepted
+ */
+export function checkReplay({ nonce, sender, message }, maxAge) {
+  const now = Math.floor(Date.now() / 1000);
+  pruneNonces(now);
+
+  if (nonces.has(nonce)) {
+    recordRejection(sender, 'duplicate_nonce', now);
+    return 'duplicate_nonce';
+  }
+
+  if (Number.isInteger(message.seq) && typeof message.session === 'string') {
+    if (!checkSequence(sender, message.session, message.seq)) {
+      recordRejection(sender, 'stale_sequence', now);
+      return 'stale_sequence';
+    }
+  }
+
+  // Remember the nonce for as long as the timestamp check would still accept the packet
+  const timestamp = Number.isFinite(sentAt(message)) ? Math.floor(sentAt(message)) : now;
+  nonces.set(nonce, Math.max(now, timestamp) + maxAge);
+
+  return null;
+}
+
+/**
+ * Get replay counters for the API
+ * @returns {Object} Totals since startup plus the senders with the most rejections
+ */
+export function getReplayStats() {
+  const senderStats = [...stats.bySender.entries()]
+    .map(([sender, entry]) => ({ sender, ...entry }))
+    .sort((a, b) => b.rejected - a.rejected)
+    .slice(0, 50);
+
+  return {
+    since: stats.started_at,
+    total_rejected: stats.duplicate_nonce + stats.stale_sequence,
+    duplicate_nonce: stats.duplicate_nonce,
+    stale_sequence: stats.stale_sequence,
+    evicted_nonces: stats.evicted_nonces,
+    nonce_cache_size: nonces.size,
+    tracked_senders: senders.size,
+    senders: senderStats
+  };
+}
+
+/**
+ * Clear all replay state (used by tests)
+ */
+export function resetReplayGuard() {
+  nonces.clear();
+  senders.clear();
+  stats.started_at = Math.floor(Date.now() / 1000);
+  stats.duplicate_nonce = 0;
+  stats.stale_sequence = 0;
+  stats.evicted_nonces = 0;
+  stats.bySender.clear();
+}
@@ -0,0 +1,349 @@
+// Data retention and rollups (config.server.retention)
+//
+// Raw rows are rolled up into hourly aggregates (and hourly into daily ones) before
+// they are pruned, so long history stays available at a lower resolution while the
+// in-memory database stops growing:
+//   heartbeats          -> heartbeat_rollups    (heartbeats received, first/last seen)
+//   network_interfaces  -> interface_rollups    (rx/tx byte deltas, counter resets handled, peak rates)
+//   ping_results        -> ping_rollups         (checks, online, min/avg/max latency)
+//   monitoring_results  -> monitoring_rollups   (checks, up, min/avg/max response time)
+//   unifi_clients       -> unifi_client_rollups (samples, rx/tx byte deltas, min/avg/max signal)
+//
+// Buckets are UTC hours and days. Each run rolls up the buckets touched by rows added
+// since the previous run (rollup_progress keeps the last raw row id per table), so
+// backfilled results land in the right bucket. Raw rows are pruned in whole UTC days;
+// rollup_progress.pruned_before remembers where, since hours before it can no longer
+// be recomputed from what is left.
+// The history endpoints return raw rows unless ?resolution=hour|day asks for a rollup
+// (see historyResolution()), so a long range never changes the shape of the rows.
+
+import { withTransaction } from './persistence.js';
+
+export const DEFAULT_RETENTION = {
+  heartbeats: 7,           // Days of raw heartbeats (and their network_interfaces) kept, 0 = forever
+  ping_results: 7,         // Days of raw ping results
+  monitoring_results: 7,   // Days of raw web/SSL/file/folder results
+  unifi_clients: 3,        // Days of raw UniFi client snapshots
+  hourly: 90,              // Days of hourly rollups (never less than the raw retention)
+  daily: 730,              // Days of daily rollups, 0 = forever
+  intervalMinutes: 15      // How often rollups are brought up to date and old rows pruned
+};
+
+export const RESOLUTIONS = ['raw', 'hour', 'day'];
+
+const HOUR = 3600;
+const DAY = 86400;
+export const BUCKET_SECONDS = { hour: HOUR, day: DAY };
+
+// Monitoring results use their own status words (see server/locations.js)
+const MONITORING_UP = `LOWER(status) IN ('online', 'ok')`;
+
+// Positive counter increase between samples; a lower value means the counter restarted
+const counterDelta = (value, previous) =>
+  `CASE WHEN ${previous} IS NULL THEN 0 WHEN ${value} >= ${previous} THEN ${value} - ${previous} ELSE ${value} END`;
+
+// Raw table -> rollups. hour: one hour from raw rows (:bucket, :start, :end); day: one day
+// from the hourly rollups (:bucket, :end). Both insert period 'hour' / 'day' rows.
+const SOURCES = [
+  {
+    table: 'heartbeats',
+    database: 'main',
+    prune: [
+      'DELETE FROM network_interfaces WHERE heartbeat_id IN (SELECT id FROM heartbeats WHERE received_at < ?)',
+      // device_current.heartbeat_count counts stored heartbeats (see server/current-state.js)
+      `UPDATE device_current SET heartbeat_count = heartbeat_count -
+         (SELECT COUNT(*) FROM heartbeats h WHERE h.device_name = device_current.device_name AND h.received_at < ?)`,
+      'DELETE FROM heartbeats WHERE received_at < ?'
+    ],
+    rollups: [
+      {
+        table: 'heartbeat_rollups',
+        hour: `
+          INSERT INTO heartbeat_rollups (period, bucket, device_name, heartbeats, first_seen, last_seen)
+          SELECT 'hour', :bucket, device_name, COUNT(*), MIN(received_at), MAX(received_at)
+          FROM heartbeats
+          WHERE received_at >= :start AND received_at < :end
+          GROUP BY device_name
+        `,
+        day: `
+          INSERT INTO heartbeat_rollups (period, bucket, device_name, heartbeats, first_seen, last_seen)
+          SELECT 'day', :bucket, device_name, SUM(heartbeats), MIN(first_seen), MAX(last_seen)
+          FROM heartbeat_rollups
+          WHERE period = 'hour' AND bucket >= :bucket AND bucket < :end
+          GROUP BY device_name
+        `
+      },
+      {
+        table: 'interface_rollups',
+        // The last sample of the previous hour is read too, so the first delta of the hour counts
+        hour: `
+          INSERT INTO interface_rollups
+            (period, bucket, device_name, interface_name, samples, rx_bytes_delta, tx_bytes_delta, max_speed_mbps, max_rx_bps, max_tx_bps)
+          SELECT 'hour', :bucket, device_name, interface_name, COUNT(*),
+            SUM(${counterDelta('rx_bytes', 'prev_rx')}), SUM(${counterDelta('tx_bytes', 'prev_tx')}), MAX(max_speed_mbps),
+            MAX(rx_bps), MAX(tx_bps)
+          FROM (
+            SELECT h.device_name, ni.interface_name, h.received_at, ni.rx_bytes, ni.tx_bytes, ni.max_speed_mbps, ni.rx_bps, ni.tx_bps,
+              LAG(ni.rx_bytes) OVER w as prev_rx,
+              LAG(ni.tx_bytes) OVER w as prev_tx
+            FROM heartbeats h
+            JOIN network_interfaces ni ON ni.heartbeat_id = h.id
+            WHERE h.received_at >= :start - ${HOUR} AND h.received_at < :end
+            WINDOW w AS (PARTITION BY h.device_name, ni.interface_name ORDER BY h.received_at)
+          )
+          WHERE received_at >= :start
+          GROUP BY device_name, interface_name
+        `,
+        day: `
+          INSERT INTO interface_rollups
+            (period, bucket, device_name, interface_name, samples, rx_bytes_delta, tx_bytes_delta, max_speed_mbps, max_rx_bps, max_tx_bps)
+          SELECT 'day', :bucket, device_name, interface_name, SUM(samples), SUM(rx_bytes_delta), SUM(tx_bytes_delta), MAX(max_speed_mbps),
+            MAX(max_rx_bps), MAX(max_tx_bps)
+          FROM interface_rollups
+          WHERE period = 'hour' AND bucket >= :bucket AND bucket < :end
+          GROUP BY device_name, interface_name
+        `
+      }
+    ]
+  },
+  {
+    table: 'ping_results',
+    database: 'main',
+    prune: ['DELETE FROM ping_results WHERE received_at < ?'],
+    rollups: [
+      {
+        table: 'ping_rollups',
+        hour: `
+          INSERT INTO ping_rollups
+            (period, bucket, target_ip, target_name, checks, online, min_ms, avg_ms, max_ms, latency_samples)
+          SELECT 'hour', :bucket, target_ip, MAX(target_name), COUNT(*), SUM(status = 'online'),
+            MIN(response_time_ms), AVG(response_time_ms), MAX(response_time_ms), COUNT(response_time_ms)
+          FROM ping_results
+          WHERE received_at >= :start AND received_at < :end
+          GROUP BY target_ip
+        `,
+        day: `
+          INSERT INTO ping_rollups
+            (period, bucket, target_ip, target_name, checks, online, min_ms, avg_ms, max_ms, latency_samples)
+          SELECT 'day', :bucket, target_ip, MAX(target_name), SUM(checks), SUM(online),
+            MIN(min_ms), SUM(avg_ms * latency_samples) / NULLIF(SUM(latency_samples), 0), MAX(max_ms), SUM(latency_samples)
+          FROM ping_rollups
+          WHERE period = 'hour' AND bucket >= :bucket AND bucket < :end
+          GROUP BY target_ip
+        `
+      }
+    ]
+  },
+  {
+    table: 'monitoring_results',
+    database: 'main',
+    prune: ['DELETE FROM monitoring_results WHERE received_at < ?'],
+    rollups: [
+      {
+        table: 'monitoring_rollups',
+        hour: `
+          INSERT INTO monitoring_rollups
+            (period, bucket, target_type, target_identifier, target_name, checks, up, min_ms, avg_ms, max_ms, latency_samples)
+          SELECT 'hour', :bucket, target_type, target_identifier, MAX(target_name), COUNT(*), SUM(${MONITORING_UP}),
+            MIN(response_time_ms), AVG(response_time_ms), MAX(response_time_ms), COUNT(response_time_ms)
+          FROM monitoring_results
+          WHERE received_at >= :start AND received_at < :end
+          GROUP BY target_type, target_identifier
+        `,
+        day: `
+          INSERT INTO monitoring_rollups
+            (period, bucket, target_type, target_identifier, target_name, checks, up, min_ms, avg_ms, max_ms, latency_samples)
+          SELECT 'day', :bucket, target_type, target_identifier, MAX(target_name), SUM(checks), SUM(up),
+            MIN(min_ms), SUM(avg_ms * latency_samples) / NULLIF(SUM(latency_samples), 0), MAX(max_ms), SUM(latency_samples)
+          FROM monitoring_rollups
+          WHERE period = 'hour' AND bucket >= :bucket AND bucket < :end
+          GROUP BY target_type, target_identifier
+        `
+      }
+    ]
+  },
+  {
+    table: 'unifi_clients',
+    database: 'unifi',
+    prune: ['DELETE FROM unifi_clients WHERE received_at < ?'],
+    rollups: [
+      {
+        table: 'unifi_client_rollups',
+        hour: `
+          INSERT INTO unifi_client_rollups
+            (period, bucket, mac, hostname, samples, rx_bytes_delta, tx_bytes_delta, min_signal, avg_signal, max_signal, signal_samples)
+          SELECT 'hour', :bucket, mac, MAX(hostname), COUNT(*),
+            SUM(${counterDelta('rx_bytes', 'prev_rx')}), SUM(${counterDelta('tx_bytes', 'prev_tx')}),
+            MIN(signal), AVG(signal), MAX(signal), COUNT(signal)
+          FROM (
+            SELECT mac, hostname, received_at, rx_bytes, tx_bytes, signal,
+              LAG(rx_bytes) OVER w as prev_rx,
+              LAG(tx_bytes) OVER w as prev_tx
+            FROM unifi_clients
+            WHERE received_at >= :start - ${HOUR} AND received_at < :end
+            WINDOW w AS (PARTITION BY mac ORDER BY received_at)
+          )
+          WHERE received_at >= :start
+          GROUP BY mac
+        `,
+        day: `
+          INSERT INTO unifi_client_rollups
+            (period, bucket, mac, hostname, samples, rx_bytes_delta, tx_bytes_delta, min_signal, avg_signal, max_signal, signal_samples)
+          SELECT 'day', :bucket, mac, MAX(hostname), SUM(samples), SUM(rx_bytes_delta), SUM(tx_bytes_delta),
+            MIN(min_signal), SUM(avg_signal * signal_samples) / NULLIF(SUM(signal_samples), 0), MAX(max_signal), SUM(signal_samples)
+          FROM unifi_client_rollups
+          WHERE period = 'hour' AND bucket >= :bucket AND bucket < :end
+          GROUP BY mac
+        `
+      }
+    ]
+  }
+];
+
+let lastRun = null; // { started_at, duration_ms, rolled_up, pruned, error }
+
+/**
+ * Retention settings from config.server.retention, filled in from DEFAULT_RETENTION
+ * @param {Object} [settings] - config.server.retention
+ * @returns {Object} Complete settings
+ */
+export function resolveRetention(settings = {}) {
+  const retention = { ...DEFAULT_RETENTION, ...settings };
+
+  // Buckets are rolled up while their raw rows are still there, and days from hours
+  const longestRaw = Math.max(...SOURCES.map(source => retention[source.table] || 0));
+  if (retention.hourly && retention.hourly < longestRaw) retention.hourly = longestRaw;
+
+  return retention;
+}
+
+function floorTo(timestamp, size) {
+  return Math.floor(timestamp / size) * size;
+}
+
+// Oldest timestamp kept for a retention in days (whole UTC days), or null to keep everything
+function cutoff(days, now) {
+  return days > 0 ? floorTo(now - days * DAY, DAY) : null;
+}
+
+function rollUpSource(db, source) {
+  const progress = db.exec('SELECT last_id, pruned_before FROM rollup_progress WHERE source = ?', [source.table]);
+  const [lastId, prunedBefore] = progress.length ? progress[0].values[0] : [0, null];
+
+  const added = db.exec(`
+    SELECT DISTINCT (received_at / ${HOUR}) * ${HOUR} as bucket, MAX(id) OVER () as max_id
+    FROM ${source.table}
+    WHERE id > ?
+  `, [lastId]);
+  if (!added.length) return 0;
+
+  // Rows backfilled into days already pruned would replace a full rollup with a partial one
+  const hours = added[0].values.map(row => row[0]).filter(hour => prunedBefore === null || hour >= prunedBefore);
+  const days = [...new Set(hours.map(hour => floorTo(hour, DAY)))];
+
+  for (const rollup of source.rollups) {
+    for (const hour of hours) {
+      db.run(`DELETE FROM ${rollup.table} WHERE period = 'hour' AND bucket = ?`, [hour]);
+      db.run(rollup.hour, { ':bucket': hour, ':start': hour, ':end': hour + HOUR });
+    }
+    for (const day of days) {
+      db.run(`DELETE FROM ${rollup.table} WHERE period = 'day' AND bucket = ?`, [day]);
+      db.run(rollup.day, { ':bucket': day, ':end': day + DAY });
+    }
+  }
+
+  db.run(`
+    INSERT INTO rollup_progress (source, last_id) VALUES (?, ?)
+    ON CONFLICT(source) DO UPDATE SET last_id = excluded.last_id
+  `, [source.table, added[0].values[0][1]]);
+  return hours.length;
+}
+
+function prune(db, source, before) {
+  let deleted = 0;
+  for (const statement of source.prune) {
+    db.run(statement, [before]);
+    deleted = db.getRowsModified(); // the last statement deletes from the table itself
+  }
+  db.run('UPDATE rollup_progress SET pruned_before = MAX(COALESCE(pruned_before, 0), ?) WHERE source = ?', [before, source.table]);
+  return deleted;
+}
+
+/**
+ * Bring the rollups up to date and delete rows past their retention
+ * @param {Object} options
+ * @param {Object} options.db - Main database
+ * @param {Object} [options.unifiDb] - UniFi database, when initialized
+ * @param {Object} [options.retention] - Settings from resolveRetention()
+ * @param {number} [options.now] - Current time (seconds)
+ * @returns {Object} { rolled_up: { table: hours }, pruned: { table: rows } }
+ */
+export function runRetention({ db, unifiDb = null, retention = resolveRetention(), now = Math.floor(Date.now() / 1000) }) {
+  const started = Date.now();
+  const summary = { rolled_up: {}, pruned: {} };
+  const databases = { main: db, unifi: unifiDb };
+
+  for (const source of SOURCES) {
+    const sourceDb = databases[source.database];
+    if (!sourceDb) continue;
+
+    const rawCutoff = cutoff(retention[source.table], now);
+    withTransaction(sourceDb, () => {
+      summary.rolled_up[source.table] = rollUpSource(sourceDb, source);
+      summary.pruned[source.table] = rawCutoff === null ? 0 : prune(sourceDb, source, rawCutoff);
+
+      for (const [period, days] of [['hour', retention.hourly], ['day', retention.daily]]) {
+        const rollupCutoff = cutoff(days, now);
+        if (rollupCutoff === null) continue;
+        for (const rollup of source.rollups) {
+          sourceDb.run(`DELETE FROM ${rollup.table} WHERE period = ? AND bucket < ?`, [period, rollupCutoff]);
+        }
+      }
+    });
+  }
+
+  lastRun = { started_at: Math.floor(started / 1000), duration_ms: Date.now() - started, ...summary, error: null };
+  return summary;
+}
+
+/**
+ * runRetention() for the maintenance timer: logs what it did and never throws
+ * @param {Object} options - As for runRetention()
+ */
+export function runRetentionSafely(options) {
+  try {
+    const { pruned } = runRetention(options);
+    const total = Object.values(pruned).reduce((sum, rows) => sum + rows, 0);
+    if (total > 0) {
+      const detail = Object.entries(pruned).filter(([, rows]) => rows > 0).map(([table, rows]) => `${table}: ${rows}`);
+      console.log(`[${new Date().toISOString()}] ✓ Retention: pruned ${total} row(s) past their retention (${detail.join(', ')})`);
+    }
+  } catch (error) {
+    lastRun = { started_at: Math.floor(Date.now() / 1000), duration_ms: null, rolled_up: {}, pruned: {}, error: error.message };
+    console.error(`[${new Date().toISOString()}] ⚠ Retention job failed: ${error.message}`);
+  }
+}
+
+/**
+ * Settings and the outcome of the last retention run, for /api/storage
+ * @param {Object} retention - Settings from resolveRetention()
+ * @returns {Object}
+ */
+export function getRetentionStatus(retention) {
+  return { settings: retention, last_run: lastRun };
+}
+
+/**
+ * Pick what a history endpoint reads: raw rows unless a rollup is asked for
+ * Rollup rows have their own columns (bucket, counts, deltas), so callers only get them
+ * when they say they can read them; raw rows older than the retention are simply gone.
+ * @param {string} [requested] - ?resolution= value
+ * @returns {string} 'raw', 'hour' or 'day'
+ */
+export function historyResolution(requested) {
+  if (requested === undefined) return 'raw';
+  if (!RESOLUTIONS.includes(requested)) {
+    throw new Error(`Unknown resolution "${requested}" (use: ${RESOLUTIONS.join(', ')})`);
+  }
+  return requested;
+}
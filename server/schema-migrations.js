@@ -0,0 +1,144 @@
+// Versioned schema migrations for the sql.js databases
+//
+// Each database has an ordered list of numbered migrations (server/migrations/heartbeats/
+// and server/migrations/unifi/, listed in their index.js so the bundled server-cli
+// ships them). On startup every migration newer than the database runs in its own
+// transaction and is recorded in schema_migrations. A failing migration is rolled
+// back and stops startup, as does a database written by a newer server.
+//
+// Databases from before versioned migrations have no schema_migrations table and
+// already carry some of the early changes, so those migrations create with IF NOT
+// EXISTS and add columns with addColumn(), which skips existing ones. New
+// migrations can use plain ALTER TABLE.
+
+import { withTransaction } from './persistence.js';
+
+/**
+ * Whether a table has a column
+ * @param {Object} db - sql.js database
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean}
+ */
+export function hasColumn(db, table, column) {
+  const info = db.exec(`PRAGMA table_info(${table})`);
+  return Boolean(info[0]?.values.some(row => row[1] === column));
+}
+
+/**
+ * Add a column unless the table already has it
+ * @param {Object} db - sql.js database
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} type - Column type and constraints (e.g. 'TEXT', 'INTEGER')
+ * @returns {boolean} Whether the column was added
+ */
+export function addColumn(db, table, column, type) {
+  if (hasColumn(db, table, column)) return false;
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  return true;
+}
+
+function ensureMigrationsTable(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+}
+
+// version -> { version, name, applied_at } of what the database already has
+function appliedMigrations(db) {
+  const tables = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  if (tables.length === 0) return new Map();
+
+  const result = db.exec('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map();
+  for (const [version, name, appliedAt] of result[0]?.values || []) {
+    applied.set(version, { version, name, applied_at: appliedAt });
+  }
+  return applied;
+}
+
+// Migration lists are numbered 1, 2, 3... with no gaps or duplicates
+function checkMigrations(migrations, label) {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1 || !migration.name || typeof migration.up !== 'function') {
+      throw new Error(`Invalid ${label} migration list at position ${index + 1} (version ${migration.version})`);
+    }
+  });
+}
+
+/**
+ * Where a database stands against the migrations this server knows
+ * @param {Object} db - sql.js database
+ * @param {Object[]} migrations - Ordered { version, name, up } list
+ * @returns {Object} { current, latest, pending, unknown, migrations: [{ version, name, applied_at }] }
+ */
+export function getMigrationStatus(db, migrations) {
+  const applied = appliedMigrations(db);
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    current: applied.size ? Math.max(...applied.keys()) : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    pending: migrations.filter(migration => !applied.has(migration.version)).length,
+    unknown: [...applied.values()].filter(migration => !known.has(migration.version)),
+    migrations: migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.get(migration.version)?.applied_at ?? null
+    }))
+  };
+}
+
+/**
+ * Apply every migration the database does not have yet, in order
+ * Each one runs in its own transaction; the first failure is rolled back and thrown
+ * @param {Object} db - sql.js database
+ * @param {Object[]} migrations - Ordered { version, name, up(db) } list
+ * @param {string} label - Database name for logs and errors (e.g. 'heartbeats')
+ * @returns {Object[]} The migrations applied
+ */
+export function runMigrations(db, migrations, label) {
+  checkMigrations(migrations, label);
+
+  const status = getMigrationStatus(db, migrations);
+  if (status.unknown.length > 0) {
+    const newest = status.unknown[status.unknown.length - 1];
+    throw new Error(`The ${label} database is at schema version ${newest.version} (${newest.name}), newer than this server knows (${status.latest}) - upgrade the server or restore an older backup`);
+  }
+
+  ensureMigrationsTable(db);
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (status.migrations[migration.version - 1].applied_at !== null) continue;
+
+    try {
+      withTransaction(db, () => {
+        migration.up(db);
+        db.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, Math.floor(Date.now() / 1000)]);
+      });
+    } catch (error) {
+      throw new Error(`${label} migration ${formatVersion(migration.version)} (${migration.name}) failed: ${error.message}`);
+    }
+
+    console.log(`✓ Applied ${label} migration ${formatVersion(migration.version)} (${migration.name})`);
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+/**
+ * Zero-padded migration number as used in file names (7 -> '007')
+ * @param {number} version
+ * @returns {string}
+ */
+export function formatVersion(version) {
+  return String(version).padStart(3, '0');
+}
@@ -0,0 +1,235 @@
+// Message schemas for Inside-Out Monitor
+//
+// Every agent payload type has a schema per `version` (messages without a version
+// are version 1, which is what agents sent before the field existed). The schemas
+// use a small subset of JSON Schema, enough for flat agent payloads:
+//   type (string or array, 'integer' and 'null' included), required, properties,
+//   items, enum, minimum, minLength, maxLength, maxItems
+// Properties a schema does not list are allowed, so agents can add fields before
+// the server knows about them.
+
+export const MESSAGE_VERSION = 1;
+
+const MAX_NAME_LENGTH = 255;
+
+const name = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+const count = { type: 'integer', minimum: 0 };
+const bytes = { type: 'number', minimum: 0 };
+
+// Fields every agent payload may carry (see client/envelope.js, client/spool.js)
+const common = {
+  version: { type: 'integer', minimum: 1 },
+  timestamp: { type: 'number', minimum: 0 },
+  location: { type: ['string', 'null'], maxLength: MAX_NAME_LENGTH },
+  sublocation: { type: ['string', 'null'], maxLength: MAX_NAME_LENGTH },
+  session: { type: 'string' },
+  seq: count,
+  ack: { type: 'boolean' },
+  backfill: { type: 'boolean' },
+  sent_at: { type: 'number', minimum: 0 }
+};
+
+export const SCHEMAS = {
+  heartbeat: {
+    1: {
+      type: 'object',
+      required: ['name', 'timestamp'],
+      properties: {
+        ...common,
+        name,
+        network_interfaces: {
+          type: 'array',
+          maxItems: 64,
+          items: {
+            type: 'object',
+            required: ['name', 'ip', 'rx_bytes', 'tx_bytes'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              ip: { type: 'string' },
+              ipv6: { type: 'array', maxItems: 16, items: { type: 'string', maxLength: 45 } },
+              mac: { type: ['string', 'null'], maxLength: 64 },
+              rx_bytes: bytes,
+              tx_bytes: bytes,
+              max_speed_mbps: { type: ['number', 'null'], minimum: 0 }
+            }
+          }
+        },
+        delivery: {
+          type: 'object',
+          properties: { sent: count, acked: count, lost: count, rejected: count, retries: count }
+        }
+      }
+    }
+  },
+
+  ping: {
+    1: {
+      type: 'object',
+      required: ['name', 'timestamp', 'results'],
+      properties: {
+        ...common,
+        name,
+        results: {
+          type: 'array',
+          maxItems: 1000,
+          items: {
+            type: 'object',
+            required: ['ip', 'status'],
+            properties: {
+              ip: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+              name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+              status: { enum: ['online', 'offline'] },
+              response_time_ms: { type: ['number', 'null'], minimum: 0 }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  monitoring: {
+    1: {
+      type: 'object',
+      required: ['name', 'timestamp', 'results'],
+      properties: {
+        ...common,
+        name,
+        results: {
+          type: 'array',
+          maxItems: 1000,
+          items: {
+            type: 'object',
+            required: ['type', 'status'],
+            properties: {
+              type: { enum: ['web', 'ssl', 'file', 'folder'] },
+              status: { type: 'string', minLength: 1 },
+              name: { type: ['string', 'null'] },
+              url: { type: 'string' },
+              path: { type: 'string' },
+              response_time_ms: { type: ['number', 'null'], minimum: 0 },
+              status_code: { type: ['integer', 'null'] },
+              error: { type: ['string', 'null'] }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  unifi: {
+    1: {
+      type: 'object',
+      required: ['timestamp', 'clients'],
+      properties: {
+        ...common,
+        clients: {
+          type: 'array',
+          maxItems: 10000,
+          items: {
+            type: 'object',
+            required: ['mac'],
+            properties: {
+              mac: { type: 'string', minLength: 1, maxLength: 64 },
+              ip: { type: ['string', 'null'] },
+              hostname: { type: ['string', 'null'] },
+              is_wired: { type: 'boolean' },
+              rx_bytes: bytes,
+              tx_bytes: bytes
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (see the subset above)
+ * @param {string} [path] - Where the value sits, for error messages
+ * @returns {string[]} Problems found, e.g. ["results[2].status must be one of online, offline"]
+ */
+export function validateSchema(value, schema, path = '') {
+  const label = path || 'payload';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${label} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label} must be at least ${schema.minimum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${label} must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${label} is longer than ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${label} has more than ${schema.maxItems} items`);
+    } else if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${path ? `${path}.` : ''}${field} is required`);
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        errors.push(...validateSchema(value[field], fieldSchema, path ? `${path}.${field}` : field));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an agent payload against the schema for its type and version
+ * @param {string} type - Message type ('heartbeat', 'ping', 'monitoring', 'unifi')
+ * @param {Object} message - Decrypted (and reassembled) payload
+ * @throws {Error} Naming the first few problems, or an unsupported version
+ */
+export function validateMessageSchema(type, message) {
+  const versions = SCHEMAS[type];
+  if (!versions) {
+    throw new Error(`no schema for ${type} messages`);
+  }
+
+  const version = message.version === undefined ? 1 : message.version;
+  const schema = versions[version];
+  if (!schema) {
+    throw new Error(`unsupported version ${JSON.stringify(version)} (supported: ${Object.keys(versions).join(', ')})`);
+  }
+
+  const errors = validateSchema(message, schema);
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+    throw new Error(errors.slice(0, 3).join('; ') + more);
+  }
+}
@@ -5,15 +5,22 @@
  * Standalone executable wrapper for the monitor server
  */
 
-import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import dgram from 'dgram';
-import nacl from 'tweetnacl';
-import util from 'tweetnacl-util';
-import { initDb, insertHeartbeat, insertPingResults, insertMonitoringResults } from './db.js';
-import { initUnifiDb, insertUnifiClients, markDisconnectedClients } from './unifi-db.js';
+import { dirname, join, resolve } from 'path';
+import { initDb, migrateDb, convertDb } from './db.js';
+import { initUnifiDb, migrateUnifiDb, convertUnifiDb } from './unifi-db.js';
+import { formatVersion } from './schema-migrations.js';
+import { STORAGE_BACKENDS, storageBackend } from './storage.js';
+import { runBackup, runRestore } from './backup.js';
+import { runExport, runImport, resolveExportOptions } from './data-export.js';
+import { fileStamp } from './persistence.js';
 import { startApi } from './api.js';
+import { loadKeyring, describeKeyring } from './keyring.js';
+import { loadAgentRegistry, describeAgentRegistry } from './agents.js';
+import { createIngest, startMaintenance, DEFAULT_MAX_MESSAGE_AGE, DEFAULT_MAX_BACKFILL_AGE } from './ingest.js';
+import { startTcpListener } from './tcp-listener.js';
+import { startUdpListener, describeUdpListener, DEFAULT_HOST } from './udp-listener.js';
 import config from '../config.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -21,9 +28,25 @@ const __dirname = dirname(__filename);
 
 // Parse command line arguments
 const args = process.argv.slice(2);
+const command = ['migrate', 'convert', 'backup', 'restore', 'export', 'import'].includes(args[0]) ? args.shift() : null; // runs instead of the server
+let statusOnly = false;
+let convertTo = null;
+const backup = { ...config.server?.backup };
+let archivePath = null;
+let restoreConfig = false;
+const exportOptions = { entities: [] };
+let exportPath = null;
+let exportCompress = true;
+const storage = { ...config.server?.storage };
 let udpPort = 4000;
+let host = config.server?.host || DEFAULT_HOST;
 let apiPort = 3000;
-let maxMessageAge = 300;
+let maxMessageAge = config.server?.maxMessageAge || DEFAULT_MAX_MESSAGE_AGE;
+let maxBackfillAge = config.server?.maxBackfillAge ?? DEFAULT_MAX_BACKFILL_AGE;
+let tcpPort = config.server?.tcpPort || null;
+let tlsPort = config.server?.tls?.port || null;
+let tlsCert = config.server?.tls?.certFile || 'tls-cert.pem';
+let tlsKey = config.server?.tls?.keyFile || 'tls-key.pem';
 
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
@@ -32,6 +55,9 @@ for (let i = 0; i < args.length; i++) {
     case '-u':
       udpPort = parseInt(args[++i]);
       break;
+    case '--host':
+      host = args[++i];
+      break;
     case '--api-port':
     case '-a':
       apiPort = parseInt(args[++i]);
@@ -40,117 +66,250 @@ for (let i = 0; i < args.length; i++) {
     case '-m':
       maxMessageAge = parseInt(args[++i]);
       break;
+    case '--max-backfill-age':
+      maxBackfillAge = parseInt(args[++i]);
+      break;
+    case '--tcp-port':
+    case '-t':
+      tcpPort = parseInt(args[++i]);
+      break;
+    case '--tls-port':
+      tlsPort = parseInt(args[++i]);
+      break;
+    case '--tls-cert':
+      tlsCert = args[++i];
+      break;
+    case '--tls-key':
+      tlsKey = args[++i];
+      break;
+    case '--storage':
+      storage.backend = args[++i];
+      break;
+    case '--to':
+      // convert --to <backend>, export --to <time>
+      if (command === 'convert') {
+        convertTo = args[++i];
+      } else if (command === 'export') {
+        exportOptions.to = args[++i];
+      } else {
+        console.error('--to is only valid with: convert --to <backend>, export --to <time>');
+        process.exit(1);
+      }
+      break;
+    case '--status':
+      if (command !== 'migrate') {
+        console.error('--status is only valid with: migrate --status');
+        process.exit(1);
+      }
+      statusOnly = true;
+      break;
+    case '--dir':
+      if (command !== 'backup') {
+        console.error('--dir is only valid with: backup --dir <dir>');
+        process.exit(1);
+      }
+      backup.dir = args[++i];
+      break;
+    case '--no-compress':
+      if (command !== 'backup' && command !== 'export') {
+        console.error('--no-compress is only valid with: backup --no-compress, export --no-compress');
+        process.exit(1);
+      }
+      backup.compress = false;
+      exportCompress = false;
+      break;
+    case '--out':
+    case '--format':
+    case '--from':
+    case '--entity':
+    case '--tables':
+      if (command !== 'export') {
+        console.error(`${args[i]} is only valid with: export ${args[i]} <value>`);
+        process.exit(1);
+      }
+      if (args[i] === '--out') exportPath = args[++i];
+      else if (args[i] === '--entity') exportOptions.entities.push(args[++i]);
+      else exportOptions[args[i].slice(2)] = args[++i];
+      break;
+    case '--config':
+      if (command !== 'restore') {
+        console.error('--config is only valid with: restore <archive> --config');
+        process.exit(1);
+      }
+      restoreConfig = true;
+      break;
     case '--help':
       console.log(`
 Inside-Out Monitor Server
 
 Usage: monitor-server [options]
+       monitor-server migrate [--status]
+       monitor-server convert --to <sqljs|sqlite>
+       monitor-server backup [--dir <dir>] [--no-compress]
+       monitor-server restore <archive> [--config]
+       monitor-server export [--out <file>] [--format <ndjson|csv>] [--from <time>] [--to <time>]
+                             [--entity <pattern>]... [--tables <a,b>] [--no-compress]
+       monitor-server import <archive>
+
+Commands:
+  migrate                  Apply pending schema migrations to both databases and exit
+  migrate --status         List applied and pending schema migrations without changing anything
+  convert --to <backend>   Switch both database files to another storage backend (server stopped)
+  backup                   Write a backup archive of both databases and config.js
+  backup --dir <dir>       ... to another directory (default: server.backup.dir, backups/)
+  backup --no-compress     ... as a plain .tar instead of .tar.gz
+  restore <archive>        Check an archive and swap its databases in (server stopped)
+  restore <archive> --config  ... and replace config.js as well
+  export                   Write history as an NDJSON archive (default: monitor-export-<time>.tar.gz)
+  export --format csv      ... as CSV instead
+  export --from/--to <t>   ... only rows in this range (Unix seconds or ISO 8601 date, --to exclusive)
+  export --entity <glob>   ... only these devices, targets or clients (repeatable, e.g. 'NYC-*')
+  export --tables <a,b>    ... only these tables (default: all, see ARCHITECTURE.md)
+  import <archive>         Add the rows of an export archive not stored yet (server stopped)
 
 Options:
   -u, --udp-port <port>    UDP port for heartbeats (default: 4000)
+  --host <address>         Address to listen on (default: ::, IPv4 and IPv6; 0.0.0.0 = IPv4 only)
   -a, --api-port <port>    HTTP API port (default: 3000)
   -m, --max-age <seconds>  Maximum message age in seconds (default: 300)
+  --max-backfill-age <s>   Oldest data accepted from agents' spools (default: 604800, 0 = off)
+  -t, --tcp-port <port>    TCP port for agents that cannot use UDP (default: off)
+  --tls-port <port>        TLS port for agents (default: off)
+  --tls-cert <file>        TLS certificate (default: tls-cert.pem)
+  --tls-key <file>         TLS private key (default: tls-key.pem)
+  --storage <backend>      sqljs (in memory, default) or sqlite (native, on disk; needs better-sqlite3)
   --help                   Show this help message
 
 Examples:
   monitor-server
   monitor-server --udp-port 5000 --api-port 3001
   monitor-server -u 4000 -a 3000 -m 600
+  monitor-server --host 0.0.0.0
+  monitor-server --tls-port 443 --tls-cert server.crt --tls-key server.pem
+  monitor-server migrate --status
+  monitor-server convert --to sqlite && monitor-server --storage sqlite
+  monitor-server backup --dir /mnt/nas/monitor
+  monitor-server restore backups/monitor-backup-20260101T020000Z.tar.gz
+  monitor-server export --from 2026-01-01 --to 2026-04-01 --entity 'NYC-*' --format csv
+  monitor-server import monitor-export-20260401T120000.000Z.tar.gz
 
 Files Required:
   secret.key               Pre-shared encryption key (must be in same directory)
+    or keyring.json        Key ring with several active/accept-only keys (see: npm run keygen -- --help)
+
+Optional Files:
+  agents.json              Enrolled agents and enrollment tokens (see: npm run agents -- help)
+  server-identity.key      Server keypair for enrolled agents (created with the first token)
+  tls-cert.pem, tls-key.pem  Certificate and key for --tls-port
 
 Directories Created:
   databases/               Database storage (created automatically)
+  backups/                 Backup archives (server.backup.dir)
 `);
       process.exit(0);
     default:
+      // restore and import take the archive as their one argument
+      if ((command === 'restore' || command === 'import') && !archivePath && !args[i].startsWith('-')) {
+        archivePath = args[i];
+        break;
+      }
       console.error(`Unknown option: ${args[i]}`);
       console.error('Use --help for usage information');
       process.exit(1);
   }
 }
 
-// Ensure databases directory exists
-const dbDir = join(process.cwd(), 'databases');
-if (!existsSync(dbDir)) {
-  mkdirSync(dbDir, { recursive: true });
-  console.log(`Created databases directory: ${dbDir}`);
-}
-
-// Load secret key
-let secretKey;
 try {
-  // Try current directory first (for packaged exe)
-  const keyPath = join(process.cwd(), 'secret.key');
-  const keyBase64 = readFileSync(keyPath, 'utf8').trim();
-  secretKey = util.decodeBase64(keyBase64);
-  console.log(`Loaded secret key from: ${keyPath}`);
+  storageBackend(storage);
 } catch (error) {
-  try {
-    // Try script directory (for development)
-    const keyPath = join(__dirname, 'secret.key');
-    const keyBase64 = readFileSync(keyPath, 'utf8').trim();
-    secretKey = util.decodeBase64(keyBase64);
-    console.log(`Loaded secret key from: ${keyPath}`);
-  } catch (err) {
-    console.error('ERROR: Failed to load secret.key');
-    console.error('Place secret.key in the same directory as this executable');
-    console.error(`Error: ${err.message}`);
-    process.exit(1);
-  }
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
 }
 
-// Decrypt and validate message
-function decryptMessage(packet) {
-  if (packet.length < 24) {
-    throw new Error('Packet too short');
-  }
+if (command === 'convert' && !STORAGE_BACKENDS.includes(convertTo)) {
+  console.error(`Usage: monitor-server convert --to <${STORAGE_BACKENDS.join('|')}>`);
+  process.exit(1);
+}
 
-  const nonce = packet.slice(0, 24);
-  const encrypted = packet.slice(24);
+if (command === 'restore' && !archivePath) {
+  console.error('Usage: monitor-server restore <archive> [--config]');
+  process.exit(1);
+}
 
-  const decrypted = nacl.secretbox.open(encrypted, nonce, secretKey);
-  if (!decrypted) {
-    throw new Error('Decryption failed');
-  }
+if (command === 'import' && !archivePath) {
+  console.error('Usage: monitor-server import <archive>');
+  process.exit(1);
+}
 
-  const messageJson = util.encodeUTF8(decrypted);
-  return JSON.parse(messageJson);
+if (command === 'export') {
+  try {
+    Object.assign(exportOptions, resolveExportOptions(exportOptions));
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
 }
 
-// Validate message
-function validateMessage(message) {
-  const now = Math.floor(Date.now() / 1000);
-  const age = Math.abs(now - message.timestamp);
+// Ensure databases directory exists
+const dbDir = join(process.cwd(), 'databases');
+if (!existsSync(dbDir)) {
+  mkdirSync(dbDir, { recursive: true });
+  console.log(`Created databases directory: ${dbDir}`);
+}
 
-  if (age > maxMessageAge) {
-    throw new Error(`Message too old: ${age}s (max: ${maxMessageAge}s)`);
+// Load key ring and enrolled agents (exits if either is unusable)
+function loadKeys() {
+  // Load key ring - current directory first (for packaged exe), then script directory (for development)
+  let keyDir;
+  try {
+    const keyring = loadKeyring([process.cwd(), __dirname]);
+    keyDir = keyring.dir;
+    console.log(`Loaded key ring from: ${keyring.path || join(keyring.dir, 'secret.key')}`);
+    console.log(`Keys: ${describeKeyring()}`);
+  } catch (error) {
+    console.error('ERROR: Failed to load secret.key / keyring.json');
+    console.error('Place secret.key or keyring.json in the same directory as this executable');
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 
-  // UniFi messages don't have a 'name' field, they have 'clients'
-  if (message.type !== 'unifi' && (!message.name || typeof message.name !== 'string')) {
-    throw new Error('Invalid device name');
+  // Enrolled agents live next to the key ring
+  try {
+    loadAgentRegistry(keyDir);
+    console.log(`Agents: ${describeAgentRegistry()}`);
+  } catch (error) {
+    console.error('ERROR: Failed to load agents.json');
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
-
-  return true;
 }
 
+const requireEnrollment = config.server?.requireEnrollment || false;
+
 // Main server startup
 async function startServer() {
   try {
     // Initialize database
     console.log('Initializing database...');
-    await initDb();
+    await initDb(config.server?.persistence, storage);
     console.log('Database initialized');
 
     // Initialize UniFi database
     console.log('Initializing UniFi database...');
-    await initUnifiDb();
+    await initUnifiDb(config.server?.persistence, storage);
     console.log('UniFi database initialized');
 
-    // Create UDP server
-    const server = dgram.createSocket('udp4');
+    // Handle one encrypted envelope from UDP, TCP or TLS
+    const handlePacket = createIngest({
+      maxMessageAge,
+      maxBackfillAge,
+      requireEnrollment,
+      rateLimit: config.server?.rateLimit,
+      sources: config.server?.sources
+    });
+
+    // Create UDP server (dual-stack unless --host is an IPv4 address)
+    const server = await startUdpListener({ port: udpPort, host, onPacket: handlePacket });
 
     server.on('error', (err) => {
       console.error(`Server error: ${err.message}`);
@@ -158,97 +317,45 @@ async function startServer() {
       process.exit(1);
     });
 
-    server.on('message', async (msg, rinfo) => {
-      try {
-        const message = decryptMessage(msg);
-
-        // DEBUG: Log received message
-        console.log(`[DEBUG] Received message:`, JSON.stringify(message, null, 2));
-        console.log(`[DEBUG] message.name type: ${typeof message.name}, value:`, message.name);
-
-        validateMessage(message);
-
-        // Route message based on type
-        if (message.type === 'ping') {
-          // Handle ping results
-          await insertPingResults(
-            message.name,
-            message.timestamp,
-            message.results || []
-          );
-          console.log(`[${new Date().toISOString()}] Ping results from ${message.name} (${rinfo.address}:${rinfo.port}) - ${message.results?.length || 0} targets`);
-        } else if (message.type === 'monitoring') {
-          // Handle monitoring results (web, SSL, file, folder)
-          if (!message.results || !Array.isArray(message.results)) {
-            console.log(`[${new Date().toISOString()}] Invalid monitoring payload from ${rinfo.address}:${rinfo.port} - missing results array`);
-            return;
-          }
-          await insertMonitoringResults(
-            message.name,
-            message.timestamp,
-            message.results
-          );
-          const typeCounts = message.results.reduce((acc, r) => {
-            acc[r.type] = (acc[r.type] || 0) + 1;
-            return acc;
-          }, {});
-          const typeStr = Object.entries(typeCounts).map(([type, count]) => `${count} ${type}`).join(', ');
-          console.log(`[${new Date().toISOString()}] Monitoring results from ${message.name} (${rinfo.address}:${rinfo.port}) - ${typeStr}`);
-        } else if (message.type === 'unifi') {
-          // Handle UniFi client data
-          if (!message.clients || !Array.isArray(message.clients)) {
-            console.log(`[${new Date().toISOString()}] Invalid UniFi payload from ${rinfo.address}:${rinfo.port} - missing clients array`);
-            return;
-          }
-          insertUnifiClients(message.clients, message.timestamp);
-          const connectedCount = message.clients.length;
-          const wiredCount = message.clients.filter(c => c.is_wired).length;
-          const wirelessCount = connectedCount - wiredCount;
-          console.log(`[${new Date().toISOString()}] UniFi clients (${rinfo.address}:${rinfo.port}) - ${connectedCount} total, ${wiredCount} wired, ${wirelessCount} wireless`);
-        } else {
-          // Handle regular heartbeat
-          await insertHeartbeat(
-            message.name,
-            message.timestamp,
-            Math.floor(Date.now() / 1000),  // receivedAt timestamp
-            message.network_interfaces || []
-          );
-          console.log(`[${new Date().toISOString()}] Heartbeat from ${message.name} (${rinfo.address}:${rinfo.port})`);
-        }
-      } catch (error) {
-        console.error(`[${new Date().toISOString()}] Invalid message from ${rinfo.address}:${rinfo.port}: ${error.message}`);
-      }
-    });
-
-    server.on('listening', () => {
-      const address = server.address();
-      console.log(`UDP Server listening on ${address.address}:${address.port}`);
-    });
-
-    server.bind(udpPort);
+    console.log(`UDP Server listening on ${describeUdpListener(server)}`);
+
+    // TCP / TLS ingest for sites where outbound UDP is blocked (only when a port is given)
+    if (tcpPort) {
+      const tcpServer = startTcpListener({ port: tcpPort, host, onPacket: handlePacket });
+      tcpServer.on('listening', () => console.log(`TCP Server listening on port ${tcpPort}`));
+      tcpServer.on('error', (err) => console.error(`TCP server error: ${err.message}`));
+    }
+
+    if (tlsPort) {
+      // Certificate paths are relative to the current directory (next to the executable)
+      const tlsServer = startTcpListener({
+        port: tlsPort,
+        host,
+        tls: { certFile: resolve(process.cwd(), tlsCert), keyFile: resolve(process.cwd(), tlsKey) },
+        onPacket: handlePacket
+      });
+      tlsServer.on('listening', () => console.log(`TLS Server listening on port ${tlsPort}`));
+      tlsServer.on('error', (err) => console.error(`TLS server error: ${err.message}`));
+    }
 
     // Start API server
     console.log('Starting API server...');
     startApi(apiPort);
 
-    // Start periodic UniFi client disconnection check
-    const unifiCheckInterval = 60; // Check every 60 seconds
-    const onlineThresholdSeconds = config.alerting?.behavior?.onlineThresholdSeconds || 300;
-    console.log(`\n✓ UniFi disconnect monitoring enabled`);
-    console.log(`  Check interval: ${unifiCheckInterval}s`);
-    console.log(`  Disconnect threshold: ${onlineThresholdSeconds}s (${Math.floor(onlineThresholdSeconds / 60)} min)`);
-
-    setInterval(() => {
-      markDisconnectedClients(onlineThresholdSeconds);
-    }, unifiCheckInterval * 1000);
+    // Alerting, key ring reloads, fragment expiry and UniFi disconnect checks
+    startMaintenance(config);
 
     console.log('');
     console.log('='.repeat(60));
     console.log('Inside-Out Monitor Server is running');
     console.log('='.repeat(60));
     console.log(`UDP Heartbeats: 0.0.0.0:${udpPort}`);
+    if (tcpPort) console.log(`TCP Heartbeats: 0.0.0.0:${tcpPort}`);
+    if (tlsPort) console.log(`TLS Heartbeats: 0.0.0.0:${tlsPort}`);
     console.log(`API Server:     http://0.0.0.0:${apiPort}`);
     console.log(`Max Message Age: ${maxMessageAge} seconds`);
+    console.log(`Max Backfill Age: ${maxBackfillAge ? `${maxBackfillAge} seconds` : 'off'}`);
+    console.log(`Storage:        ${storageBackend(storage)}`);
     console.log('='.repeat(60));
     console.log('');
     console.log('Press Ctrl+C to stop');
@@ -259,5 +366,87 @@ async function startServer() {
   }
 }
 
-// Start the server
-startServer();
+// Print where each database stands against the migrations this server knows
+function printMigrationStatus(status) {
+  console.log('');
+  console.log(`${status.name}: ${status.path}`);
+  console.log(`  Schema version ${status.current} of ${status.latest}${status.pending ? ` (${status.pending} pending)` : ''}`);
+
+  for (const migration of status.migrations) {
+    const applied = migration.applied_at ? `applied ${new Date(migration.applied_at * 1000).toISOString()}` : 'pending';
+    console.log(`  ${migration.applied_at ? '✓' : '·'} ${formatVersion(migration.version)} ${migration.name.padEnd(24)} ${applied}`);
+  }
+  for (const migration of status.unknown) {
+    console.log(`  ⚠ ${formatVersion(migration.version)} ${migration.name.padEnd(24)} unknown to this server (written by a newer version)`);
+  }
+}
+
+// migrate [--status]: apply (or only list) schema migrations, then exit
+async function migrate() {
+  for (const migrateDatabase of [migrateDb, migrateUnifiDb]) {
+    printMigrationStatus(await migrateDatabase({ apply: !statusOnly, storage }));
+  }
+}
+
+// convert --to <backend>: switch both database files over, then exit
+async function convert() {
+  for (const convertDatabase of [convertDb, convertUnifiDb]) {
+    const { name, path, result } = convertDatabase(convertTo);
+    if (result === 'converted') console.log(`✓ Converted ${name} database to ${convertTo}: ${path}`);
+    if (result === 'unchanged') console.log(`✓ ${name} database already uses ${convertTo}: ${path}`);
+    if (result === 'missing') console.log(`⚠ No ${name} database at ${path} - nothing to convert`);
+  }
+  console.log(`\nStart the server with --storage ${convertTo} or set server.storage.backend = '${convertTo}' in config.js`);
+}
+
+// backup: write one archive now (a running server may hold sql.js changes it has not flushed yet)
+async function backupNow() {
+  const { path, size_bytes: size, files, removed } = await runBackup(backup);
+  console.log(`✓ Backup written to ${path} (${Math.round(size / 1024)} KB)`);
+  for (const file of files) console.log(`  ${file.name.padEnd(20)} ${file.size} bytes`);
+  if (removed.length) console.log(`✓ Removed ${removed.length} old backup(s)`);
+}
+
+// restore <archive>: check the archive, then swap its databases in
+async function restore() {
+  const { created_at: createdAt, restored, config: configFile } = await runRestore({ archive: archivePath, storage, config: restoreConfig });
+  console.log(`Restored backup from ${new Date(createdAt * 1000).toISOString()}:`);
+  for (const { name, path, previous } of restored) {
+    console.log(`✓ ${name} database: ${path}${previous ? ` (previous kept as ${previous})` : ''}`);
+  }
+  if (configFile) console.log(`✓ config.js: ${configFile.path}${configFile.previous ? ` (previous kept as ${configFile.previous})` : ''}`);
+  console.log('\nStart the server to apply any schema migrations the backup is missing');
+}
+
+// export: write the chosen history to an archive (a running server may hold rows it has not flushed yet)
+async function exportData() {
+  const ext = exportCompress ? 'tar.gz' : 'tar';
+  const path = resolve(exportPath || `monitor-export-${fileStamp()}.${ext}`);
+  const manifest = await runExport({ ...exportOptions, output: path, compress: exportCompress, storage });
+  console.log(`✓ Export written to ${path}`);
+  for (const table of manifest.tables) console.log(`  ${table.file.padEnd(32)} ${table.rows} row(s)`);
+}
+
+// import <archive>: add the rows not stored yet, then save both databases
+async function importData() {
+  const { created_at: createdAt, tables } = await runImport({ archive: archivePath, storage });
+  console.log(`Imported export from ${new Date(createdAt * 1000).toISOString()}:`);
+  for (const { name, inserted, updated, skipped } of tables) {
+    console.log(`✓ ${name.padEnd(24)} ${inserted} added${updated ? `, ${updated} updated` : ''}, ${skipped} skipped`);
+  }
+}
+
+const commands = { migrate, convert, backup: backupNow, restore, export: exportData, import: importData };
+
+if (command) {
+  commands[command]()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`ERROR: ${error.message}`);
+      process.exit(1);
+    });
+} else {
+  // Start the server
+  loadKeys();
+  startServer();
+}
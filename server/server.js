@@ -1,155 +1,112 @@
-import dgram from 'dgram';
-import nacl from 'tweetnacl';
-import util from 'tweetnacl-util';
-import { initDb, insertHeartbeat, insertPingResults } from './db.js';
-import { initUnifiDb, insertUnifiClients } from './unifi-db.js';
+import { initDb } from './db.js';
+import { initUnifiDb } from './unifi-db.js';
 import { startApi } from './api.js';
-import { initAlerting, stopAlerting } from './alerting.js';
-import { readFileSync } from 'fs';
+import { loadKeyring, describeKeyring } from './keyring.js';
+import { loadAgentRegistry, describeAgentRegistry } from './agents.js';
+import { createIngest, startMaintenance, DEFAULT_MAX_MESSAGE_AGE, DEFAULT_MAX_BACKFILL_AGE } from './ingest.js';
+import { startTcpListener } from './tcp-listener.js';
+import { startUdpListener, describeUdpListener, DEFAULT_HOST } from './udp-listener.js';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, resolve } from 'path';
 import config from '../config.js';
 
-const { encodeUTF8, decodeBase64 } = util;
-
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Configuration
 const PORT = 4000;
-const MAX_MESSAGE_AGE = 300; // 5 minutes in seconds
+const HOST = config.server?.host || DEFAULT_HOST; // '::' = IPv4 and IPv6
+const MAX_MESSAGE_AGE = config.server?.maxMessageAge || DEFAULT_MAX_MESSAGE_AGE; // seconds
+const MAX_BACKFILL_AGE = config.server?.maxBackfillAge ?? DEFAULT_MAX_BACKFILL_AGE; // seconds, 0 = refuse backfill
 
 // Async startup
 async function startServer() {
   // Initialize database
-  await initDb();
+  await initDb(config.server?.persistence, config.server?.storage);
 
   // Initialize UniFi database
-  await initUnifiDb();
+  await initUnifiDb(config.server?.persistence, config.server?.storage);
 
-  // Initialize alerting system if enabled
-  if (config.alerting && config.alerting.enabled) {
-    initAlerting(config.alerting);
+  // Load pre-shared key ring (keyring.json, or secret.key as a single active key)
+  try {
+    loadKeyring([__dirname]);
+    console.log(`✓ Key ring loaded (${describeKeyring()})`);
+  } catch (error) {
+    console.error('ERROR: Failed to load key ring');
+    console.error(`Error: ${error.message}`);
+    console.error('Run: npm run keygen');
+    process.exit(1);
   }
 
-  // Load pre-shared key
-  let sharedKey;
+  // Load enrolled agents (agents.json + server-identity.key, created by `npm run agents`)
   try {
-    const keyBase64 = readFileSync(join(__dirname, 'secret.key'), 'utf8').trim();
-    sharedKey = decodeBase64(keyBase64);
-
-    if (sharedKey.length !== nacl.secretbox.keyLength) {
-      throw new Error(`Key must be ${nacl.secretbox.keyLength} bytes`);
-    }
-
-    console.log('✓ Pre-shared key loaded successfully');
+    loadAgentRegistry(__dirname);
+    console.log(`✓ Agent registry loaded (${describeAgentRegistry()})`);
   } catch (error) {
-    console.error('ERROR: Failed to load secret.key');
-    console.error('Run: npm run keygen');
+    console.error('ERROR: Failed to load agent registry');
+    console.error(`Error: ${error.message}`);
     process.exit(1);
   }
 
-  // Create UDP server
-  const server = dgram.createSocket('udp4');
+  const requireEnrollment = config.server?.requireEnrollment || false;
+  if (requireEnrollment) {
+    console.log('✓ Enrollment required - pre-shared key packets will be rejected');
+  }
+
+  // Alerting, key ring reloads, fragment expiry and UniFi disconnect checks
+  startMaintenance(config);
 
-  server.on('error', (err) => {
-    console.error(`Server error:\n${err.stack}`);
-    server.close();
+  // Handle one encrypted envelope, whichever transport it arrived on
+  const handlePacket = createIngest({
+    maxMessageAge: MAX_MESSAGE_AGE,
+    maxBackfillAge: MAX_BACKFILL_AGE,
+    requireEnrollment,
+    rateLimit: config.server?.rateLimit,
+    sources: config.server?.sources
   });
 
-  server.on('message', (msg, rinfo) => {
-    try {
-      // Message format: nonce (24 bytes) + encrypted data
-      if (msg.length < nacl.secretbox.nonceLength) {
-        console.log(`⚠ Invalid message from ${rinfo.address}:${rinfo.port} - too short`);
-        return;
-      }
-
-      // Extract nonce and encrypted data
-      const nonce = msg.slice(0, nacl.secretbox.nonceLength);
-      const box = msg.slice(nacl.secretbox.nonceLength);
-
-      // Decrypt
-      const decrypted = nacl.secretbox.open(box, nonce, sharedKey);
-
-      if (!decrypted) {
-        console.log(`⚠ Failed to decrypt message from ${rinfo.address}:${rinfo.port} - invalid key or corrupted`);
-        return;
-      }
-
-      // Parse JSON payload
-      const message = JSON.parse(encodeUTF8(decrypted));
-
-      // Validate timestamp freshness
-      const now = Math.floor(Date.now() / 1000);
-      const deviceTimestamp = Math.floor(message.timestamp);
-      const age = Math.abs(now - deviceTimestamp);
-
-      if (age > MAX_MESSAGE_AGE) {
-        console.log(`⚠ Stale message - age: ${age}s (max: ${MAX_MESSAGE_AGE}s)`);
-        return;
-      }
-
-      // Handle different message types
-      if (message.type === 'ping') {
-        // Ping monitor message
-        if (!message.monitor_name || !message.results || !Array.isArray(message.results)) {
-          console.log(`⚠ Invalid ping payload from ${rinfo.address}:${rinfo.port} - missing fields`);
-          return;
-        }
-
-        // Store ping results
-        insertPingResults(message.monitor_name, deviceTimestamp, message.results);
-
-        const onlineCount = message.results.filter(r => r.status === 'online').length;
-        console.log(`✓ Ping results from ${message.monitor_name} [age: ${age}s, targets: ${message.results.length}, online: ${onlineCount}]`);
-
-      } else if (message.type === 'unifi') {
-        // UniFi monitor message
-        if (!message.clients || !Array.isArray(message.clients)) {
-          console.log(`⚠ Invalid UniFi payload from ${rinfo.address}:${rinfo.port} - missing clients array`);
-          return;
-        }
-
-        // Store UniFi client data
-        insertUnifiClients(message.clients, deviceTimestamp);
-
-        const connectedCount = message.clients.length;
-        const wiredCount = message.clients.filter(c => c.is_wired).length;
-        const wirelessCount = connectedCount - wiredCount;
-        console.log(`✓ UniFi clients [age: ${age}s, total: ${connectedCount}, wired: ${wiredCount}, wireless: ${wirelessCount}]`);
-
-      } else {
-        // Heartbeat message (default/legacy)
-        if (!message.name || !message.timestamp) {
-          console.log(`⚠ Invalid heartbeat payload from ${rinfo.address}:${rinfo.port} - missing fields`);
-          return;
-        }
-
-        // Validate network interfaces (optional field)
-        let networkInterfaces = [];
-        if (message.network_interfaces && Array.isArray(message.network_interfaces)) {
-          networkInterfaces = message.network_interfaces.slice(0, 5); // Limit to 5
-        }
-
-        // Store in database
-        insertHeartbeat(message.name, deviceTimestamp, now, networkInterfaces);
-
-        console.log(`✓ Heartbeat from ${message.name} [age: ${age}s, interfaces: ${networkInterfaces.length}]`);
-      }
+  // Create UDP server (dual-stack unless config.server.host is an IPv4 address)
+  try {
+    const server = await startUdpListener({ port: PORT, host: HOST, onPacket: handlePacket });
 
-    } catch (error) {
-      console.error(`⚠ Error processing message from ${rinfo.address}:${rinfo.port}:`, error.message);
-    }
-  });
+    server.on('error', (err) => {
+      console.error(`Server error:\n${err.stack}`);
+      server.close();
+    });
 
-  server.on('listening', () => {
-    const address = server.address();
     console.log(`\n🚀 Inside-Out Monitor Server`);
-    console.log(`   Listening on UDP port ${address.port}`);
+    console.log(`   Listening on UDP ${describeUdpListener(server)}`);
     console.log(`   Max message age: ${MAX_MESSAGE_AGE}s\n`);
-  });
+  } catch (error) {
+    console.error(`ERROR: Could not listen on UDP ${HOST} port ${PORT}: ${error.message}`);
+    process.exit(1);
+  }
 
-  server.bind(PORT);
+  // TCP / TLS ingest for sites where outbound UDP is blocked (only when a port is set)
+  const tcpPort = config.server?.tcpPort;
+  if (tcpPort) {
+    const tcpServer = startTcpListener({ port: tcpPort, host: HOST, onPacket: handlePacket });
+    tcpServer.on('listening', () => console.log(`✓ TCP ingest listening on port ${tcpPort}`));
+    tcpServer.on('error', (err) => console.error(`⚠ TCP ingest error: ${err.message}`));
+  }
+
+  const tlsConfig = config.server?.tls;
+  if (tlsConfig?.port) {
+    try {
+      const tlsServer = startTcpListener({
+        port: tlsConfig.port,
+        host: HOST,
+        tls: {
+          certFile: resolve(__dirname, tlsConfig.certFile || 'tls-cert.pem'),
+          keyFile: resolve(__dirname, tlsConfig.keyFile || 'tls-key.pem')
+        },
+        onPacket: handlePacket
+      });
+      tlsServer.on('listening', () => console.log(`✓ TLS ingest listening on port ${tlsConfig.port}`));
+      tlsServer.on('error', (err) => console.error(`⚠ TLS ingest error: ${err.message}`));
+    } catch (error) {
+      console.error(`⚠ TLS ingest disabled - could not load certificate: ${error.message}`);
+    }
+  }
 
   // Start API server
   startApi();
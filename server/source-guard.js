@@ -0,0 +1,240 @@
+// Source address checks for the ingest listeners
+//
+// Every packet costs a secretbox open and a JSON parse, so sources are checked
+// before any of that happens (createIngest() in server/ingest.js):
+//   1. Deny / allow lists - CIDR ranges from config.server.sources
+//   2. Bans - a TCP / TLS peer with too many decrypt failures in a short time is
+//      dropped for a while; bans are kept in memory and end with a restart. UDP
+//      sources are never banned automatically: their address can be forged, and a
+//      ban on a forged address locks out the real agent behind it
+//   3. Rate limit - a token bucket per source address (packets per second + burst)
+
+import { BlockList, isIPv4, isIPv6 } from 'net';
+
+export const MAX_TRACKED_SOURCES = 10000;
+
+export const DEFAULT_RATE_LIMIT = {
+  packetsPerSecond: 50,          // sustained, per source address (0 = no limit)
+  burst: 500,                    // a fragmented UniFi snapshot arrives all at once
+  banAfterDecryptFailures: 20,   // within banWindowSeconds (0 = never ban)
+  banWindowSeconds: 60,
+  banSeconds: 3600
+};
+
+let limits = { ...DEFAULT_RATE_LIMIT };
+let allowList = null; // BlockList, or null when every source may send
+let denyList = null;
+let allowCidrs = [];
+let denyCidrs = [];
+
+const buckets = new Map();  // address -> { tokens, updated_at (ms), limited }
+const failures = new Map(); // address -> { count, window_start }
+const bans = new Map();     // address -> { address, banned_at, expires_at, reason, failures }
+
+function parseCidrList(entries, setting) {
+  if (!entries || entries.length === 0) return null;
+
+  const list = new BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = String(entry).trim().split('/');
+    const family = isIPv6(address) ? 'ipv6' : 'ipv4';
+    try {
+      if (prefix === undefined) {
+        list.addAddress(address, family);
+      } else {
+        list.addSubnet(address, parseInt(prefix), family);
+      }
+    } catch (error) {
+      throw new Error(`Invalid CIDR "${entry}" in ${setting}: ${error.message}`);
+    }
+  }
+  return list;
+}
+
+// TCP listeners on '::' report IPv4 clients as ::ffff:a.b.c.d - count them as a.b.c.d
+export function normalizeAddress(address) {
+  const mapped = /^::ffff:(.+)$/i.exec(address);
+  return mapped && isIPv4(mapped[1]) ? mapped[1] : address;
+}
+
+function contains(list, address) {
+  return list.check(address, isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Keep the per-source maps bounded; the oldest entry goes first
+function remember(map, address, entry) {
+  map.delete(address);
+  map.set(address, entry);
+  if (map.size > MAX_TRACKED_SOURCES) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+/**
+ * Set the limits and address lists (createIngest() calls this with config.server settings)
+ * @param {Object} [options]
+ * @param {Object} [options.rateLimit] - Overrides for DEFAULT_RATE_LIMIT
+ * @param {string[]} [options.allow] - CIDRs that may send; empty = every source
+ * @param {string[]} [options.deny] - CIDRs that are always dropped
+ * @throws {Error} If a CIDR cannot be parsed
+ */
+export function configureSourceGuard({ rateLimit = {}, allow = [], deny = [] } = {}) {
+  const nextAllow = parseCidrList(allow, 'server.sources.allow');
+  const nextDeny = parseCidrList(deny, 'server.sources.deny');
+
+  limits = { ...DEFAULT_RATE_LIMIT, ...rateLimit };
+  allowList = nextAllow;
+  denyList = nextDeny;
+  allowCidrs = [...allow];
+  denyCidrs = [...deny];
+  buckets.clear();
+}
+
+/**
+ * Decide whether a packet from a source address is looked at
+ * @param {string} source - Source IP address
+ * @returns {Object|null} null to continue, or { reason, first } where reason is
+ *   'denied', 'banned' or 'rate_limited' and `first` marks the first packet dropped
+ *   since the source was last within its limit (to log once, not per packet)
+ */
+export function checkSource(source) {
+  const address = normalizeAddress(source);
+  if (denyList && contains(denyList, address)) return { reason: 'denied', first: false };
+  if (allowList && !contains(allowList, address)) return { reason: 'denied', first: false };
+
+  const nowMs = Date.now();
+  const ban = bans.get(address);
+  if (ban) {
+    if (ban.expires_at * 1000 > nowMs) return { reason: 'banned', first: false };
+    bans.delete(address);
+  }
+
+  if (!limits.packetsPerSecond) return null;
+
+  const bucket = buckets.get(address) || { tokens: limits.burst, updated_at: nowMs, limited: false };
+  bucket.tokens = Math.min(limits.burst, bucket.tokens + ((nowMs - bucket.updated_at) / 1000) * limits.packetsPerSecond);
+  bucket.updated_at = nowMs;
+
+  let result = null;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    bucket.limited = false;
+  } else {
+    result = { reason: 'rate_limited', first: !bucket.limited };
+    bucket.limited = true;
+  }
+
+  remember(buckets, address, bucket);
+  return result;
+}
+
+/**
+ * Count a packet that could not be decrypted, banning the source once it has too many
+ * UDP sources (rate limited only) and sources on the allow list are never banned.
+ * @param {string} source - Source IP address
+ * @param {string} [transport='udp'] - Listener it arrived on: 'udp', 'tcp' or 'tls'
+ * @returns {Object|null} The new ban, or null
+ */
+export function recordDecryptFailure(source, transport = 'udp') {
+  if (!limits.banAfterDecryptFailures || transport === 'udp') return null;
+
+  const address = normalizeAddress(source);
+  if (allowList && contains(allowList, address)) return null;
+  const now = Math.floor(Date.now() / 1000);
+  let entry = failures.get(address);
+  if (!entry || now - entry.window_start >= limits.banWindowSeconds) {
+    entry = { count: 0, window_start: now };
+  }
+  entry.count++;
+
+  if (entry.count < limits.banAfterDecryptFailures) {
+    remember(failures, address, entry);
+    return null;
+  }
+
+  failures.delete(address);
+  return banSource(address, {
+    reason: `${entry.count} decrypt failures within ${limits.banWindowSeconds}s`,
+    seconds: limits.banSeconds,
+    failures: entry.count
+  });
+}
+
+/**
+ * Ban a source address
+ * @param {string} source - Source IP address
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Shown in the API and the alert log
+ * @param {number} [options.seconds] - Ban length (default: rateLimit.banSeconds)
+ * @param {number} [options.failures] - Decrypt failures that led to the ban
+ * @returns {Object} The ban
+ */
+export function banSource(source, { reason = 'banned', seconds = limits.banSeconds, failures: failureCount = 0 } = {}) {
+  const address = normalizeAddress(source);
+  const now = Math.floor(Date.now() / 1000);
+  const ban = { address, banned_at: now, expires_at: now + seconds, reason, failures: failureCount };
+  remember(bans, address, ban);
+  return ban;
+}
+
+/**
+ * Bans that have not expired yet
+ * @returns {Object[]} Newest first
+ */
+export function getBans() {
+  const now = Math.floor(Date.now() / 1000);
+  return [...bans.values()]
+    .filter(ban => ban.expires_at > now)
+    .reverse()
+    .map(ban => ({ ...ban, remaining: ban.expires_at - now }));
+}
+
+/**
+ * Lift the ban on one source address
+ * @param {string} source - Source IP address
+ * @returns {boolean} Whether the address was banned
+ */
+export function clearBan(source) {
+  const address = normalizeAddress(source);
+  const ban = bans.get(address);
+  failures.delete(address);
+  bans.delete(address);
+  return Boolean(ban && ban.expires_at > Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Lift every ban
+ * @returns {string[]} Addresses that were banned
+ */
+export function clearBans() {
+  const addresses = getBans().map(ban => ban.address);
+  bans.clear();
+  failures.clear();
+  return addresses;
+}
+
+/**
+ * Current limits and address lists, for the API
+ * @returns {Object} Settings
+ */
+export function getSourceGuardSettings() {
+  return {
+    rate_limit: { ...limits },
+    allow: allowCidrs,
+    deny: denyCidrs
+  };
+}
+
+/**
+ * Clear bans, counters and settings (used by tests)
+ */
+export function resetSourceGuard() {
+  limits = { ...DEFAULT_RATE_LIMIT };
+  allowList = null;
+  denyList = null;
+  allowCidrs = [];
+  denyCidrs = [];
+  buckets.clear();
+  failures.clear();
+  bans.clear();
+}
@@ -0,0 +1,284 @@
+// Storage backends behind getDb() / getUnifiDb()
+//
+// The rest of the server talks to a database through the small sql.js-shaped
+// interface below (exec, run, getRowsModified, close), so the same queries run on
+// either backend, chosen with config.server.storage.backend:
+//
+//   sqljs  - sql.js (WASM), the default: the whole database lives in memory and is
+//            written out by server/persistence.js. No native code, so it is what the
+//            pkg executables use. History depth is limited by RAM.
+//   sqlite - better-sqlite3 on the file itself, in WAL mode: only the pages in use
+//            are cached and every transaction is on disk when it commits. For
+//            long-running installations; needs `npm install better-sqlite3`.
+//
+// Both use the standard SQLite file format, but a database in WAL mode can hold
+// recent transactions in its -wal file, which sql.js would silently miss. Each
+// backend therefore refuses the other's files; `server-cli convert --to <backend>`
+// switches a database over.
+
+import { createRequire } from 'module';
+import { existsSync, statSync, openSync, readSync, closeSync, mkdirSync } from 'fs';
+import { copyFile } from 'fs/promises';
+import { dirname } from 'path';
+import { getPersistenceStats } from './persistence.js';
+
+export const STORAGE_BACKENDS = ['sqljs', 'sqlite'];
+export const DEFAULT_STORAGE = {
+  backend: 'sqljs' // 'sqljs' (in memory, default) or 'sqlite' (native, on disk)
+};
+
+const sqliteDatabases = new Map(); // name -> { path, storage } of open native databases
+
+let BetterSqlite = null;
+
+/**
+ * @typedef {Object} Storage
+ * @property {string} backend - 'sqljs' or 'sqlite'
+ * @property {Function} exec - (sql, params?) => [{ columns, values }], [] when no rows come back
+ * @property {Function} run - (sql, params?) => Storage; runs one statement
+ * @property {Function} getRowsModified - () => rows changed by the last statement
+ * @property {Function} close - ()
+ * @property {Function} [export] - () => Uint8Array of the whole database (sqljs only)
+ *
+ * Parameters are an array for ? placeholders or an object keyed ':name' for named ones.
+ */
+
+/**
+ * Backend named in config.server.storage
+ * @param {Object} [settings] - config.server.storage
+ * @returns {string} 'sqljs' or 'sqlite'
+ */
+export function storageBackend(settings = {}) {
+  const backend = settings?.backend || DEFAULT_STORAGE.backend;
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend: ${backend} (expected ${STORAGE_BACKENDS.join(' or ')})`);
+  }
+  return backend;
+}
+
+/**
+ * Which backend a database file belongs to, from the journal mode in its header
+ * @param {string} path - Database file
+ * @returns {string|null} 'sqlite' (WAL mode), 'sqljs', or null if missing or empty
+ */
+export function fileBackend(path) {
+  if (!existsSync(path) || statSync(path).size < 100) return null;
+
+  const header = Buffer.alloc(100);
+  const fd = openSync(path, 'r');
+  try {
+    readSync(fd, header, 0, 100, 0);
+  } finally {
+    closeSync(fd);
+  }
+  // Bytes 18/19 are the file format write/read versions: 2 = WAL, 1 = rollback journal
+  return header[18] === 2 ? 'sqlite' : 'sqljs';
+}
+
+/**
+ * Refuse a database file written by the other backend
+ * @param {string} path - Database file
+ * @param {string} backend - Backend about to open it
+ */
+export function assertFileBackend(path, backend) {
+  const current = fileBackend(path);
+  if (current && current !== backend) {
+    throw new Error(`${path} belongs to the ${current} storage backend, not ${backend} - stop the server and run: server-cli convert --to ${backend}`);
+  }
+}
+
+/**
+ * Put the Storage interface in front of a sql.js database
+ * @param {Object} database - sql.js Database
+ * @returns {Storage}
+ */
+export function wrapSqlJs(database) {
+  const storage = {
+    backend: 'sqljs',
+    exec: (sql, params) => database.exec(sql, params),
+    run: (sql, params) => {
+      database.run(sql, params);
+      return storage;
+    },
+    getRowsModified: () => database.getRowsModified(),
+    export: () => database.export(),
+    close: () => database.close()
+  };
+  return storage;
+}
+
+// better-sqlite3 is optional (native code, not in the pkg executables), so load it on first use
+function loadBetterSqlite() {
+  if (!BetterSqlite) {
+    try {
+      BetterSqlite = createRequire(import.meta.url)('better-sqlite3');
+    } catch (error) {
+      throw new Error(`The sqlite storage backend needs better-sqlite3 - run npm install better-sqlite3 in server/ (${error.message})`);
+    }
+  }
+  return BetterSqlite;
+}
+
+// sql.js binds true/false as 1/0; better-sqlite3 refuses them
+function bindValue(value) {
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+// Arguments for a better-sqlite3 statement: [?, ?] values, or { name: value } for :name
+function bindParams(params) {
+  if (!params) return [];
+  if (Array.isArray(params)) return params.map(bindValue);
+
+  const named = {};
+  for (const [key, value] of Object.entries(params)) {
+    named[key.replace(/^[:@$]/, '')] = bindValue(value);
+  }
+  return [named];
+}
+
+/**
+ * Open (or create) a database file with the native sqlite backend, in WAL mode
+ * @param {Object} options
+ * @param {string} options.name - Short name for stats (e.g. 'heartbeats')
+ * @param {string} options.path - Database file
+ * @returns {Storage}
+ */
+export function openSqlite({ name, path }) {
+  const Database = loadBetterSqlite();
+  assertFileBackend(path, 'sqlite');
+
+  mkdirSync(dirname(path), { recursive: true });
+  const database = new Database(path);
+  database.pragma('journal_mode = WAL');
+  database.pragma('synchronous = NORMAL'); // in WAL mode a crash can lose the last commits, never corrupt the file
+  database.pragma('busy_timeout = 5000');
+
+  let rowsModified = 0;
+
+  const storage = {
+    backend: 'sqlite',
+    exec(sql, params) {
+      let statement;
+      try {
+        statement = database.prepare(sql);
+      } catch (error) {
+        // sql.js runs several ;-separated statements in one exec()
+        if (params || !error.message.includes('more than one statement')) throw error;
+        database.exec(sql);
+        return [];
+      }
+
+      if (!statement.reader) {
+        rowsModified = statement.run(...bindParams(params)).changes;
+        return [];
+      }
+      const values = statement.raw(true).all(...bindParams(params));
+      return values.length > 0 ? [{ columns: statement.columns().map(column => column.name), values }] : [];
+    },
+    run(sql, params) {
+      storage.exec(sql, params);
+      return storage;
+    },
+    getRowsModified: () => rowsModified,
+    close() {
+      sqliteDatabases.delete(name);
+      database.close(); // checkpoints the WAL into the file
+    }
+  };
+
+  sqliteDatabases.set(name, { path, storage });
+  return storage;
+}
+
+/**
+ * Close every native database (call before exiting; sql.js ones are saved by closePersisters)
+ */
+export function closeSqliteDatabases() {
+  for (const { storage } of sqliteDatabases.values()) {
+    storage.close();
+  }
+}
+
+function fileSize(path) {
+  return existsSync(path) ? statSync(path).size : 0;
+}
+
+/**
+ * Backend, size and write statistics of every open database
+ * @returns {Object[]} One entry per database (sqljs entries add the persister stats)
+ */
+export function getStorageStats() {
+  return [
+    ...getPersistenceStats().map(stats => ({ backend: 'sqljs', ...stats })),
+    ...[...sqliteDatabases].map(([name, { path }]) => ({
+      backend: 'sqlite',
+      name,
+      path,
+      size_bytes: fileSize(path),
+      wal_bytes: fileSize(`${path}-wal`)
+    }))
+  ];
+}
+
+/**
+ * Copy a database file consistently, even while a server is writing to it
+ * sqljs files are replaced atomically, so a plain copy is consistent; native ones go
+ * through SQLite's online backup (which includes the WAL) and the copy is switched
+ * to the rollback journal, so it opens with either backend.
+ * @param {string} path - Database file
+ * @param {string} dest - Copy to write
+ * @returns {Promise<void>}
+ */
+export async function backupDatabaseFile(path, dest) {
+  if (fileBackend(path) !== 'sqlite') {
+    await copyFile(path, dest);
+    return;
+  }
+
+  const Database = loadBetterSqlite();
+  const source = new Database(path, { readonly: true });
+  try {
+    await source.backup(dest);
+  } finally {
+    source.close();
+  }
+
+  const copy = new Database(dest);
+  try {
+    copy.pragma('journal_mode = DELETE');
+  } finally {
+    copy.close();
+  }
+}
+
+/**
+ * Switch a database file to another backend (run with the server stopped)
+ * To sqlite the file is put in WAL mode; to sqljs the WAL is checkpointed into the
+ * file and the rollback journal restored, so sql.js sees every transaction.
+ * @param {string} path - Database file
+ * @param {string} to - 'sqljs' or 'sqlite'
+ * @returns {string} 'converted', 'unchanged' (already there) or 'missing'
+ */
+export function convertDatabaseFile(path, to) {
+  storageBackend({ backend: to });
+  const current = fileBackend(path);
+  if (!current) return 'missing';
+  if (current === to) return 'unchanged';
+
+  const Database = loadBetterSqlite();
+  const database = new Database(path);
+  try {
+    const check = database.pragma('integrity_check', { simple: true });
+    if (check !== 'ok') throw new Error(`${path} failed the integrity check (${check}) - restore a snapshot first`);
+
+    if (to === 'sqlite') {
+      database.pragma('journal_mode = WAL');
+    } else {
+      database.pragma('wal_checkpoint(TRUNCATE)');
+      database.pragma('journal_mode = DELETE');
+    }
+  } finally {
+    database.close();
+  }
+  return 'converted';
+}
@@ -0,0 +1,128 @@
+// Minimal tar archives (ustar, regular files only) for backups and data exports
+//
+// Archives are written as a stream, so large files never have to fit in memory, and
+// read back whole. They unpack with plain `tar xf` / `tar xzf` as well.
+
+import { readFileSync, createReadStream, createWriteStream } from 'fs';
+import { rename } from 'fs/promises';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip, gunzipSync } from 'zlib';
+
+const BLOCK = 512;
+
+// ustar header for one regular file
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(BLOCK);
+  const field = (value, offset, length) => header.write(value, offset, length, 'ascii');
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+
+  field(name, 0, 100);
+  field(octal(0o644, 8), 100, 8);
+  field(octal(0, 8), 108, 8);
+  field(octal(0, 8), 116, 8);
+  field(octal(size, 12), 124, 12);
+  field(octal(mtime, 12), 136, 12);
+  field(' '.repeat(8), 148, 8);
+  field('0', 156, 1);
+  field('ustar\0', 257, 6);
+  field('00', 263, 2);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  field(`${octal(checksum, 7)}\0`, 148, 8);
+  return header;
+}
+
+/**
+ * name -> contents of the regular files in a tar archive
+ * @param {Buffer} data - Uncompressed archive
+ * @returns {Map<string, Buffer>}
+ */
+export function parseTar(data) {
+  if (data.length < BLOCK) throw new Error('not a tar archive (too short)');
+  const files = new Map();
+  let offset = 0;
+
+  while (offset + BLOCK <= data.length) {
+    const header = data.subarray(offset, offset + BLOCK);
+    if (header.every(byte => byte === 0)) break;
+
+    const text = (start, length) => header.toString('ascii', start, start + length).replace(/\0.*$/s, '').trim();
+    let checksum = 0;
+    header.forEach((byte, i) => { checksum += i >= 148 && i < 156 ? 32 : byte; });
+    if (checksum !== parseInt(text(148, 8), 8)) throw new Error('not a tar archive (bad header checksum)');
+
+    const size = parseInt(text(124, 12), 8);
+    const start = offset + BLOCK;
+    if (start + size > data.length) throw new Error(`archive is truncated in ${text(0, 100)}`);
+    if (text(156, 1) === '0' || text(156, 1) === '') files.set(text(0, 100), data.subarray(start, start + size));
+
+    offset = start + Math.ceil(size / BLOCK) * BLOCK;
+  }
+  return files;
+}
+
+/**
+ * Read a tar or tar.gz file
+ * @param {string} archive - Archive path
+ * @param {string} [kind='archive'] - What it should be, for error messages
+ * @returns {Map<string, Buffer>} name -> contents
+ */
+export function readTarFile(archive, kind = 'archive') {
+  let data = readFileSync(archive);
+  try {
+    if (data[0] === 0x1f && data[1] === 0x8b) data = gunzipSync(data);
+  } catch (error) {
+    throw new Error(`${archive} is damaged (${error.message})`);
+  }
+
+  try {
+    return parseTar(data);
+  } catch (error) {
+    throw new Error(`${archive} is not a valid ${kind}: ${error.message}`);
+  }
+}
+
+/**
+ * Archive contents as a stream of chunks
+ * @param {Object[]} entries - { name, size, data } or { name, size, path }
+ * @returns {AsyncGenerator<Buffer>}
+ */
+export async function* tarChunks(entries) {
+  const mtime = Math.floor(Date.now() / 1000);
+
+  for (const entry of entries) {
+    yield tarHeader(entry.name, entry.size, mtime);
+    if (entry.data) {
+      yield entry.data;
+    } else {
+      for await (const chunk of createReadStream(entry.path)) yield chunk;
+    }
+    const padding = (BLOCK - (entry.size % BLOCK)) % BLOCK;
+    if (padding) yield Buffer.alloc(padding);
+  }
+  yield Buffer.alloc(BLOCK * 2);
+}
+
+/**
+ * Stream the entries into a writable (an HTTP response, say)
+ * @param {Object[]} entries - As for tarChunks()
+ * @param {Writable} output - Where the archive goes
+ * @param {boolean} [compress=true] - gzip it
+ */
+export async function pipeTar(entries, output, compress = true) {
+  await pipeline(Readable.from(tarChunks(entries)), ...(compress ? [createGzip()] : []), output);
+}
+
+/**
+ * Stream the entries into a tar (.gz) file, renamed into place once complete
+ * @param {string} path - Archive path
+ * @param {Object[]} entries - As for tarChunks()
+ * @param {boolean} [compress=true] - gzip it
+ */
+export async function writeTarFile(path, entries, compress = true) {
+  const tmpPath = `${path}.tmp`;
+  await pipeTar(entries, createWriteStream(tmpPath), compress);
+  await rename(tmpPath, path);
+}
@@ -0,0 +1,110 @@
+// TCP / TLS ingest for Inside-Out Monitor
+//
+// For sites where outbound UDP is dropped or rate-limited, agents can send the
+// same encrypted envelopes over a TCP (or TLS) connection instead. Each packet is
+// framed as:
+//   [ length: 4 bytes, big-endian ][ envelope ]
+// Replies (e.g. enrollment results) go back on the same connection with the same framing.
+
+import net from 'net';
+import tls from 'tls';
+import { readFileSync } from 'fs';
+
+export const FRAME_HEADER_LENGTH = 4;
+export const MAX_FRAME_LENGTH = 64 * 1024; // same ceiling as a UDP datagram
+export const IDLE_TIMEOUT = 5 * 60; // seconds
+export const MAX_CONNECTIONS = 1000;
+
+/**
+ * Prefix a packet with its 4-byte big-endian length
+ * @param {Buffer|Uint8Array} packet - Envelope bytes
+ * @returns {Buffer} Framed packet
+ */
+export function encodeFrame(packet) {
+  const header = Buffer.alloc(FRAME_HEADER_LENGTH);
+  header.writeUInt32BE(packet.length, 0);
+  return Buffer.concat([header, Buffer.from(packet)]);
+}
+
+/**
+ * Create a decoder that reassembles frames from a TCP byte stream
+ * @param {Function} onFrame - Called with each complete frame payload
+ * @param {number} [maxLength] - Largest accepted frame
+ * @returns {Object} { push(chunk) } - throws if a frame is empty or too large
+ */
+export function createFrameDecoder(onFrame, maxLength = MAX_FRAME_LENGTH) {
+  let buffered = Buffer.alloc(0);
+
+  return {
+    push(chunk) {
+      buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+
+      while (buffered.length >= FRAME_HEADER_LENGTH) {
+        const length = buffered.readUInt32BE(0);
+        if (length === 0 || length > maxLength) {
+          throw new Error(`Invalid frame length ${length} (max: ${maxLength})`);
+        }
+        if (buffered.length < FRAME_HEADER_LENGTH + length) break;
+
+        const frame = buffered.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + length);
+        buffered = buffered.subarray(FRAME_HEADER_LENGTH + length);
+        onFrame(frame);
+      }
+    }
+  };
+}
+
+/**
+ * Start a TCP or TLS ingest listener
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} [options.host] - Bind address (default: every IPv4 and IPv6 address)
+ * @param {Object} [options.tls] - { certFile, keyFile } to listen with TLS instead of plain TCP
+ * @param {Function} options.onPacket - Called as onPacket(packet, rinfo, respond) for each frame
+ * @returns {net.Server|tls.Server} Listening server
+ */
+export function startTcpListener({ port, host, tls: tlsConfig = null, onPacket }) {
+  const transport = tlsConfig ? 'tls' : 'tcp';
+
+  const handleConnection = (socket) => {
+    const rinfo = { address: socket.remoteAddress, port: socket.remotePort, transport };
+    const respond = (packet) => {
+      if (!socket.destroyed) socket.write(encodeFrame(packet));
+    };
+    const decoder = createFrameDecoder((frame) => onPacket(frame, rinfo, respond));
+
+    socket.setTimeout(IDLE_TIMEOUT * 1000, () => socket.end());
+
+    socket.on('data', (chunk) => {
+      try {
+        decoder.push(chunk);
+      } catch (error) {
+        console.log(`⚠ Closing ${transport.toUpperCase()} connection from ${rinfo.address}:${rinfo.port} - ${error.message}`);
+        socket.destroy();
+      }
+    });
+
+    // Resets and half-closed connections are normal for agents; nothing to do
+    socket.on('error', () => {});
+  };
+
+  const server = tlsConfig
+    ? tls.createServer({
+      cert: readFileSync(tlsConfig.certFile),
+      key: readFileSync(tlsConfig.keyFile)
+    }, handleConnection)
+    : net.createServer(handleConnection);
+
+  server.maxConnections = MAX_CONNECTIONS;
+
+  if (tlsConfig) {
+    server.on('tlsClientError', (error, socket) => {
+      console.log(`⚠ TLS handshake failed from ${socket.remoteAddress} - ${error.message}`);
+    });
+  }
+
+  // Node's own default for no host is '::' when IPv6 is available and 0.0.0.0 when
+  // it is not - an explicit '::' would fail on IPv4-only hosts instead
+  server.listen(port, host === '::' ? undefined : host);
+  return server;
+}
@@ -0,0 +1,70 @@
+// UDP ingest for Inside-Out Monitor
+//
+// By default the server listens on '::' with a dual-stack socket, so agents can
+// reach it over IPv4 and IPv6 on the same port (IPv4 senders show up as
+// ::ffff:a.b.c.d and are normalized by server/source-guard.js). On hosts without
+// IPv6 the listener falls back to IPv4 only. An IPv4 bind address (e.g.
+// '0.0.0.0') gives an IPv4-only socket, an IPv6 one an IPv6 socket.
+
+import dgram from 'dgram';
+import { isIPv4 } from 'net';
+
+export const DEFAULT_HOST = '::';
+
+// Errors that mean "no IPv6 here", rather than "port in use"
+const NO_IPV6_ERRORS = ['EAFNOSUPPORT', 'EADDRNOTAVAIL', 'EPROTONOSUPPORT'];
+
+function bind(type, port, host) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(type === 'udp4' ? 'udp4' : { type: 'udp6', ipv6Only: false });
+    const fail = (error) => {
+      socket.close();
+      reject(error);
+    };
+    socket.once('error', fail);
+    socket.bind(port, host, () => {
+      socket.off('error', fail);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Describe what a listening UDP socket accepts, for the startup log
+ * @param {dgram.Socket} socket - Listening socket
+ * @returns {string} e.g. "[::]:4000 (IPv4 + IPv6)"
+ */
+export function describeUdpListener(socket) {
+  const { address, port, family } = socket.address();
+  if (family === 'IPv4') return `${address}:${port} (IPv4)`;
+  return `[${address}]:${port} (${address === '::' ? 'IPv4 + IPv6' : 'IPv6'})`;
+}
+
+/**
+ * Start a UDP ingest listener
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='::'] - Bind address; '::' listens on IPv4 and IPv6
+ * @param {Function} options.onPacket - Called as onPacket(packet, rinfo, respond) for each datagram
+ * @returns {Promise<dgram.Socket>} Listening socket
+ */
+export async function startUdpListener({ port, host = DEFAULT_HOST, onPacket }) {
+  let socket;
+  if (isIPv4(host)) {
+    socket = await bind('udp4', port, host);
+  } else {
+    try {
+      socket = await bind('udp6', port, host);
+    } catch (error) {
+      if (host !== DEFAULT_HOST || !NO_IPV6_ERRORS.includes(error.code)) throw error;
+      console.log(`⚠ IPv6 is not available (${error.code}) - listening for UDP on IPv4 only`);
+      socket = await bind('udp4', port, '0.0.0.0');
+    }
+  }
+
+  socket.on('message', (msg, rinfo) => {
+    onPacket(msg, rinfo, (packet) => socket.send(packet, rinfo.port, rinfo.address));
+  });
+
+  return socket;
+}
@@ -1,7 +1,11 @@
 import initSqlJs from 'sql.js';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, existsSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createPersister, loadDatabase, withTransaction, writeFileAtomic } from './persistence.js';
+import { runMigrations, getMigrationStatus } from './schema-migrations.js';
+import unifiMigrations from './migrations/unifi/index.js';
+import { storageBackend, assertFileBackend, wrapSqlJs, openSqlite, convertDatabaseFile } from './storage.js';
 
 // Get runtime directory - use process.cwd() for pkg executables to avoid bundle-time path resolution
 function getRuntimeDir() {
@@ -17,11 +21,15 @@ const dbPath = join(getRuntimeDir(), 'databases', 'unifi.sqlite3');
 
 let unifiDb = null;
 let SQL = null;
-
-// Initialize UniFi database
-export async function initUnifiDb() {
-  // Log runtime directory for debugging
-  console.log(`Looking for UniFi database at: ${dbPath}`);
+let persister = null;
+
+// Open the UniFi database with the configured backend (see openDatabase in db.js)
+async function openDatabase(storage) {
+  if (storageBackend(storage) === 'sqlite') {
+    const database = openSqlite({ name: 'unifi', path: dbPath });
+    console.log('✓ UniFi database opened with native SQLite (WAL)');
+    return database;
+  }
 
   // Load WASM file manually to work with pkg bundler
   const wasmPath = join(getRuntimeDir(), 'sql-wasm.wasm');
@@ -42,147 +50,148 @@ export async function initUnifiDb() {
   // Load existing database or create new one
   if (existsSync(dbPath)) {
     console.log(`✓ Found existing UniFi database file`);
-    const buffer = readFileSync(dbPath);
-    unifiDb = new SQL.Database(buffer);
+    assertFileBackend(dbPath, 'sqljs');
+    const database = wrapSqlJs(loadDatabase(SQL, dbPath));
     console.log('✓ UniFi database loaded from disk');
-  } else {
-    console.log(`✓ No existing UniFi database found, creating new one`);
-    unifiDb = new SQL.Database();
-    console.log('✓ New UniFi database created');
+    return database;
   }
 
-  // Create UniFi clients table
-  unifiDb.run(`
-    CREATE TABLE IF NOT EXISTS unifi_clients (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      mac TEXT NOT NULL,
-      ip TEXT,
-      hostname TEXT,
-      name TEXT,
-      manufacturer TEXT,
-      device_type TEXT,
-      is_wired INTEGER NOT NULL,
-      rx_bytes INTEGER,
-      tx_bytes INTEGER,
-      rx_rate INTEGER,
-      tx_rate INTEGER,
-      signal INTEGER,
-      channel INTEGER,
-      essid TEXT,
-      is_connected INTEGER NOT NULL,
-      first_seen INTEGER NOT NULL,
-      last_seen INTEGER NOT NULL,
-      received_at INTEGER NOT NULL
-    )
-  `);
-
-  unifiDb.run(`CREATE INDEX IF NOT EXISTS idx_unifi_mac ON unifi_clients(mac)`);
-  unifiDb.run(`CREATE INDEX IF NOT EXISTS idx_unifi_connected ON unifi_clients(is_connected)`);
-  unifiDb.run(`CREATE INDEX IF NOT EXISTS idx_unifi_received_at ON unifi_clients(received_at)`);
-
-  // Create UniFi connection events table
-  unifiDb.run(`
-    CREATE TABLE IF NOT EXISTS unifi_connection_events (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      mac TEXT NOT NULL,
-      event_type TEXT NOT NULL,
-      timestamp INTEGER NOT NULL,
-      hostname TEXT,
-      ip TEXT
-    )
-  `);
-
-  unifiDb.run(`CREATE INDEX IF NOT EXISTS idx_event_mac ON unifi_connection_events(mac)`);
-  unifiDb.run(`CREATE INDEX IF NOT EXISTS idx_event_time ON unifi_connection_events(timestamp)`);
-
-  // Create UniFi client states table for tracking connection status
-  unifiDb.run(`
-    CREATE TABLE IF NOT EXISTS unifi_client_states (
-      mac TEXT PRIMARY KEY,
-      hostname TEXT,
-      ip TEXT,
-      is_connected INTEGER NOT NULL,
-      last_seen INTEGER NOT NULL,
-      last_state_change INTEGER NOT NULL,
-      updated_at INTEGER NOT NULL
-    )
-  `);
-
-  unifiDb.run(`CREATE INDEX IF NOT EXISTS idx_client_state_connected ON unifi_client_states(is_connected)`);
+  console.log(`✓ No existing UniFi database found, creating new one`);
+  const database = wrapSqlJs(new SQL.Database());
+  console.log('✓ New UniFi database created');
+  return database;
+}
+
+// Initialize UniFi database (persistence: config.server.persistence, see server/persistence.js;
+// storage: config.server.storage, see server/storage.js)
+export async function initUnifiDb(persistence = {}, storage = {}) {
+  // Log runtime directory for debugging
+  console.log(`Looking for UniFi database at: ${dbPath}`);
+
+  unifiDb = await openDatabase(storage);
 
+  // Bring the schema up to date (a failed migration is rolled back and stops startup)
+  runMigrations(unifiDb, unifiMigrations, 'unifi');
   console.log('✓ UniFi database schema initialized');
 
-  // Save database to disk to ensure file is created
-  saveUnifiDb();
+  // Written out like the main database (server/db.js saves or closes both on shutdown)
+  if (unifiDb.backend === 'sqljs') {
+    persister = createPersister({ name: 'unifi', path: dbPath, getDb: () => unifiDb, ...persistence });
+    persister.start();
 
-  // Auto-save every 5 minutes
-  setInterval(() => {
-    saveUnifiDb();
-  }, 5 * 60 * 1000);
+    // Save database to disk to ensure file is created
+    await saveUnifiDb();
+  }
 }
 
-// Save UniFi database to disk
-export function saveUnifiDb() {
-  if (!unifiDb) return;
+/**
+ * Report or apply UniFi schema migrations without starting the server (see migrateDb in db.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] - Apply pending migrations and save the file
+ * @param {Object} [options.storage] - config.server.storage
+ * @returns {Promise<Object>} { name, path, ...getMigrationStatus() } after applying
+ */
+export async function migrateUnifiDb({ apply = false, storage = {} } = {}) {
+  const database = await openDatabase(storage);
+  try {
+    const applied = apply ? runMigrations(database, unifiMigrations, 'unifi') : [];
+    if (applied.length > 0 && database.backend === 'sqljs') {
+      await writeFileAtomic(dbPath, database.export());
+    }
+    return { name: 'unifi', path: dbPath, ...getMigrationStatus(database, unifiMigrations) };
+  } finally {
+    database.close();
+  }
+}
 
+/**
+ * Open the UniFi database file outside the server (see withDbFile in db.js)
+ * @param {Function} fn - async (db) => result
+ * @param {Object} [options]
+ * @param {boolean} [options.save] - Write the sql.js database back to the file afterwards
+ * @param {Object} [options.storage] - config.server.storage
+ * @returns {Promise<*>} What fn returns
+ */
+export async function withUnifiDbFile(fn, { save = false, storage = {} } = {}) {
+  const database = await openDatabase(storage);
   try {
-    const data = unifiDb.export();
-    const buffer = Buffer.from(data);
-    writeFileSync(dbPath, buffer);
-    console.log('✓ UniFi database saved to disk');
-  } catch (error) {
-    console.error('⚠ Failed to save UniFi database:', error.message);
+    runMigrations(database, unifiMigrations, 'unifi');
+    const result = await fn(database);
+    if (save && database.backend === 'sqljs') {
+      await writeFileAtomic(dbPath, database.export());
+    }
+    return result;
+  } finally {
+    database.close();
   }
 }
 
-// Insert UniFi client data
-export function insertUnifiClients(clients, timestamp) {
+/**
+ * Switch the UniFi database file to another storage backend (see convertDb in db.js)
+ * @param {string} to - 'sqljs' or 'sqlite'
+ * @returns {Object} { name, path, result: 'converted' | 'unchanged' | 'missing' }
+ */
+export function convertUnifiDb(to) {
+  return { name: 'unifi', path: dbPath, result: convertDatabaseFile(dbPath, to) };
+}
+
+// Save UniFi database to disk now, whether or not anything changed (nothing to do with native SQLite)
+export async function saveUnifiDb() {
+  if (!persister) return;
+  await persister.flush({ force: true });
+}
+
+// Insert UniFi client data (location: where the reporting UniFi monitor runs)
+export function insertUnifiClients(clients, timestamp, { location = null, sublocation = null } = {}) {
   if (!unifiDb) {
     throw new Error('UniFi database not initialized');
   }
 
   const receivedAt = Math.floor(Date.now() / 1000);
 
-  for (const client of clients) {
-    // Insert client snapshot
-    unifiDb.run(
-      `INSERT INTO unifi_clients
-       (mac, ip, hostname, name, manufacturer, device_type, is_wired,
-        rx_bytes, tx_bytes, rx_rate, tx_rate, signal, channel, essid,
-        is_connected, first_seen, last_seen, received_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        client.mac,
-        client.ip || null,
-        client.hostname || null,
-        client.name || null,
-        client.manufacturer || null,
-        client.device_type || null,
-        client.is_wired ? 1 : 0,
-        client.rx_bytes || 0,
-        client.tx_bytes || 0,
-        client.rx_rate || 0,
-        client.tx_rate || 0,
-        client.signal || null,
-        client.channel || null,
-        client.essid || null,
-        1, // is_connected
-        client.first_seen || timestamp,
-        client.last_seen || timestamp,
-        receivedAt
-      ]
-    );
-
-    // Update or insert client state
-    updateUnifiClientState(client.mac, client.hostname, client.ip, true, timestamp, receivedAt);
-  }
+  withTransaction(unifiDb, () => {
+    for (const client of clients) {
+      // Insert client snapshot
+      unifiDb.run(
+        `INSERT INTO unifi_clients
+         (mac, ip, hostname, name, manufacturer, device_type, is_wired,
+          rx_bytes, tx_bytes, rx_rate, tx_rate, signal, channel, essid,
+          is_connected, first_seen, last_seen, received_at, location, sublocation)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          client.mac,
+          client.ip || null,
+          client.hostname || null,
+          client.name || null,
+          client.manufacturer || null,
+          client.device_type || null,
+          client.is_wired ? 1 : 0,
+          client.rx_bytes || 0,
+          client.tx_bytes || 0,
+          client.rx_rate || 0,
+          client.tx_rate || 0,
+          client.signal || null,
+          client.channel || null,
+          client.essid || null,
+          1, // is_connected
+          client.first_seen || timestamp,
+          client.last_seen || timestamp,
+          receivedAt,
+          location,
+          sublocation
+        ]
+      );
+
+      // Update or insert client state
+      updateUnifiClientState(client.mac, client.hostname, client.ip, true, timestamp, receivedAt, { location, sublocation });
+    }
+  });
 
-  // Save immediately after insert
-  saveUnifiDb();
+  persister?.touch();
 }
 
 // Update UniFi client state and track connection/disconnection events
-function updateUnifiClientState(mac, hostname, ip, isConnected, timestamp, now) {
+function updateUnifiClientState(mac, hostname, ip, isConnected, timestamp, now, { location = null, sublocation = null } = {}) {
   if (!unifiDb) return;
 
   try {
@@ -197,9 +206,9 @@ function updateUnifiClientState(mac, hostname, ip, isConnected, timestamp, now)
       // New client - insert state and log connection event
       unifiDb.run(`
         INSERT INTO unifi_client_states
-        (mac, hostname, ip, is_connected, last_seen, last_state_change, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `, [mac, hostname, ip, isConnected ? 1 : 0, timestamp, now, now]);
+        (mac, hostname, ip, is_connected, last_seen, last_state_change, updated_at, location, sublocation)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [mac, hostname, ip, isConnected ? 1 : 0, timestamp, now, now, location, sublocation]);
 
       // Log connection event
       logConnectionEvent(mac, 'connected', timestamp, hostname, ip);
@@ -211,9 +220,10 @@ function updateUnifiClientState(mac, hostname, ip, isConnected, timestamp, now)
         // State changed
         unifiDb.run(`
           UPDATE unifi_client_states
-          SET hostname = ?, ip = ?, is_connected = ?, last_seen = ?, last_state_change = ?, updated_at = ?
+          SET hostname = ?, ip = ?, is_connected = ?, last_seen = ?, last_state_change = ?, updated_at = ?,
+              location = COALESCE(?, location), sublocation = COALESCE(?, sublocation)
           WHERE mac = ?
-        `, [hostname, ip, isConnected ? 1 : 0, timestamp, now, now, mac]);
+        `, [hostname, ip, isConnected ? 1 : 0, timestamp, now, now, location, sublocation, mac]);
 
         // Log event
         logConnectionEvent(mac, isConnected ? 'connected' : 'disconnected', timestamp, hostname, ip);
@@ -222,9 +232,10 @@ function updateUnifiClientState(mac, hostname, ip, isConnected, timestamp, now)
         // No state change, just update last_seen
         unifiDb.run(`
           UPDATE unifi_client_states
-          SET hostname = ?, ip = ?, last_seen = ?, updated_at = ?
+          SET hostname = ?, ip = ?, last_seen = ?, updated_at = ?,
+              location = COALESCE(?, location), sublocation = COALESCE(?, sublocation)
           WHERE mac = ?
-        `, [hostname, ip, timestamp, now, mac]);
+        `, [hostname, ip, timestamp, now, location, sublocation, mac]);
       }
     }
 
@@ -266,21 +277,23 @@ export function markDisconnectedClients(onlineThresholdSeconds = 300) {
 
     const staleClients = sqlToJson(result);
 
-    for (const client of staleClients) {
-      // Mark as disconnected
-      unifiDb.run(`
-        UPDATE unifi_client_states
-        SET is_connected = 0, last_state_change = ?, updated_at = ?
-        WHERE mac = ?
-      `, [now, now, client.mac]);
+    withTransaction(unifiDb, () => {
+      for (const client of staleClients) {
+        // Mark as disconnected
+        unifiDb.run(`
+          UPDATE unifi_client_states
+          SET is_connected = 0, last_state_change = ?, updated_at = ?
+          WHERE mac = ?
+        `, [now, now, client.mac]);
 
-      // Log disconnection event
-      logConnectionEvent(client.mac, 'disconnected', now, client.hostname, client.ip);
-    }
+        // Log disconnection event
+        logConnectionEvent(client.mac, 'disconnected', now, client.hostname, client.ip);
+      }
+    });
 
     if (staleClients.length > 0) {
       console.log(`📴 Marked ${staleClients.length} UniFi client(s) as disconnected`);
-      saveUnifiDb();
+      persister?.touch();
     }
 
   } catch (error) {
@@ -293,6 +306,11 @@ export function getUnifiDb() {
   return unifiDb;
 }
 
+// UniFi database file
+export function getUnifiDbPath() {
+  return dbPath;
+}
+
 // Helper function to convert sql.js results to JSON
 function sqlToJson(result) {
   if (!result || result.length === 0) return [];
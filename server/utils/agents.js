@@ -0,0 +1,136 @@
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  AGENTS_FILE,
+  SERVER_IDENTITY_FILE,
+  DEFAULT_TOKEN_TTL,
+  createEnrollmentToken,
+  readRegistry,
+  revokeAgent
+} from '../agents.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const keyDir = join(__dirname, '..');
+
+const [command = 'list', ...args] = process.argv.slice(2);
+
+function printUsage() {
+  console.log(`
+Inside-Out Monitor - Agent Enrollment
+
+Usage: npm run agents -- <command>
+
+Commands:
+  token --name <name> [--name <name>...] [--ttl <hours>]
+                       Issue a one-time enrollment token bound to one or more
+                       device/monitor names (default TTL: ${DEFAULT_TOKEN_TTL / 3600} hours)
+  list                 Show enrolled agents (default)
+  tokens               Show enrollment tokens
+  revoke <agent-id>    Stop accepting packets from one agent
+
+Enrollment workflow:
+  1. npm run agents -- token --name web-server-01
+  2. On the agent: monitor-client --enroll <token> --host <server>
+  3. The agent now seals packets with its own key; secret.key is no longer needed
+
+The running server reloads ${AGENTS_FILE} automatically.
+`);
+}
+
+function formatTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : '-';
+}
+
+switch (command) {
+  case 'token': {
+    const names = [];
+    let ttlHours = DEFAULT_TOKEN_TTL / 3600;
+
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--name' || args[i] === '-n') {
+        names.push(args[++i]);
+      } else if (args[i] === '--ttl') {
+        ttlHours = parseFloat(args[++i]);
+      } else {
+        console.error(`Unknown option: ${args[i]}`);
+        printUsage();
+        process.exit(1);
+      }
+    }
+
+    if (names.length === 0 || names.some(name => !name) || !(ttlHours > 0)) {
+      printUsage();
+      process.exit(1);
+    }
+
+    const token = createEnrollmentToken(keyDir, names, Math.round(ttlHours * 3600));
+
+    console.log('\n✓ Enrollment token issued');
+    console.log(`  Names:   ${names.join(', ')}`);
+    console.log(`  Expires: ${formatTime(Math.floor(Date.now() / 1000) + Math.round(ttlHours * 3600))}`);
+    console.log(`\n  Token:\n  ${token}`);
+    console.log(`\n⚠ The token can be used once. Keep ${SERVER_IDENTITY_FILE} secret and backed up -`);
+    console.log('  every enrolled agent has to re-enroll if it is lost.\n');
+    break;
+  }
+
+  case 'list': {
+    const { agents } = readRegistry(keyDir);
+    if (agents.length === 0) {
+      console.log('No enrolled agents. Issue a token with: npm run agents -- token --name <name>');
+      break;
+    }
+
+    console.log('');
+    for (const agent of agents) {
+      const status = agent.revoked_at ? `revoked ${formatTime(agent.revoked_at)}` : 'active';
+      console.log(`  ${agent.id}  ${status.padEnd(32)}  ${agent.hostname || '?'}  names: ${agent.names.join(', ')}`);
+    }
+    console.log('');
+    break;
+  }
+
+  case 'tokens': {
+    const { tokens } = readRegistry(keyDir);
+    const now = Math.floor(Date.now() / 1000);
+
+    console.log('');
+    for (const token of tokens) {
+      let status = 'pending';
+      if (token.used_at) status = `used by ${token.agent_id}`;
+      else if (token.expires_at < now) status = 'expired';
+      console.log(`  ${formatTime(token.created_at)}  ${status.padEnd(17)}  names: ${token.names.join(', ')}`);
+    }
+    console.log('');
+    break;
+  }
+
+  case 'revoke': {
+    const [id] = args;
+    if (!id) {
+      printUsage();
+      process.exit(1);
+    }
+
+    try {
+      const agent = revokeAgent(keyDir, id);
+      console.log(`\n✓ Agent ${agent.id} revoked (names: ${agent.names.join(', ')})`);
+      console.log('  Other agents are not affected.\n');
+    } catch (error) {
+      console.error(`ERROR: ${error.message}`);
+      console.error('Run: npm run agents -- list');
+      process.exit(1);
+    }
+    break;
+  }
+
+  case 'help':
+  case '--help':
+    printUsage();
+    break;
+
+  default:
+    console.error(`Unknown command: ${command}`);
+    printUsage();
+    process.exit(1);
+}
@@ -1,23 +1,154 @@
-import nacl from 'tweetnacl';
-import util from 'tweetnacl-util';
-import { writeFileSync } from 'fs';
+import { existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-
-const { encodeBase64 } = util;
+import {
+  KEY_STATES,
+  KEYRING_FILE,
+  LEGACY_KEY_FILE,
+  createKeyEntry,
+  readKeyring,
+  writeKeyring,
+  getPrimaryKeyEntry
+} from '../keyring.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const keyPath = join(__dirname, '..', 'secret.key');
+const keyDir = join(__dirname, '..');
+const keyPath = join(keyDir, LEGACY_KEY_FILE);
+const keyringPath = join(keyDir, KEYRING_FILE);
+
+const [command = 'init', ...args] = process.argv.slice(2);
+
+function printUsage() {
+  console.log(`
+Inside-Out Monitor - Key Management
+
+Usage: npm run keygen -- <command>
+
+Commands:
+  init                 Generate the first pre-shared key (default)
+  list                 Show all keys in the key ring
+  rotate               Add a new active key; current active keys become accept-only
+  set-state <id> <s>   Change a key's state (${KEY_STATES.join(', ')})
+  retire <id>          Shortcut for: set-state <id> retired
+
+Rotation workflow:
+  1. npm run keygen -- rotate       New key goes to secret.key, old key stays accepted
+  2. Copy secret.key to dist/ and rebuild/redeploy agents site by site
+  3. npm run keygen -- retire <id>  Once no agent uses the old key any more
+
+The running server reloads ${KEYRING_FILE} automatically.
+`);
+}
+
+// Existing installs without keyring.json get their secret.key imported as the active key
+function loadKeys() {
+  const ring = readKeyring(keyDir);
+  return ring ? ring.keys : [];
+}
+
+function findKeyOrExit(keys, id) {
+  const entry = keys.find(k => k.id === id);
+  if (!entry) {
+    console.error(`ERROR: No key with ID ${id}`);
+    console.error('Run: npm run keygen -- list');
+    process.exit(1);
+  }
+  return entry;
+}
+
+function printKeys(keys) {
+  const primary = getPrimaryKeyEntry(keys);
+  console.log('');
+  for (const entry of keys) {
+    const created = new Date(entry.created_at * 1000).toISOString();
+    const marker = primary && entry.id === primary.id ? '  ← embedded in new builds' : '';
+    console.log(`  ${entry.id}  ${entry.state.padEnd(11)}  created ${created}${marker}`);
+  }
+  console.log('');
+}
+
+switch (command) {
+  case 'init': {
+    if (existsSync(keyringPath) || existsSync(keyPath)) {
+      console.error('ERROR: A key already exists');
+      console.error('Use "npm run keygen -- rotate" to roll out a new key without breaking agents');
+      process.exit(1);
+    }
+
+    const entry = createKeyEntry('active');
+    writeKeyring(keyDir, [entry]);
+
+    console.log('\n✓ Pre-shared key generated successfully!');
+    console.log(`  Location: ${keyPath}`);
+    console.log(`  Key ID:   ${entry.id}`);
+    console.log(`\n  Key (base64):\n  ${entry.key}`);
+    console.log('\n⚠ IMPORTANT: Copy this key to your client devices!');
+    console.log('  Keep it secret and secure.\n');
+    break;
+  }
+
+  case 'list': {
+    const keys = loadKeys();
+    if (keys.length === 0) {
+      console.log('No keys found. Run: npm run keygen');
+      break;
+    }
+    printKeys(keys);
+    break;
+  }
+
+  case 'rotate': {
+    const keys = loadKeys();
+
+    for (const entry of keys) {
+      if (entry.state === 'active') entry.state = 'accept-only';
+    }
+
+    const entry = createKeyEntry('active');
+    keys.push(entry);
+    writeKeyring(keyDir, keys);
+
+    console.log('\n✓ New key added to the key ring');
+    console.log(`  Key ID:   ${entry.id}`);
+    console.log(`  Location: ${keyPath}`);
+    printKeys(keys);
+    console.log('⚠ Copy secret.key to dist/ and rebuild agents to start using the new key.');
+    console.log('  Retire the old key once every site has been updated.\n');
+    break;
+  }
+
+  case 'set-state':
+  case 'retire': {
+    const [id, requestedState] = args;
+    const state = command === 'retire' ? 'retired' : requestedState;
+
+    if (!id || !KEY_STATES.includes(state)) {
+      printUsage();
+      process.exit(1);
+    }
+
+    const keys = loadKeys();
+    const entry = findKeyOrExit(keys, id);
+    entry.state = state;
+
+    if (!keys.some(k => k.state !== 'retired')) {
+      console.error('ERROR: At least one key must stay active or accept-only');
+      process.exit(1);
+    }
 
-// Generate random 32-byte key
-const key = nacl.randomBytes(nacl.secretbox.keyLength);
-const keyBase64 = encodeBase64(key);
+    writeKeyring(keyDir, keys);
+    console.log(`\n✓ Key ${id} is now ${state}`);
+    printKeys(keys);
+    break;
+  }
 
-// Save to file
-writeFileSync(keyPath, keyBase64, 'utf8');
+  case 'help':
+  case '--help':
+    printUsage();
+    break;
 
-console.log('\n✓ Pre-shared key generated successfully!');
-console.log(`  Location: ${keyPath}`);
-console.log(`\n  Key (base64):\n  ${keyBase64}`);
-console.log('\n⚠ IMPORTANT: Copy this key to your client devices!');
-console.log('  Keep it secret and secure.\n');
+  default:
+    console.error(`Unknown command: ${command}`);
+    printUsage();
+    process.exit(1);
+}